@@ -163,7 +163,13 @@ module.exports = (grunt) => {
 				external: ['jquery'],
 				globals: {
 					jquery: 'jQuery'
-				}
+				},
+				// Bundles DOMPurify so it doesn't need including separately
+				plugins: () => [{
+					name: 'dompurify',
+					resolveId: (id) => id === 'dompurify' ?
+						require.resolve('dompurify/dist/purify.es.js') : null
+				}]
 			},
 			build: {
 				files: {
@@ -184,6 +190,17 @@ module.exports = (grunt) => {
 						'./src/sceditor.js'
 					]
 				}
+			},
+			// BBCode conversion for Node, e.g. for rendering posts
+			headless: {
+				options: {
+					format: 'cjs'
+				},
+				files: {
+					'./minified/headless/bbcode.js': [
+						'./src/headless/bbcode.js'
+					]
+				}
 			}
 		},
 
@@ -368,8 +385,28 @@ module.exports = (grunt) => {
 	// Sauce Labs. Runs the QUnit tests in multiple browsers automatically.
 	grunt.registerTask('sauce', ['dev-server', 'saucelabs-qunit']);
 
+	// Runs the unit tests that don't need a browser under Node
+	grunt.registerTask('node-test', function () {
+		var done = this.async();
+
+		grunt.util.spawn({
+			cmd: process.execPath,
+			args: ['tests/node/index.js'],
+			opts: {
+				stdio: 'inherit'
+			}
+		}, function (error) {
+			done(!error);
+		});
+	});
+
 	// Lints the JS and runs the unit tests
-	grunt.registerTask('test', ['eslint', 'dev-server', 'qunit']);
+	grunt.registerTask('test', [
+		'eslint',
+		'node-test',
+		'dev-server',
+		'qunit'
+	]);
 
 	// Lints JS, runs unit tests and then runs unit tests via Sauce Labs.
 	grunt.registerTask('full-test', ['test', 'sauce']);
@@ -379,6 +416,7 @@ module.exports = (grunt) => {
 		'clean:build',
 		'copy:build',
 		'rollup:build',
+		'rollup:headless',
 		'uglify:build',
 		'less:build',
 		'postcss:build'
@@ -33,6 +33,22 @@
 
 	var EMOTICON_DATA_ATTR = 'data-sceditor-emoticon';
 
+	// Allowed values for the language of code, e.g. [code=php]
+	var CODE_LANGUAGE = /^[a-z0-9_+#\-]+$/i;
+
+	// Quote attributes other than the author and the HTML attribute
+	// each is stored in, e.g. [quote=name post_id=1 time=1600000000]
+	var QUOTE_ATTRS = {
+		'post_id': {
+			attr: 'data-post-id',
+			pattern: /^\d+$/
+		},
+		time: {
+			attr: 'data-time',
+			pattern: /^\d+$/
+		}
+	};
+
 	var getEditorCommand = sceditor.command.get;
 
 	var QuoteType = {
@@ -166,7 +182,24 @@
 			txtExec: ['[hr]']
 		},
 		code: {
-			txtExec: ['[code]', '[/code]']
+			txtExec: function (caller) {
+				var editor = this;
+
+				if (!editor.opts.codeLanguages) {
+					return editor.insertText('[code]', '[/code]');
+				}
+
+				getEditorCommand('code')._dropDown(
+					editor,
+					caller,
+					function (language) {
+						editor.insertText(
+							'[code' + (language ? '=' + language : '') + ']',
+							'[/code]'
+						);
+					}
+				);
+			}
 		},
 		image: {
 			txtExec: function (caller, selected) {
@@ -229,7 +262,45 @@
 			}
 		},
 		quote: {
-			txtExec: ['[quote]', '[/quote]']
+			txtExec: function (caller) {
+				var editor = this;
+
+				getEditorCommand('quote')._dropDown(
+					editor,
+					caller,
+					{},
+					function (values) {
+						var attrs = '';
+
+						if (values.author) {
+							attrs += '=' + _formatAttrValue(values.author);
+						}
+
+						if (values.postId) {
+							attrs += ' post_id=' + values.postId;
+						}
+
+						if (values.time) {
+							attrs += ' time=' + values.time;
+						}
+
+						editor.insertText('[quote' + attrs + ']', '[/quote]');
+					}
+				);
+			}
+		},
+		media: {
+			txtExec: function (caller) {
+				var editor = this;
+
+				getEditorCommand('media')._dropDown(
+					editor,
+					caller,
+					function (url) {
+						editor.insertText(sceditor.media.toBBCode(url));
+					}
+				);
+			}
 		},
 		youtube: {
 			txtExec: function (caller) {
@@ -263,6 +334,7 @@
 				// 401 is for FF 3.5
 				'font-weight': ['bold', 'bolder', '401', '700', '800', '900']
 			},
+			allowedAttrs: {},
 			format: '[b]{0}[/b]',
 			html: '<strong>{0}</strong>'
 		},
@@ -277,6 +349,7 @@
 			styles: {
 				'font-style': ['italic', 'oblique']
 			},
+			allowedAttrs: {},
 			format: '[i]{0}[/i]',
 			html: '<em>{0}</em>'
 		},
@@ -290,6 +363,7 @@
 			styles: {
 				'text-decoration': ['underline']
 			},
+			allowedAttrs: {},
 			format: '[u]{0}[/u]',
 			html: '<u>{0}</u>'
 		},
@@ -304,6 +378,7 @@
 			styles: {
 				'text-decoration': ['line-through']
 			},
+			allowedAttrs: {},
 			format: '[s]{0}[/s]',
 			html: '<s>{0}</s>'
 		},
@@ -314,6 +389,7 @@
 			tags: {
 				sub: null
 			},
+			allowedAttrs: {},
 			format: '[sub]{0}[/sub]',
 			html: '<sub>{0}</sub>'
 		},
@@ -324,6 +400,7 @@
 			tags: {
 				sup: null
 			},
+			allowedAttrs: {},
 			format: '[sup]{0}[/sup]',
 			html: '<sup>{0}</sup>'
 		},
@@ -339,6 +416,9 @@
 			styles: {
 				'font-family': null
 			},
+			allowedAttrs: {
+				defaultattr: null
+			},
 			quoteType: QuoteType.never,
 			format: function (element, content) {
 				var font;
@@ -364,6 +444,9 @@
 			styles: {
 				'font-size': null
 			},
+			allowedAttrs: {
+				defaultattr: /^[1-7]$/
+			},
 			format: function (element, content) {
 				var	fontSize = attr(element, 'size'),
 					size     = 2;
@@ -415,6 +498,9 @@
 			styles: {
 				color: null
 			},
+			allowedAttrs: {
+				defaultattr: /^(#([0-9a-f]{3}){1,2}|[a-z]+|rgba?\([\d\s,.%]+\))$/i
+			},
 			quoteType: QuoteType.never,
 			format: function (elm, content) {
 				var	color;
@@ -439,6 +525,7 @@
 			tags: {
 				ul: null
 			},
+			allowedAttrs: {},
 			breakStart: true,
 			isInline: false,
 			skipLastLineBreak: true,
@@ -455,6 +542,7 @@
 			tags: {
 				ol: null
 			},
+			allowedAttrs: {},
 			breakStart: true,
 			isInline: false,
 			skipLastLineBreak: true,
@@ -465,12 +553,14 @@
 			tags: {
 				li: null
 			},
+			allowedAttrs: {},
 			isInline: false,
 			closedBy: ['/ul', '/ol', '/list', '*', 'li'],
 			format: '[li]{0}[/li]',
 			html: '<li>{0}</li>'
 		},
 		'*': {
+			allowedAttrs: {},
 			isInline: false,
 			closedBy: ['/ul', '/ol', '/list', '*', 'li'],
 			html: '<li>{0}</li>'
@@ -482,6 +572,7 @@
 			tags: {
 				table: null
 			},
+			allowedAttrs: {},
 			isInline: false,
 			isHtmlInline: true,
 			skipLastLineBreak: true,
@@ -492,6 +583,7 @@
 			tags: {
 				tr: null
 			},
+			allowedAttrs: {},
 			isInline: false,
 			skipLastLineBreak: true,
 			format: '[tr]{0}[/tr]',
@@ -502,18 +594,36 @@
 				th: null
 			},
 			allowsEmpty: true,
+			allowedAttrs: {
+				colspan: /^\d+$/,
+				rowspan: /^\d+$/
+			},
 			isInline: false,
-			format: '[th]{0}[/th]',
-			html: '<th>{0}</th>'
+			format: function (element, content) {
+				return '[th' + cellSpans(element) + ']' + content + '[/th]';
+			},
+			html: function (token, attrs, content) {
+				return '<th' + cellSpans(attrs, true) + '>' +
+					content + '</th>';
+			}
 		},
 		td: {
 			tags: {
 				td: null
 			},
 			allowsEmpty: true,
+			allowedAttrs: {
+				colspan: /^\d+$/,
+				rowspan: /^\d+$/
+			},
 			isInline: false,
-			format: '[td]{0}[/td]',
-			html: '<td>{0}</td>'
+			format: function (element, content) {
+				return '[td' + cellSpans(element) + ']' + content + '[/td]';
+			},
+			html: function (token, attrs, content) {
+				return '<td' + cellSpans(attrs, true) + '>' +
+					content + '</td>';
+			}
 		},
 		// END_COMMAND
 
@@ -539,6 +649,7 @@
 				hr: null
 			},
 			allowsEmpty: true,
+			allowedAttrs: {},
 			isSelfClosing: true,
 			isInline: false,
 			format: '[hr]{0}',
@@ -555,6 +666,11 @@
 				}
 			},
 			allowedChildren: ['#'],
+			allowedAttrs: {
+				defaultattr: /^\d+(x\d+)?$/i,
+				width: /^\d+$/,
+				height: /^\d+$/
+			},
 			quoteType: QuoteType.never,
 			format: function (element, content) {
 				var	width, height,
@@ -619,9 +735,21 @@
 					href: null
 				}
 			},
-			quoteType: QuoteType.never,
+			allowedAttrs: {
+				defaultattr: _isSafeUri,
+				target: /^_(blank|self|parent|top)$/,
+				rel: /^[a-z\- ]+$/i
+			},
+			// rel can have multiple space separated values
+			quoteType: function (value, name) {
+				return name === 'rel' && /\s/.test(value) ?
+					'"' + value + '"' : value;
+			},
 			format: function (element, content) {
-				var url = attr(element, 'href');
+				var url    = attr(element, 'href');
+				var target = attr(element, 'target');
+				var rel    = attr(element, 'rel');
+				var attrs  = '';
 
 				// make sure this link is not an e-mail,
 				// if it is return e-mail BBCode
@@ -630,20 +758,41 @@
 						content + '[/email]';
 				}
 
-				return '[url=' + url + ']' + content + '[/url]';
+				if (target) {
+					attrs += ' target=' + target;
+				}
+
+				if (rel) {
+					attrs += ' rel="' + rel + '"';
+				}
+
+				return '[url=' + url + attrs + ']' + content + '[/url]';
 			},
 			html: function (token, attrs, content) {
+				var extra = '';
+
 				attrs.defaultattr =
 					escapeEntities(attrs.defaultattr, true) || content;
 
-				return '<a href="' + escapeUriScheme(attrs.defaultattr) + '">' +
-					content + '</a>';
+				if (/^_(blank|self|parent|top)$/.test(attrs.target)) {
+					extra += ' target="' + attrs.target + '"';
+				}
+
+				if (attrs.rel && /^[a-z\- ]+$/i.test(attrs.rel)) {
+					extra += ' rel="' + attrs.rel + '"';
+				}
+
+				return '<a href="' + escapeUriScheme(attrs.defaultattr) + '"' +
+					extra + '>' + content + '</a>';
 			}
 		},
 		// END_COMMAND
 
 		// START_COMMAND: E-mail
 		email: {
+			allowedAttrs: {
+				defaultattr: /^[^\s@]+@[^\s@]+$/
+			},
 			quoteType: QuoteType.never,
 			html: function (token, attrs, content) {
 				return '<a href="mailto:' +
@@ -658,8 +807,16 @@
 			tags: {
 				blockquote: null
 			},
+			allowedAttrs: {
+				defaultattr: null,
+				'post_id': QUOTE_ATTRS.post_id.pattern,
+				time: QUOTE_ATTRS.time.pattern
+			},
 			isInline: false,
-			quoteType: QuoteType.never,
+			// Only the author can contain spaces
+			quoteType: function (value, name) {
+				return name === 'defaultattr' ? _formatAttrValue(value) : value;
+			},
 			format: function (element, content) {
 				var authorAttr = 'data-author';
 				var	author = '';
@@ -672,8 +829,10 @@
 					}
 				}
 
+				// The cite can be edited in place so if there is one it
+				// is the author, even if it has been emptied
 				if (cite || attr(element, authorAttr)) {
-					author = cite && cite.textContent ||
+					author = cite ? cite.textContent :
 						attr(element, authorAttr);
 
 					attr(element, authorAttr, author);
@@ -683,22 +842,40 @@
 					}
 
 					content	= this.elementToBbcode(element);
-					author  = '=' + author.replace(/(^\s+|\s+$)/g, '');
+					author  = author.replace(/(^\s+|\s+$)/g, '');
+					author  = author ? '=' + _formatAttrValue(author) : '';
 
 					if (cite) {
 						element.insertBefore(cite, element.firstChild);
 					}
 				}
 
+				each(QUOTE_ATTRS, function (name, quoteAttr) {
+					var value = attr(element, quoteAttr.attr);
+
+					if (value && quoteAttr.pattern.test(value)) {
+						author += ' ' + name + '=' + value;
+					}
+				});
+
 				return '[quote' + author + ']' + content + '[/quote]';
 			},
 			html: function (token, attrs, content) {
+				var extra = '';
+
 				if (attrs.defaultattr) {
 					content = '<cite>' + escapeEntities(attrs.defaultattr) +
 						'</cite>' + content;
 				}
 
-				return '<blockquote>' + content + '</blockquote>';
+				each(QUOTE_ATTRS, function (name, quoteAttr) {
+					if (quoteAttr.pattern.test(attrs[name] || '')) {
+						extra += ' ' + quoteAttr.attr + '="' +
+							attrs[name] + '"';
+					}
+				});
+
+				return '<blockquote' + extra + '>' + content + '</blockquote>';
 			}
 		},
 		// END_COMMAND
@@ -708,10 +885,28 @@
 			tags: {
 				code: null
 			},
+			allowedAttrs: {
+				defaultattr: CODE_LANGUAGE
+			},
 			isInline: false,
 			allowedChildren: ['#', '#newline'],
-			format: '[code]{0}[/code]',
-			html: '<code>{0}</code>'
+			format: function (element, content) {
+				var language = sceditor.code.getLanguage(element);
+
+				return '[code' + (language ? '=' + language : '') + ']' +
+					content + '[/code]';
+			},
+			html: function (token, attrs, content) {
+				var language = attrs.defaultattr;
+
+				if (language && CODE_LANGUAGE.test(language)) {
+					return '<code class="language-' +
+						escapeEntities(language.toLowerCase(), true) + '">' +
+						content + '</code>';
+				}
+
+				return '<code>' + content + '</code>';
+			}
 		},
 		// END_COMMAND
 
@@ -726,6 +921,7 @@
 					'-khtml-left'
 				]
 			},
+			allowedAttrs: {},
 			isInline: false,
 			allowsEmpty: true,
 			format: '[left]{0}[/left]',
@@ -743,6 +939,7 @@
 					'-khtml-center'
 				]
 			},
+			allowedAttrs: {},
 			isInline: false,
 			allowsEmpty: true,
 			format: '[center]{0}[/center]',
@@ -760,6 +957,7 @@
 					'-khtml-right'
 				]
 			},
+			allowedAttrs: {},
 			isInline: false,
 			allowsEmpty: true,
 			format: '[right]{0}[/right]',
@@ -777,6 +975,7 @@
 					'-khtml-justify'
 				]
 			},
+			allowedAttrs: {},
 			isInline: false,
 			allowsEmpty: true,
 			format: '[justify]{0}[/justify]',
@@ -784,6 +983,38 @@
 		},
 		// END_COMMAND
 
+		// START_COMMAND: Media
+		media: {
+			allowsEmpty: true,
+			tags: {
+				iframe: {
+					'data-sceditor-media': null
+				},
+				video: {
+					'data-sceditor-media': null
+				},
+				audio: {
+					'data-sceditor-media': null
+				}
+			},
+			allowedAttrs: {},
+			format: function (element, content) {
+				var media = sceditor.media;
+
+				return media.toBBCode(media.getUrl(element)) || content;
+			},
+			html: function (token, attrs, content) {
+				// The content is HTML escaped. Anything escaped other
+				// than & can't be in a valid URL so becomes a space.
+				var url = content
+					.replace(/<br \/>|&(?:nbsp|lt|gt|#\d+);/g, ' ')
+					.replace(/&amp;/g, '&');
+
+				return sceditor.media.embed(url) || content;
+			}
+		},
+		// END_COMMAND
+
 		// START_COMMAND: YouTube
 		youtube: {
 			allowsEmpty: true,
@@ -792,6 +1023,7 @@
 					'data-youtube-id': null
 				}
 			},
+			allowedAttrs: {},
 			format: function (element, content) {
 				element = attr(element, 'data-youtube-id');
 
@@ -809,6 +1041,7 @@
 			styles: {
 				direction: ['rtl']
 			},
+			allowedAttrs: {},
 			isInline: false,
 			format: '[rtl]{0}[/rtl]',
 			html: '<div style="direction: rtl">{0}</div>'
@@ -820,6 +1053,7 @@
 			styles: {
 				direction: ['ltr']
 			},
+			allowedAttrs: {},
 			isInline: false,
 			format: '[ltr]{0}[/ltr]',
 			html: '<div style="direction: ltr">{0}</div>'
@@ -866,6 +1100,32 @@
 		});
 	}
 
+	/**
+	 * Gets the colspan and rowspan of a table cell as either BBCode
+	 * or HTML attributes.
+	 *
+	 * Spans of 1 are the default so are left out.
+	 *
+	 * @param  {HTMLElement|Object} cell Either the cell element or the
+	 *                                   BBCode attributes
+	 * @param  {boolean} [isHtml]
+	 * @return {string}
+	 * @private
+	 */
+	function cellSpans(cell, isHtml) {
+		var str = '';
+
+		each(['colspan', 'rowspan'], function (_, name) {
+			var span = parseInt(isHtml ? cell[name] : attr(cell, name), 10);
+
+			if (span > 1) {
+				str += ' ' + name + (isHtml ? '="' + span + '"' : '=' + span);
+			}
+		});
+
+		return str;
+	}
+
 	/**
 	 * Removes the first and last divs from the HTML.
 	 *
@@ -932,6 +1192,33 @@
 			str.replace(/\\(.)/g, '$1').replace(/^(["'])(.*?)\1$/, '$2') : str;
 	}
 
+	/**
+	 * Quotes an attribute value if it contains anything which would
+	 * end it when unquoted
+	 *
+	 * @param {string} value
+	 * @return {string}
+	 * @private
+	 */
+	function _formatAttrValue(value) {
+		if (/[\s="'\\\]]/.test(value)) {
+			value = '"' + value.replace(/(["\\])/g, '\\$1') + '"';
+		}
+
+		return value;
+	}
+
+	/**
+	 * Checks if a URI has a scheme that is safe to link to
+	 *
+	 * @param {string} uri
+	 * @return {boolean}
+	 * @private
+	 */
+	function _isSafeUri(uri) {
+		return escapeUriScheme(uri) === uri;
+	}
+
 	/**
 	 * Formats a string replacing {0}, {1}, {2}, ect. with
 	 * the params provided
@@ -1250,6 +1537,170 @@
 			return ret;
 		};
 
+		/**
+		 * Checks a BBCode string for problems without changing it.
+		 *
+		 * Uses the same rules as parse() but instead of fixing any
+		 * problems it returns them along with their offsets in the
+		 * string. Each problem is an object with the properties:
+		 *
+		 *  * type - One of unclosed, unopened, disallowedChild,
+		 *    unknownTag or invalidAttribute
+		 *  * severity - Either error or warning
+		 *  * message - Description of the problem
+		 *  * name - Name of the tag
+		 *  * attr - Name of the attribute for invalidAttribute
+		 *  * start - Offset of the start of the tag
+		 *  * end - Offset of the end of the tag
+		 *
+		 * @param  {string} str
+		 * @return {Array<Object>}
+		 * @memberOf BBCodeParser.prototype
+		 * @since 3.0.0
+		 */
+		base.validate = function (str) {
+			var	parent, bbcode, i, name;
+			var problems = [];
+			var openTags = [];
+			var offset   = 0;
+			var report   = function (type, token, attr) {
+				problems.push({
+					type: type,
+					severity: type === 'unknownTag' ||
+						type === 'disallowedChild' ? 'warning' : 'error',
+					message: _formatString(
+						BBCodeParser.validationMessages[type],
+						token.name,
+						attr === 'defaultattr' ? 'default' : attr
+					),
+					name: token.name,
+					attr: attr,
+					start: token.start,
+					end: token.end
+				});
+			};
+			var reportUnclosed = function (_, token) {
+				// Tags like [*] are closed by other tags so don't need
+				// to be closed
+				if (!bbcodeHandlers[token.name].closedBy) {
+					report('unclosed', token);
+				}
+			};
+
+			each(base.tokenize(str), function (_, token) {
+				token.start = offset;
+				token.end   = offset += token.val.length;
+				parent      = last(openTags);
+
+				switch (token.type) {
+					case TOKEN_OPEN:
+						// Check if this closes a parent, e.g. [*]one [*]two
+						if (isClosedBy(parent, token.name)) {
+							openTags.pop();
+							parent = last(openTags);
+						}
+
+						// parse() treats disallowed tags as content
+						if (!isChildAllowed(parent, token)) {
+							report('disallowedChild', token);
+							break;
+						}
+
+						bbcode = bbcodeHandlers[token.name];
+						validateAttrs(bbcode, token, report);
+
+						if (!bbcode.isSelfClosing) {
+							openTags.push(token);
+						}
+						break;
+
+					case TOKEN_CLOSE:
+						// e.g. [/list] closes an open [*]
+						if (parent && parent.name !== token.name &&
+							isClosedBy(parent, '/' + token.name)) {
+							openTags.pop();
+							parent = last(openTags);
+						}
+
+						if (!isChildAllowed(parent, token) &&
+							(!parent || parent.name !== token.name)) {
+							break;
+						}
+
+						i = openTags.length;
+						while (i-- && openTags[i].name !== token.name) {
+							// Empty
+						}
+
+						if (i < 0) {
+							report('unopened', token);
+						} else {
+							each(openTags.splice(i).slice(1), reportUnclosed);
+						}
+						break;
+
+					case TOKEN_CONTENT:
+						name = /^\[\/?([a-z][^\[\]\s=]*)(?:[=\s][^\]]*)?\]$/i
+							.exec(token.val);
+
+						// Don't report unknown tags inside tags which limit
+						// their children, like [code]
+						if (name && !(parent &&
+							bbcodeHandlers[parent.name].allowedChildren)) {
+							token.name = lower(name[1]);
+							report('unknownTag', token);
+						}
+						break;
+				}
+			});
+
+			each(openTags, reportUnclosed);
+
+			return problems;
+		};
+
+		/**
+		 * Checks if the tag is closed by the specified tag
+		 *
+		 * @param  {TokenizeToken} tag
+		 * @param  {string} name
+		 * @return {boolean}
+		 * @private
+		 */
+		function isClosedBy(tag, name) {
+			var closedBy = tag && bbcodeHandlers[tag.name].closedBy;
+
+			return !!closedBy && closedBy.indexOf(name) > -1;
+		}
+
+		/**
+		 * Checks the attributes of a token are allowed by its
+		 * BBCodes allowedAttrs
+		 *
+		 * @param  {Object} bbcode
+		 * @param  {TokenizeToken} token
+		 * @param  {function(string, TokenizeToken, string)} report
+		 * @private
+		 */
+		function validateAttrs(bbcode, token, report) {
+			var allowed = bbcode.allowedAttrs;
+
+			if (!allowed) {
+				return;
+			}
+
+			each(token.attrs, function (name, value) {
+				var rule = allowed[name];
+				var isValid = allowed.hasOwnProperty(name) && (!rule ||
+					(isFunction(rule) ? rule(value, token.attrs) :
+						rule.test(value)));
+
+				if (!isValid) {
+					report('invalidAttribute', token, name);
+				}
+			});
+		}
+
 		/**
 		 * Checks if an array of TokenizeToken's contains the
 		 * specified token.
@@ -2071,7 +2522,7 @@
 				return str;
 			}
 
-			return '"' + str.replace('\\', '\\\\').replace('"', '\\"') + '"';
+			return '"' + str.replace(/\\/g, '\\\\').replace(/"/g, '\\"') + '"';
 		}
 
 		/**
@@ -2110,6 +2561,23 @@
 	 */
 	BBCodeParser.QuoteType = QuoteType;
 
+	/**
+	 * Messages for each type of problem found by validate().
+	 *
+	 * {0} is replaced with the tag name and {1} with the
+	 * attribute name.
+	 *
+	 * @type {Object.<string, string>}
+	 * @since 3.0.0
+	 */
+	BBCodeParser.validationMessages = {
+		unclosed: 'The [{0}] tag is never closed',
+		unopened: 'The [/{0}] tag closes a tag which is not open',
+		disallowedChild: 'The [{0}] tag is not allowed here',
+		unknownTag: 'Unknown tag [{0}]',
+		invalidAttribute: 'Invalid {1} attribute on the [{0}] tag'
+	};
+
 	/**
 	 * Default BBCode parser options
 	 * @type {Object}
@@ -2655,6 +3123,16 @@
 			return bbcode;
 		};
 
+		/**
+		 * Checks if any BBCode converts the HTML tag
+		 *
+		 * @param {string} tag Lower case tag name
+		 * @return {boolean}
+		 */
+		base.supportsTag = function (tag) {
+			return tagsToBBCodes.hasOwnProperty(tag);
+		};
+
 		base.toHtml = toHtml.bind(null, false);
 		base.fragmentToHtml = toHtml.bind(null, true);
 		base.toSource = toSource.bind(null, false);
@@ -2696,6 +3174,22 @@
 		return this;
 	};
 
+	/**
+	 * Checks a BBCode string for problems like unclosed tags.
+	 *
+	 * Can be used without an editor, e.g. to reject malformed posts
+	 * with the same rules the editor uses.
+	 *
+	 * @param  {string} str
+	 * @param  {Object} [parserOptions]
+	 * @return {Array<Object>}
+	 * @see BBCodeParser#validate
+	 * @since 3.0.0
+	 */
+	bbcodeFormat.validate = function (str, parserOptions) {
+		return new BBCodeParser(parserOptions).validate(str);
+	};
+
 	/**
 	 * Renames a BBCode
 	 *
@@ -2732,6 +3226,109 @@
 		return this;
 	};
 
+	/**
+	 * All the BBCodes keyed by name.
+	 *
+	 * This is the same object set(), rename() and remove() modify.
+	 *
+	 * @type {Object}
+	 * @since 3.0.0
+	 */
+	bbcodeFormat.bbcodeHandlers = bbcodeHandlers;
+
+	/**
+	 * Formats the attributes of a block widget as BBCode attributes
+	 *
+	 * @param {Object} block
+	 * @param {Object} attrs
+	 * @return {string}
+	 * @private
+	 */
+	function blockAttrsToBBCode(block, attrs) {
+		var ret = '';
+
+		each(block.attrs, function (name, blockAttr) {
+			var value = attrs[name];
+
+			if (!value) {
+				return;
+			}
+
+			value = _formatAttrValue(value);
+
+			ret = blockAttr.defaultAttr ?
+				'=' + value + ret : ret + ' ' + name + '=' + value;
+		});
+
+		return ret;
+	}
+
+	/**
+	 * Adds the BBCode and source mode command for a block widget
+	 *
+	 * @param {string} name
+	 * @param {Object} block
+	 * @private
+	 */
+	function addBlock(name, block) {
+		var blocks = sceditor.blocks;
+		var tags = {};
+		var allowedAttrs = {};
+
+		tags[blocks.rootTag(block)] = {
+			'data-sceditor-block': [name]
+		};
+
+		each(block.attrs, function (attrName, blockAttr) {
+			allowedAttrs[blockAttr.defaultAttr ? 'defaultattr' : attrName] =
+				blockAttr.pattern || null;
+		});
+
+		bbcodeFormat.set(block.tag, {
+			tags: tags,
+			allowedAttrs: allowedAttrs,
+			isInline: false,
+			allowsEmpty: true,
+			format: function (element) {
+				var attrs = blocks.readAttrs(block, element);
+				var content = blocks.contentElement(element);
+
+				return '[' + block.tag + blockAttrsToBBCode(block, attrs) +
+					']' + this.elementToBbcode(content) +
+					'[/' + block.tag + ']';
+			},
+			html: function (token, attrs, content) {
+				var values = {};
+
+				each(block.attrs, function (attrName, blockAttr) {
+					values[attrName] = blockAttr.defaultAttr ?
+						attrs.defaultattr : attrs[attrName];
+				});
+
+				return blocks.render(block, values, content);
+			}
+		});
+
+		defaultCommandsOverrides[name] = {
+			txtExec: function (caller) {
+				var editor = this;
+
+				getEditorCommand(name)._dropDown(editor, caller, {},
+					function (attrs) {
+						editor.insertText(
+							'[' + block.tag + blockAttrsToBBCode(block, attrs) +
+								']',
+							'[/' + block.tag + ']'
+						);
+					});
+			}
+		};
+	}
+
+	if (sceditor.blocks) {
+		sceditor.blocks.watch(addBlock);
+	}
+
 	bbcodeFormat.formatBBCodeString = formatBBCodeString;
 
 	sceditor.formats.bbcode = bbcodeFormat;
@@ -0,0 +1,1552 @@
+/**
+ * SCEditor Markdown Format
+ * http://www.sceditor.com/
+ *
+ * Copyright (C) 2017, Sam Clarke (samclarke.com)
+ *
+ * SCEditor is licensed under the MIT license:
+ *	http://www.opensource.org/licenses/mit-license.php
+ *
+ * @author Sam Clarke
+ */
+(function (sceditor) {
+	'use strict';
+
+	var escapeUriScheme = sceditor.escapeUriScheme;
+	var dom             = sceditor.dom;
+	var utils           = sceditor.utils;
+
+	var css    = dom.css;
+	var attr   = dom.attr;
+	var is     = dom.is;
+	var extend = utils.extend;
+	var each   = utils.each;
+
+	var EMOTICON_DATA_ATTR = 'data-sceditor-emoticon';
+
+	var getEditorCommand = sceditor.command.get;
+
+	/**
+	 * Block level Markdown syntax
+	 * @private
+	 */
+	var FENCE_OPEN   = /^( {0,3})(`{3,}|~{3,})[ \t]*([^`\s]*)[^`]*$/;
+	var FENCE_CLOSE  = /^ {0,3}(`{3,}|~{3,})[ \t]*$/;
+	var ATX_HEADING  = /^ {0,3}(#{1,6})(?:[ \t]+(.*?))?(?:[ \t]+#+)?[ \t]*$/;
+	var SETEXT_LINE  = /^ {0,3}(=+|-+)[ \t]*$/;
+	var THEMATIC     = /^ {0,3}([-*_])(?:[ \t]*\1){2,}[ \t]*$/;
+	var BLOCKQUOTE   = /^ {0,3}> ?(.*)$/;
+	var LIST_ITEM    = /^( {0,3})([*+\-]|\d{1,9}[.)])(?:([ \t]+)(.*))?$/;
+	var TABLE_DELIM  = /^ {0,3}\|?[ \t]*:?-+:?[ \t]*(?:\|[ \t]*:?-+:?[ \t]*)*\|?[ \t]*$/;
+	var INDENTED     = /^(?: {4}|\t)/;
+
+	/**
+	 * Inline Markdown syntax
+	 * @private
+	 */
+	var ESCAPABLE    = /[!-\/:-@\[-`{-~]/;
+	var SPECIAL_CHRS = /[\\`!\[<*_~\n&]/g;
+	var ENTITY       = /^&(?:#\d{1,7}|#x[0-9a-f]{1,6}|[a-z][a-z0-9]{1,31});/i;
+	var LINK_DEST    = /^\(\s*(<[^<>\n]*>|[^\s()]*(?:\([^\s()]*\)[^\s()]*)*)(?:\s+("(?:\\.|[^"\\])*"|'(?:\\.|[^'\\])*'|\((?:\\.|[^)\\])*\)))?\s*\)/;
+	var AUTOLINK     = /^<([a-z][a-z0-9+.\-]{1,31}:[^<>\s]*)>/i;
+	var EMAIL_LINK   = /^<([^\s@<>\\]+@[^\s@<>\\]+)>/;
+
+	var defaultCommandsOverrides = {
+		bold: {
+			txtExec: ['**', '**']
+		},
+		italic: {
+			txtExec: ['*', '*']
+		},
+		strike: {
+			txtExec: ['~~', '~~']
+		},
+		bulletlist: {
+			txtExec: function (caller, selected) {
+				var content = '';
+
+				each(selected.split(/\r?\n/), function () {
+					content += (content ? '\n' : '') + '- ' + this;
+				});
+
+				this.insertText('\n' + content + '\n');
+			}
+		},
+		orderedlist: {
+			txtExec: function (caller, selected) {
+				var	content = '',
+					num     = 1;
+
+				each(selected.split(/\r?\n/), function () {
+					content += (content ? '\n' : '') + (num++) + '. ' + this;
+				});
+
+				this.insertText('\n' + content + '\n');
+			}
+		},
+		table: {
+			txtExec: [
+				'\n| ',
+				' |  |\n| --- | --- |\n|  |  |\n'
+			]
+		},
+		horizontalrule: {
+			txtExec: ['\n\n---\n\n']
+		},
+		code: {
+			txtExec: ['\n```\n', '\n```\n']
+		},
+		image: {
+			txtExec: function (caller, selected) {
+				var	editor  = this;
+
+				getEditorCommand('image')._dropDown(
+					editor,
+					caller,
+					selected,
+					function (url) {
+						editor.insertText('![](' + url + ')');
+					}
+				);
+			}
+		},
+		email: {
+			txtExec: function (caller, selected) {
+				var	editor  = this;
+
+				getEditorCommand('email')._dropDown(
+					editor,
+					caller,
+					function (email, text) {
+						text = text || selected;
+
+						editor.insertText(text ?
+							'[' + text + '](mailto:' + email + ')' :
+							'<' + email + '>'
+						);
+					}
+				);
+			}
+		},
+		link: {
+			txtExec: function (caller, selected) {
+				var	editor  = this;
+
+				getEditorCommand('link')._dropDown(
+					editor,
+					caller,
+					function (url, text) {
+						editor.insertText(
+							'[' + (text || selected || url) + '](' + url + ')'
+						);
+					}
+				);
+			}
+		},
+		quote: {
+			txtExec: function (caller, selected) {
+				var content = '';
+
+				each(selected.split(/\r?\n/), function () {
+					content += (content ? '\n' : '') + '> ' + this;
+				});
+
+				this.insertText('\n' + (content || '> ') + '\n');
+			}
+		},
+		media: {
+			txtExec: function (caller) {
+				var editor = this;
+
+				getEditorCommand('media')._dropDown(
+					editor,
+					caller,
+					function (url) {
+						editor.insertText('<' + url + '>');
+					}
+				);
+			}
+		},
+		youtube: {
+			txtExec: function (caller) {
+				var editor = this;
+
+				getEditorCommand('youtube')._dropDown(
+					editor,
+					caller,
+					function (id) {
+						editor.insertText(
+							'<https://www.youtube.com/watch?v=' + id + '>'
+						);
+					}
+				);
+			}
+		}
+	};
+
+	/**
+	 * Escapes HTML special characters
+	 *
+	 * Unlike sceditor.escapeEntities() this leaves white space intact
+	 * which is needed for code blocks.
+	 *
+	 * @param {string} str
+	 * @return {string}
+	 * @private
+	 */
+	function escapeHtml(str) {
+		var entities = {
+			'&': '&amp;',
+			'<': '&lt;',
+			'>': '&gt;',
+			'"': '&quot;'
+		};
+
+		return (str || '').replace(/[&<>"]/g, function (chr) {
+			return entities[chr];
+		});
+	}
+
+	/**
+	 * Removes backslash escapes from a string
+	 *
+	 * @param {string} str
+	 * @return {string}
+	 * @private
+	 */
+	function unescapeMarkdown(str) {
+		return str.replace(/\\([!-\/:-@\[-`{-~])/g, '$1');
+	}
+
+	/**
+	 * Repeats a string n times
+	 *
+	 * @param {string} str
+	 * @param {number} times
+	 * @return {string}
+	 * @private
+	 */
+	function repeat(str, times) {
+		return new Array(times + 1).join(str);
+	}
+
+	function isBlank(line) {
+		return /^[ \t]*$/.test(line);
+	}
+
+	function isWhiteSpace(chr) {
+		return !chr || /\s/.test(chr);
+	}
+
+	function isAlphaNumeric(chr) {
+		return !!chr && /[a-z0-9]/i.test(chr);
+	}
+
+	function leadingSpaces(line) {
+		return /^ */.exec(line)[0].length;
+	}
+
+	/**
+	 * Checks if a line starts a block that can interrupt a paragraph
+	 *
+	 * @param {string} line
+	 * @return {boolean}
+	 * @private
+	 */
+	function isBlockStart(line) {
+		return FENCE_OPEN.test(line) || ATX_HEADING.test(line) ||
+			THEMATIC.test(line) || BLOCKQUOTE.test(line) ||
+			LIST_ITEM.test(line);
+	}
+
+	/**
+	 * Builds a link or image tag
+	 *
+	 * @param {boolean} isImage
+	 * @param {string} url
+	 * @param {string} title
+	 * @param {string} content The link HTML or the images alt text
+	 * @return {string}
+	 * @private
+	 */
+	function linkHtml(isImage, url, title, content) {
+		var attrs = title ? ' title="' + escapeHtml(title) + '"' : '';
+
+		url = escapeHtml(escapeUriScheme(url));
+
+		if (isImage) {
+			return '<img src="' + url + '" alt="' + escapeHtml(content) +
+				'"' + attrs + ' />';
+		}
+
+		return '<a href="' + url + '"' + attrs + '>' + content + '</a>';
+	}
+
+	/**
+	 * Finds the index of the end of a backtick code span
+	 *
+	 * @param {string} str
+	 * @param {number} start Index of the first backtick
+	 * @param {number} length Number of backticks that opened the span
+	 * @return {number} Index of the closing backticks or -1
+	 * @private
+	 */
+	function findCodeSpanEnd(str, start, length) {
+		var	match,
+			ticks = /`+/g;
+
+		ticks.lastIndex = start + length;
+
+		while ((match = ticks.exec(str))) {
+			if (match[0].length === length) {
+				return match.index;
+			}
+		}
+
+		return -1;
+	}
+
+	/**
+	 * Finds the closing delimiter run for emphasis
+	 *
+	 * A closing run must not be preceded by white space and, for
+	 * underscores, not be followed by a letter or number. Any runs
+	 * opened inside the emphasis are matched first so that the
+	 * closing run of **a *b*** is found.
+	 *
+	 * @param {string} str
+	 * @param {number} from
+	 * @param {string} chr The delimiter character
+	 * @param {number} length
+	 * @return {number} Index of the closing run or -1
+	 * @private
+	 */
+	function findEmphasisEnd(str, from, chr, length) {
+		var	end, canOpen, canClose, remaining,
+			opened = [],
+			i      = from;
+
+		while (i < str.length) {
+			if (str.charAt(i) === '\\') {
+				i += 2;
+				continue;
+			}
+
+			if (str.charAt(i) === '`') {
+				end = /^`+/.exec(str.substr(i))[0].length;
+				i   = Math.max(findCodeSpanEnd(str, i, end), i) + end;
+				continue;
+			}
+
+			if (str.charAt(i) !== chr) {
+				i++;
+				continue;
+			}
+
+			end = i;
+			while (str.charAt(end) === chr) {
+				end++;
+			}
+
+			canOpen  = !isWhiteSpace(str.charAt(end)) &&
+				(chr !== '_' || !isAlphaNumeric(str.charAt(i - 1)));
+			canClose = !isWhiteSpace(str.charAt(i - 1)) &&
+				(chr !== '_' || !isAlphaNumeric(str.charAt(end)));
+			remaining = end - i -
+				(canClose && opened.length ? opened.pop() : 0);
+
+			if (canClose && remaining === length) {
+				return end - length;
+			}
+
+			if (canOpen && !canClose) {
+				opened.push(end - i);
+			}
+
+			i = end;
+		}
+
+		return -1;
+	}
+
+	/**
+	 * Parses a link or image starting at the opening [
+	 *
+	 * @param {string} str
+	 * @param {number} start
+	 * @return {?Object} Object with text, url, title and end or null
+	 * @private
+	 */
+	function parseLink(str, start) {
+		var	match, chr,
+			depth = 0,
+			i     = start;
+
+		while (i < str.length) {
+			chr = str.charAt(i);
+
+			if (chr === '\\') {
+				i++;
+			} else if (chr === '[') {
+				depth++;
+			} else if (chr === ']' && !--depth) {
+				break;
+			}
+
+			i++;
+		}
+
+		if (depth || !(match = LINK_DEST.exec(str.substr(i + 1)))) {
+			return null;
+		}
+
+		return {
+			text: str.slice(start + 1, i),
+			url: unescapeMarkdown(match[1].replace(/^<(.*)>$/, '$1')),
+			title: match[2] ? unescapeMarkdown(match[2].slice(1, -1)) : '',
+			end: i + 1 + match[0].length
+		};
+	}
+
+	/**
+	 * Converts Markdown inline syntax into HTML
+	 *
+	 * Raw HTML is not supported and will be escaped.
+	 *
+	 * @param {string} str
+	 * @return {string}
+	 * @private
+	 */
+	function parseInline(str) {
+		var	chr, match, end, length, link, close,
+			html = '',
+			i    = 0;
+
+		while (i < str.length) {
+			chr = str.charAt(i);
+
+			// Plain text up to the next special character
+			if (!/[\\`!\[<*_~\n&]/.test(chr)) {
+				SPECIAL_CHRS.lastIndex = i;
+				end  = (match = SPECIAL_CHRS.exec(str)) ?
+					match.index : str.length;
+				html += escapeHtml(str.slice(i, end));
+				i    = end;
+				continue;
+			}
+
+			if (chr === '\\') {
+				if (str.charAt(i + 1) === '\n') {
+					html += '<br />\n';
+					i    += 2;
+				} else if (ESCAPABLE.test(str.charAt(i + 1))) {
+					html += escapeHtml(str.charAt(i + 1));
+					i    += 2;
+				} else {
+					html += chr;
+					i++;
+				}
+				continue;
+			}
+
+			if (chr === '\n') {
+				html = html.replace(/ +$/, function (spaces) {
+					return spaces.length > 1 ? '<br />' : '';
+				}) + '\n';
+				i++;
+				continue;
+			}
+
+			if (chr === '`') {
+				length = /^`+/.exec(str.substr(i))[0].length;
+				end    = findCodeSpanEnd(str, i, length);
+
+				if (end < 0) {
+					html += str.substr(i, length);
+				} else {
+					html += '<code>' + escapeHtml(
+						str.slice(i + length, end)
+							.replace(/\n/g, ' ')
+							.replace(/^ (.*[^ ].*) $/, '$1')
+					) + '</code>';
+				}
+
+				i = (end < 0 ? i : end) + length;
+				continue;
+			}
+
+			if (chr === '&') {
+				match = ENTITY.exec(str.substr(i));
+				html += match ? match[0] : '&amp;';
+				i    += match ? match[0].length : 1;
+				continue;
+			}
+
+			if (chr === '<') {
+				match = AUTOLINK.exec(str.substr(i));
+
+				if (match) {
+					html += linkHtml(false, match[1], '', escapeHtml(match[1]));
+				} else if ((match = EMAIL_LINK.exec(str.substr(i)))) {
+					html += linkHtml(false, 'mailto:' + match[1], '',
+						escapeHtml(match[1]));
+				} else {
+					html += '&lt;';
+				}
+
+				i += match ? match[0].length : 1;
+				continue;
+			}
+
+			if (chr === '[' || chr === '!') {
+				link = chr === '[' || str.charAt(i + 1) === '[' ?
+					parseLink(str, chr === '!' ? i + 1 : i) : null;
+
+				if (link) {
+					html += linkHtml(
+						chr === '!',
+						link.url,
+						link.title,
+						chr === '!' ?
+							unescapeMarkdown(link.text) : parseInline(link.text)
+					);
+					i = link.end;
+				} else {
+					html += chr;
+					i++;
+				}
+				continue;
+			}
+
+			// Emphasis, strong and strikethrough
+			length = /^(\*+|_+|~+)/.exec(str.substr(i))[0].length;
+			close  = null;
+
+			if (!isWhiteSpace(str.charAt(i + length)) &&
+				(chr !== '_' || !isAlphaNumeric(str.charAt(i - 1)))) {
+				if (chr === '~') {
+					close = length === 2 ? ['<del>', '</del>'] : null;
+				} else if (length === 1) {
+					close = ['<em>', '</em>'];
+				} else if (length === 2) {
+					close = ['<strong>', '</strong>'];
+				} else if (length === 3) {
+					close = ['<em><strong>', '</strong></em>'];
+				}
+			}
+
+			end = close ? findEmphasisEnd(str, i + length, chr, length) : -1;
+
+			if (end < 0) {
+				html += str.substr(i, length);
+			} else {
+				html += close[0] + parseInline(str.slice(i + length, end)) +
+					close[1];
+			}
+
+			i = (end < 0 ? i : end) + length;
+		}
+
+		return html;
+	}
+
+	/**
+	 * Splits a table row into its cells
+	 *
+	 * @param {string} line
+	 * @return {Array.<string>}
+	 * @private
+	 */
+	function splitTableRow(line) {
+		var	chr,
+			cells  = [],
+			cell   = '',
+			inCode = false;
+
+		line = line.trim().replace(/^\|/, '');
+
+		for (var i = 0; i < line.length; i++) {
+			chr = line.charAt(i);
+
+			if (chr === '\\' && line.charAt(i + 1) === '|') {
+				cell += '|';
+				i++;
+				continue;
+			}
+
+			if (chr === '`') {
+				inCode = !inCode;
+			}
+
+			if (chr === '|' && !inCode) {
+				cells.push(cell.trim());
+				cell = '';
+			} else {
+				cell += chr;
+			}
+		}
+
+		if (cell.trim() || !/\|\s*$/.test(line)) {
+			cells.push(cell.trim());
+		}
+
+		return cells;
+	}
+
+	/**
+	 * Removes up to the specified number of leading spaces
+	 *
+	 * @param {string} line
+	 * @param {number} count
+	 * @return {string}
+	 * @private
+	 */
+	function outdent(line, count) {
+		return line.substr(Math.min(leadingSpaces(line), count));
+	}
+
+	/**
+	 * Block parsers.
+	 *
+	 * Each is passed the lines, the index of the current line and
+	 * the lines of the current paragraph. Returns null if the block
+	 * doesn't match or an object with the HTML and the index of the
+	 * line after the block.
+	 *
+	 * @private
+	 */
+	var blockParsers = [
+		// Fenced code blocks
+		function (lines, i) {
+			var	close,
+				code  = [],
+				match = FENCE_OPEN.exec(lines[i]);
+
+			if (!match) {
+				return null;
+			}
+
+			while (++i < lines.length) {
+				close = FENCE_CLOSE.exec(lines[i]);
+
+				if (close && close[1].charAt(0) === match[2].charAt(0) &&
+					close[1].length >= match[2].length) {
+					i++;
+					break;
+				}
+
+				code.push(outdent(lines[i], match[1].length));
+			}
+
+			return {
+				html: '<pre><code' + (match[3] ?
+					' class="language-' +
+						escapeHtml(unescapeMarkdown(match[3])) + '"' : ''
+				) + '>' + escapeHtml(code.join('\n')) + '</code></pre>',
+				end: i
+			};
+		},
+		// ATX headings
+		function (lines, i) {
+			var match = ATX_HEADING.exec(lines[i]);
+
+			if (!match) {
+				return null;
+			}
+
+			return {
+				html: '<h' + match[1].length + '>' +
+					parseInline((match[2] || '').replace(/^#+$/, '')) +
+					'</h' + match[1].length + '>',
+				end: i + 1
+			};
+		},
+		// Horizontal rules
+		function (lines, i) {
+			return THEMATIC.test(lines[i]) ? {
+				html: '<hr />',
+				end: i + 1
+			} : null;
+		},
+		// Block quotes
+		function (lines, i) {
+			var	match,
+				quoted = [];
+
+			while (i < lines.length) {
+				if ((match = BLOCKQUOTE.exec(lines[i]))) {
+					quoted.push(match[1]);
+				} else if (quoted.length && !isBlank(lines[i]) &&
+					!isBlank(quoted[quoted.length - 1]) &&
+					!isBlockStart(lines[i])) {
+					// Lazy continuation line
+					quoted.push(lines[i]);
+				} else {
+					break;
+				}
+
+				i++;
+			}
+
+			return quoted.length ? {
+				html: '<blockquote>' +
+					renderBlocks(parseBlocks(quoted)) +
+				'</blockquote>',
+				end: i
+			} : null;
+		},
+		// Lists
+		parseList,
+		// GFM tables
+		function (lines, i) {
+			var	header, align, row,
+				html = '';
+
+			if (i + 1 >= lines.length || !TABLE_DELIM.test(lines[i + 1]) ||
+				(lines[i] + lines[i + 1]).indexOf('|') < 0) {
+				return null;
+			}
+
+			header = splitTableRow(lines[i]);
+			align  = splitTableRow(lines[i + 1]).map(function (delim) {
+				if (/^:-+:$/.test(delim)) {
+					return 'center';
+				}
+
+				return /:$/.test(delim) ? 'right' :
+					/^:/.test(delim) ? 'left' : '';
+			});
+
+			if (header.length !== align.length) {
+				return null;
+			}
+
+			function tableRow(cells, tag) {
+				var html = '<tr>';
+
+				for (var col = 0; col < header.length; col++) {
+					html += '<' + tag + (align[col] ?
+						' style="text-align:' + align[col] + ';"' : ''
+					) + '>' + parseInline(cells[col] || '') +
+						'</' + tag + '>';
+				}
+
+				return html + '</tr>';
+			}
+
+			i += 2;
+			while (i < lines.length && !isBlank(lines[i]) &&
+				!isBlockStart(lines[i])) {
+				row = splitTableRow(lines[i]);
+				html += tableRow(row, 'td');
+				i++;
+			}
+
+			return {
+				html: '<table><thead>' + tableRow(header, 'th') + '</thead>' +
+					(html ? '<tbody>' + html + '</tbody>' : '') + '</table>',
+				end: i
+			};
+		},
+		// Indented code blocks, can't interrupt a paragraph
+		function (lines, i, para) {
+			var	code = [],
+				end  = 0;
+
+			if (para.length || !INDENTED.test(lines[i])) {
+				return null;
+			}
+
+			while (i < lines.length &&
+				(INDENTED.test(lines[i]) || isBlank(lines[i]))) {
+				code.push(lines[i].replace(/^(?: {1,4}|\t)/, ''));
+
+				// Trailing blank lines are not part of the block
+				if (!isBlank(lines[i])) {
+					end = code.length;
+				}
+
+				i++;
+			}
+
+			return {
+				html: '<pre><code>' +
+					escapeHtml(code.slice(0, end).join('\n')) +
+					'</code></pre>',
+				end: i - code.length + end
+			};
+		}
+	];
+
+	/**
+	 * Parses a list and all its items
+	 *
+	 * @param {Array.<string>} lines
+	 * @param {number} i
+	 * @param {Array.<string>} para
+	 * @return {?Object}
+	 * @private
+	 */
+	function parseList(lines, i, para) {
+		var	item, line, indent, hadBlank,
+			items = [],
+			loose = false,
+			match = LIST_ITEM.exec(lines[i]),
+			type  = match && match[2].slice(-1),
+			start = match && parseInt(match[2], 10);
+
+		// Only non-empty lists starting at 1 may interrupt a paragraph
+		if (!match || (para.length && (!match[4] || start > 1))) {
+			return null;
+		}
+
+		while (i < lines.length && (match = LIST_ITEM.exec(lines[i])) &&
+			match[2].slice(-1) === type) {
+			indent   = match[1].length + match[2].length +
+				(!match[3] || match[3].length > 4 ? 1 : match[3].length);
+			item     = [match[4] || ''];
+			hadBlank = false;
+
+			while (++i < lines.length) {
+				line = lines[i];
+
+				if (isBlank(line)) {
+					item.push('');
+				} else if (leadingSpaces(line) >= indent) {
+					item.push(line.substr(indent));
+				} else if (!isBlank(item[item.length - 1]) &&
+					!isBlockStart(line)) {
+					// Lazy continuation line
+					item.push(line.trim());
+				} else {
+					break;
+				}
+			}
+
+			while (item.length > 1 && isBlank(item[item.length - 1])) {
+				item.pop();
+				hadBlank = true;
+			}
+
+			match = LIST_ITEM.exec(lines[i] || '');
+			loose = loose || item.some(isBlank) ||
+				(hadBlank && !!match && match[2].slice(-1) === type);
+
+			items.push(item);
+		}
+
+		return {
+			html: (type === '.' || type === ')' ?
+				'<ol' + (start !== 1 ? ' start="' + start + '"' : '') + '>' :
+				'<ul>') +
+				items.map(function (item) {
+					return '<li>' + renderBlocks(parseBlocks(item), !loose) +
+						'</li>';
+				}).join('') +
+				(type === '.' || type === ')' ? '</ol>' : '</ul>'),
+			end: i
+		};
+	}
+
+	/**
+	 * Parses lines of Markdown into blocks.
+	 *
+	 * Paragraphs are kept separate from other blocks so they can be
+	 * rendered without a <p> inside tight lists and fragments.
+	 *
+	 * @param {Array.<string>} lines
+	 * @return {Array.<Object>}
+	 * @private
+	 */
+	function parseBlocks(lines) {
+		var	line, match, block,
+			blocks = [],
+			para   = [],
+			i      = 0;
+
+		var flushParagraph = function () {
+			if (para.length) {
+				blocks.push({
+					isParagraph: true,
+					html: parseInline(para.join('\n').replace(/[ \t]+$/, ''))
+				});
+			}
+
+			para = [];
+		};
+
+		while (i < lines.length) {
+			line  = lines[i];
+			block = null;
+
+			if (isBlank(line)) {
+				flushParagraph();
+				i++;
+				continue;
+			}
+
+			if (para.length && (match = SETEXT_LINE.exec(line))) {
+				blocks.push({
+					html: match[1].charAt(0) === '=' ?
+						'<h1>' + parseInline(para.join('\n')) + '</h1>' :
+						'<h2>' + parseInline(para.join('\n')) + '</h2>'
+				});
+
+				para = [];
+				i++;
+				continue;
+			}
+
+			for (var p = 0; !block && p < blockParsers.length; p++) {
+				block = blockParsers[p](lines, i, para);
+			}
+
+			if (block) {
+				flushParagraph();
+				blocks.push(block);
+				i = block.end;
+			} else {
+				para.push(line.replace(/^[ \t]+/, ''));
+				i++;
+			}
+		}
+
+		flushParagraph();
+
+		return blocks;
+	}
+
+	/**
+	 * Renders parsed blocks to HTML
+	 *
+	 * @param {Array.<Object>} blocks
+	 * @param {boolean} [tight] If paragraphs should not be wrapped in <p>
+	 * @return {string}
+	 * @private
+	 */
+	function renderBlocks(blocks, tight) {
+		return blocks.map(function (block) {
+			if (block.isParagraph && !tight) {
+				return '<p>' + block.html + '</p>';
+			}
+
+			return block.html;
+		}).join(tight ? '\n' : '');
+	}
+
+	/**
+	 * Converts a string of Markdown into lines ready for parsing
+	 *
+	 * @param {string} source
+	 * @return {Array.<string>}
+	 * @private
+	 */
+	function toLines(source) {
+		return (source || '').replace(/\r\n?/g, '\n').split('\n')
+			.map(function (line) {
+				return line.replace(/^[ \t]+/, function (indent) {
+					return indent.replace(/\t/g, '    ');
+				});
+			});
+	}
+
+	/**
+	 * Escapes any characters in plain text that would be interpreted
+	 * as Markdown
+	 *
+	 * @param {string} str
+	 * @return {string}
+	 * @private
+	 */
+	function escapeMarkdown(str) {
+		return str
+			.replace(/\xa0/g, ' ')
+			.replace(/[\\`*\[\]<~_]|&(?=#?\w+;)/g, function (chr, idx, str) {
+				// Underscores inside words can't be emphasis
+				if (chr === '_' && isAlphaNumeric(str.charAt(idx - 1)) &&
+					isAlphaNumeric(str.charAt(idx + 1))) {
+					return chr;
+				}
+
+				return '\\' + chr;
+			});
+	}
+
+	/**
+	 * Escapes the start of a line of text so it will not be parsed as
+	 * the start of a block
+	 *
+	 * @param {string} line
+	 * @return {string}
+	 * @private
+	 */
+	function escapeLineStart(line) {
+		return line
+			.replace(/^(\d+)([.)])(?=\s|$)/, '$1\\$2')
+			.replace(/^(#{1,6}(?=\s|$)|>|[-+=](?=[\s\-+=]|$))/, '\\$1');
+	}
+
+	/**
+	 * Indents every line except the first
+	 *
+	 * @param {string} str
+	 * @param {number} width
+	 * @return {string}
+	 * @private
+	 */
+	function indentLines(str, width) {
+		return str.replace(/\n(?!\n|$)/g, '\n' + repeat(' ', width));
+	}
+
+	/**
+	 * Wraps content in an inline delimiter moving any leading or
+	 * trailing white space outside of the delimiter
+	 *
+	 * @param {string} content
+	 * @param {string} delim
+	 * @return {string}
+	 * @private
+	 */
+	function wrapInline(content, delim) {
+		var match = /^(\s*)([\s\S]*?)(\s*)$/.exec(content);
+
+		if (!match[2]) {
+			return content;
+		}
+
+		return match[1] + delim + match[2] + delim + match[3];
+	}
+
+	/**
+	 * Gets the shortest backtick fence that can wrap the content
+	 *
+	 * @param {string} content
+	 * @param {number} min Minimum number of backticks
+	 * @return {string}
+	 * @private
+	 */
+	function backtickFence(content, min) {
+		var longest = 0;
+
+		(content.match(/`+/g) || []).forEach(function (ticks) {
+			longest = Math.max(longest, ticks.length);
+		});
+
+		return repeat('`', Math.max(min, longest + 1));
+	}
+
+	/**
+	 * Gets the text of a code element converting line breaks into
+	 * new lines
+	 *
+	 * @param {Node} node
+	 * @return {string}
+	 * @private
+	 */
+	function codeText(node) {
+		var text = '';
+
+		dom.traverse(node, function (child) {
+			if (child.nodeType === dom.TEXT_NODE) {
+				text += child.nodeValue;
+			} else if (is(child, 'br')) {
+				text += '\n';
+			} else if (dom.isInline(child, true)) {
+				text += codeText(child);
+			} else if (child.nodeType === dom.ELEMENT_NODE) {
+				text += (text && !/\n$/.test(text) ? '\n' : '') +
+					codeText(child).replace(/\n?$/, '\n');
+			}
+		}, false, true);
+
+		return text.replace(/\xa0/g, ' ');
+	}
+
+	/**
+	 * Checks if a code element is a block of code rather than
+	 * inline code
+	 *
+	 * @param {HTMLElement} node
+	 * @return {boolean}
+	 * @private
+	 */
+	function isCodeBlock(node) {
+		var sibling;
+
+		if (is(node.parentNode, 'pre') || dom.find(node, 'br').length ||
+			/\n/.test(node.textContent)) {
+			return true;
+		}
+
+		if (is(node.parentNode, 'p,h1,h2,h3,h4,h5,h6')) {
+			return false;
+		}
+
+		sibling = node.parentNode.firstChild;
+		while (sibling) {
+			if (sibling !== node && (sibling.nodeType === dom.ELEMENT_NODE ?
+				!is(sibling, 'br') : /\S/.test(sibling.nodeValue))) {
+				return false;
+			}
+
+			sibling = sibling.nextSibling;
+		}
+
+		return true;
+	}
+
+	/**
+	 * Converts a node and its children into inline Markdown
+	 *
+	 * @param {Node} node
+	 * @return {string}
+	 * @private
+	 */
+	function inlineToMarkdown(node) {
+		var	content, href, style, code, fence;
+
+		if (node.nodeType === dom.TEXT_NODE) {
+			return escapeMarkdown(node.nodeValue);
+		}
+
+		if (node.nodeType !== dom.ELEMENT_NODE) {
+			return '';
+		}
+
+		switch (node.nodeName.toLowerCase()) {
+			case 'br':
+				return '\\\n';
+
+			case 'img':
+				if (attr(node, EMOTICON_DATA_ATTR)) {
+					return escapeMarkdown(attr(node, EMOTICON_DATA_ATTR));
+				}
+
+				return '![' + escapeMarkdown(attr(node, 'alt') || '') + '](' +
+					markdownUrl(attr(node, 'src')) +
+					markdownTitle(attr(node, 'title')) + ')';
+
+			case 'code':
+				code  = codeText(node);
+				fence = backtickFence(code, 1);
+
+				if (!code) {
+					return '';
+				}
+
+				return fence + (/^`|`$/.test(code) ? ' ' + code + ' ' : code) +
+					fence;
+
+			case 'iframe':
+			case 'video':
+			case 'audio':
+				href = sceditor.media.getUrl(node);
+
+				if (href) {
+					return '<' + href + '>';
+				}
+
+				href = attr(node, 'data-youtube-id');
+
+				return href ?
+					'<https://www.youtube.com/watch?v=' + href + '>' : '';
+
+			case 'a':
+				return linkToMarkdown(node);
+		}
+
+		content = childrenToInline(node);
+		style   = node.style || {};
+
+		if (is(node, 'b,strong') || /^(bold|[7-9]00)$/.test(style.fontWeight)) {
+			content = wrapInline(content, '**');
+		}
+
+		if (is(node, 'i,em') || style.fontStyle === 'italic') {
+			content = wrapInline(content, '*');
+		}
+
+		if (is(node, 's,strike,del') ||
+			/line-through/.test(style.textDecoration)) {
+			content = wrapInline(content, '~~');
+		}
+
+		return content;
+	}
+
+	function childrenToInline(node) {
+		var content = '';
+
+		for (var i = 0; i < node.childNodes.length; i++) {
+			content += inlineToMarkdown(node.childNodes[i]);
+		}
+
+		return content;
+	}
+
+	function markdownUrl(url) {
+		return (url || '').replace(/[ ()<>]/g, function (chr) {
+			return '%' + chr.charCodeAt(0).toString(16).toUpperCase();
+		});
+	}
+
+	function markdownTitle(title) {
+		return title ? ' "' + title.replace(/(["\\])/g, '\\$1') + '"' : '';
+	}
+
+	/**
+	 * Converts an anchor into Markdown, using the autolink syntax
+	 * where the text matches the URL
+	 *
+	 * @param {HTMLElement} node
+	 * @return {string}
+	 * @private
+	 */
+	function linkToMarkdown(node) {
+		var	href    = attr(node, 'href') || '',
+			text    = node.textContent,
+			content = childrenToInline(node);
+
+		if (!href) {
+			return content;
+		}
+
+		if (!attr(node, 'title') && !/[<>\s]/.test(href) &&
+			(text === href || 'mailto:' + text === href) &&
+			/^([a-z][a-z0-9+.\-]{1,31}:|[^\s@]+@)/i.test(text)) {
+			return '<' + text + '>';
+		}
+
+		return '[' + content + '](' + markdownUrl(href) +
+			markdownTitle(attr(node, 'title')) + ')';
+	}
+
+	/**
+	 * Converts a list into Markdown
+	 *
+	 * @param {HTMLElement} list
+	 * @return {string}
+	 * @private
+	 */
+	function listToMarkdown(list) {
+		var	child, marker, content,
+			loose    = false,
+			items    = [],
+			ordered = is(list, 'ol'),
+			num      = parseInt(attr(list, 'start'), 10);
+
+		num = isNaN(num) ? 1 : num;
+
+		for (var i = 0; i < list.childNodes.length; i++) {
+			child = list.childNodes[i];
+
+			// Lists nested directly inside a list belong to the
+			// previous item
+			if (is(child, 'ul,ol') && items.length) {
+				items[items.length - 1] += '\n' + repeat(' ', marker.length) +
+					indentLines(listToMarkdown(child), marker.length);
+				continue;
+			}
+
+			if (!is(child, 'li,ul,ol')) {
+				continue;
+			}
+
+			content = listItemToMarkdown(child);
+			marker  = ordered ? (num++) + '. ' : '- ';
+			loose   = loose || /\n\n/.test(
+				content.replace(/^```[\s\S]*?^```/gm, '')
+			);
+
+			items.push(marker + indentLines(content, marker.length));
+		}
+
+		return items.join(loose ? '\n\n' : '\n');
+	}
+
+	/**
+	 * Converts the contents of a list item into Markdown
+	 *
+	 * @param {HTMLElement} item
+	 * @return {string}
+	 * @private
+	 */
+	function listItemToMarkdown(item) {
+		var blocks = is(item, 'li') ?
+			blocksToMarkdown(item) : [listToMarkdown(item)];
+
+		if (!blocks.length) {
+			return '';
+		}
+
+		return blocks.reduce(function (content, block) {
+			// Keep nested lists tight to their parent paragraph
+			return content +
+				(LIST_ITEM.test(block.split('\n')[0]) ? '\n' : '\n\n') +
+				block;
+		});
+	}
+
+	/**
+	 * Converts a table into a GFM table
+	 *
+	 * @param {HTMLElement} table
+	 * @return {string}
+	 * @private
+	 */
+	function tableToMarkdown(table) {
+		var	cells, align,
+			rows = [],
+			cols = 0;
+
+		each(table.rows || [], function (idx, row) {
+			cells = [];
+
+			each(row.cells, function (idx, cell) {
+				cells.push(blocksToMarkdown(cell).join(' ')
+					.replace(/\\?\n/g, ' ')
+					.replace(/\|/g, '\\|'));
+			});
+
+			cols = Math.max(cols, cells.length);
+			rows.push(cells);
+		});
+
+		if (!rows.length) {
+			return '';
+		}
+
+		align = [];
+		for (var col = 0; col < cols; col++) {
+			align.push(tableAlign(table.rows[0].cells[col]));
+		}
+
+		rows.splice(1, 0, align);
+
+		return rows.map(function (cells) {
+			while (cells.length < cols) {
+				cells.push('');
+			}
+
+			return '| ' + cells.join(' | ') + ' |';
+		}).join('\n');
+	}
+
+	function tableAlign(cell) {
+		var align = cell ?
+			(cell.style.textAlign || attr(cell, 'align') || '') : '';
+
+		return {
+			left: ':---',
+			center: ':---:',
+			right: '---:'
+		}[align.toLowerCase()] || '---';
+	}
+
+	/**
+	 * Converts a block level node into Markdown
+	 *
+	 * @param {HTMLElement} node
+	 * @return {Array.<string>}
+	 * @private
+	 */
+	function blockToMarkdown(node) {
+		var	code, fence, lang,
+			tag = node.nodeName.toLowerCase();
+
+		if (/^h[1-6]$/.test(tag)) {
+			return [
+				repeat('#', Number(tag.charAt(1))) + ' ' +
+					childrenToInline(node).replace(/\\?\n/g, ' ').trim()
+			];
+		}
+
+		switch (tag) {
+			case 'ul':
+			case 'ol':
+				return [listToMarkdown(node)];
+
+			case 'li':
+				return ['- ' + indentLines(listItemToMarkdown(node), 2)];
+
+			case 'blockquote':
+				return [blocksToMarkdown(node).join('\n\n')
+					.replace(/^/gm, '> ')
+					.replace(/^> $/gm, '>')];
+
+			case 'pre':
+			case 'code':
+				code  = codeText(node).replace(/\n$/, '');
+				fence = backtickFence(code, 3);
+				lang  = /(?:^|\s)lang(?:uage)?-(\S+)/.exec(
+					(node.className || '') + ' ' +
+					(node.firstChild && node.firstChild.className || '')
+				);
+
+				return [
+					fence + (lang ? lang[1] : '') + '\n' + code + '\n' + fence
+				];
+
+			case 'table':
+				return [tableToMarkdown(node)];
+
+			case 'hr':
+				return ['---'];
+		}
+
+		return blocksToMarkdown(node);
+	}
+
+	/**
+	 * Converts the children of a node into an array of Markdown blocks
+	 *
+	 * @param {HTMLElement} node
+	 * @return {Array.<string>}
+	 * @private
+	 */
+	function blocksToMarkdown(node) {
+		var	child,
+			blocks = [],
+			inline = '';
+
+		var flushInline = function () {
+			var content = inline
+				// Trailing line breaks are collapsed by browsers
+				.replace(/(\\\n)+$/, '')
+				.split('\n')
+				.map(function (line) {
+					return escapeLineStart(line.trim());
+				})
+				.join('\n')
+				.trim();
+
+			if (content) {
+				blocks.push(content);
+			}
+
+			inline = '';
+		};
+
+		for (var i = 0; i < node.childNodes.length; i++) {
+			child = node.childNodes[i];
+
+			if (dom.isInline(child, true) ||
+				(is(child, 'code') && !isCodeBlock(child))) {
+				inline += inlineToMarkdown(child);
+			} else if (child.nodeType === dom.ELEMENT_NODE) {
+				flushInline();
+				blocks.push.apply(blocks, blockToMarkdown(child).filter(
+					function (block) {
+						return !!block;
+					}
+				));
+			}
+		}
+
+		flushInline();
+
+		return blocks;
+	}
+
+	/**
+	 * SCEditor Markdown format
+	 * @since 3.0.0
+	 */
+	function markdownFormat() {
+		var base = this;
+
+		/**
+		 * Initializer
+		 * @private
+		 */
+		base.init = function () {
+			base.opts = this.opts;
+
+			this.commands = extend(
+				true, {}, defaultCommandsOverrides, this.commands
+			);
+
+			// Add Markdown helper methods
+			this.toMarkdown   = base.toSource;
+			this.fromMarkdown = base.toHtml;
+		};
+
+		/**
+		 * Converts Markdown into HTML
+		 *
+		 * @param {boolean} asFragment
+		 * @param {string} source
+		 * @return {string}
+		 * @private
+		 */
+		function toHtml(asFragment, source) {
+			var blocks = parseBlocks(toLines(source));
+
+			// A single paragraph fragment should be inserted inline
+			if (asFragment && blocks.length === 1 && blocks[0].isParagraph) {
+				return blocks[0].html;
+			}
+
+			return renderBlocks(blocks);
+		}
+
+		/**
+		 * Converts HTML into Markdown
+		 *
+		 * @param {boolean} asFragment
+		 * @param {string} html
+		 * @param {!Document} [context]
+		 * @param {!HTMLElement} [parent]
+		 * @return {string}
+		 * @private
+		 */
+		function toSource(asFragment, html, context, parent) {
+			context = context || document;
+
+			var	markdown, elements;
+			var containerParent = context.createElement('div');
+			var container = context.createElement('div');
+
+			container.innerHTML = html;
+			css(containerParent, 'visibility', 'hidden');
+			containerParent.appendChild(container);
+			context.body.appendChild(containerParent);
+
+			if (asFragment) {
+				// Add text before and after so removeWhiteSpace doesn't remove
+				// leading and trailing whitespace
+				containerParent.insertBefore(
+					context.createTextNode('#'),
+					containerParent.firstChild
+				);
+				containerParent.appendChild(context.createTextNode('#'));
+			}
+
+			// Match parents white-space handling
+			if (parent) {
+				css(container, 'whiteSpace', css(parent, 'whiteSpace'));
+			}
+
+			// Remove all nodes with sceditor-ignore class
+			elements = container.getElementsByClassName('sceditor-ignore');
+			while (elements.length) {
+				elements[0].parentNode.removeChild(elements[0]);
+			}
+
+			dom.removeWhiteSpace(containerParent);
+
+			markdown = blocksToMarkdown(container).join('\n\n');
+
+			context.body.removeChild(containerParent);
+
+			return markdown;
+		};
+
+		base.toHtml = toHtml.bind(null, false);
+		base.fragmentToHtml = toHtml.bind(null, true);
+		base.toSource = toSource.bind(null, false);
+		base.fragmentToSource = toSource.bind(null, true);
+	};
+
+	sceditor.formats.markdown = markdownFormat;
+}(sceditor));
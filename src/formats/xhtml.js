@@ -118,7 +118,23 @@
 			txtExec: ['<hr />']
 		},
 		code: {
-			txtExec: ['<code>', '</code>']
+			txtExec: function (caller) {
+				var editor = this;
+
+				if (!editor.opts.codeLanguages) {
+					return editor.insertText('<code>', '</code>');
+				}
+
+				getEditorCommand('code')._dropDown(
+					editor,
+					caller,
+					function (language) {
+						editor.insertText(language ?
+							'<pre><code class="language-' + language + '">' :
+							'<code>', language ? '</code></pre>' : '</code>');
+					}
+				);
+			}
 		},
 		image: {
 			txtExec: function (caller, selected) {
@@ -181,7 +197,44 @@
 			}
 		},
 		quote: {
-			txtExec: ['<blockquote>', '</blockquote>']
+			txtExec: function (caller) {
+				var editor = this;
+
+				getEditorCommand('quote')._dropDown(
+					editor,
+					caller,
+					{},
+					function (values) {
+						var attrs = '';
+
+						if (values.postId) {
+							attrs += ' data-post-id="' + values.postId + '"';
+						}
+
+						if (values.time) {
+							attrs += ' data-time="' + values.time + '"';
+						}
+
+						editor.insertText('<blockquote' + attrs + '>' +
+							(values.author ? '<cite>' +
+								sceditor.escapeEntities(values.author) +
+								'</cite>' : ''), '</blockquote>');
+					}
+				);
+			}
+		},
+		media: {
+			txtExec: function (caller) {
+				var editor = this;
+
+				getEditorCommand('media')._dropDown(
+					editor,
+					caller,
+					function (url) {
+						editor.insertText(sceditor.media.embed(url));
+					}
+				);
+			}
 		},
 		youtube: {
 			txtExec: function (caller) {
@@ -709,8 +762,9 @@
 					nextSibling     = node.nextSibling,
 					isTopLevel      = parentNode === rootNode,
 					noSiblings      = !previousSibling && !nextSibling,
-					empty           = tagName !== 'iframe' && isEmpty(node,
-						isTopLevel && noSiblings && tagName !== 'br'),
+					empty           = !/^(iframe|video|audio)$/.test(tagName) &&
+						isEmpty(node, isTopLevel && noSiblings &&
+							tagName !== 'br'),
 					document        = node.ownerDocument,
 					allowedTags     = xhtmlFormat.allowedTags,
 					firstChild   	= node.firstChild,
@@ -1160,6 +1214,27 @@
 				convertElement(node, 'span');
 			}
 		},
+		{
+			tags: {
+				code: {
+					'class': null
+				}
+			},
+			conv: function (node) {
+				var pre;
+
+				// Code with a language is output as <pre><code> which is
+				// what most highlighters expect
+				if (!sceditor.code.getLanguage(node) ||
+					is(node.parentNode, 'pre')) {
+					return;
+				}
+
+				pre = node.ownerDocument.createElement('pre');
+				node.parentNode.insertBefore(pre, node);
+				pre.appendChild(node);
+			}
+		},
 		{
 			tags: {
 				'*': {
@@ -1244,5 +1319,55 @@
 	 */
 	xhtmlFormat.allowedEmptyTags = [];
 
+	/**
+	 * Adds the converter and source mode command for a block widget
+	 *
+	 * The converter re-renders the block so any attributes edited
+	 * in place are stored and the output matches its template.
+	 *
+	 * @param {string} name
+	 * @param {Object} block
+	 * @private
+	 */
+	function addBlock(name, block) {
+		var blocks = sceditor.blocks;
+		var tags = {};
+
+		tags[blocks.rootTag(block)] = {
+			'data-sceditor-block': [name]
+		};
+
+		xhtmlFormat.converters.push({
+			tags: tags,
+			conv: function (node) {
+				var html = blocks.render(block, blocks.readAttrs(block, node),
+					blocks.contentElement(node).innerHTML);
+
+				node.parentNode.replaceChild(
+					dom.parseHTML(html, node.ownerDocument),
+					node
+				);
+			}
+		});
+
+		defaultCommandsOverrides[name] = {
+			txtExec: function (caller) {
+				var editor = this;
+
+				getEditorCommand(name)._dropDown(editor, caller, {},
+					function (attrs) {
+						var marker = '{0}';
+
+						editor.insertText.apply(editor,
+							blocks.render(block, attrs, marker).split(marker));
+					});
+			}
+		};
+	}
+
+	if (sceditor.blocks) {
+		sceditor.blocks.watch(addBlock);
+	}
+
 	sceditor.formats.xhtml = xhtmlFormat;
 }(sceditor));
@@ -0,0 +1,70 @@
+/**
+ * SCEditor Headless BBCode
+ * http://www.sceditor.com/
+ *
+ * Copyright (C) 2017, Sam Clarke (samclarke.com)
+ *
+ * SCEditor is licensed under the MIT license:
+ *	http://www.opensource.org/licenses/mit-license.php
+ *
+ * @fileoverview BBCode to HTML conversion without a DOM, e.g. for
+ * rendering posts on a server. Uses the same format file as the
+ * editor so the output is the same.
+ * @author Sam Clarke
+ */
+
+import sceditor, { restore } from './sceditor.js';
+import '../formats/bbcode.js';
+import * as utils from '../lib/utils.js';
+
+
+var BBCodeFormat = sceditor.formats.bbcode;
+
+restore();
+
+/**
+ * Default options, the same as the editors defaults
+ *
+ * @type {Object}
+ * @private
+ */
+var defaultOptions = {
+	bbcodeTrim: false,
+	parserOptions: {}
+};
+
+export var BBCodeParser = sceditor.BBCodeParser;
+export var bbcodeHandlers = BBCodeFormat.bbcodeHandlers;
+export var formatBBCodeString = BBCodeFormat.formatBBCodeString;
+
+export var get = BBCodeFormat.get;
+export var set = BBCodeFormat.set.bind(BBCodeFormat);
+export var rename = BBCodeFormat.rename.bind(BBCodeFormat);
+export var remove = BBCodeFormat.remove.bind(BBCodeFormat);
+export var validate = BBCodeFormat.validate;
+
+/**
+ * Converts BBCode into HTML.
+ *
+ * Gives the same HTML as the editors val() does when setting the
+ * value, the options are the same as the editor options.
+ *
+ * Converting HTML back into BBCode needs a DOM so there is no
+ * toBBCode().
+ *
+ * @param {string} bbcode
+ * @param {Object} [options]
+ * @param {boolean} [options.bbcodeTrim=false]
+ * @param {Object} [options.parserOptions]
+ * @return {string}
+ * @since 3.0.0
+ */
+export function toHTML(bbcode, options) {
+	var format = new BBCodeFormat();
+
+	format.init.call({
+		opts: utils.extend({}, defaultOptions, options)
+	});
+
+	return format.toHtml(bbcode);
+}
@@ -0,0 +1,73 @@
+/*eslint-env node*/
+import * as escape from '../lib/escape.js';
+import * as dom from '../lib/dom.js';
+import * as utils from '../lib/utils.js';
+import * as blocks from '../lib/blocks.js';
+import * as media from '../lib/media.js';
+
+
+var root = typeof window !== 'undefined' ? window : global;
+var previous = root.sceditor;
+
+/**
+ * The parts of the sceditor global the formats use when loading.
+ *
+ * Nothing here touches the DOM until it is called so it can be
+ * loaded under Node.
+ *
+ * @private
+ */
+var sceditor = root.sceditor = {
+	command: {
+		get: function () {
+			return null;
+		}
+	},
+
+	escapeEntities: escape.entities,
+	escapeUriScheme: escape.uriScheme,
+
+	blocks: {
+		register: blocks.register,
+		get: blocks.get,
+		watch: blocks.watch,
+		render: blocks.render,
+		rootTag: blocks.rootTag,
+		readAttrs: blocks.readAttrs,
+		contentElement: blocks.contentElement
+	},
+
+	media: {
+		register: media.register,
+		get: media.get,
+		match: media.match,
+		embed: media.embed,
+		toBBCode: media.toBBCode,
+		getUrl: media.getUrl
+	},
+
+	dom: dom,
+	utils: {
+		each: utils.each,
+		isEmptyObject: utils.isEmptyObject,
+		extend: utils.extend
+	},
+	formats: {}
+};
+
+/**
+ * Puts back whatever the sceditor global was before this was loaded.
+ *
+ * Should be called once the formats have been loaded.
+ *
+ * @private
+ */
+export function restore() {
+	if (previous) {
+		root.sceditor = previous;
+	} else {
+		delete root.sceditor;
+	}
+}
+
+export default sceditor;
@@ -159,7 +159,10 @@ export default function RangeHelper(win, d) {
 			lastChild = lastChild.lastChild;
 		}
 
-		if (dom.canHaveChildren(lastChild)) {
+		// Video and audio can have children but they aren't shown
+		// so the cursor can't be placed inside them
+		if (dom.canHaveChildren(lastChild) &&
+			!dom.is(lastChild, 'video,audio')) {
 			// Webkit won't allow the cursor to be placed inside an
 			// empty tag, so add a zero width space to it.
 			if (!lastChild.lastChild) {
@@ -719,6 +722,59 @@ export default function RangeHelper(win, d) {
 		return false;
 	};
 
+	/**
+	 * Replaces the text before the caret which matches a pattern.
+	 *
+	 * Like replaceKeyword() except the keyword is a RegExp which is
+	 * matched against the text before the caret followed by the
+	 * keypressChar. The match must end at the end of the text so the
+	 * pattern should end with $.
+	 *
+	 * @param {RegExp}          pattern
+	 * @param {string|Function} html         HTML to insert or a function
+	 *                                       which is passed the match and
+	 *                                       returns it. If empty the
+	 *                                       matched text is removed.
+	 * @param {number}          maxLength    Max number of chars before
+	 *                                       the caret to match against
+	 * @param {string}          keypressChar If this is being called from
+	 *                                       a keypress event, this should
+	 *                                       be set to the pressed character
+	 * @return {?Array<string>} The match or null if nothing was replaced
+	 * @since 3.0.0
+	 * @function
+	 * @name replacePattern
+	 * @memberOf RangeHelper.prototype
+	 */
+	base.replacePattern = function (pattern, html, maxLength, keypressChar) {
+		var	match, text;
+
+		keypressChar = keypressChar || '';
+		text         = base.getOuterText(true, maxLength) + keypressChar;
+		match        = pattern.exec(text);
+
+		// The keypress char isn't in the document yet so must be part
+		// of the match for it to be replaced
+		if (!match || match.index + match[0].length !== text.length ||
+			match[0].length < keypressChar.length) {
+			return null;
+		}
+
+		base.selectOuterText(match[0].length - keypressChar.length, 0);
+
+		if (typeof html === 'function') {
+			html = html(match);
+		}
+
+		if (html) {
+			base.insertHTML(html);
+		} else {
+			base.selectedRange().deleteContents();
+		}
+
+		return match;
+	};
+
 	/**
 	 * Compares two ranges.
 	 *
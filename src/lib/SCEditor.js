@@ -8,6 +8,11 @@ import _tmpl from './templates.js';
 import * as escape from './escape.js';
 import * as browser from './browser.js';
 import * as emoticons from './emoticons.js';
+import { getCell } from './tables.js';
+import * as sanitizer from './sanitize.js';
+import * as blocks from './blocks.js';
+import * as code from './code.js';
+import * as autoformat from './autoformat.js';
 
 var globalWin  = window;
 var globalDoc  = document;
@@ -20,6 +25,15 @@ var IE_BR_FIX = IE_VER && IE_VER < 11;
 
 var IMAGE_MIME_REGEX = /^image\/(p?jpe?g|gif|png|bmp)$/i;
 
+// Elements in a dropdown that can be focused with the keyboard
+var FOCUSABLE_SELECTOR = 'a[tabindex],a[href],button,input,select,textarea';
+
+// Max number of chars before the caret autoformat rules are matched against
+var MAX_AUTOFORMAT_LENGTH = 200;
+
+// Gap in px between the bubble toolbar and the selection
+var BUBBLE_TOOLBAR_MARGIN = 8;
+
 /**
  * Wrap inlines that are in the root in paragraphs.
  *
@@ -91,6 +105,14 @@ export default function SCEditor(original, userOptions) {
 	 */
 	var toolbar;
 
+	/**
+	 * Toolbar shown when the caret is inside a table cell
+	 *
+	 * @type {HTMLDivElement}
+	 * @private
+	 */
+	var tableToolbar;
+
 	/**
 	 * The editors iframe which should be in design mode
 	 *
@@ -198,6 +220,14 @@ export default function SCEditor(original, userOptions) {
 	 */
 	var pluginManager;
 
+	/**
+	 * The sanitiser policy used for all HTML put into the WYSIWYG editor
+	 *
+	 * @type {Object}
+	 * @private
+	 */
+	var sanitizerPolicy;
+
 	/**
 	 * The current node containing the selection/caret
 	 *
@@ -317,6 +347,67 @@ export default function SCEditor(original, userOptions) {
 	 */
 	var icons;
 
+	/**
+	 * The element that had focus when the current dropdown was opened.
+	 * Focus is returned to it when the dropdown is closed with escape.
+	 *
+	 * @type {?HTMLElement}
+	 * @private
+	 */
+	var dropdownOpener;
+
+	/**
+	 * Popover shown next to the node the caret is in, if a command
+	 * has a popover for that node
+	 *
+	 * @type {?HTMLDivElement}
+	 * @private
+	 */
+	var popover;
+
+	/**
+	 * The node the current popover is for
+	 *
+	 * @type {?HTMLElement}
+	 * @private
+	 */
+	var popoverTarget;
+
+	/**
+	 * The last node clicked in the WYSIWYG editor.
+	 *
+	 * Clicking some nodes, like images, doesn't move the caret
+	 * into them so the clicked node is checked for popovers too.
+	 *
+	 * @type {?HTMLElement}
+	 * @private
+	 */
+	var clickedNode;
+
+	/**
+	 * Live region used to announce changes to screen readers
+	 *
+	 * @type {HTMLDivElement}
+	 * @private
+	 */
+	var liveRegion;
+
+	/**
+	 * Observes the WYSIWYG editor for changes to re-highlight code
+	 *
+	 * @type {?MutationObserver}
+	 * @private
+	 */
+	var codeObserver;
+
+	/**
+	 * Timer for the pending code highlight
+	 *
+	 * @type {number}
+	 * @private
+	 */
+	var codeHighlightTimer;
+
 	/**
 	 * Private functions
 	 * @private
@@ -329,6 +420,7 @@ export default function SCEditor(original, userOptions) {
 		initPlugins,
 		initLocale,
 		initToolBar,
+		createToolbar,
 		initOptions,
 		initEvents,
 		initResize,
@@ -338,13 +430,23 @@ export default function SCEditor(original, userOptions) {
 		handleKeyDown,
 		handleBackSpace,
 		handleKeyPress,
+		handleCodeKeyDown,
+		highlightCode,
+		limitQuoteDepth,
 		handleFormReset,
 		handleMouseDown,
 		handleComposition,
 		handleEvent,
 		handleDocumentClick,
+		handleToolbarKeyDown,
+		handleDropDownKeyDown,
 		updateToolBar,
+		toggleButtonDisabled,
 		updateActiveButtons,
+		updateTableToolbar,
+		updateBubbleToolbar,
+		updateToolbarDock,
+		updatePopover,
 		sourceEditorSelectedText,
 		appendNewLine,
 		checkSelectionChanged,
@@ -352,6 +454,8 @@ export default function SCEditor(original, userOptions) {
 		autofocus,
 		emoticonsKeyPress,
 		emoticonsCheckWhitespace,
+		autoformatKeyPress,
+		getEmoticonsCache,
 		currentStyledBlockNode,
 		triggerValueChanged,
 		valueChangedBlur,
@@ -378,6 +482,8 @@ export default function SCEditor(original, userOptions) {
 
 	// Don't deep extend emoticons (fixes #565)
 	base.opts.emoticons = userOptions.emoticons || defaultOptions.emoticons;
+	base.opts.emoji = 'emoji' in userOptions ?
+		userOptions.emoji : defaultOptions.emoji;
 
 	/**
 	 * Creates the editor iframe and textarea
@@ -398,6 +504,13 @@ export default function SCEditor(original, userOptions) {
 		dom.insertBefore(editorContainer, original);
 		dom.css(editorContainer, 'z-index', options.zIndex);
 
+		liveRegion = dom.createElement('div', {
+			className: 'sceditor-live-region',
+			role: 'status',
+			'aria-live': 'polite'
+		});
+		dom.appendChild(editorContainer, liveRegion);
+
 		// Add IE version to the container to allow IE specific CSS
 		// fixes without using CSS hacks or conditional comments
 		if (IE_VER) {
@@ -407,6 +520,10 @@ export default function SCEditor(original, userOptions) {
 		isRequired = original.required;
 		original.required = false;
 
+		sanitizerPolicy = sanitizer.extendPolicy(
+			sanitizer.defaultPolicy, options.sanitizer
+		);
+
 		var FormatCtor = SCEditor.formats[options.format];
 		format = FormatCtor ? new FormatCtor() : {};
 		if ('init' in format) {
@@ -514,6 +631,12 @@ export default function SCEditor(original, userOptions) {
 			dom.attr(wysiwygEditor, 'src', 'javascript:false');
 		}
 
+		var label = dom.attr(original, 'aria-label') ||
+			dom.attr(original, 'title') || base._('Rich text editor');
+
+		dom.attr(wysiwygEditor, 'title', label);
+		dom.attr(sourceEditor, 'aria-label', label);
+
 		// Add the editor to the container
 		dom.appendChild(editorContainer, wysiwygEditor);
 		dom.appendChild(editorContainer, sourceEditor);
@@ -543,6 +666,10 @@ export default function SCEditor(original, userOptions) {
 		wysiwygBody = wysiwygDocument.body;
 		wysiwygWindow = wysiwygEditor.contentWindow;
 
+		dom.attr(wysiwygBody, 'role', 'textbox');
+		dom.attr(wysiwygBody, 'aria-multiline', 'true');
+		dom.attr(wysiwygBody, 'aria-label', label);
+
 		base.readOnly(!!options.readOnly);
 
 		// iframe overflow fix for iOS, also fixes an IE issue with the
@@ -625,6 +752,12 @@ export default function SCEditor(original, userOptions) {
 		}
 
 		dom.on(wysiwygBody, 'keypress', handleKeyPress);
+
+		if (options.autoformat) {
+			dom.on(wysiwygBody, 'keypress', autoformatKeyPress);
+		}
+
+		dom.on(wysiwygBody, 'keydown', handleCodeKeyDown);
 		dom.on(wysiwygBody, 'keydown', handleKeyDown);
 		dom.on(wysiwygBody, 'keydown', handleBackSpace);
 		dom.on(wysiwygBody, 'keyup', appendNewLine);
@@ -639,6 +772,27 @@ export default function SCEditor(original, userOptions) {
 			dom.on(wysiwygBody, 'keyup', emoticonsCheckWhitespace);
 		}
 
+		// Highlighting uses the CSS custom highlight API so the
+		// content doesn't need to be modified
+		if (options.codeHighlight && wysiwygWindow.MutationObserver &&
+			wysiwygWindow.Highlight && wysiwygWindow.CSS &&
+			wysiwygWindow.CSS.highlights) {
+			codeObserver = new wysiwygWindow.MutationObserver(function () {
+				clearTimeout(codeHighlightTimer);
+				codeHighlightTimer = setTimeout(highlightCode);
+			});
+
+			codeObserver.observe(wysiwygBody, {
+				childList: true,
+				subtree: true,
+				characterData: true,
+				attributes: true,
+				attributeFilter: ['class']
+			});
+
+			highlightCode();
+		}
+
 		dom.on(wysiwygBody, 'blur', function () {
 			if (!base.val()) {
 				dom.addClass(wysiwygBody, 'placeholder');
@@ -649,6 +803,10 @@ export default function SCEditor(original, userOptions) {
 			dom.removeClass(wysiwygBody, 'placeholder');
 		});
 
+		dom.on(wysiwygBody, 'keydown', function () {
+			clickedNode = null;
+		});
+
 		dom.on(sourceEditor, 'blur', valueChangedBlur);
 		dom.on(sourceEditor, 'keyup', valueChangedKeyUp);
 		dom.on(sourceEditor, 'keydown', handleKeyDown);
@@ -656,6 +814,7 @@ export default function SCEditor(original, userOptions) {
 		dom.on(sourceEditor, eventsToForward, handleEvent);
 
 		dom.on(wysiwygDocument, 'mousedown', handleMouseDown);
+		dom.on(wysiwygDocument, 'mouseup', updatePopover);
 		dom.on(wysiwygDocument, checkSelectionEvents, checkSelectionChanged);
 		dom.on(wysiwygDocument, 'beforedeactivate keyup mouseup', saveRange);
 		dom.on(wysiwygDocument, 'keyup', appendNewLine);
@@ -665,10 +824,21 @@ export default function SCEditor(original, userOptions) {
 
 		dom.on(editorContainer, 'selectionchanged', checkNodeChanged);
 		dom.on(editorContainer, 'selectionchanged', updateActiveButtons);
+
+		if (options.toolbarMode === 'bubble') {
+			dom.on(wysiwygWindow, 'scroll', updateBubbleToolbar);
+		}
+
+		// Keep the toolbar above any virtual keyboard
+		if (options.toolbarMode === 'bottom' && globalWin.visualViewport) {
+			dom.on(globalWin.visualViewport, 'resize scroll',
+				updateToolbarDock);
+		}
 		// Custom events to forward
 		dom.on(
 			editorContainer,
-			'selectionchanged valuechanged nodechanged pasteraw paste',
+			'selectionchanged valuechanged nodechanged pasteraw paste ' +
+				'sanitize limitreached operationconflict',
 			handleEvent
 		);
 	};
@@ -678,23 +848,77 @@ export default function SCEditor(original, userOptions) {
 	 * @private
 	 */
 	initToolBar = function () {
-		var	group,
-			commands = base.commands,
-			exclude  = (options.toolbarExclude || '').split(','),
-			groups   = options.toolbar.split('|');
-
-		toolbar = dom.createElement('div', {
-			className: 'sceditor-toolbar',
-			unselectable: 'on'
-		});
-
 		if (options.icons in SCEditor.icons) {
 			icons = new SCEditor.icons[options.icons]();
 		}
 
+		if (options.toolbarMode === 'bubble') {
+			toolbar = createToolbar(options.bubbleToolbar,
+				'sceditor-toolbar sceditor-bubble-toolbar',
+				base._('Formatting toolbar'));
+
+			dom.hide(toolbar);
+			dom.appendChild(editorContainer, toolbar);
+		} else {
+			toolbar = createToolbar(options.toolbar,
+				options.toolbarMode === 'bottom' ?
+					'sceditor-toolbar sceditor-toolbar-bottom' :
+					'sceditor-toolbar',
+				base._('Editor toolbar'));
+
+			// Append the toolbar to the toolbarContainer option if given
+			dom.appendChild(options.toolbarContainer || editorContainer,
+				toolbar);
+		}
+
+		if (options.tableToolbar) {
+			tableToolbar = createToolbar(options.tableToolbar,
+				'sceditor-toolbar sceditor-table-toolbar text',
+				base._('Table toolbar'));
+
+			dom.hide(tableToolbar);
+			dom.appendChild(editorContainer, tableToolbar);
+		}
+
+		if (options.toolbarShortcut) {
+			base.addShortcut(options.toolbarShortcut, function () {
+				var button = dom.find(toolbar, '[tabindex="0"]')[0];
+
+				if (button) {
+					button.focus();
+				}
+
+				return false;
+			});
+		}
+	};
+
+	/**
+	 * Creates a toolbar from a string of commands in the format of
+	 * the toolbar option.
+	 *
+	 * @param {string} commandsList
+	 * @param {string} className
+	 * @param {string} label Accessible name of the toolbar
+	 * @return {HTMLDivElement}
+	 * @private
+	 */
+	createToolbar = function (commandsList, className, label) {
+		var	group,
+			commands = base.commands,
+			exclude  = (options.toolbarExclude || '').split(','),
+			groups   = commandsList.split('|'),
+			bar      = dom.createElement('div', {
+				className: className,
+				unselectable: 'on',
+				role: 'toolbar',
+				'aria-label': label
+			});
+
 		utils.each(groups, function (_, menuItems) {
 			group = dom.createElement('div', {
-				className: 'sceditor-group'
+				className: 'sceditor-group',
+				role: 'group'
 			});
 
 			utils.each(menuItems.split(','), function (_, commandName) {
@@ -724,7 +948,7 @@ export default function SCEditor(original, userOptions) {
 
 				button._sceTxtMode = !!command.txtExec;
 				button._sceWysiwygMode = !!command.exec;
-				dom.toggleClass(button, 'disabled', !command.exec);
+				toggleButtonDisabled(button, !command.exec);
 				dom.on(button, 'click', function (e) {
 					if (!dom.hasClass(button, 'disabled')) {
 						handleCommand(button, command);
@@ -753,28 +977,108 @@ export default function SCEditor(original, userOptions) {
 				if (command.state) {
 					btnStateHandlers.push({
 						name: commandName,
+						button: button,
 						state: command.state
 					});
 				// exec string commands can be passed to queryCommandState
 				} else if (utils.isString(command.exec)) {
 					btnStateHandlers.push({
 						name: commandName,
+						button: button,
 						state: command.exec
 					});
 				}
 
+				if (command.state || utils.isString(command.exec)) {
+					dom.attr(button, 'aria-pressed', 'false');
+				}
+
 				dom.appendChild(group, button);
-				toolbarButtons[commandName] = button;
+				toolbarButtons[commandName] =
+					toolbarButtons[commandName] || button;
 			});
 
 			// Exclude empty groups
 			if (group.firstChild) {
-				dom.appendChild(toolbar, group);
+				dom.appendChild(bar, group);
 			}
 		});
 
-		// Append the toolbar to the toolbarContainer option if given
-		dom.appendChild(options.toolbarContainer || editorContainer, toolbar);
+		// Only one button is in the tab order at a time, the arrow
+		// keys move between them
+		if (bar.querySelector('.sceditor-button')) {
+			dom.attr(bar.querySelector('.sceditor-button'), 'tabindex', 0);
+		}
+
+		dom.on(bar, 'keydown', '.sceditor-button', handleToolbarKeyDown);
+
+		return bar;
+	};
+
+	/**
+	 * Handles keyboard navigation of the toolbar buttons
+	 * @private
+	 */
+	handleToolbarKeyDown = function (e) {
+		var next;
+		var button  = this;
+		var bar     = dom.parent(button, '.sceditor-toolbar');
+		var buttons = Array.prototype.slice.call(
+			dom.find(bar, '.sceditor-button')
+		);
+		var index   = buttons.indexOf(button);
+		var forward = base.rtl() ? 37 : 39;
+		var back    = base.rtl() ? 39 : 37;
+
+		switch (e.which) {
+			case forward:
+				next = buttons[(index + 1) % buttons.length];
+				break;
+			case back:
+				next = buttons[(index || buttons.length) - 1];
+				break;
+			// Home
+			case 36:
+				next = buttons[0];
+				break;
+			// End
+			case 35:
+				next = buttons[buttons.length - 1];
+				break;
+			// Enter and space
+			case 13:
+			case 32:
+				button.click();
+				break;
+			// Escape
+			case 27:
+				base.focus();
+				break;
+			default:
+				return;
+		}
+
+		if (next) {
+			utils.each(buttons, function (_, btn) {
+				dom.attr(btn, 'tabindex', btn === next ? 0 : -1);
+			});
+
+			next.focus();
+		}
+
+		e.preventDefault();
+	};
+
+	/**
+	 * Sets if a toolbar button is disabled
+	 *
+	 * @param {HTMLElement} button
+	 * @param {boolean} disabled
+	 * @private
+	 */
+	toggleButtonDisabled = function (button, disabled) {
+		dom.toggleClass(button, 'disabled', disabled);
+		dom.attr(button, 'aria-disabled', disabled ? 'true' : 'false');
 	};
 
 	/**
@@ -933,6 +1237,13 @@ export default function SCEditor(original, userOptions) {
 				}));
 			}
 		});
+
+		// Emoji shortcodes are replaced with the emoji itself
+		utils.each(options.emoji || {}, function (_, emoji) {
+			utils.each(emoji, function (key, value) {
+				allEmoticons[key] = value.emoji || value;
+			});
+		});
 	};
 
 	/**
@@ -1026,6 +1337,7 @@ export default function SCEditor(original, userOptions) {
 
 		wysiwygBody.contentEditable = !readOnly;
 		sourceEditor.readonly = !readOnly;
+		dom.attr(wysiwygBody, 'aria-readonly', readOnly ? 'true' : null);
 
 		updateToolBar(readOnly);
 
@@ -1080,7 +1392,7 @@ export default function SCEditor(original, userOptions) {
 		var mode = base.inSourceMode() ? '_sceTxtMode' : '_sceWysiwygMode';
 
 		utils.each(toolbarButtons, function (_, button) {
-			dom.toggleClass(button, 'disabled', disable || !button[mode]);
+			toggleButtonDisabled(button, disable || !button[mode]);
 		});
 	};
 
@@ -1368,6 +1680,16 @@ export default function SCEditor(original, userOptions) {
 
 		dom.off(globalDoc, 'click', handleDocumentClick);
 
+		if (codeObserver) {
+			codeObserver.disconnect();
+			clearTimeout(codeHighlightTimer);
+		}
+
+		if (globalWin.visualViewport) {
+			dom.off(globalWin.visualViewport, 'resize scroll',
+				updateToolbarDock);
+		}
+
 		// TODO: make off support null nodes?
 		var form = original.form;
 		if (form) {
@@ -1404,7 +1726,9 @@ export default function SCEditor(original, userOptions) {
 	base.createDropDown = function (menuItem, name, content, ieFix) {
 		// first click for create second click for close
 		var	dropDownCss,
-			dropDownClass = 'sceditor-' + name;
+			dropDownClass = 'sceditor-' + name,
+			opener        = globalDoc.activeElement,
+			fromKeyboard  = !!dom.closest(opener, '.sceditor-toolbar');
 
 		// Will re-focus the editor. This is needed for IE
 		// as it has special logic to save/restore the selection
@@ -1435,9 +1759,26 @@ export default function SCEditor(original, userOptions) {
 		}, options.dropDownCss);
 
 		dropdown = dom.createElement('div', {
-			className: 'sceditor-dropdown ' + dropDownClass
+			className: 'sceditor-dropdown ' + dropDownClass,
+			role: 'dialog',
+			'aria-label': menuItem.textContent || base._(name)
 		});
 
+		// Options are links without a href so make them focusable when
+		// using the keyboard. Not done for the mouse as it would move
+		// focus out of the editor.
+		if (fromKeyboard) {
+			utils.each(dom.find(content, 'a:not([href])'), function (_, link) {
+				dom.attr(link, 'tabindex', 0);
+				dom.attr(link, 'role', 'button');
+			});
+
+			dropdownOpener = opener;
+		}
+
+		dropdown._sceMenuItem = menuItem;
+		dom.attr(menuItem, 'aria-expanded', 'true');
+
 		dom.css(dropdown, dropDownCss);
 		dom.appendChild(dropdown, content);
 		dom.appendChild(editorContainer, dropdown);
@@ -1445,13 +1786,15 @@ export default function SCEditor(original, userOptions) {
 			// stop clicks within the dropdown from being handled
 			e.stopPropagation();
 		});
+		dom.on(dropdown, 'keydown', handleDropDownKeyDown);
 
 		// If try to focus the first input immediately IE will
 		// place the cursor at the start of the editor instead
 		// of focusing on the input.
 		setTimeout(function () {
 			if (dropdown) {
-				var first = dom.find(dropdown, 'input,textarea')[0];
+				var first = dom.find(dropdown,
+					fromKeyboard ? FOCUSABLE_SELECTOR : 'input,textarea')[0];
 				if (first) {
 					first.focus();
 				}
@@ -1459,6 +1802,47 @@ export default function SCEditor(original, userOptions) {
 		});
 	};
 
+	/**
+	 * Keeps the focus inside the dropdown while it is open and
+	 * closes it on escape
+	 * @private
+	 */
+	handleDropDownKeyDown = function (e) {
+		var opener    = dropdownOpener;
+		var target    = e.target;
+		var focusable = Array.prototype.slice.call(
+			dom.find(dropdown, FOCUSABLE_SELECTOR)
+		).filter(dom.isVisible);
+		var first     = focusable[0];
+		var last      = focusable[focusable.length - 1];
+
+		// Escape
+		if (e.which === 27) {
+			base.closeDropDown(!opener);
+
+			if (opener) {
+				opener.focus();
+			}
+		// Tab
+		} else if (e.which === 9 && first) {
+			if (e.shiftKey && target === first) {
+				last.focus();
+			} else if (!e.shiftKey && target === last) {
+				first.focus();
+			} else {
+				return;
+			}
+		// Links without a href aren't clicked by enter or space
+		} else if ((e.which === 13 || e.which === 32) &&
+			target.nodeName === 'A' && !target.hasAttribute('href')) {
+			target.click();
+		} else {
+			return;
+		}
+
+		e.preventDefault();
+	};
+
 	/**
 	 * Handles any document click and closes the dropdown if open
 	 * @private
@@ -1555,7 +1939,7 @@ export default function SCEditor(original, userOptions) {
 		dom.trigger(editorContainer, 'pasteraw', data);
 
 		if (data.html) {
-			pasteArea.innerHTML = data.html;
+			pasteArea.innerHTML = base.sanitize(data.html);
 
 			// fix any invalid nesting
 			dom.fixNesting(pasteArea);
@@ -1588,6 +1972,9 @@ export default function SCEditor(original, userOptions) {
 	/**
 	 * Closes any currently open drop down
 	 *
+	 * Triggers a dropdownclose event on the drop down before it
+	 * is removed so its content can clean up.
+	 *
 	 * @param {boolean} [focus=false] If to focus the editor
 	 *                             after closing the drop down
 	 * @function
@@ -1596,8 +1983,11 @@ export default function SCEditor(original, userOptions) {
 	 */
 	base.closeDropDown = function (focus) {
 		if (dropdown) {
+			dom.trigger(dropdown, 'dropdownclose');
+			dom.attr(dropdown._sceMenuItem, 'aria-expanded', 'false');
 			dom.remove(dropdown);
 			dropdown = null;
+			dropdownOpener = null;
 		}
 
 		if (focus === true) {
@@ -1638,10 +2028,20 @@ export default function SCEditor(original, userOptions) {
 			return;
 		}
 
+		// The start and end HTML can't be sanitised separately as they
+		// aren't valid HTML on their own
+		if (endHtml) {
+			html += rangeHelper.selectedHtml() + endHtml;
+		}
+
 		// Insert the HTML and save the range so the editor can be scrolled
 		// to the end of the selection. Also allows emoticons to be replaced
 		// without affecting the cursor position
-		rangeHelper.insertHTML(html, endHtml);
+		rangeHelper.insertHTML(base.sanitize(html));
+
+		// Inserted quotes may be nested inside existing quotes
+		limitQuoteDepth(wysiwygBody);
+
 		rangeHelper.saveRange();
 		replaceEmoticons();
 
@@ -1666,6 +2066,28 @@ export default function SCEditor(original, userOptions) {
 		appendNewLine();
 	};
 
+	/**
+	 * Sanitises HTML using the editors sanitiser policy.
+	 *
+	 * All HTML put into the WYSIWYG editor is passed through this.
+	 * Plugins can filter the sanitised nodes further with the sanitize
+	 * signal, it is also triggered as an event.
+	 *
+	 * @param {string} html
+	 * @return {string}
+	 * @function
+	 * @name sanitize
+	 * @memberOf SCEditor.prototype
+	 * @since 3.0.0
+	 */
+	base.sanitize = function (html) {
+		return sanitizer.sanitize(html, sanitizerPolicy, function (root) {
+			limitQuoteDepth(root);
+			pluginManager.call('sanitize', root);
+			dom.trigger(editorContainer, 'sanitize', root);
+		});
+	};
+
 	/**
 	 * Like wysiwygEditorInsertHtml except it will convert any HTML
 	 * into text before inserting it.
@@ -2033,7 +2455,7 @@ export default function SCEditor(original, userOptions) {
 			value = '<p>' + (IE_VER ? '' : '<br />') + '</p>';
 		}
 
-		wysiwygBody.innerHTML = value;
+		wysiwygBody.innerHTML = base.sanitize(value);
 		replaceEmoticons();
 
 		appendNewLine();
@@ -2161,6 +2583,25 @@ export default function SCEditor(original, userOptions) {
 
 		updateToolBar();
 		updateActiveButtons();
+
+		base.announce(base._(isInSourceMode ?
+			'Switched to WYSIWYG mode' : 'Switched to source mode'));
+	};
+
+	/**
+	 * Announces a message to screen reader users.
+	 *
+	 * Used for changes that aren't otherwise visible to them, like
+	 * switching between source and WYSIWYG mode.
+	 *
+	 * @param {string} message
+	 * @function
+	 * @name announce
+	 * @memberOf SCEditor.prototype
+	 * @since 3.0.0
+	 */
+	base.announce = function (message) {
+		liveRegion.textContent = message;
 	};
 
 	/**
@@ -2375,10 +2816,16 @@ export default function SCEditor(original, userOptions) {
 		var doc         = wysiwygDocument;
 		var isSource    = base.sourceMode();
 
+		updateTableToolbar();
+		updateBubbleToolbar();
+		updatePopover();
+
 		if (base.readOnly()) {
-			utils.each(dom.find(toolbar, activeClass), function (_, menuItem) {
-				dom.removeClass(menuItem, activeClass);
-			});
+			utils.each(dom.find(toolbar, '.' + activeClass),
+				function (_, menuItem) {
+					dom.removeClass(menuItem, activeClass);
+					dom.attr(menuItem, 'aria-pressed', 'false');
+				});
 			return;
 		}
 
@@ -2389,7 +2836,7 @@ export default function SCEditor(original, userOptions) {
 
 		for (var j = 0; j < btnStateHandlers.length; j++) {
 			var state      = 0;
-			var btn        = toolbarButtons[btnStateHandlers[j].name];
+			var btn        = btnStateHandlers[j].button;
 			var stateFn    = btnStateHandlers[j].state;
 			var isDisabled = (isSource && !btn._sceTxtMode) ||
 						(!isSource && !btn._sceWysiwygMode);
@@ -2409,8 +2856,9 @@ export default function SCEditor(original, userOptions) {
 				state = stateFn.call(base, parent, firstBlock);
 			}
 
-			dom.toggleClass(btn, 'disabled', isDisabled || state < 0);
+			toggleButtonDisabled(btn, isDisabled || state < 0);
 			dom.toggleClass(btn, activeClass, state > 0);
+			dom.attr(btn, 'aria-pressed', state > 0 ? 'true' : 'false');
 		}
 
 		if (icons && icons.update) {
@@ -2418,6 +2866,186 @@ export default function SCEditor(original, userOptions) {
 		}
 	};
 
+	/**
+	 * Shows the table toolbar when the caret is inside a table cell
+	 * and hides it otherwise.
+	 *
+	 * @private
+	 */
+	updateTableToolbar = function () {
+		if (!tableToolbar) {
+			return;
+		}
+
+		var cell = !base.sourceMode() && !base.readOnly() &&
+			getCell(rangeHelper.parentNode());
+
+		if (cell && dom.contains(wysiwygBody, cell)) {
+			dom.css(tableToolbar, 'top', wysiwygEditor.offsetTop + 'px');
+			dom.show(tableToolbar);
+		} else {
+			dom.hide(tableToolbar);
+		}
+	};
+
+	/**
+	 * Shows the bubble toolbar above the selection, or below it if
+	 * there isn't room, when there is a selection and hides it
+	 * otherwise.
+	 *
+	 * In source mode it's pinned to the top right of the editor
+	 * so the source button can be used to switch back.
+	 *
+	 * @private
+	 */
+	updateBubbleToolbar = function () {
+		var range, rect, top, left;
+
+		if (options.toolbarMode !== 'bubble' || !rangeHelper) {
+			return;
+		}
+
+		if (base.sourceMode() && !base.readOnly()) {
+			dom.show(toolbar);
+			dom.css(toolbar, {
+				top: sourceEditor.offsetTop,
+				left: Math.max(0,
+					editorContainer.clientWidth - toolbar.offsetWidth)
+			});
+			return;
+		}
+
+		range = !base.readOnly() && rangeHelper.selectedRange();
+
+		if (!range || range.collapsed ||
+			!dom.contains(wysiwygBody, range.commonAncestorContainer)) {
+			dom.hide(toolbar);
+			return;
+		}
+
+		// Must be shown to get its size
+		dom.show(toolbar);
+
+		rect = range.getBoundingClientRect();
+		top  = wysiwygEditor.offsetTop + rect.top -
+			toolbar.offsetHeight - BUBBLE_TOOLBAR_MARGIN;
+		left = wysiwygEditor.offsetLeft + rect.left +
+			(rect.width - toolbar.offsetWidth) / 2;
+
+		if (top < wysiwygEditor.offsetTop) {
+			top = wysiwygEditor.offsetTop + rect.bottom +
+				BUBBLE_TOOLBAR_MARGIN;
+		}
+
+		dom.css(toolbar, {
+			top: top,
+			left: Math.max(0, Math.min(left,
+				editorContainer.clientWidth - toolbar.offsetWidth))
+		});
+	};
+
+	/**
+	 * Moves the bottom toolbar up by the height of any virtual
+	 * keyboard covering the bottom of the page
+	 *
+	 * @private
+	 */
+	updateToolbarDock = function () {
+		var viewport = globalWin.visualViewport;
+
+		dom.css(toolbar, 'bottom', Math.max(0,
+			globalWin.innerHeight - viewport.height - viewport.offsetTop));
+	};
+
+	/**
+	 * Shows the popover of the first command with a popover
+	 * selector matching the node the caret is in, or the last
+	 * node clicked, and closes it otherwise.
+	 *
+	 * @private
+	 */
+	updatePopover = function () {
+		var target, command;
+		var isEditable = !base.sourceMode() && !base.readOnly();
+		var parent = isEditable && rangeHelper.parentNode();
+
+		utils.each(isEditable ? base.commands : {}, function (_, cmd) {
+			var selector = cmd.popover && cmd.popover.selector;
+			var match = selector && (
+				(clickedNode && dom.closest(clickedNode, selector)) ||
+				(parent && dom.closest(parent, selector))
+			);
+
+			if (match && dom.contains(wysiwygBody, match)) {
+				target  = match;
+				command = cmd;
+				return false;
+			}
+		});
+
+		if (target && target === popoverTarget) {
+			return;
+		}
+
+		base.closePopover();
+
+		if (!target) {
+			return;
+		}
+
+		var rect = target.getBoundingClientRect();
+
+		popoverTarget = target;
+		popover = dom.createElement('div', {
+			className: 'sceditor-popover',
+			role: 'dialog',
+			'aria-label': base._(command.tooltip)
+		});
+
+		dom.appendChild(popover,
+			command.popover.create.call(base, target));
+
+		dom.css(popover, {
+			top: wysiwygEditor.offsetTop + rect.bottom + 'px',
+			left: wysiwygEditor.offsetLeft + rect.left + 'px'
+		});
+
+		dom.on(popover, 'keydown', function (e) {
+			// 27 = escape
+			if (e.which === 27) {
+				base.closePopover();
+				base.focus();
+				e.preventDefault();
+			}
+		});
+
+		dom.appendChild(editorContainer, popover);
+	};
+
+	/**
+	 * Closes the popover if one is open.
+	 *
+	 * If focus is true the editor will be focused and the popover
+	 * reopened if it still applies so it shows any changes.
+	 *
+	 * @param {boolean} [focus=false]
+	 * @function
+	 * @name closePopover
+	 * @memberOf SCEditor.prototype
+	 * @since 3.0.0
+	 */
+	base.closePopover = function (focus) {
+		if (popover) {
+			dom.remove(popover);
+			popover = popoverTarget = null;
+		}
+
+		if (focus === true) {
+			base.focus();
+			updatePopover();
+		}
+	};
+
 	/**
 	 * Handles any key press in the WYSIWYG editor
 	 *
@@ -2473,6 +3101,119 @@ export default function SCEditor(original, userOptions) {
 		}
 	};
 
+	/**
+	 * Handles tab, shift+tab and enter inside code so they indent
+	 * instead of moving the focus or ending the code.
+	 *
+	 * @param {KeyboardEvent} e
+	 * @private
+	 */
+	handleCodeKeyDown = function (e) {
+		var codeElm, indent, br, lastChild;
+		var range = rangeHelper.selectedRange();
+
+		// 9 = tab key, 13 = enter key
+		if (e.defaultPrevented || e.ctrlKey || e.metaKey || e.altKey ||
+			!range || (e.which !== 9 && e.which !== 13) ||
+			(e.which === 13 && e.shiftKey)) {
+			return;
+		}
+
+		codeElm = dom.closest(range.startContainer, 'code');
+		if (!codeElm || !codeElm.contains(range.endContainer)) {
+			return;
+		}
+
+		if (e.which === 9) {
+			if (e.shiftKey) {
+				code.outdent(codeElm, range, options.codeIndent);
+			} else if (range.collapsed) {
+				rangeHelper.insertNode(
+					wysiwygDocument.createTextNode(options.codeIndent)
+				);
+			} else {
+				code.indent(codeElm, range, options.codeIndent);
+			}
+		} else {
+			indent = code.lineIndent(codeElm, range);
+			br = dom.createElement('br', {}, wysiwygDocument);
+			lastRange = null;
+
+			rangeHelper.insertNode(br);
+
+			if (indent) {
+				rangeHelper.insertNode(wysiwygDocument.createTextNode(indent));
+			} else if (!IE_BR_FIX) {
+				lastChild = codeElm.lastChild;
+
+				// Sometimes an empty next node is created after the <br>
+				if (lastChild && lastChild.nodeType === dom.TEXT_NODE &&
+					lastChild.nodeValue === '') {
+					dom.remove(lastChild);
+					lastChild = codeElm.lastChild;
+				}
+
+				// The last <br> of a block is collapsed so need an extra
+				// one for the new line to be shown
+				if (lastChild === br) {
+					rangeHelper.insertHTML('<br>');
+				}
+			}
+		}
+
+		e.preventDefault();
+		triggerValueChanged();
+	};
+
+	/**
+	 * Removes any quotes nested deeper than the maxQuoteDepth option
+	 *
+	 * @param {HTMLElement} root
+	 * @private
+	 */
+	limitQuoteDepth = function (root) {
+		var depth = options.maxQuoteDepth;
+
+		if (depth > 0) {
+			utils.each(
+				dom.find(root, new Array(depth + 2).join('blockquote ')),
+				function (_, quote) {
+					dom.remove(quote);
+				}
+			);
+		}
+	};
+
+	/**
+	 * Highlights the syntax of all code with a language
+	 *
+	 * @private
+	 */
+	highlightCode = function () {
+		var ranges = {};
+		var highlights = wysiwygWindow.CSS.highlights;
+
+		code.TOKEN_TYPES.forEach(function (type) {
+			ranges[type] = [];
+		});
+
+		utils.each(dom.find(wysiwygBody, 'code'), function (_, codeElm) {
+			code.tokenRanges(codeElm).forEach(function (token) {
+				ranges[token.type].push(token.range);
+			});
+		});
+
+		utils.each(ranges, function (type, typeRanges) {
+			var highlight = new wysiwygWindow.Highlight();
+
+			typeRanges.forEach(function (range) {
+				highlight.add(range);
+			});
+
+			highlights.set('sceditor-' + type, highlight);
+		});
+	};
+
 	/**
 	 * Makes sure that if there is a code or quote tag at the
 	 * end of the editor, that there is a new line after it.
@@ -2522,9 +3263,10 @@ export default function SCEditor(original, userOptions) {
 	 * Handles any mousedown press in the WYSIWYG editor
 	 * @private
 	 */
-	handleMouseDown = function () {
+	handleMouseDown = function (e) {
 		base.closeDropDown();
 		lastRange = null;
+		clickedNode = e.target;
 	};
 
 	/**
@@ -2593,6 +3335,10 @@ export default function SCEditor(original, userOptions) {
 	 * * contextmenu
 	 * * selectionchanged
 	 * * valuechanged
+	 * * limitreached - When input is blocked by the stats plugins
+	 * 		maxLength option
+	 * * operationconflict - When the collab plugin can't apply
+	 * 		operations from another editor
 	 *
 	 *
 	 * The events param should be a string containing the event(s)
@@ -2909,15 +3655,102 @@ export default function SCEditor(original, userOptions) {
 	 */
 	emoticonsKeyPress = function (e) {
 		var	replacedEmoticon,
-			cachePos       = 0,
-			emoticonsCache = base.emoticonsCache,
-			curChar        = String.fromCharCode(e.which);
+			curChar = String.fromCharCode(e.which);
 
 		// TODO: Make configurable
 		if (dom.closest(currentBlockNode, 'code')) {
 			return;
 		}
 
+		replacedEmoticon = rangeHelper.replaceKeyword(
+			getEmoticonsCache(),
+			true,
+			true,
+			base.longestEmoticonCode,
+			options.emoticonsCompat,
+			curChar
+		);
+
+		if (replacedEmoticon) {
+			if (!options.emoticonsCompat || !/^\s$/.test(curChar)) {
+				e.preventDefault();
+			}
+		}
+	};
+
+	/**
+	 * Converts Markdown style text before the caret into formatting
+	 * using the rules in the autoformat option
+	 *
+	 * @param {KeyboardEvent} e
+	 * @private
+	 */
+	autoformatKeyPress = function (e) {
+		var	lineRange, isLineStart,
+			range   = rangeHelper.cloneSelected(),
+			block   = rangeHelper.getFirstBlockParent(),
+			curChar = String.fromCharCode(e.which);
+
+		if (e.defaultPrevented || e.ctrlKey || e.metaKey ||
+			!range || !range.collapsed || dom.closest(block, 'code')) {
+			return;
+		}
+
+		// Block rules must match all the text from the start of the line
+		lineRange = wysiwygDocument.createRange();
+		lineRange.setStart(block, 0);
+		lineRange.setEnd(range.startContainer, range.startOffset);
+
+		isLineStart = !dom.closest(block, 'li') && lineRange.toString() ===
+			rangeHelper.getOuterText(true, MAX_AUTOFORMAT_LENGTH);
+
+		options.autoformat.split(',').some(function (name) {
+			var	match,
+				rule = autoformat.get(name.trim());
+
+			// Skip rules the format can't represent, e.g. BBCode headings
+			if (!rule || (rule.block && !isLineStart) ||
+				(rule.tags && 'supportsTag' in format &&
+					!rule.tags.every(format.supportsTag))) {
+				return false;
+			}
+
+			match = rangeHelper.replacePattern(
+				rule.pattern,
+				rule.html && function (match) {
+					// The zero width space is so the caret is placed after
+					// any formatting instead of inside it. It's removed
+					// when converting to the format.
+					return (utils.isFunction(rule.html) ?
+						rule.html(match) : rule.html) + '\u200B';
+				},
+				MAX_AUTOFORMAT_LENGTH,
+				curChar
+			);
+
+			if (match) {
+				e.preventDefault();
+
+				if (rule.exec) {
+					rule.exec(base, match);
+				}
+			}
+
+			return !!match;
+		});
+	};
+
+	/**
+	 * Gets the [code, html] pairs of all the emoticons sorted
+	 * shortest code first
+	 *
+	 * @return {Array<Array<string>>}
+	 * @private
+	 */
+	getEmoticonsCache = function () {
+		var	cachePos       = 0,
+			emoticonsCache = base.emoticonsCache;
+
 		if (!emoticonsCache) {
 			emoticonsCache = [];
 
@@ -2930,24 +3763,11 @@ export default function SCEditor(original, userOptions) {
 			});
 
 			base.emoticonsCache = emoticonsCache;
-			base.longestEmoticonCode =
-				emoticonsCache[emoticonsCache.length - 1][0].length;
+			base.longestEmoticonCode = emoticonsCache.length ?
+				emoticonsCache[emoticonsCache.length - 1][0].length : 0;
 		}
 
-		replacedEmoticon = rangeHelper.replaceKeyword(
-			base.emoticonsCache,
-			true,
-			true,
-			base.longestEmoticonCode,
-			options.emoticonsCompat,
-			curChar
-		);
-
-		if (replacedEmoticon) {
-			if (!options.emoticonsCompat || !/^\s$/.test(curChar)) {
-				e.preventDefault();
-			}
-		}
+		return emoticonsCache;
 	};
 
 	/**
@@ -2958,6 +3778,20 @@ export default function SCEditor(original, userOptions) {
 		emoticons.checkWhitespace(currentBlockNode, rangeHelper);
 	};
 
+	/**
+	 * Gets the [code, html] pairs of all the emoticons, including any
+	 * emoji, sorted shortest code first.
+	 *
+	 * @return {Array<Array<string>>}
+	 * @function
+	 * @name getEmoticons
+	 * @memberOf SCEditor.prototype
+	 * @since 3.0.0
+	 */
+	base.getEmoticons = function () {
+		return getEmoticonsCache().slice(0);
+	};
+
 	/**
 	 * Gets if emoticons are currently enabled
 	 * @return {boolean}
@@ -3378,6 +4212,21 @@ export default function SCEditor(original, userOptions) {
 		}
 	};
 
+	/**
+	 * Triggers the valuechanged event if the value has changed.
+	 *
+	 * Commands which change the WYSIWYG content directly, rather than
+	 * with execCommand() or the insert methods, should call this after.
+	 *
+	 * @function
+	 * @name triggerValueChanged
+	 * @memberOf SCEditor.prototype
+	 * @since 3.0.0
+	 */
+	base.triggerValueChanged = function () {
+		triggerValueChanged();
+	};
+
 	/**
 	 * Should be called whenever there is a blur event
 	 * @private
@@ -3538,3 +4387,8 @@ SCEditor.command =
 		return this;
 	}
 };
+
+// Add a command for every block widget
+blocks.watch(function (name, block) {
+	SCEditor.command.set(name, blocks.command(block));
+});
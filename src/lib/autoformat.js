@@ -0,0 +1,134 @@
+import * as escape from './escape.js';
+import * as utils from './utils.js';
+
+
+/**
+ * Registered rules keyed by name
+ *
+ * @type {Object<string, Object>}
+ * @private
+ */
+var registry = {};
+
+/**
+ * Creates the HTML function for a rule which wraps the text
+ * matched by the second group in a tag
+ *
+ * @param {string} tag
+ * @return {function(Array<string>): string}
+ * @private
+ */
+function wrap(tag) {
+	return function (match) {
+		return escape.entities(match[1]) + '<' + tag + '>' +
+			escape.entities(match[2]) + '</' + tag + '>';
+	};
+}
+
+/**
+ * Registers a rule which converts Markdown style text into formatting
+ * as it's typed.
+ *
+ * Rules are matched against the text before the caret followed by the
+ * character being typed. The matched text is replaced with the rules
+ * HTML, if any, and then exec is called:
+ *
+ *     sceditor.autoformat.register('strike', {
+ *         pattern: /(^|\s)~~([^~]+)~~$/,
+ *         html: function (match) {
+ *             return match[1] + '<s>' +
+ *                 sceditor.escapeEntities(match[2]) + '</s>';
+ *         }
+ *     });
+ *
+ * Rules are enabled with the autoformat option.
+ *
+ * @param {string} name
+ * @param {Object} rule
+ * @param {RegExp} rule.pattern Should end with $ so it only matches
+ *        text which ends with the typed character
+ * @param {string|function(Array<string>): string} [rule.html] HTML to
+ *        replace the matched text with or a function which is passed
+ *        the match and returns it. Any HTML in the match must be
+ *        escaped. Without it the matched text is removed.
+ * @param {boolean} [rule.block] If the pattern must match all the text
+ *        from the start of the line, e.g. for headings. Block rules
+ *        aren't applied inside lists.
+ * @param {Array<string>} [rule.tags] The tags the rule creates. The
+ *        rule is skipped if the editors format can't represent them.
+ * @param {function(SCEditor, Array<string>)} [rule.exec] Called after
+ *        the matched text has been replaced
+ * @since 3.0.0
+ */
+export function register(name, rule) {
+	registry[name] = utils.extend({}, rule, { name: name });
+}
+
+/**
+ * Gets a registered rule
+ *
+ * @param {string} name
+ * @return {?Object}
+ * @since 3.0.0
+ */
+export function get(name) {
+	return registry[name] || null;
+}
+
+
+register('bold', {
+	pattern: /(^|[^*])\*\*([^*\s](?:[^*]*[^*\s])?)\*\*$/,
+	html: wrap('strong'),
+	tags: ['strong']
+});
+
+register('italic', {
+	pattern: /(^|[^\w])_([^_\s](?:[^_]*[^_\s])?)_$/,
+	html: wrap('em'),
+	tags: ['em']
+});
+
+register('heading', {
+	pattern: /^(#{1,6}) $/,
+	block: true,
+	tags: ['h1', 'h2', 'h3', 'h4', 'h5', 'h6'],
+	exec: function (editor, match) {
+		editor.execCommand('formatblock', '<h' + match[1].length + '>');
+	}
+});
+
+register('bulletlist', {
+	pattern: /^[-*+] $/,
+	block: true,
+	tags: ['ul', 'li'],
+	exec: function (editor) {
+		editor.commands.bulletlist.exec.call(editor);
+	}
+});
+
+register('orderedlist', {
+	pattern: /^1[.)] $/,
+	block: true,
+	tags: ['ol', 'li'],
+	exec: function (editor) {
+		editor.commands.orderedlist.exec.call(editor);
+	}
+});
+
+register('quote', {
+	pattern: /^> $/,
+	block: true,
+	tags: ['blockquote'],
+	exec: function (editor) {
+		editor.wysiwygEditorInsertHtml('<blockquote>', '<br /></blockquote>');
+	}
+});
+
+register('code', {
+	pattern: /^```$/,
+	block: true,
+	tags: ['code'],
+	exec: function (editor) {
+		editor.wysiwygEditorInsertHtml('<code>', '<br /></code>');
+	}
+});
@@ -0,0 +1,398 @@
+import * as dom from './dom.js';
+import * as escape from './escape.js';
+import * as utils from './utils.js';
+import _tmpl from './templates.js';
+
+
+/**
+ * Attribute that marks the root element of a block with its name
+ *
+ * @type {string}
+ * @private
+ */
+var BLOCK_ATTR = 'data-sceditor-block';
+
+/**
+ * Attribute that marks the element containing the blocks content
+ * if it isn't the root element
+ *
+ * @type {string}
+ * @private
+ */
+var CONTENT_ATTR = 'data-sceditor-block-content';
+
+/**
+ * Placeholder used to split a rendered block around its content
+ *
+ * @type {string}
+ * @private
+ */
+var CONTENT_MARKER = '\uFDD0';
+
+/**
+ * Registered blocks keyed by name
+ *
+ * @type {Object<string, Object>}
+ * @private
+ */
+var registry = {};
+
+/**
+ * Functions to call with each block when it is registered
+ *
+ * @type {Array<function(string, Object)>}
+ * @private
+ */
+var watchers = [];
+
+/**
+ * Registers a block widget.
+ *
+ * A block is described by its attributes and a HTML template,
+ * from which the BBCode handler, XHTML converter and command are
+ * generated:
+ *
+ *     sceditor.blocks.register('hide', {
+ *         tooltip: 'Hide from guests',
+ *         attrs: {
+ *             posts: {
+ *                 label: 'Minimum posts:',
+ *                 pattern: /^\d+$/
+ *             }
+ *         },
+ *         html: '<div class="hide">{0}</div>'
+ *     });
+ *
+ * The template must have a single root element. {0} is replaced
+ * with the content and {name} with the attribute called name.
+ * If the content isn't directly inside the root element it must be
+ * in a child of it with the data-sceditor-block-content attribute.
+ *
+ * Attributes are stored as data attributes on the root element.
+ * If an attribute has a selector, the text of the child of the root
+ * element matching it is used instead so it can be edited in place.
+ *
+ * @param {string} name
+ * @param {Object} block
+ * @param {string} [block.tag] BBCode tag, defaults to the name
+ * @param {string} [block.tooltip]
+ * @param {Object<string, Object>} [block.attrs] Attributes schema, each
+ *        can have a label to show it in the command's form, a pattern
+ *        the value must match, a selector and defaultAttr if it is the
+ *        BBCode default attribute, e.g. [tag=value]
+ * @param {string} block.html
+ * @return {Object} The registered block
+ * @since 3.0.0
+ */
+export function register(name, block) {
+	block = utils.extend({
+		tag: name,
+		tooltip: name,
+		attrs: {}
+	}, block, {
+		name: name
+	});
+
+	registry[name] = block;
+
+	watchers.forEach(function (fn) {
+		fn(name, block);
+	});
+
+	return block;
+}
+
+/**
+ * Gets a registered block
+ *
+ * @param {string} name
+ * @return {?Object}
+ * @since 3.0.0
+ */
+export function get(name) {
+	return registry[name] || null;
+}
+
+/**
+ * Calls fn with every registered block and any registered after.
+ *
+ * Used by the formats to generate their handlers.
+ *
+ * @param {function(string, Object)} fn
+ * @since 3.0.0
+ */
+export function watch(fn) {
+	utils.each(registry, fn);
+	watchers.push(fn);
+}
+
+/**
+ * Removes any attributes not in the blocks schema or which don't
+ * match their pattern.
+ *
+ * @param {Object} block
+ * @param {Object} attrs
+ * @return {Object}
+ * @private
+ */
+function cleanAttrs(block, attrs) {
+	var result = {};
+
+	utils.each(block.attrs, function (name, attr) {
+		var value = String(attrs[name] || '').trim();
+
+		if (value && (!attr.pattern || attr.pattern.test(value))) {
+			result[name] = value;
+		}
+	});
+
+	return result;
+}
+
+/**
+ * Finds the child of the element matching the selector
+ *
+ * @param {HTMLElement} element
+ * @param {string} selector
+ * @return {?HTMLElement}
+ * @private
+ */
+function findChild(element, selector) {
+	var children = element.children;
+
+	for (var i = 0; i < children.length; i++) {
+		if (dom.is(children[i], selector)) {
+			return children[i];
+		}
+	}
+
+	return null;
+}
+
+/**
+ * Renders the blocks template.
+ *
+ * Attributes are escaped, the content isn't.
+ *
+ * @param {Object} block
+ * @param {Object} attrs
+ * @param {string} content
+ * @return {string}
+ * @since 3.0.0
+ */
+export function render(block, attrs, content) {
+	var stamp = ' ' + BLOCK_ATTR + '="' + block.name + '"';
+
+	attrs = cleanAttrs(block, attrs);
+
+	utils.each(attrs, function (name, value) {
+		stamp += ' data-' + name + '="' + escape.entities(value, true) + '"';
+	});
+
+	return block.html
+		.replace(/^\s*<[a-z][a-z0-9]*/i, function (tag) {
+			return tag + stamp;
+		})
+		.replace(/\{(\w+)\}/g, function (match, name) {
+			return name === '0' ? content :
+				escape.entities(attrs[name] || '', true);
+		});
+}
+
+/**
+ * Gets the tag name of the blocks root element
+ *
+ * @param {Object} block
+ * @return {string}
+ * @since 3.0.0
+ */
+export function rootTag(block) {
+	return /^\s*<([a-z][a-z0-9]*)/i.exec(block.html)[1].toLowerCase();
+}
+
+/**
+ * Gets the attributes of a rendered block
+ *
+ * @param {Object} block
+ * @param {HTMLElement} element
+ * @return {Object}
+ * @since 3.0.0
+ */
+export function readAttrs(block, element) {
+	var attrs = {};
+
+	utils.each(block.attrs, function (name, attr) {
+		var child = attr.selector && findChild(element, attr.selector);
+
+		attrs[name] = child ? child.textContent :
+			dom.attr(element, 'data-' + name);
+	});
+
+	return cleanAttrs(block, attrs);
+}
+
+/**
+ * Gets the element containing the content of a rendered block
+ *
+ * @param {HTMLElement} element
+ * @return {HTMLElement}
+ * @since 3.0.0
+ */
+export function contentElement(element) {
+	return findChild(element, '[' + CONTENT_ATTR + ']') || element;
+}
+
+/**
+ * Finds the closest rendered block called name containing the node
+ *
+ * @param {Node} node
+ * @param {string} name
+ * @return {?HTMLElement}
+ * @since 3.0.0
+ */
+export function closest(node, name) {
+	return dom.closest(node, '[' + BLOCK_ATTR + '="' + name + '"]');
+}
+
+/**
+ * Creates the editor command for a block.
+ *
+ * If the caret is inside the block the command edits its attributes,
+ * otherwise it inserts a new block around any selected content.
+ *
+ * @param {Object} block
+ * @return {Object}
+ * @since 3.0.0
+ */
+export function command(block) {
+	var fields = {};
+
+	utils.each(block.attrs, function (name, attr) {
+		if (attr.label) {
+			fields[name] = attr;
+		}
+	});
+
+	return {
+		_dropDown: function (editor, caller, values, cb) {
+			var content = dom.createElement('div');
+			var inputs  = {};
+
+			if (utils.isEmptyObject(fields)) {
+				return cb({});
+			}
+
+			utils.each(fields, function (name, attr) {
+				var id = block.name + '-' + name;
+
+				dom.appendChild(content, _tmpl('blockField', {
+					id: id,
+					label: escape.entities(editor._(attr.label))
+				}, true));
+
+				inputs[name] = dom.find(content, '#' + id)[0];
+				inputs[name].value = values[name] || '';
+			});
+
+			dom.appendChild(content, _tmpl('blockInsert', {
+				insert: editor._('Insert')
+			}, true));
+
+			function insert(e) {
+				var attrs = {};
+
+				utils.each(inputs, function (name, input) {
+					attrs[name] = input.value;
+				});
+
+				editor.closeDropDown(true);
+				cb(cleanAttrs(block, attrs));
+				e.preventDefault();
+			}
+
+			dom.on(content, 'click', '.button', insert);
+			dom.on(content, 'keypress', function (e) {
+				// 13 = enter key
+				if (e.which === 13) {
+					insert(e);
+				}
+			}, dom.EVENT_CAPTURE);
+
+			editor.createDropDown(caller, 'block-' + block.name, content);
+		},
+		exec: function (caller) {
+			var editor  = this;
+			var current = closest(
+				editor.getRangeHelper().parentNode(), block.name
+			);
+			var values  = current ? readAttrs(block, current) : {};
+
+			editor.commands[block.name]._dropDown(editor, caller, values,
+				function (attrs) {
+					var parts, html;
+
+					if (current) {
+						html = render(block, attrs,
+							contentElement(current).innerHTML);
+
+						current.parentNode.replaceChild(
+							dom.parseHTML(html, current.ownerDocument),
+							current
+						);
+						// Replacing the DOM directly doesn't trigger
+						// valuechanged
+						editor.triggerValueChanged();
+						return;
+					}
+
+					parts = render(block, attrs, CONTENT_MARKER)
+						.split(CONTENT_MARKER);
+
+					// Add a line to type in if there is no selection
+					if (!editor.getRangeHelper().selectedHtml()) {
+						parts[0] += '<br />';
+					}
+
+					editor.wysiwygEditorInsertHtml(parts[0], parts[1]);
+				});
+		},
+		state: function (parent) {
+			return closest(parent, block.name) ? 1 : 0;
+		},
+		tooltip: block.tooltip
+	};
+}
+
+
+register('spoiler', {
+	tooltip: 'Insert a spoiler',
+	attrs: {
+		title: {
+			label: 'Title (optional):',
+			pattern: /^[^\[\]\r\n]*$/,
+			selector: '.sceditor-spoiler-title',
+			defaultAttr: true
+		}
+	},
+	html: '<div class="sceditor-spoiler">' +
+			'<div class="sceditor-spoiler-title">{title}</div>' +
+			'<div class="sceditor-spoiler-content" ' + CONTENT_ATTR + '>' +
+				'{0}</div>' +
+		'</div>'
+});
+
+register('details', {
+	tooltip: 'Insert a collapsible section',
+	attrs: {
+		summary: {
+			label: 'Summary:',
+			pattern: /^[^\[\]\r\n]*$/,
+			selector: 'summary',
+			defaultAttr: true
+		}
+	},
+	html: '<details open>' +
+			'<summary>{summary}</summary>' +
+			'<div ' + CONTENT_ATTR + '>{0}</div>' +
+		'</details>'
+});
@@ -0,0 +1,480 @@
+import * as dom from './dom.js';
+import * as escape from './escape.js';
+import * as utils from './utils.js';
+
+
+/**
+ * Types of tokens which are highlighted
+ *
+ * @type {Array<string>}
+ */
+export var TOKEN_TYPES = ['comment', 'string', 'number', 'keyword'];
+
+/**
+ * Pattern language names must match
+ *
+ * @type {RegExp}
+ */
+export var LANGUAGE_NAME = /^[a-z0-9_+#\-]+$/i;
+
+/**
+ * Matches the language class of a code element
+ *
+ * @type {RegExp}
+ * @private
+ */
+var LANGUAGE_CLASS = /(?:^|\s)language-([a-z0-9_+#\-]+)(?=\s|$)/i;
+
+/**
+ * Number of spaces a tab is removed as when outdenting
+ *
+ * @type {number}
+ * @private
+ */
+var TAB_WIDTH = 4;
+
+/**
+ * Registered languages keyed by name
+ *
+ * @type {Object<string, Object>}
+ * @private
+ */
+var registry = {};
+
+/**
+ * Registers a language for code blocks.
+ *
+ * Highlighting is deliberately simple, only comments, strings,
+ * numbers and keywords are matched:
+ *
+ *     sceditor.code.register('lua', {
+ *         label: 'Lua',
+ *         keywords: 'and break do else elseif end false for function ' +
+ *             'if in local nil not or repeat return then true until while',
+ *         comments: [['--[[', ']]'], ['--']],
+ *         strings: '"\''
+ *     });
+ *
+ * @param {string} name Used in the language-{name} class and as the
+ *        BBCode attribute, e.g. [code=lua]
+ * @param {Object} language
+ * @param {string} [language.label] Name to show, defaults to the name
+ * @param {string} [language.keywords] Space separated keywords
+ * @param {boolean} [language.caseInsensitive] If the keywords are
+ *        case insensitive
+ * @param {Array<Array<string>>} [language.comments] Comment start and
+ *        end pairs, comments without an end continue to the end of
+ *        the line
+ * @param {string} [language.strings] Characters which start and end
+ *        strings, only ` strings can span multiple lines
+ * @since 3.0.0
+ */
+export function register(name, language) {
+	var	keywords = {},
+		comments = [],
+		strings  = [];
+
+	name = name.toLowerCase();
+
+	utils.each((language.keywords || '').split(/\s+/), function (_, word) {
+		if (word) {
+			keywords[language.caseInsensitive ? word.toLowerCase() : word] = 1;
+		}
+	});
+
+	utils.each(language.comments || [], function (_, comment) {
+		comments.push(escape.regex(comment[0]) + (comment[1] ?
+			'[\\s\\S]*?(?:' + escape.regex(comment[1]) + '|$)' :
+			'[^\\n]*'));
+	});
+
+	utils.each((language.strings || '').split(''), function (_, quote) {
+		strings.push(quote + '(?:\\\\[\\s\\S]|[^\\\\' + quote +
+			(quote === '`' ? '' : '\\n') + '])*' + quote + '?');
+	});
+
+	registry[name] = utils.extend({ label: name }, language, {
+		name: name,
+		_keywords: keywords,
+		// Groups are comments, strings, numbers then words. (?!) never
+		// matches so is used when a language has no comments or strings
+		_regex: new RegExp(
+			'(' + (comments.join('|') || '(?!)') + ')|' +
+			'(' + (strings.join('|') || '(?!)') + ')|' +
+			'(\\b(?:0x[\\da-f]+|\\d+(?:\\.\\d+)?(?:e[+\\-]?\\d+)?)\\b)|' +
+			'([a-z_$][\\w$]*)',
+			'gi'
+		)
+	});
+}
+
+/**
+ * Gets a registered language
+ *
+ * @param {string} name
+ * @return {?Object}
+ * @since 3.0.0
+ */
+export function get(name) {
+	return registry[(name || '').toLowerCase()] || null;
+}
+
+/**
+ * Gets the language of a code element from its language-* class
+ *
+ * @param {HTMLElement} element
+ * @return {string} The language name or an empty string if none
+ * @since 3.0.0
+ */
+export function getLanguage(element) {
+	var match = LANGUAGE_CLASS.exec(dom.attr(element, 'class') || '');
+
+	return match ? match[1].toLowerCase() : '';
+}
+
+/**
+ * Sets the language class of a code element
+ *
+ * @param {HTMLElement} element
+ * @param {string} name Empty to remove the language
+ * @since 3.0.0
+ */
+export function setLanguage(element, name) {
+	var className = (dom.attr(element, 'class') || '')
+		.replace(/(^|\s)language-\S*/gi, '')
+		.trim();
+
+	if (name && LANGUAGE_NAME.test(name)) {
+		className += (className ? ' ' : '') + 'language-' + name.toLowerCase();
+	}
+
+	if (className) {
+		dom.attr(element, 'class', className);
+	} else {
+		dom.removeAttr(element, 'class');
+	}
+}
+
+/**
+ * Splits code into comment, string, number and keyword tokens
+ *
+ * @param {string} text
+ * @param {string} name Language name
+ * @return {Array<{type: string, start: number, end: number}>}
+ * @since 3.0.0
+ */
+export function tokenize(text, name) {
+	var match, type;
+	var language = get(name);
+	var tokens = [];
+
+	if (!language) {
+		return tokens;
+	}
+
+	language._regex.lastIndex = 0;
+
+	while ((match = language._regex.exec(text))) {
+		type = match[1] ? 'comment' : match[2] ? 'string' :
+			match[3] ? 'number' : null;
+
+		if (!type && language._keywords.hasOwnProperty(
+			language.caseInsensitive ? match[4].toLowerCase() : match[4])) {
+			type = 'keyword';
+		}
+
+		if (type) {
+			tokens.push({
+				type: type,
+				start: match.index,
+				end: match.index + match[0].length
+			});
+		}
+	}
+
+	return tokens;
+}
+
+/**
+ * Splits the content of a code element into lines.
+ *
+ * Lines are separated by <br> elements or new line characters. Each
+ * line has the points it starts and ends at and the parts of text
+ * nodes it contains. Anything with the sceditor-ignore class, like
+ * the selection markers, is skipped.
+ *
+ * @param {HTMLElement} element
+ * @return {Array<Object>}
+ * @private
+ */
+function getLines(element) {
+	var line = {
+		start: { node: element, offset: 0 },
+		parts: []
+	};
+	var lines = [line];
+
+	var newLine = function (end, start) {
+		line.end = end;
+		line = {
+			start: start,
+			parts: []
+		};
+		lines.push(line);
+	};
+
+	var walk = function (parent) {
+		var child, data, index, from, i;
+
+		for (child = parent.firstChild; child; child = child.nextSibling) {
+			if (dom.hasClass(child, 'sceditor-ignore')) {
+				continue;
+			}
+
+			index = Array.prototype.indexOf.call(parent.childNodes, child);
+
+			if (dom.is(child, 'br')) {
+				newLine(
+					{ node: parent, offset: index },
+					{ node: parent, offset: index + 1 }
+				);
+			} else if (child.nodeType === dom.TEXT_NODE) {
+				data = child.nodeValue;
+				from = 0;
+
+				while ((i = data.indexOf('\n', from)) > -1) {
+					line.parts.push({ node: child, start: from, end: i });
+					newLine(
+						{ node: child, offset: i },
+						{ node: child, offset: i + 1 }
+					);
+					from = i + 1;
+				}
+
+				line.parts.push({ node: child, start: from, end: data.length });
+			} else {
+				walk(child);
+			}
+		}
+	};
+
+	walk(element);
+	line.end = { node: element, offset: element.childNodes.length };
+
+	utils.each(lines, function (_, line) {
+		line.text = line.parts.map(function (part) {
+			return part.node.nodeValue.substring(part.start, part.end);
+		}).join('');
+	});
+
+	return lines;
+}
+
+/**
+ * Gets the lines of a code element which the range is in
+ *
+ * @param {HTMLElement} element
+ * @param {Range} range
+ * @return {Array<Object>}
+ * @private
+ */
+function selectedLines(element, range) {
+	return getLines(element).filter(function (line) {
+		return range.comparePoint(line.start.node, line.start.offset) < 1 &&
+			range.comparePoint(line.end.node, line.end.offset) > -1;
+	});
+}
+
+/**
+ * Gets the ranges of the tokens in a code element.
+ *
+ * The element isn't modified so the ranges can be highlighted
+ * without affecting the editors value.
+ *
+ * @param {HTMLElement} element
+ * @return {Array<{type: string, range: Range}>}
+ * @since 3.0.0
+ */
+export function tokenRanges(element) {
+	var text;
+	var parts = [];
+	var ranges = [];
+	var offset = 0;
+	var lines = getLines(element);
+
+	var point = function (position, isEnd) {
+		var part;
+
+		for (var i = 0; i < parts.length; i++) {
+			part = parts[i];
+
+			if (isEnd ? position > part.offset &&
+				position <= part.offset + part.length :
+				position >= part.offset &&
+				position < part.offset + part.length) {
+				return {
+					node: part.node,
+					offset: part.start + position - part.offset
+				};
+			}
+		}
+	};
+
+	text = lines.map(function (line) {
+		utils.each(line.parts, function (_, part) {
+			parts.push({
+				node: part.node,
+				start: part.start,
+				offset: offset,
+				length: part.end - part.start
+			});
+
+			offset += part.end - part.start;
+		});
+
+		// New line between lines
+		offset++;
+
+		return line.text;
+	}).join('\n');
+
+	utils.each(tokenize(text, getLanguage(element)), function (_, token) {
+		var range = element.ownerDocument.createRange();
+		var start = point(token.start);
+		var end   = point(token.end, true);
+
+		if (start && end) {
+			range.setStart(start.node, start.offset);
+			range.setEnd(end.node, end.offset);
+
+			ranges.push({
+				type: token.type,
+				range: range
+			});
+		}
+	});
+
+	return ranges;
+}
+
+/**
+ * Gets the whitespace at the start of the line the range starts on
+ *
+ * @param {HTMLElement} element
+ * @param {Range} range
+ * @return {string}
+ * @since 3.0.0
+ */
+export function lineIndent(element, range) {
+	var line = selectedLines(element, range)[0];
+
+	return line ? /^[ \t]*/.exec(line.text)[0] : '';
+}
+
+/**
+ * Adds the indent to the start of every line the range is in
+ *
+ * @param {HTMLElement} element
+ * @param {Range} range
+ * @param {string} indent
+ * @since 3.0.0
+ */
+export function indent(element, range, indent) {
+	var doc = element.ownerDocument;
+
+	// In reverse so inserting doesn't change the offsets of the lines
+	// still to be indented
+	utils.each(selectedLines(element, range).reverse(), function (_, line) {
+		var insertAt = doc.createRange();
+
+		insertAt.setStart(line.start.node, line.start.offset);
+		insertAt.insertNode(doc.createTextNode(indent));
+	});
+
+	element.normalize();
+}
+
+/**
+ * Removes one level of indent from the start of every line the
+ * range is in
+ *
+ * @param {HTMLElement} element
+ * @param {Range} range
+ * @param {string} indent
+ * @since 3.0.0
+ */
+export function outdent(element, range, indent) {
+	utils.each(selectedLines(element, range).reverse(), function (_, line) {
+		var	part    = line.parts[0],
+			leading = /^[ \t]*/.exec(line.text)[0],
+			remove  = leading.indexOf(indent) === 0 ? indent.length :
+				leading.charAt(0) === '\t' ? 1 :
+					Math.min(/^ */.exec(leading)[0].length, TAB_WIDTH);
+
+		// Only remove whitespace that is in the first text node
+		remove = part ? Math.min(remove, part.end - part.start) : 0;
+
+		if (remove) {
+			part.node.deleteData(part.start, remove);
+		}
+	});
+}
+
+
+register('javascript', {
+	label: 'JavaScript',
+	keywords: 'async await break case catch class const continue ' +
+		'debugger default delete do else export extends false finally ' +
+		'for function if import in instanceof let new null return super ' +
+		'switch this throw true try typeof undefined var void while ' +
+		'with yield',
+	comments: [['//'], ['/*', '*/']],
+	strings: '"\'`'
+});
+
+register('css', {
+	label: 'CSS',
+	comments: [['/*', '*/']],
+	strings: '"\''
+});
+
+register('html', {
+	label: 'HTML',
+	comments: [['<!--', '-->']],
+	strings: '"\''
+});
+
+register('php', {
+	label: 'PHP',
+	keywords: 'abstract and array as break case catch class clone const ' +
+		'continue declare default do echo else elseif empty extends ' +
+		'false final finally fn for foreach function global if ' +
+		'implements include instanceof interface isset list namespace ' +
+		'new null or private protected public require return static ' +
+		'switch throw trait true try unset use var while yield',
+	caseInsensitive: true,
+	comments: [['//'], ['#'], ['/*', '*/']],
+	strings: '"\''
+});
+
+register('python', {
+	label: 'Python',
+	keywords: 'and as assert async await break class continue def del ' +
+		'elif else except False finally for from global if import in is ' +
+		'lambda None nonlocal not or pass raise return True try while ' +
+		'with yield',
+	comments: [['#']],
+	strings: '"\''
+});
+
+register('sql', {
+	label: 'SQL',
+	keywords: 'add all alter and as asc between by create default delete ' +
+		'desc distinct drop from group having in index inner insert into ' +
+		'is join key left like limit not null offset on or order outer ' +
+		'primary references right select set table union update values ' +
+		'view where',
+	caseInsensitive: true,
+	comments: [['--'], ['/*', '*/']],
+	strings: '\'"'
+});
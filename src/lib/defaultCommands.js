@@ -2,11 +2,12 @@ import * as dom from './dom.js';
 import * as utils from './utils.js';
 import { ie as IE_VER } from './browser.js';
 import _tmpl from './templates.js';
-
-const createDOMPurify = require('dompurify');
-const { JSDOM } = require('jsdom');
-const window = new JSDOM('').window;
-const DOMPurify = createDOMPurify(window);
+import * as tables from './tables.js';
+import * as findUtils from './find.js';
+import * as escape from './escape.js';
+import * as emoticons from './emoticons.js';
+import * as code from './code.js';
+import * as media from './media.js';
 
 // In IE < 11 a BR at the end of a block level element
 // causes a line break. In all other browsers it's collapsed.
@@ -51,6 +52,205 @@ function fixFirefoxListBug(editor) {
 	}
 }
 
+/**
+ * Gets the table cell the caret is in
+ *
+ * @param {SCEditor} editor
+ * @return {?HTMLTableCellElement}
+ */
+function currentCell(editor) {
+	return tables.getCell(editor.getRangeHelper().parentNode());
+}
+
+/**
+ * Places the caret at the start of the cell
+ *
+ * @param {SCEditor} editor
+ * @param {HTMLTableCellElement} cell
+ */
+function selectCell(editor, cell) {
+	var range;
+
+	if (cell && cell.parentNode) {
+		range = editor.getBody().ownerDocument.createRange();
+		range.selectNodeContents(cell);
+		range.collapse(true);
+		editor.getRangeHelper().selectRange(range);
+	}
+}
+
+/**
+ * Replaces the node with its children
+ *
+ * @param {HTMLElement} node
+ */
+function unwrap(node) {
+	while (node.firstChild) {
+		dom.insertBefore(node.firstChild, node);
+	}
+
+	dom.remove(node);
+}
+
+/**
+ * State handler for commands which are only enabled inside tables
+ *
+ * @param {Node} parent
+ * @return {number}
+ */
+function tableCellState(parent) {
+	return tables.getCell(parent) ? 0 : -1;
+}
+
+/**
+ * Gets the cite of a quote which is its author
+ *
+ * @param {HTMLElement} quote
+ * @return {?HTMLElement}
+ */
+function quoteCite(quote) {
+	var first = quote.firstElementChild;
+
+	return dom.is(first, 'cite') ? first : null;
+}
+
+/**
+ * Converts a timestamp in seconds into a datetime-local input value
+ *
+ * @param {string} time
+ * @return {string}
+ */
+function toDateInput(time) {
+	var date = new Date(time * 1000);
+	var pad  = function (num) {
+		return (num < 10 ? '0' : '') + num;
+	};
+
+	if (!time) {
+		return '';
+	}
+
+	return date.getFullYear() + '-' + pad(date.getMonth() + 1) + '-' +
+		pad(date.getDate()) + 'T' + pad(date.getHours()) + ':' +
+		pad(date.getMinutes());
+}
+
+/**
+ * Converts a datetime-local input value into a timestamp in seconds
+ *
+ * @param {string} value
+ * @return {string} Empty if the value isn't a valid date
+ */
+function fromDateInput(value) {
+	var time = new Date(value).getTime();
+
+	return value && !isNaN(time) ? String(Math.floor(time / 1000)) : '';
+}
+
+/**
+ * Sets the author, post ID and time of a quote
+ *
+ * @param {HTMLElement} quote
+ * @param {{author: string, postId: string, time: string}} values
+ */
+function setQuoteValues(quote, values) {
+	var cite = quoteCite(quote);
+
+	dom.removeAttr(quote, 'data-author');
+
+	utils.each({ postId: 'data-post-id', time: 'data-time' },
+		function (key, name) {
+			if (values[key]) {
+				dom.attr(quote, name, values[key]);
+			} else {
+				dom.removeAttr(quote, name);
+			}
+		});
+
+	if (!values.author) {
+		if (cite) {
+			dom.remove(cite);
+		}
+
+		return;
+	}
+
+	if (!cite) {
+		cite = dom.createElement('cite', {}, quote.ownerDocument);
+		quote.insertBefore(cite, quote.firstChild);
+	}
+
+	cite.textContent = values.author;
+}
+
+/**
+ * Gets the author, post ID and time of a quote
+ *
+ * @param {HTMLElement} quote
+ * @return {{author: string, postId: string, time: string}}
+ */
+function getQuoteValues(quote) {
+	var cite = quoteCite(quote);
+
+	return {
+		author: cite ? cite.textContent : dom.attr(quote, 'data-author'),
+		postId: dom.attr(quote, 'data-post-id'),
+		time: dom.attr(quote, 'data-time')
+	};
+}
+
+/**
+ * Creates the form to set the author, post ID and time of a quote
+ *
+ * The form ID is used to prefix the input IDs so the form can be in
+ * the document more than once.
+ *
+ * @param {SCEditor} editor
+ * @param {{id: string, button: string, values: Object}} form
+ * @param {function(Object)} cb
+ * @return {HTMLElement}
+ */
+function quoteForm(editor, form, cb) {
+	var	content = dom.createElement('div');
+	var values  = form.values;
+	var find    = function (name) {
+		return dom.find(content, '#' + form.id + name)[0];
+	};
+
+	dom.appendChild(content, _tmpl('quote', {
+		id: form.id,
+		author: editor._('Author (optional):'),
+		post: editor._('Post ID (optional):'),
+		time: editor._('Date (optional):'),
+		button: editor._(form.button)
+	}, true));
+
+	find('author').value = values.author || '';
+	find('post').value   = values.postId || '';
+	find('time').value   = toDateInput(values.time);
+
+	function submit(e) {
+		var postId = find('post').value.trim();
+
+		cb({
+			author: find('author').value.trim(),
+			postId: /^\d+$/.test(postId) ? postId : '',
+			time: fromDateInput(find('time').value)
+		});
+		e.preventDefault();
+	}
+
+	dom.on(content, 'click', '.button', submit);
+	dom.on(content, 'keypress', function (e) {
+		// 13 = enter key
+		if (e.which === 13) {
+			submit(e);
+		}
+	}, dom.EVENT_CAPTURE);
+
+	return content;
+}
+
 
 /**
  * Map of all the commands for SCEditor
@@ -425,7 +625,7 @@ var defaultCmds = {
 
 					html += '</table>';
 
-					editor.wysiwygEditorInsertHtml(DOMPurify.sanitize(html));
+					editor.wysiwygEditorInsertHtml(html);
 					editor.closeDropDown(true);
 					e.preventDefault();
 				}
@@ -437,6 +637,157 @@ var defaultCmds = {
 	},
 	// END_COMMAND
 
+	// START_COMMAND: Table editing
+	// These change the DOM directly which doesn't trigger valuechanged
+	tableinsertrowabove: {
+		state: tableCellState,
+		exec: function () {
+			var cell = currentCell(this);
+
+			if (cell) {
+				tables.insertRow(cell);
+				this.triggerValueChanged();
+			}
+		},
+		tooltip: 'Insert row above'
+	},
+	tableinsertrowbelow: {
+		state: tableCellState,
+		exec: function () {
+			var cell = currentCell(this);
+
+			if (cell) {
+				tables.insertRow(cell, true);
+				this.triggerValueChanged();
+			}
+		},
+		tooltip: 'Insert row below'
+	},
+	tabledeleterow: {
+		state: tableCellState,
+		exec: function () {
+			var	row, next,
+				cell = currentCell(this);
+
+			if (cell) {
+				row  = cell.parentNode;
+				next = row.nextElementSibling || row.previousElementSibling;
+
+				tables.deleteRow(cell);
+				selectCell(this, next && next.cells[0]);
+				this.triggerValueChanged();
+			}
+		},
+		tooltip: 'Delete row'
+	},
+	tableinsertcolumnleft: {
+		state: tableCellState,
+		exec: function () {
+			var cell = currentCell(this);
+
+			if (cell) {
+				tables.insertColumn(cell);
+				this.triggerValueChanged();
+			}
+		},
+		tooltip: 'Insert column left'
+	},
+	tableinsertcolumnright: {
+		state: tableCellState,
+		exec: function () {
+			var cell = currentCell(this);
+
+			if (cell) {
+				tables.insertColumn(cell, true);
+				this.triggerValueChanged();
+			}
+		},
+		tooltip: 'Insert column right'
+	},
+	tabledeletecolumn: {
+		state: tableCellState,
+		exec: function () {
+			var	next,
+				cell = currentCell(this);
+
+			if (cell) {
+				next = cell.nextElementSibling || cell.previousElementSibling;
+
+				tables.deleteColumn(cell);
+				selectCell(this, next);
+				this.triggerValueChanged();
+			}
+		},
+		tooltip: 'Delete column'
+	},
+	tablemergecells: {
+		state: tableCellState,
+		exec: function () {
+			var	range = this.getRangeHelper().selectedRange(),
+				start = range && tables.getCell(range.startContainer),
+				end   = range && tables.getCell(range.endContainer);
+
+			if (start && tables.mergeCells(start, end)) {
+				selectCell(this, start);
+				this.triggerValueChanged();
+			}
+		},
+		tooltip: 'Merge cells'
+	},
+	tablesplitcell: {
+		state: function (parent) {
+			var cell = tables.getCell(parent);
+
+			if (!cell) {
+				return -1;
+			}
+
+			return cell.colSpan > 1 || cell.rowSpan > 1 ? 0 : -1;
+		},
+		exec: function () {
+			var cell = currentCell(this);
+
+			if (cell) {
+				tables.splitCell(cell);
+				this.triggerValueChanged();
+			}
+		},
+		tooltip: 'Split cell'
+	},
+	tableheader: {
+		state: function (parent) {
+			var cell = tables.getCell(parent);
+
+			if (!cell) {
+				return -1;
+			}
+
+			return tables.isHeader(cell) ? 1 : 0;
+		},
+		exec: function () {
+			var cell = currentCell(this);
+
+			if (cell) {
+				tables.toggleHeader(cell);
+				this.triggerValueChanged();
+			}
+		},
+		tooltip: 'Toggle header row'
+	},
+	tabledelete: {
+		state: tableCellState,
+		exec: function () {
+			var cell = currentCell(this);
+
+			if (cell) {
+				dom.remove(dom.closest(cell, 'table'));
+				this.triggerValueChanged();
+			}
+		},
+		tooltip: 'Delete table'
+	},
+	// END_COMMAND
+
 	// START_COMMAND: Horizontal Rule
 	horizontalrule: {
 		exec: 'inserthorizontalrule',
@@ -446,11 +797,62 @@ var defaultCmds = {
 
 	// START_COMMAND: Code
 	code: {
-		exec: function () {
-			this.wysiwygEditorInsertHtml(
-				'<code>',
-				(IE_BR_FIX ? '' : '<br />') + '</code>'
-			);
+		_dropDown: function (editor, caller, callback) {
+			var	content = dom.createElement('div');
+
+			dom.on(content, 'click', 'a', function (e) {
+				callback(dom.data(this, 'language'));
+				editor.closeDropDown(true);
+				e.preventDefault();
+			});
+
+			dom.appendChild(content, _tmpl('codeOpt', {
+				language: '',
+				label: editor._('Plain text')
+			}, true));
+
+			editor.opts.codeLanguages.split(',').forEach(function (name) {
+				var language = code.get(name.trim());
+
+				if (language) {
+					dom.appendChild(content, _tmpl('codeOpt', {
+						language: language.name,
+						label: escape.entities(language.label)
+					}, true));
+				}
+			});
+
+			editor.createDropDown(caller, 'code-picker', content);
+		},
+		exec: function (caller) {
+			var	editor  = this,
+				current = dom.closest(
+					editor.getRangeHelper().parentNode(), 'code'
+				);
+
+			function insert(language) {
+				var attr = ' class="language-' +
+					escape.entities(language, true) + '"';
+
+				editor.wysiwygEditorInsertHtml(
+					'<code' + (language ? attr : '') + '>',
+					(IE_BR_FIX ? '' : '<br />') + '</code>'
+				);
+			}
+
+			if (!editor.opts.codeLanguages) {
+				return insert('');
+			}
+
+			defaultCmds.code._dropDown(editor, caller, function (language) {
+				// Change the language of existing code instead of nesting
+				if (current) {
+					code.setLanguage(current, language);
+					editor.focus();
+				} else {
+					insert(language);
+				}
+			});
 		},
 		tooltip: 'Code'
 	},
@@ -499,19 +901,81 @@ var defaultCmds = {
 					var attrs  = '';
 
 					if (width) {
-						attrs += ' width="' + width + '"';
+						attrs += ' width="' + parseInt(width, 10) + '"';
 					}
 
 					if (height) {
-						attrs += ' height="' + height + '"';
+						attrs += ' height="' + parseInt(height, 10) + '"';
 					}
 
-					editor.wysiwygEditorInsertHtml(
-						'<img' + DOMPurify.sanitize(attrs) + ' src="' + DOMPurify.sanitize(url) + '" />'
-					);
+					attrs += ' src="' + escape.entities(url) + '"';
+
+					editor.wysiwygEditorInsertHtml('<img' + attrs + ' />');
 				}
 			);
 		},
+		popover: {
+			selector: 'img:not([data-sceditor-emoticon])',
+			create: function (img) {
+				var editor  = this;
+				var content = dom.createElement('div');
+				var find    = function (selector) {
+					return dom.find(content, selector)[0];
+				};
+
+				dom.appendChild(content, _tmpl('imagePopover', {
+					url: editor._('URL:'),
+					width: editor._('Width (optional):'),
+					height: editor._('Height (optional):'),
+					alt: editor._('Description (optional):'),
+					save: editor._('Save')
+				}, true));
+
+				var srcInput    = find('#imagesrc');
+				var widthInput  = find('#imagewidth');
+				var heightInput = find('#imageheight');
+				var altInput    = find('#imagealt');
+
+				srcInput.value    = dom.attr(img, 'src');
+				widthInput.value  = dom.attr(img, 'width') || '';
+				heightInput.value = dom.attr(img, 'height') || '';
+				altInput.value    = dom.attr(img, 'alt') || '';
+
+				function save() {
+					var size = function (value) {
+						return parseInt(value, 10) > 0 ?
+							parseInt(value, 10) : null;
+					};
+
+					if (srcInput.value) {
+						// Not inserted as HTML so doesn't go through the
+						// sanitiser, must make the URL safe here
+						dom.attr(img, 'src', escape.uriScheme(srcInput.value));
+					}
+
+					dom.attr(img, 'width', size(widthInput.value));
+					dom.attr(img, 'height', size(heightInput.value));
+					dom.attr(img, 'alt', altInput.value || null);
+
+					editor.closePopover(true);
+				}
+
+				dom.on(content, 'click', '.button', function (e) {
+					save();
+					e.preventDefault();
+				});
+
+				dom.on(content, 'keypress', function (e) {
+					// 13 = enter key
+					if (e.which === 13) {
+						save();
+						e.preventDefault();
+					}
+				});
+
+				return content;
+			}
+		},
 		tooltip: 'Insert an image'
 	},
 	// END_COMMAND
@@ -552,8 +1016,9 @@ var defaultCmds = {
 
 					if (!editor.getRangeHelper().selectedHtml() || text) {
 						editor.wysiwygEditorInsertHtml(
-							'<a href="' + 'mailto:' + DOMPurify.sanitize(email) + '">' +
-								(DOMPurify.sanitize(text) || DOMPurify.sanitize(email)) +
+							'<a href="' +
+								escape.entities('mailto:' + email) + '">' +
+								escape.entities(text || email) +
 							'</a>'
 						);
 					} else {
@@ -612,13 +1077,96 @@ var defaultCmds = {
 					text = text || url;
 
 					editor.wysiwygEditorInsertHtml(
-						'<a href="' + DOMPurify.sanitize(url) + '">' + DOMPurify.sanitize(text) + '</a>'
+						'<a href="' + escape.entities(url) + '">' +
+							escape.entities(text) +
+						'</a>'
 					);
 				} else {
-					editor.execCommand('createlink', url);
+					// Links made by the browser don't go through the
+					// sanitiser so must make the URL safe here
+					editor.execCommand('createlink', escape.uriScheme(url));
 				}
 			});
 		},
+		popover: {
+			selector: 'a[href]',
+			create: function (anchor) {
+				var editor  = this;
+				var content = dom.createElement('div');
+				var find    = function (selector) {
+					return dom.find(content, selector)[0];
+				};
+
+				dom.appendChild(content, _tmpl('linkPopover', {
+					open: editor._('Open link'),
+					edit: editor._('Edit'),
+					unlink: editor._('Unlink'),
+					url: editor._('URL:'),
+					newTab: editor._('Open in new tab'),
+					rel: editor._('Rel (optional):'),
+					save: editor._('Save')
+				}, true));
+
+				var href      = dom.attr(anchor, 'href');
+				var preview   = find('.sceditor-popover-url');
+				var urlInput  = find('#linkurl');
+				var newTab    = find('#linknewtab');
+				var relInput  = find('#linkrel');
+				var editPanel = find('.sceditor-popover-edit');
+
+				dom.attr(preview, 'href', escape.uriScheme(href));
+				preview.textContent = href;
+				urlInput.value = href;
+				newTab.checked = dom.attr(anchor, 'target') === '_blank';
+				relInput.value = dom.attr(anchor, 'rel') || '';
+				dom.hide(editPanel);
+
+				function save() {
+					var rel = relInput.value.trim();
+
+					if (!urlInput.value) {
+						unwrap(anchor);
+					} else {
+						// Not inserted as HTML so doesn't go through the
+						// sanitiser, must make the URL safe here
+						dom.attr(anchor, 'href',
+							escape.uriScheme(urlInput.value));
+						dom.attr(anchor, 'target',
+							newTab.checked ? '_blank' : null);
+						dom.attr(anchor, 'rel', rel || null);
+					}
+
+					editor.closePopover(true);
+				}
+
+				dom.on(content, 'click', '[data-action]', function (e) {
+					var action = dom.attr(this, 'data-action');
+
+					if (action === 'edit') {
+						dom.hide(find('.sceditor-popover-view'));
+						dom.show(editPanel);
+						urlInput.focus();
+					} else if (action === 'unlink') {
+						unwrap(anchor);
+						editor.closePopover(true);
+					} else {
+						save();
+					}
+
+					e.preventDefault();
+				});
+
+				dom.on(editPanel, 'keypress', function (e) {
+					// 13 = enter key
+					if (e.which === 13) {
+						save();
+						e.preventDefault();
+					}
+				});
+
+				return content;
+			}
+		},
 		tooltip: 'Insert a link'
 	},
 	// END_COMMAND
@@ -632,11 +1180,7 @@ var defaultCmds = {
 			var anchor = dom.closest(this.currentNode(), 'a');
 
 			if (anchor) {
-				while (anchor.firstChild) {
-					dom.insertBefore(anchor.firstChild, anchor);
-				}
-
-				dom.remove(anchor);
+				unwrap(anchor);
 			}
 		},
 		tooltip: 'Unlink'
@@ -646,22 +1190,69 @@ var defaultCmds = {
 
 	// START_COMMAND: Quote
 	quote: {
+		_dropDown: function (editor, caller, values, cb) {
+			editor.createDropDown(caller, 'quote',
+				quoteForm(editor, {
+					id: 'quote',
+					button: 'Insert',
+					values: values
+				}, function (values) {
+					editor.closeDropDown(true);
+					cb(values);
+				})
+			);
+		},
 		exec: function (caller, html, author) {
-			var	before = '<blockquote>',
-				end    = '</blockquote>';
+			var	editor = this;
 
-			// if there is HTML passed set end to null so any selected
-			// text is replaced
+			// if there is HTML passed insert it as the quote replacing
+			// any selected text
 			if (html) {
 				author = (author ? '<cite>' + author + '</cite>' : '');
-				before = before + author + html + end;
-				end    = null;
-			// if not add a newline to the end of the inserted quote
-			} else if (this.getRangeHelper().selectedHtml() === '') {
-				end = (IE_BR_FIX ? '' : '<br />') + end;
+				editor.wysiwygEditorInsertHtml(
+					'<blockquote>' + author + html + '</blockquote>'
+				);
+				return;
 			}
 
-			this.wysiwygEditorInsertHtml(before, end);
+			defaultCmds.quote._dropDown(editor, caller, {}, function (values) {
+				var quote, end = '</blockquote>';
+
+				// Add a newline to the end of the quote to type in
+				if (editor.getRangeHelper().selectedHtml() === '') {
+					end = (IE_BR_FIX ? '' : '<br />') + end;
+				}
+
+				quote = dom.createElement('blockquote');
+				setQuoteValues(quote, values);
+
+				editor.wysiwygEditorInsertHtml(
+					quote.outerHTML.replace(/<\/blockquote>$/, ''), end
+				);
+			});
+		},
+		state: function (parent) {
+			return dom.closest(parent, 'blockquote') ? 1 : 0;
+		},
+		// Editing is done from the popover so the command can still
+		// insert nested quotes
+		popover: {
+			selector: 'blockquote',
+			create: function (quote) {
+				var editor = this;
+
+				return quoteForm(editor, {
+					id: 'quoteedit',
+					button: 'Save',
+					values: getQuoteValues(quote)
+				}, function (values) {
+					setQuoteValues(quote, values);
+					// Changes the DOM directly which doesn't
+					// trigger valuechanged
+					editor.triggerValueChanged();
+					editor.closePopover(true);
+				});
+			}
 		},
 		tooltip: 'Insert a Quote'
 	},
@@ -670,74 +1261,184 @@ var defaultCmds = {
 	// START_COMMAND: Emoticons
 	emoticon: {
 		exec: function (caller) {
-			var editor = this;
+			var	editor      = this,
+				opts        = editor.opts,
+				rangeHelper = editor.getRangeHelper(),
+				startSpace  = opts.emoticonsCompat &&
+					rangeHelper.getOuterText(true, 1) !== ' ' ? ' ' : '',
+				endSpace    = opts.emoticonsCompat &&
+					rangeHelper.getOuterText(false, 1) !== ' ' ? ' ' : '',
+				categories  = emoticons.categories(opts),
+				all         = [],
+				byCode      = {},
+				recent      = [],
+				active      = 0,
+				shown       = [],
+				tone        = emoticons.getSkinTone(),
+				content     = dom.createElement('div');
+
+			dom.appendChild(content, _tmpl('emoticonPicker', {
+				search: editor._('Search'),
+				skinTone: editor._('Skin tone')
+			}, true));
 
-			var createContent = function (includeMore) {
-				var	moreLink,
-					opts            = editor.opts,
-					emoticonsRoot   = opts.emoticonsRoot || '',
-					emoticonsCompat = opts.emoticonsCompat,
-					rangeHelper     = editor.getRangeHelper(),
-					startSpace      = emoticonsCompat &&
-						rangeHelper.getOuterText(true, 1) !== ' ' ? ' ' : '',
-					endSpace        = emoticonsCompat &&
-						rangeHelper.getOuterText(false, 1) !== ' ' ? ' ' : '',
-					content         = dom.createElement('div'),
-					line            = dom.createElement('div'),
-					perLine         = 0,
-					emoticons       = utils.extend(
-						{},
-						opts.emoticons.dropdown,
-						includeMore ? opts.emoticons.more : {}
-					);
+			var part = function (name) {
+				return dom.find(content, '.sceditor-emoticons-' + name)[0];
+			};
 
-				dom.appendChild(content, line);
+			var option = function (className, attrs, child) {
+				var node = dom.createElement('a', utils.extend({
+					className: className,
+					tabIndex: 0,
+					role: 'button'
+				}, attrs));
 
-				perLine = Math.sqrt(Object.keys(emoticons).length);
+				dom.appendChild(node, typeof child === 'string' ?
+					document.createTextNode(child) : child);
 
-				dom.on(content, 'click', 'img', function (e) {
-					editor.insert(startSpace + dom.attr(this, 'alt') + endSpace,
-						null, false).closeDropDown(true);
+				return node;
+			};
 
-					e.preventDefault();
+			var display = function (entry) {
+				if (entry.url) {
+					return dom.createElement('img', {
+						src: entry.url,
+						alt: entry.code
+					});
+				}
+
+				return entry.skinTones ?
+					emoticons.skinTone(entry.emoji, tone) : entry.emoji;
+			};
+
+			var insert = function (entry) {
+				editor.closeDropDown(true);
+
+				if (opts.emoticonsRecent) {
+					emoticons.addRecent(entry.code, opts.emoticonsRecent);
+				}
+
+				editor.insert(
+					startSpace + (entry.url ? entry.code : display(entry)) +
+						endSpace,
+					null, false
+				);
+			};
+
+			var render = function () {
+				var list  = part('list');
+				var query = part('search').value.trim();
+
+				shown = query ? emoticons.filter(all, query) :
+					(categories[active] || { entries: [] }).entries;
+
+				list.innerHTML = '';
+
+				utils.each(shown, function (index, entry) {
+					dom.appendChild(list, option('sceditor-emoticon-option', {
+						title: entry.tooltip,
+						'data-index': index
+					}, display(entry)));
+				});
+
+				if (!shown.length) {
+					list.textContent = editor._('No matches');
+				}
+
+				utils.each(part('tabs').children, function (index, tab) {
+					var isActive = !query && index === active;
+
+					dom.attr(tab, 'aria-selected', isActive.toString());
+					dom.toggleClass(tab, 'active', isActive);
 				});
+			};
 
-				utils.each(emoticons, function (code, emoticon) {
-					dom.appendChild(line, dom.createElement('img', {
-						src: emoticonsRoot + (emoticon.url || emoticon),
-						alt: code,
-						title: emoticon.tooltip || code
-					}));
+			utils.each(categories, function (_, category) {
+				utils.each(category.entries, function (_, entry) {
+					all.push(entry);
+					byCode[entry.code] = entry;
+				});
+			});
 
-					if (line.children.length >= perLine) {
-						line = dom.createElement('div');
-						dom.appendChild(content, line);
+			if (opts.emoticonsRecent) {
+				utils.each(emoticons.getRecent(), function (_, code) {
+					if (byCode[code]) {
+						recent.push(byCode[code]);
 					}
 				});
+			}
 
-				if (!includeMore && opts.emoticons.more) {
-					moreLink = dom.createElement('a', {
-						className: 'sceditor-more'
-					});
+			if (recent.length) {
+				categories.unshift({
+					name: 'Recently used',
+					entries: recent
+				});
+			}
 
-					dom.appendChild(moreLink,
-						document.createTextNode(editor._('More')));
+			utils.each(categories, function (index, category) {
+				var first = category === categories[0] && recent.length ?
+					// Clock emoji rather than the first recent emoticon
+					{ emoji: '\uD83D\uDD58' } : category.entries[0];
 
-					dom.on(moreLink, 'click', function (e) {
-						editor.createDropDown(
-							caller, 'more-emoticons', createContent(true)
-						);
+				dom.appendChild(part('tabs'), option('', {
+					title: editor._(category.name),
+					role: 'tab',
+					'data-index': index
+				}, display(first)));
+			});
 
-						e.preventDefault();
-					});
+			if (all.some(function (entry) {
+				return entry.skinTones;
+			})) {
+				utils.each(emoticons.SKIN_TONES, function (index) {
+					dom.appendChild(part('tones'), option(
+						index === tone ? 'active' : '', {
+							title: editor._('Skin tone'),
+							role: 'radio',
+							'aria-checked': (index === tone).toString(),
+							'data-index': index
+						}, emoticons.skinTone('\u270B', index)
+					));
+				});
+			}
 
-					dom.appendChild(content, moreLink);
-				}
+			dom.on(content, 'click', '.sceditor-emoticon-option',
+				function (e) {
+					insert(shown[dom.attr(this, 'data-index')]);
+					e.preventDefault();
+				});
 
-				return content;
-			};
+			dom.on(part('tabs'), 'click', 'a', function (e) {
+				active = +dom.attr(this, 'data-index');
+				part('search').value = '';
+				render();
+				e.preventDefault();
+			});
+
+			dom.on(part('tones'), 'click', 'a', function (e) {
+				tone = +dom.attr(this, 'data-index');
+				emoticons.setSkinTone(tone);
 
-			editor.createDropDown(caller, 'emoticons', createContent(false));
+				utils.each(part('tones').children, function (index, node) {
+					dom.attr(node, 'aria-checked', (index === tone).toString());
+					dom.toggleClass(node, 'active', index === tone);
+				});
+
+				render();
+				e.preventDefault();
+			});
+
+			dom.on(part('search'), 'input', render);
+			dom.on(part('search'), 'keydown', function (e) {
+				// 13 = enter key
+				if (e.which === 13 && shown.length) {
+					insert(shown[0]);
+					e.preventDefault();
+				}
+			});
+
+			render();
+			editor.createDropDown(caller, 'emoticons', content);
 		},
 		txtExec: function (caller) {
 			defaultCmds.emoticon.exec.call(this, caller);
@@ -746,6 +1447,58 @@ var defaultCmds = {
 	},
 	// END_COMMAND
 
+	// START_COMMAND: Media
+	media: {
+		_dropDown: function (editor, caller, cb) {
+			var content = dom.createElement('div');
+
+			dom.appendChild(content, _tmpl('mediaMenu', {
+				label: editor._('Media URL:'),
+				insert: editor._('Insert')
+			}, true));
+
+			var urlInput = dom.find(content, '#media')[0];
+
+			function insertMedia(e) {
+				var url = urlInput.value.trim();
+
+				e.preventDefault();
+
+				// Leave the drop down open so the URL can be corrected
+				if (!media.match(url)) {
+					dom.attr(urlInput, 'aria-invalid', 'true');
+					urlInput.focus();
+					return;
+				}
+
+				editor.closeDropDown(true);
+				cb(url);
+			}
+
+			dom.on(content, 'click', '.button', insertMedia);
+			dom.on(content, 'keypress', function (e) {
+				// 13 = enter key
+				if (e.which === 13 && urlInput.value) {
+					insertMedia(e);
+				}
+			}, dom.EVENT_CAPTURE);
+			dom.on(urlInput, 'input', function () {
+				dom.removeAttr(urlInput, 'aria-invalid');
+			});
+
+			editor.createDropDown(caller, 'insertmedia', content);
+		},
+		exec: function (caller) {
+			var editor = this;
+
+			defaultCmds.media._dropDown(editor, caller, function (url) {
+				editor.wysiwygEditorInsertHtml(media.embed(url));
+			});
+		},
+		tooltip: 'Insert media'
+	},
+	// END_COMMAND
+
 	// START_COMMAND: YouTube
 	youtube: {
 		_dropDown: function (editor, caller, callback) {
@@ -920,6 +1673,247 @@ var defaultCmds = {
 	},
 	// END_COMMAND
 
+	// START_COMMAND: Find
+	find: {
+		_dropDown: function (editor, caller, selected) {
+			var	matches  = [],
+				current  = 0,
+				content  = dom.createElement('div'),
+				iframe   = editor.getContentAreaContainer(),
+				wysiwygWindow = editor.getBody().ownerDocument.defaultView,
+				layer    = dom.createElement('div', {
+					className: 'sceditor-find-highlights'
+				});
+
+			dom.appendChild(content, _tmpl('find', {
+				find: editor._('Find:'),
+				replace: editor._('Replace with:'),
+				matchCase: editor._('Match case'),
+				wholeWord: editor._('Whole words'),
+				regex: editor._('Regular expression'),
+				prev: editor._('Previous'),
+				next: editor._('Next'),
+				replaceOne: editor._('Replace'),
+				replaceAll: editor._('Replace all')
+			}, true));
+
+			var input = function (id) {
+				return dom.find(content, '#' + id)[0];
+			};
+
+			// Highlights are drawn over the iframe rather than added
+			// to the content so they can't be saved or undone
+			var render = function () {
+				var count = dom.find(content, '.sceditor-find-count')[0];
+
+				count.textContent = matches.length ?
+					editor._('{0} of {1}', current + 1, matches.length) :
+					(input('find').value ? editor._('No matches') : '');
+
+				layer.innerHTML = '';
+
+				if (editor.sourceMode()) {
+					return;
+				}
+
+				dom.css(layer, {
+					top: iframe.offsetTop,
+					left: iframe.offsetLeft,
+					width: iframe.clientWidth,
+					height: iframe.clientHeight
+				});
+
+				utils.each(matches, function (i, match) {
+					var rects = findUtils.toRange(match).getClientRects();
+
+					utils.each(rects, function (_, rect) {
+						var box = dom.createElement('div', {
+							className: 'sceditor-find-match' +
+								(i === current ? ' active' : '')
+						});
+
+						dom.css(box, {
+							top: rect.top,
+							left: rect.left,
+							width: rect.width,
+							height: rect.height
+						});
+						dom.appendChild(layer, box);
+					});
+				});
+			};
+
+			var search = function () {
+				var regex = findUtils.createRegex(input('find').value, {
+					matchCase: input('matchcase').checked,
+					wholeWord: input('wholeword').checked,
+					regex: input('regex').checked
+				});
+
+				if (!regex) {
+					matches = [];
+				} else if (editor.sourceMode()) {
+					matches = findUtils.findInText(
+						editor.getSourceEditorValue(false), regex
+					);
+				} else {
+					matches = findUtils.find(editor.getBody(), regex);
+				}
+
+				current = Math.min(current, Math.max(matches.length - 1, 0));
+				render();
+			};
+
+			var select = function () {
+				var	range, rect,
+					match = matches[current];
+
+				if (!match) {
+					return;
+				}
+
+				if (editor.sourceMode()) {
+					editor.sourceEditorCaret({
+						start: match.start,
+						end: match.end
+					});
+				} else {
+					range = findUtils.toRange(match);
+					rect  = range.getBoundingClientRect();
+
+					editor.getRangeHelper().selectRange(range);
+
+					if (rect.top < 0 || rect.bottom > iframe.clientHeight) {
+						wysiwygWindow.scrollBy(
+							0, rect.top - iframe.clientHeight / 2
+						);
+					}
+				}
+
+				// Selecting the match can move focus to the editor
+				input('find').focus();
+				render();
+			};
+
+			var move = function (dir) {
+				if (matches.length) {
+					current = (current + dir + matches.length) % matches.length;
+					select();
+				}
+			};
+
+			// All the matches are replaced at once so that the undo
+			// plugin sees them as a single change
+			var replace = function (all) {
+				var	value,
+					replacement = input('replace').value,
+					isRegex     = input('regex').checked,
+					replaced    = all ? matches.slice() :
+						matches.slice(current, current + 1);
+
+				var text = function (match) {
+					return isRegex ?
+						findUtils.expand(replacement, match.groups) :
+						replacement;
+				};
+
+				if (!replaced.length) {
+					return;
+				}
+
+				// Replace from the end so the offsets stay valid
+				replaced.reverse();
+
+				if (editor.sourceMode()) {
+					value = editor.getSourceEditorValue(false);
+
+					utils.each(replaced, function (_, match) {
+						value = value.substr(0, match.start) + text(match) +
+							value.substr(match.end);
+					});
+
+					editor.setSourceEditorValue(value);
+				} else {
+					utils.each(replaced, function (_, match) {
+						findUtils.replace(match, text(match));
+					});
+
+					// Changing the DOM directly doesn't trigger it
+					editor.triggerValueChanged();
+				}
+
+				search();
+
+				if (!all) {
+					select();
+				}
+			};
+
+			var close = function () {
+				dom.off(wysiwygWindow, 'scroll resize', render);
+				dom.remove(layer);
+			};
+
+			input('find').value = selected || '';
+
+			dom.on(input('find'), 'input', function () {
+				current = 0;
+				search();
+			});
+
+			dom.on(input('find'), 'keydown', function (e) {
+				// Enter
+				if (e.which === 13) {
+					move(e.shiftKey ? -1 : 1);
+					e.preventDefault();
+				// Escape
+				} else if (e.which === 27) {
+					editor.closeDropDown(true);
+				}
+			});
+
+			dom.on(content, 'change', 'input[type=checkbox]', search);
+
+			dom.on(content, 'click', '.button', function (e) {
+				var action = dom.attr(this, 'data-find');
+
+				if (action === 'prev' || action === 'next') {
+					move(action === 'prev' ? -1 : 1);
+				} else {
+					replace(action === 'all');
+				}
+
+				e.preventDefault();
+			});
+
+			editor.createDropDown(caller, 'find', content);
+
+			// Clicking the button again closes the drop down
+			if (!content.parentNode) {
+				return;
+			}
+
+			dom.appendChild(iframe.parentNode, layer);
+			dom.on(content.parentNode, 'dropdownclose', close);
+			dom.on(wysiwygWindow, 'scroll resize', render);
+
+			search();
+		},
+		exec: function (caller) {
+			var range = this.getRangeHelper().selectedRange();
+
+			defaultCmds.find._dropDown(
+				this, caller, range && !range.collapsed ? range.toString() : ''
+			);
+		},
+		txtExec: function (caller, selected) {
+			defaultCmds.find._dropDown(this, caller, selected);
+		},
+		tooltip: 'Find and replace',
+		shortcut: 'Ctrl+F'
+	},
+	// END_COMMAND
+
 
 	// START_COMMAND: Print
 	print: {
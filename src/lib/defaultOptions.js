@@ -16,7 +16,7 @@ export default {
 		'left,center,right,justify|font,size,color,removeformat|' +
 		'cut,copy,pastetext|bulletlist,orderedlist,indent,outdent|' +
 		'table|code,quote|horizontalrule,image,email,link,unlink|' +
-		'emoticon,youtube,date,time|ltr,rtl|print,maximize,source',
+		'emoticon,youtube,media,date,time|ltr,rtl|find|print,maximize,source',
 
 	/**
 	 * Comma separated list of commands to excludes from the toolbar
@@ -25,6 +25,50 @@ export default {
 	 */
 	toolbarExclude: null,
 
+	/**
+	 * Toolbar buttons shown when the caret is inside a table cell. Uses
+	 * the same format as the toolbar option. Set to an empty string to
+	 * disable.
+	 *
+	 * @type {string}
+	 */
+	tableToolbar: 'tableinsertrowabove,tableinsertrowbelow,tabledeleterow|' +
+		'tableinsertcolumnleft,tableinsertcolumnright,tabledeletecolumn|' +
+		'tablemergecells,tablesplitcell,tableheader|tabledelete',
+
+	/**
+	 * Keyboard shortcut to move the focus from the editor to the
+	 * toolbar. Once in the toolbar the arrow keys move between the
+	 * buttons and escape returns to the editor.
+	 *
+	 * Set to null to disable.
+	 *
+	 * @type {?string}
+	 */
+	toolbarShortcut: 'alt+f10',
+
+	/**
+	 * Where to show the toolbar. Either "top" for above the editor,
+	 * "bottom" for below the editor, docked to the bottom of the screen
+	 * above any virtual keyboard when the editor is taller than it, or
+	 * "bubble" for a compact toolbar shown next to the selection.
+	 *
+	 * @type {string}
+	 */
+	toolbarMode: 'top',
+
+	/**
+	 * Toolbar buttons shown in the bubble toolbar when the toolbarMode
+	 * option is "bubble". Uses the same format as the toolbar option.
+	 *
+	 * In source mode the bubble toolbar is shown at the top of the
+	 * editor instead so should include the source button.
+	 *
+	 * @type {string}
+	 */
+	bubbleToolbar: 'bold,italic,underline,strike|link,unlink|' +
+		'quote,code|removeformat|source',
+
 	/**
 	 * Stylesheet to include in the WYSIWYG editor. This is what will style
 	 * the WYSIWYG elements
@@ -41,6 +85,58 @@ export default {
 	fonts: 'Arial,Arial Black,Comic Sans MS,Courier New,Georgia,Impact,' +
 		'Sans-serif,Serif,Times New Roman,Trebuchet MS,Verdana',
 
+	/**
+	 * Maximum depth quotes can be nested. Any quotes nested deeper,
+	 * e.g. when quoting a post which quotes another post, are removed.
+	 *
+	 * Set to 0 for no limit.
+	 *
+	 * @type {number}
+	 */
+	maxQuoteDepth: 0,
+
+	/**
+	 * Comma separated list of languages the code command can insert.
+	 * Languages are registered with sceditor.code.register().
+	 *
+	 * Set to an empty string to insert code without a language.
+	 *
+	 * @type {string}
+	 */
+	codeLanguages: 'javascript,css,html,php,python,sql',
+
+	/**
+	 * If to highlight the syntax of code with a language in the
+	 * WYSIWYG editor. Only supported in browsers with the CSS custom
+	 * highlight API.
+	 *
+	 * @type {boolean}
+	 */
+	codeHighlight: true,
+
+	/**
+	 * String inserted when tab is pressed inside code
+	 *
+	 * @type {string}
+	 */
+	codeIndent: '\t',
+
+	/**
+	 * Comma separated list of rules which convert Markdown style text,
+	 * like **bold** or # at the start of a line, into formatting as it's
+	 * typed in the WYSIWYG editor. Rules are checked in order and are
+	 * registered with sceditor.autoformat.register().
+	 *
+	 * Disabled by default, the built-in rules are:
+	 * bold,italic,heading,bulletlist,orderedlist,quote,code
+	 *
+	 * Rules which create formatting the format can't represent, like
+	 * headings in BBCode, are skipped.
+	 *
+	 * @type {string}
+	 */
+	autoformat: '',
+
 	/**
 	 * Colors should be comma separated and have a bar | to signal a new
 	 * column.
@@ -143,6 +239,29 @@ export default {
 		}
 	},
 
+	/**
+	 * Unicode emoji shown in the emoticon picker, grouped by category.
+	 *
+	 * Emoji are keyed by their shortcode which is converted as you type
+	 * like the emoticon codes. The value can be the emoji or an object
+	 * with the emoji, an optional tooltip and skinTones set to true if
+	 * the emoji supports skin tones.
+	 *
+	 * Disabled by default. Set to sceditor.emoji to use the included
+	 * set of emoji.
+	 *
+	 * @type {?Object<string, Object>}
+	 */
+	emoji: null,
+
+	/**
+	 * Number of recently used emoticons to remember and show in
+	 * the emoticon picker. Set to 0 to disable.
+	 *
+	 * @type {number}
+	 */
+	emoticonsRecent: 24,
+
 	/**
 	 * Width of the editor. Set to null for automatic with
 	 *
@@ -352,6 +471,20 @@ export default {
 	 */
 	parserOptions: { },
 
+	/**
+	 * Extra rules for the HTML sanitiser, added to the default policy.
+	 *
+	 * For example, to allow video tags with a src attribute:
+	 *
+	 *     { tags: { video: ['src', 'controls'] } }
+	 *
+	 * Setting a tag to null disallows it. See
+	 * sceditor.sanitizer.defaultPolicy for the other rules.
+	 *
+	 * @type {Object}
+	 */
+	sanitizer: { },
+
 	/**
 	 * CSS that will be added to the to dropdown menu (eg. z-index)
 	 *
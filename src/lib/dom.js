@@ -1026,3 +1026,66 @@ export function hasStyle(elm, property, values) {
 	return !values || styleValue === values ||
 		(Array.isArray(values) && values.indexOf(styleValue) > -1);
 }
+
+/**
+ * Styles copied from a textarea to measure the caret position
+ *
+ * @type {Array<string>}
+ * @private
+ */
+var caretMirrorStyles = [
+	'boxSizing', 'width', 'borderTopWidth', 'borderRightWidth',
+	'borderBottomWidth', 'borderLeftWidth', 'paddingTop', 'paddingRight',
+	'paddingBottom', 'paddingLeft', 'fontStyle', 'fontVariant',
+	'fontWeight', 'fontSize', 'lineHeight', 'fontFamily', 'textAlign',
+	'textTransform', 'textIndent', 'letterSpacing', 'wordSpacing',
+	'tabSize'
+];
+
+/**
+ * Gets the position of the caret at pos in the textarea relative to
+ * its top left corner.
+ *
+ * Creates a hidden mirror div with the same styling as the textarea
+ * and measures where a span after the text before the caret is.
+ *
+ * @param {HTMLTextAreaElement} textarea
+ * @param {number} pos
+ * @return {{top: number, left: number, height: number}}
+ * @since 3.0.0
+ */
+export function textareaCaret(textarea, pos) {
+	var doc = textarea.ownerDocument;
+	var style = doc.defaultView.getComputedStyle(textarea);
+	var mirror = createElement('div', {}, doc);
+	var marker = createElement('span', {}, doc);
+
+	utils.each(caretMirrorStyles, function (_, prop) {
+		mirror.style[prop] = style[prop];
+	});
+
+	css(mirror, {
+		position: 'absolute',
+		visibility: 'hidden',
+		top: 0,
+		left: 0,
+		whiteSpace: 'pre-wrap',
+		wordWrap: 'break-word',
+		overflow: 'hidden'
+	});
+
+	mirror.textContent = textarea.value.substr(0, pos);
+	marker.textContent = '.';
+	appendChild(mirror, marker);
+	appendChild(doc.body, mirror);
+
+	var caret = {
+		top: marker.offsetTop - textarea.scrollTop,
+		left: marker.offsetLeft - textarea.scrollLeft,
+		height: marker.offsetHeight
+	};
+
+	remove(mirror);
+
+	return caret;
+}
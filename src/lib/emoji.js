@@ -0,0 +1,151 @@
+/**
+ * Unicode emoji grouped by category.
+ *
+ * Emoji are disabled by default, set the emoji option to this to
+ * enable them:
+ *
+ *     sceditor.create(textarea, {
+ *         emoji: sceditor.emoji
+ *     });
+ *
+ * @type {Object<string, Object>}
+ * @name emoji
+ * @memberOf jQuery.sceditor
+ */
+export default {
+	Smileys: {
+		':grinning:': '😀',
+		':smiley:': '😃',
+		':smile:': '😄',
+		':laughing:': '😆',
+		':joy:': '😂',
+		':slight_smile:': '🙂',
+		':wink:': '😉',
+		':innocent:': '😇',
+		':heart_eyes:': '😍',
+		':kissing_heart:': '😘',
+		':yum:': '😋',
+		':sunglasses:': '😎',
+		':thinking:': '🤔',
+		':neutral_face:': '😐',
+		':confused:': '😕',
+		':cry:': '😢',
+		':sob:': '😭',
+		':rage:': '😡',
+		':scream:': '😱',
+		':sleepy:': '😪'
+	},
+	People: {
+		':wave:': { emoji: '👋', skinTones: true },
+		':+1:': { emoji: '👍', skinTones: true },
+		':-1:': { emoji: '👎', skinTones: true },
+		':clap:': { emoji: '👏', skinTones: true },
+		':raised_hands:': { emoji: '🙌', skinTones: true },
+		':pray:': { emoji: '🙏', skinTones: true },
+		':ok_hand:': { emoji: '👌', skinTones: true },
+		':v:': { emoji: '✌️', skinTones: true },
+		':point_up:': { emoji: '☝️', skinTones: true },
+		':muscle:': { emoji: '💪', skinTones: true },
+		':raised_hand:': { emoji: '✋', skinTones: true },
+		':fist:': { emoji: '✊', skinTones: true },
+		':baby:': { emoji: '👶', skinTones: true },
+		':eyes:': '👀',
+		':handshake:': '🤝'
+	},
+	Nature: {
+		':dog:': '🐶',
+		':cat:': '🐱',
+		':rabbit:': '🐰',
+		':fox:': '🦊',
+		':bear:': '🐻',
+		':panda:': '🐼',
+		':lion:': '🦁',
+		':pig:': '🐷',
+		':frog:': '🐸',
+		':monkey:': '🐵',
+		':penguin:': '🐧',
+		':bee:': '🐝',
+		':butterfly:': '🦋',
+		':sunflower:': '🌻',
+		':rose:': '🌹',
+		':evergreen_tree:': '🌲'
+	},
+	Food: {
+		':apple:': '🍎',
+		':banana:': '🍌',
+		':grapes:': '🍇',
+		':strawberry:': '🍓',
+		':watermelon:': '🍉',
+		':pizza:': '🍕',
+		':hamburger:': '🍔',
+		':fries:': '🍟',
+		':cake:': '🍰',
+		':cookie:': '🍪',
+		':coffee:': '☕',
+		':tea:': '🍵',
+		':beer:': '🍺',
+		':wine_glass:': '🍷'
+	},
+	Activities: {
+		':soccer:': '⚽',
+		':basketball:': '🏀',
+		':tennis:': '🎾',
+		':trophy:': '🏆',
+		':medal:': '🏅',
+		':video_game:': '🎮',
+		':game_die:': '🎲',
+		':art:': '🎨',
+		':guitar:': '🎸',
+		':musical_note:': '🎵',
+		':tada:': '🎉',
+		':gift:': '🎁',
+		':balloon:': '🎈'
+	},
+	Travel: {
+		':car:': '🚗',
+		':bus:': '🚌',
+		':bike:': '🚲',
+		':airplane:': '✈️',
+		':rocket:': '🚀',
+		':ship:': '🚢',
+		':house:': '🏠',
+		':sunny:': '☀️',
+		':cloud:': '☁️',
+		':umbrella:': '☔',
+		':snowflake:': '❄️',
+		':zap:': '⚡',
+		':fire:': '🔥',
+		':rainbow:': '🌈',
+		':earth_africa:': '🌍'
+	},
+	Objects: {
+		':bulb:': '💡',
+		':computer:': '💻',
+		':iphone:': '📱',
+		':camera:': '📷',
+		':book:': '📖',
+		':pencil2:': '✏️',
+		':email:': '📧',
+		':lock:': '🔒',
+		':key:': '🔑',
+		':bell:': '🔔',
+		':hourglass:': '⌛',
+		':gem:': '💎',
+		':moneybag:': '💰',
+		':wrench:': '🔧'
+	},
+	Symbols: {
+		':heart:': '❤️',
+		':broken_heart:': '💔',
+		':star:': '⭐',
+		':sparkles:': '✨',
+		':100:': '💯',
+		':white_check_mark:': '✅',
+		':x:': '❌',
+		':warning:': '⚠️',
+		':question:': '❓',
+		':exclamation:': '❗',
+		':recycle:': '♻️',
+		':checkered_flag:': '🏁'
+	}
+};
@@ -150,3 +150,205 @@ export function replace(root, emoticons, emoticonsCompat) {
 		}
 	}(root));
 };
+
+/**
+ * Skin tone modifiers. The first is the default, yellow, tone.
+ *
+ * @type {Array<string>}
+ */
+export var SKIN_TONES = [
+	'',
+	'\uD83C\uDFFB',
+	'\uD83C\uDFFC',
+	'\uD83C\uDFFD',
+	'\uD83C\uDFFE',
+	'\uD83C\uDFFF'
+];
+
+/**
+ * Key the recently used emoticons and skin tone are stored under
+ *
+ * @type {string}
+ * @private
+ */
+var STORAGE_KEY = 'sceditor-emoticons';
+
+/**
+ * Loads the stored emoticon preferences.
+ *
+ * Storage can be disabled or full so any errors are ignored.
+ *
+ * @return {Object}
+ * @private
+ */
+function loadPrefs() {
+	try {
+		return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+	} catch (e) {
+		return {};
+	}
+}
+
+/**
+ * Stores the emoticon preferences
+ *
+ * @param {Object} prefs
+ * @private
+ */
+function savePrefs(prefs) {
+	try {
+		localStorage.setItem(STORAGE_KEY, JSON.stringify(prefs));
+	} catch (e) {}
+}
+
+/**
+ * Gets the codes of the recently used emoticons, most recent first
+ *
+ * @return {Array<string>}
+ */
+export function getRecent() {
+	return loadPrefs().recent || [];
+}
+
+/**
+ * Adds an emoticon to the recently used list
+ *
+ * @param {string} code
+ * @param {number} max Max number of emoticons to keep
+ */
+export function addRecent(code, max) {
+	var prefs = loadPrefs();
+	var recent = prefs.recent || [];
+
+	utils.arrayRemove(recent, code);
+	recent.unshift(code);
+
+	prefs.recent = recent.slice(0, max);
+	savePrefs(prefs);
+}
+
+/**
+ * Gets the index of the chosen skin tone in SKIN_TONES
+ *
+ * @return {number}
+ */
+export function getSkinTone() {
+	return loadPrefs().skinTone || 0;
+}
+
+/**
+ * Sets the index of the chosen skin tone in SKIN_TONES
+ *
+ * @param {number} tone
+ */
+export function setSkinTone(tone) {
+	var prefs = loadPrefs();
+
+	prefs.skinTone = tone;
+	savePrefs(prefs);
+}
+
+/**
+ * Applies a skin tone to an emoji.
+ *
+ * The modifier goes after the first character, replacing any
+ * emoji presentation selector.
+ *
+ * @param {string} emoji
+ * @param {number} tone Index of the tone in SKIN_TONES
+ * @return {string}
+ */
+export function skinTone(emoji, tone) {
+	if (!SKIN_TONES[tone]) {
+		return emoji;
+	}
+
+	return emoji.replace(/^([\uD800-\uDBFF][\uDC00-\uDFFF]|[\s\S])\uFE0F?/,
+		'$1' + SKIN_TONES[tone]);
+}
+
+/**
+ * Gets the image emoticons and emoji grouped into categories.
+ *
+ * Image emoticons are in the first category, called Emoticons,
+ * followed by the emoji categories. Hidden emoticons are excluded.
+ *
+ * Each entry has a code and tooltip and either the url of the image
+ * or the emoji and if it supports skin tones.
+ *
+ * @param {Object} options The editor options
+ * @return {Array<{name: string, entries: Array<Object>}>}
+ */
+export function categories(options) {
+	var result = [];
+	var root = options.emoticonsRoot || '';
+	var images = options.emoticons || {};
+	var entries = [];
+
+	utils.each(utils.extend({}, images.dropdown, images.more),
+		function (code, emoticon) {
+			entries.push({
+				code: code,
+				url: root + (emoticon.url || emoticon),
+				tooltip: emoticon.tooltip || code
+			});
+		});
+
+	if (entries.length) {
+		result.push({
+			name: 'Emoticons',
+			entries: entries
+		});
+	}
+
+	utils.each(options.emoji || {}, function (name, emoji) {
+		entries = [];
+
+		utils.each(emoji, function (code, value) {
+			entries.push({
+				code: code,
+				emoji: value.emoji || value,
+				skinTones: !!value.skinTones,
+				tooltip: value.tooltip || code.replace(/^:|:$/g, '')
+					.replace(/_/g, ' ')
+			});
+		});
+
+		result.push({
+			name: name,
+			entries: entries
+		});
+	});
+
+	return result;
+}
+
+/**
+ * Filters entries to those whose code or tooltip contain the query.
+ *
+ * Entries starting with the query are first, otherwise the order
+ * is kept.
+ *
+ * @param {Array<Object>} entries
+ * @param {string} query
+ * @return {Array<Object>}
+ */
+export function filter(entries, query) {
+	var starts = [];
+	var contains = [];
+
+	query = query.toLowerCase().replace(/^:/, '');
+
+	entries.forEach(function (entry) {
+		var code = entry.code.toLowerCase().replace(/^:/, '');
+		var tooltip = String(entry.tooltip || '').toLowerCase();
+
+		if (!code.indexOf(query) || !tooltip.indexOf(query)) {
+			starts.push(entry);
+		} else if (code.indexOf(query) > -1 || tooltip.indexOf(query) > -1) {
+			contains.push(entry);
+		}
+	});
+
+	return starts.concat(contains);
+}
@@ -1,13 +1,14 @@
 // Must start with a valid scheme
-// 		^
+// 		^(?:
 // Schemes that are considered safe
 // 		(https?|s?ftp|mailto|spotify|skype|ssh|teamspeak|tel):|
 // Relative schemes (//:) are considered safe
 // 		(\\/\\/)|
 // Image data URI's are considered safe
 // 		data:image\\/(png|bmp|gif|p?jpe?g);
+// 		)
 var VALID_SCHEME_REGEX =
-	/^(https?|s?ftp|mailto|spotify|skype|ssh|teamspeak|tel):|(\/\/)|data:image\/(png|bmp|gif|p?jpe?g);/i;
+	/^(?:(https?|s?ftp|mailto|spotify|skype|ssh|teamspeak|tel):|(\/\/)|data:image\/(png|bmp|gif|p?jpe?g);)/i;
 
 /**
  * Escapes a string so it's safe to use in regex
@@ -61,7 +62,7 @@ export function entities(str, noQuotes) {
 /**
  * Escape URI scheme.
  *
- * Appends the current URL to a url if it has a scheme that is not:
+ * Prepends ./ to a url if it has a scheme that is not:
  *
  * http
  * https
@@ -76,6 +77,9 @@ export function entities(str, noQuotes) {
  * //
  * data:image/(png|jpeg|jpg|pjpeg|bmp|gif);
  *
+ * This makes it relative to the current page so it gives the same
+ * result in the browser and under Node.
+ *
  * **IMPORTANT**: This does not escape any HTML in a url, for
  * that use the escape.entities() method.
  *
@@ -84,21 +88,13 @@ export function entities(str, noQuotes) {
  * @since 1.4.5
  */
 export function uriScheme(url) {
-	var	path,
-		// If there is a : before a / then it has a scheme
-		hasScheme = /^[^\/]*:/i,
-		location = window.location;
+	// If there is a : before a / then it has a scheme
+	var hasScheme = /^[^\/]*:/i;
 
 	// Has no scheme or a valid scheme
 	if ((!url || !hasScheme.test(url)) || VALID_SCHEME_REGEX.test(url)) {
 		return url;
 	}
 
-	path = location.pathname.split('/');
-	path.pop();
-
-	return location.protocol + '//' +
-		location.host +
-		path.join('/') + '/' +
-		url;
+	return './' + url;
 };
@@ -0,0 +1,255 @@
+import * as dom from './dom.js';
+import * as escape from './escape.js';
+
+/**
+ * Checks if the text inside the node should be skipped when searching
+ *
+ * @param {HTMLElement} node
+ * @return {boolean}
+ * @private
+ */
+function isSkipped(node) {
+	return /^(script|style|iframe|object)$/i.test(node.nodeName) ||
+		dom.hasClass(node, 'sceditor-ignore') ||
+		dom.attr(node, 'contenteditable') === 'false';
+}
+
+/**
+ * Splits the text of the node into blocks so that matches
+ * can't span multiple paragraphs.
+ *
+ * Each block is an array of the text nodes in it along with
+ * their start and end offsets in the blocks text.
+ *
+ * @param {HTMLElement} root
+ * @return {Array<Object>}
+ * @private
+ */
+function textBlocks(root) {
+	var blocks = [];
+	var block = null;
+
+	var endBlock = function () {
+		if (block && block.text) {
+			blocks.push(block);
+		}
+
+		block = null;
+	};
+
+	var walk = function (parent) {
+		var node = parent.firstChild;
+
+		while (node) {
+			if (node.nodeType === dom.TEXT_NODE) {
+				block = block || { text: '', nodes: [] };
+				block.nodes.push({
+					node: node,
+					start: block.text.length,
+					end: block.text.length + node.nodeValue.length
+				});
+				block.text += node.nodeValue;
+			} else if (node.nodeType === dom.ELEMENT_NODE && !isSkipped(node)) {
+				if (!dom.isInline(node, true) || dom.is(node, 'br')) {
+					endBlock();
+					walk(node);
+					endBlock();
+				} else {
+					walk(node);
+				}
+			}
+
+			node = node.nextSibling;
+		}
+	};
+
+	walk(root);
+	endBlock();
+
+	return blocks;
+}
+
+/**
+ * Removes the node and any inline parents it leaves empty
+ *
+ * @param {Node} node
+ * @private
+ */
+function removeEmpty(node) {
+	var parent = node.parentNode;
+
+	dom.remove(node);
+
+	while (parent && !parent.firstChild && dom.isInline(parent, true)) {
+		node   = parent;
+		parent = node.parentNode;
+		dom.remove(node);
+	}
+}
+
+/**
+ * Creates a RegExp for the query.
+ *
+ * Returns null if there is nothing to search for or if the query
+ * is an invalid regular expression.
+ *
+ * @param {string} query
+ * @param {Object} [options]
+ * @param {boolean} [options.matchCase=false]
+ * @param {boolean} [options.wholeWord=false]
+ * @param {boolean} [options.regex=false] If the query is a regex
+ * @return {?RegExp}
+ * @since 3.0.0
+ */
+export function createRegex(query, options) {
+	var source;
+
+	options = options || {};
+
+	if (!query) {
+		return null;
+	}
+
+	source = options.regex ? query : escape.regex(query);
+
+	if (options.wholeWord) {
+		source = '\\b(?:' + source + ')\\b';
+	}
+
+	try {
+		return new RegExp(source, options.matchCase ? 'g' : 'gi');
+	} catch (ex) {
+		return null;
+	}
+}
+
+/**
+ * Finds all the matches of the regex in the text.
+ *
+ * Empty matches are ignored.
+ *
+ * @param {string} text
+ * @param {RegExp} regex A global RegExp
+ * @return {Array<{start: number, end: number, groups: Array}>}
+ * @since 3.0.0
+ */
+export function findInText(text, regex) {
+	var match;
+	var matches = [];
+
+	regex.lastIndex = 0;
+
+	while ((match = regex.exec(text))) {
+		if (!match[0].length) {
+			regex.lastIndex++;
+			continue;
+		}
+
+		matches.push({
+			start: match.index,
+			end: match.index + match[0].length,
+			groups: match
+		});
+	}
+
+	return matches;
+}
+
+/**
+ * Finds all the matches of the regex in the text of the node.
+ *
+ * Matches can span multiple text nodes, e.g. formatted text,
+ * but not multiple block level elements.
+ *
+ * @param {HTMLElement} root
+ * @param {RegExp} regex A global RegExp
+ * @return {Array<Object>}
+ * @since 3.0.0
+ */
+export function find(root, regex) {
+	var matches = [];
+
+	textBlocks(root).forEach(function (block) {
+		findInText(block.text, regex).forEach(function (match) {
+			match.nodes = block.nodes.filter(function (entry) {
+				return entry.end > match.start && entry.start < match.end;
+			});
+
+			matches.push(match);
+		});
+	});
+
+	return matches;
+}
+
+/**
+ * Creates a range which selects the match
+ *
+ * @param {Object} match A match returned from find()
+ * @return {Range}
+ * @since 3.0.0
+ */
+export function toRange(match) {
+	var first = match.nodes[0];
+	var last = match.nodes[match.nodes.length - 1];
+	var range = first.node.ownerDocument.createRange();
+
+	range.setStart(first.node, match.start - first.start);
+	range.setEnd(last.node, match.end - last.start);
+
+	return range;
+}
+
+/**
+ * Replaces the text of a match.
+ *
+ * The replacement is inserted into the first text node of the match
+ * and the rest of the matched text removed from the other nodes so
+ * any formatting is kept.
+ *
+ * When replacing multiple matches they should be replaced from the
+ * last to the first as the offsets of any matches after the replaced
+ * match in the same text node will no longer be correct.
+ *
+ * @param {Object} match A match returned from find()
+ * @param {string} text
+ * @since 3.0.0
+ */
+export function replace(match, text) {
+	match.nodes.forEach(function (entry, i) {
+		var node = entry.node;
+		var value = node.nodeValue;
+		var from = Math.max(match.start - entry.start, 0);
+		var to = Math.min(match.end, entry.end) - entry.start;
+
+		node.nodeValue = value.substr(0, from) + (i ? '' : text) +
+			value.substr(to);
+
+		if (!node.nodeValue) {
+			removeEmpty(node);
+		}
+	});
+}
+
+/**
+ * Expands any $&, $1 - $99 and $$ patterns in the replacement
+ * with the matched text, the captured groups and $
+ *
+ * @param {string} replacement
+ * @param {Array} groups The result of RegExp.exec()
+ * @return {string}
+ * @since 3.0.0
+ */
+export function expand(replacement, groups) {
+	return replacement.replace(/\$(\$|&|\d{1,2})/g, function (str, ref) {
+		if (ref === '$') {
+			return '$';
+		}
+
+		if (ref === '&') {
+			return groups[0];
+		}
+
+		return ref > 0 && ref < groups.length ? groups[ref] || '' : str;
+	});
+}
@@ -0,0 +1,266 @@
+import * as dom from './dom.js';
+import * as escape from './escape.js';
+import * as utils from './utils.js';
+
+
+/**
+ * Attribute that stores the URL an embed was created from
+ *
+ * @type {string}
+ */
+export var MEDIA_ATTR = 'data-sceditor-media';
+
+/**
+ * URLs that can be embedded.
+ *
+ * Only http(s) URLs without white space, quotes or square brackets
+ * are allowed so they can't break out of the HTML or BBCode.
+ *
+ * @type {RegExp}
+ * @private
+ */
+var VALID_URL = /^https?:\/\/[^\s"'`<>\[\]]+$/i;
+
+/**
+ * Matches template placeholders like {url} and {1}
+ *
+ * @type {RegExp}
+ * @private
+ */
+var PLACEHOLDER = /\{(url|\d+)\}/g;
+
+/**
+ * Registered providers keyed by name
+ *
+ * @type {Object<string, Object>}
+ * @private
+ */
+var registry = {};
+
+/**
+ * Replaces the placeholders in a template with the URL and
+ * the groups of the providers pattern.
+ *
+ * @param {string} template
+ * @param {Array<string>} match
+ * @param {boolean} [escapeHtml]
+ * @return {string}
+ * @private
+ */
+function render(template, match, escapeHtml) {
+	return template.replace(PLACEHOLDER, function (_, key) {
+		var value = (key === 'url' ? match.input : match[key]) || '';
+
+		return escapeHtml ? escape.entities(value) : value;
+	});
+}
+
+/**
+ * Registers a media provider.
+ *
+ * Providers are tried in the order they are registered, so more
+ * general ones like the video and audio file providers should be
+ * registered last:
+ *
+ *     sceditor.media.register('peertube', {
+ *         label: 'PeerTube',
+ *         pattern: /^https:\/\/video\.example\.com\/w\/(\w+)/,
+ *         html: '<iframe width="560" height="315" frameborder="0" ' +
+ *             'src="https://video.example.com/videos/embed/{1}" ' +
+ *             'allowfullscreen></iframe>'
+ *     });
+ *
+ * {url} is replaced with the URL and {1}, {2}, etc. with the groups
+ * matched by the pattern.
+ *
+ * If the BBCode template uses a tag other than [media], the format
+ * must have a handler for it to convert it back to HTML.
+ *
+ * @param {string} name
+ * @param {Object} provider
+ * @param {string} [provider.label] Name to show, defaults to the name
+ * @param {RegExp} provider.pattern Matched against the URL
+ * @param {string|function(Array<string>):string} provider.html Embed
+ *        template or a function which is passed the match and returns
+ *        the HTML. Must have a single root element.
+ * @param {string} [provider.bbcode] BBCode template, defaults to
+ *        [media]{url}[/media]
+ * @return {Object} The registered provider
+ * @since 3.0.0
+ */
+export function register(name, provider) {
+	provider = utils.extend({
+		label: name,
+		bbcode: '[media]{url}[/media]'
+	}, provider, {
+		name: name
+	});
+
+	registry[name] = provider;
+
+	return provider;
+}
+
+/**
+ * Gets a registered provider
+ *
+ * @param {string} name
+ * @return {?Object}
+ * @since 3.0.0
+ */
+export function get(name) {
+	return registry[name] || null;
+}
+
+/**
+ * Finds the provider for a URL
+ *
+ * @param {string} url
+ * @return {?{provider: Object, match: Array<string>}}
+ * @since 3.0.0
+ */
+export function match(url) {
+	var result = null;
+
+	url = (url || '').trim();
+
+	if (!VALID_URL.test(url)) {
+		return null;
+	}
+
+	Object.keys(registry).some(function (name) {
+		var groups = registry[name].pattern.exec(url);
+
+		if (groups) {
+			result = {
+				provider: registry[name],
+				match: groups
+			};
+		}
+
+		return !!groups;
+	});
+
+	return result;
+}
+
+/**
+ * Creates the embed HTML for a URL.
+ *
+ * The URL is stored on the root element so the embed can be
+ * converted back to BBCode.
+ *
+ * @param {string} url
+ * @return {?string} The HTML or null if no provider matches
+ * @since 3.0.0
+ */
+export function embed(url) {
+	var html;
+	var result = match(url);
+
+	if (!result) {
+		return null;
+	}
+
+	html = typeof result.provider.html === 'function' ?
+		result.provider.html(result.match) :
+		render(result.provider.html, result.match, true);
+
+	return html.replace(/^\s*<[a-z]+/i, function (tag) {
+		return tag + ' ' + MEDIA_ATTR + '="' +
+			escape.entities(result.match.input) + '"';
+	});
+}
+
+/**
+ * Converts a URL to BBCode using its providers BBCode template
+ *
+ * @param {string} url
+ * @return {?string} The BBCode or null if no provider matches
+ * @since 3.0.0
+ */
+export function toBBCode(url) {
+	var result = match(url);
+
+	return result ? render(result.provider.bbcode, result.match) : null;
+}
+
+/**
+ * Gets the URL of an embed
+ *
+ * @param {HTMLElement} element
+ * @return {string} The URL or an empty string if it isn't an embed
+ * @since 3.0.0
+ */
+export function getUrl(element) {
+	return dom.attr(element, MEDIA_ATTR) || '';
+}
+
+
+register('youtube', {
+	label: 'YouTube',
+	pattern: /^https?:\/\/(?:www\.|m\.)?(?:youtube\.com\/(?:watch\?(?:[^#]*&)?v=|embed\/|shorts\/)|youtu\.be\/)([\w\-]{11})(?![\w\-])/i,
+	html: '<iframe width="560" height="315" frameborder="0" ' +
+		'src="https://www.youtube.com/embed/{1}?wmode=opaque" ' +
+		'allowfullscreen></iframe>',
+	bbcode: '[youtube]{1}[/youtube]'
+});
+
+register('vimeo', {
+	label: 'Vimeo',
+	pattern: /^https?:\/\/(?:www\.|player\.)?vimeo\.com\/(?:video\/)?(\d+)/i,
+	html: '<iframe width="560" height="315" frameborder="0" ' +
+		'src="https://player.vimeo.com/video/{1}" allowfullscreen></iframe>'
+});
+
+register('dailymotion', {
+	label: 'Dailymotion',
+	pattern: /^https?:\/\/(?:www\.)?(?:dailymotion\.com\/video|dai\.ly)\/([a-z0-9]+)/i,
+	html: '<iframe width="560" height="315" frameborder="0" ' +
+		'src="https://www.dailymotion.com/embed/video/{1}" ' +
+		'allowfullscreen></iframe>'
+});
+
+register('twitch', {
+	label: 'Twitch',
+	pattern: /^https?:\/\/(?:www\.)?twitch\.tv\/(?:videos\/(\d+)|(\w+)\/?(?:[?#]|$))/i,
+	// Twitch requires the domain of the page embedding the player
+	html: function (match) {
+		var parent = typeof location !== 'undefined' ? location.hostname : '';
+
+		return '<iframe width="560" height="315" frameborder="0" ' +
+			'src="https://player.twitch.tv/?' + (match[1] ?
+			'video=' + match[1] : 'channel=' + match[2]) +
+			'&amp;parent=' + escape.entities(parent) + '" ' +
+			'allowfullscreen></iframe>';
+	}
+});
+
+register('soundcloud', {
+	label: 'SoundCloud',
+	pattern: /^https?:\/\/(?:www\.|m\.)?soundcloud\.com\/[\w\-]+\/[\w\-]+/i,
+	html: function (match) {
+		return '<iframe width="560" height="166" frameborder="0" ' +
+			'src="https://w.soundcloud.com/player/?url=' +
+			encodeURIComponent(match[0]) + '"></iframe>';
+	}
+});
+
+register('spotify', {
+	label: 'Spotify',
+	pattern: /^https?:\/\/open\.spotify\.com\/(?:intl-[a-z\-]+\/)?(track|album|playlist|episode|show|artist)\/(\w+)/i,
+	html: '<iframe width="560" height="352" frameborder="0" ' +
+		'src="https://open.spotify.com/embed/{1}/{2}"></iframe>'
+});
+
+register('video', {
+	label: 'Video',
+	pattern: /^https?:\/\/[^?#]+\.(?:mp4|m4v|webm|ogv)(?:[?#]|$)/i,
+	html: '<video width="560" src="{url}" controls></video>'
+});
+
+register('audio', {
+	label: 'Audio',
+	pattern: /^https?:\/\/[^?#]+\.(?:mp3|m4a|aac|oga|ogg|opus|wav|flac)(?:[?#]|$)/i,
+	html: '<audio src="{url}" controls></audio>'
+});
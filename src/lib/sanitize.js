@@ -0,0 +1,317 @@
+import createDOMPurify from 'dompurify';
+import * as escape from './escape.js';
+import * as utils from './utils.js';
+
+
+/**
+ * Matches style values that can load or run something
+ *
+ * @type {RegExp}
+ * @private
+ */
+var UNSAFE_STYLE_REGEX =
+	/expression|javascript:|behavior|url\s*\(|@import|\\/i;
+
+/**
+ * Matches URLs with the schemes escape.uriScheme() allows and
+ * relative URLs
+ *
+ * @type {RegExp}
+ * @private
+ */
+var ALLOWED_URI_REGEX = new RegExp(
+	'^(?:(?:https?|s?ftp|mailto|spotify|skype|ssh|teamspeak|tel):|' +
+	'[^a-z]|[a-z+.\\-]+(?:[^a-z+.\\-:]|$))', 'i'
+);
+
+/**
+ * DOMPurify instance with the hooks used to apply the policy
+ *
+ * @private
+ */
+var purify = createDOMPurify(window);
+
+purify.addHook('uponSanitizeAttribute', checkAttribute);
+
+/**
+ * The policy of the current sanitize() call, used by the hooks
+ *
+ * @type {?Object}
+ * @private
+ */
+var currentPolicy;
+
+/**
+ * The default sanitiser policy.
+ *
+ * Tags that aren't allowed are removed but their contents kept,
+ * except for removeTags which are removed along with their contents.
+ *
+ * @type {Object}
+ * @property {Object<string, Array<string>>} tags  Allowed tags and the
+ *           attributes allowed on them on top of the global attributes
+ * @property {Array<string>} attributes  Attributes allowed on every tag.
+ *           Ending a name with * allows any attribute starting with it.
+ * @property {Array<string>} urlAttributes  Attributes containing URLs,
+ *           these are passed through escape.uriScheme()
+ * @property {Array<string>} styles  CSS properties allowed in style
+ *           attributes
+ * @property {Array<string>} removeTags  Tags to remove with their contents
+ * @since 3.0.0
+ */
+export var defaultPolicy = {
+	tags: {
+		a: ['href', 'target', 'rel'],
+		abbr: [],
+		audio: ['controls', 'loop', 'preload', 'src'],
+		b: [],
+		big: [],
+		blockquote: ['cite'],
+		br: [],
+		caption: [],
+		center: [],
+		cite: [],
+		code: [],
+		col: ['span', 'width'],
+		colgroup: ['span', 'width'],
+		dd: [],
+		del: [],
+		details: ['open'],
+		dfn: [],
+		div: [],
+		dl: [],
+		dt: [],
+		em: [],
+		figcaption: [],
+		figure: [],
+		font: ['color', 'face', 'size'],
+		h1: [],
+		h2: [],
+		h3: [],
+		h4: [],
+		h5: [],
+		h6: [],
+		hr: [],
+		i: [],
+		iframe: [
+			'allowfullscreen', 'frameborder', 'height', 'src', 'width'
+		],
+		img: ['alt', 'height', 'src', 'width'],
+		ins: [],
+		kbd: [],
+		li: ['value'],
+		mark: [],
+		ol: ['reversed', 'start', 'type'],
+		p: [],
+		pre: [],
+		q: ['cite'],
+		s: [],
+		samp: [],
+		small: [],
+		source: ['src', 'type'],
+		span: [],
+		strike: [],
+		strong: [],
+		sub: [],
+		summary: [],
+		sup: [],
+		table: ['border', 'cellpadding', 'cellspacing', 'width'],
+		tbody: [],
+		td: ['colspan', 'height', 'rowspan', 'valign', 'width'],
+		tfoot: [],
+		th: ['colspan', 'height', 'rowspan', 'scope', 'valign', 'width'],
+		thead: [],
+		tr: [],
+		tt: [],
+		u: [],
+		ul: ['type'],
+		var: [],
+		video: [
+			'controls', 'height', 'loop', 'poster', 'preload', 'src', 'width'
+		]
+	},
+	attributes: [
+		'align', 'class', 'data-*', 'dir', 'lang', 'style', 'title'
+	],
+	urlAttributes: ['cite', 'href', 'poster', 'src'],
+	styles: [
+		'background-color', 'border', 'border-collapse', 'color',
+		'direction', 'float', 'font-family', 'font-size', 'font-style',
+		'font-weight', 'height', 'line-height', 'list-style-type',
+		'margin', 'margin-bottom', 'margin-left', 'margin-right',
+		'margin-top', 'padding', 'padding-left', 'padding-right',
+		'text-align', 'text-decoration', 'text-indent', 'vertical-align',
+		'white-space', 'width'
+	],
+	removeTags: [
+		'applet', 'base', 'button', 'embed', 'frame', 'frameset', 'head',
+		'input', 'link', 'meta', 'noscript', 'object', 'option', 'script',
+		'select', 'style', 'template', 'textarea', 'title'
+	]
+};
+
+/**
+ * Creates a new policy with the rules from extra added to it.
+ *
+ * Arrays are combined and tags merged. Allowing a tag also stops it
+ * being removed, setting a tag to null in extra disallows it.
+ *
+ * @param {Object} policy
+ * @param {Object} [extra]
+ * @return {Object}
+ * @since 3.0.0
+ */
+export function extendPolicy(policy, extra) {
+	var result = utils.extend(true, {}, policy);
+
+	utils.each(extra || {}, function (key, value) {
+		if (key === 'tags') {
+			utils.each(value, function (tag, attrs) {
+				if (attrs === null) {
+					delete result.tags[tag];
+				} else {
+					result.tags[tag] = (result.tags[tag] || []).concat(attrs);
+					utils.arrayRemove(result.removeTags, tag);
+				}
+			});
+		} else if (Array.isArray(value)) {
+			result[key] = (result[key] || []).concat(value);
+		} else {
+			result[key] = value;
+		}
+	});
+
+	return result;
+}
+
+/**
+ * Checks if the attribute name is in the list of names.
+ *
+ * @param {Array<string>} names
+ * @param {string} name
+ * @return {boolean}
+ * @private
+ */
+function inList(names, name) {
+	return names.some(function (allowed) {
+		if (allowed.charAt(allowed.length - 1) === '*') {
+			return name.indexOf(allowed.slice(0, -1)) === 0;
+		}
+
+		return allowed === name;
+	});
+}
+
+/**
+ * Removes any CSS properties the policy doesn't allow from a style
+ * attribute value.
+ *
+ * @param {string} style
+ * @param {Object} policy
+ * @return {string}
+ * @private
+ */
+function cleanStyle(style, policy) {
+	return style
+		.replace(/\/\*[\s\S]*?\*\//g, '')
+		.split(';')
+		.filter(function (declaration) {
+			var idx = declaration.indexOf(':');
+			var property = declaration.substr(0, idx).trim().toLowerCase();
+
+			return idx > 0 && policy.styles.indexOf(property) > -1 &&
+				!UNSAFE_STYLE_REGEX.test(declaration.substr(idx + 1));
+		})
+		.join(';');
+}
+
+/**
+ * Applies the per tag, wildcard, URL and style rules of the policy
+ * being sanitised with, which DOMPurify has no config for.
+ *
+ * @param {HTMLElement} node
+ * @param {Object} data
+ * @private
+ */
+function checkAttribute(node, data) {
+	var policy = currentPolicy;
+	var name = data.attrName;
+	var allowed = policy.attributes
+		.concat(policy.tags[node.nodeName.toLowerCase()] || []);
+
+	if (!inList(allowed, name)) {
+		data.keepAttr = false;
+	} else if (policy.urlAttributes.indexOf(name) > -1) {
+		data.attrValue = escape.uriScheme(data.attrValue);
+	} else if (name === 'style') {
+		data.attrValue = cleanStyle(data.attrValue, policy);
+		data.keepAttr = !!data.attrValue;
+	} else if (allowed.indexOf(name) < 0) {
+		// Allowed by a wildcard
+		data.allowedAttributes[name] = true;
+	}
+}
+
+/**
+ * Converts the policy into DOMPurify config
+ *
+ * @param {Object} policy
+ * @return {Object}
+ * @private
+ */
+function toConfig(policy) {
+	var attributes = policy.attributes.filter(function (name) {
+		return name.charAt(name.length - 1) !== '*';
+	});
+
+	utils.each(policy.tags, function (tag, attrs) {
+		attributes = attributes.concat(attrs);
+	});
+
+	return {
+		ALLOWED_TAGS: Object.keys(policy.tags),
+		ALLOWED_ATTR: attributes,
+		// URL attributes are made safe by escape.uriScheme() so only
+		// they need checking against the URI regex
+		ADD_URI_SAFE_ATTR: attributes.filter(function (name) {
+			return policy.urlAttributes.indexOf(name) < 0;
+		}),
+		ALLOWED_URI_REGEXP: ALLOWED_URI_REGEX,
+		FORBID_CONTENTS: policy.removeTags,
+		ALLOW_ARIA_ATTR: false,
+		KEEP_CONTENT: true,
+		RETURN_DOM: true
+	};
+}
+
+/**
+ * Sanitises a HTML string using the policy.
+ *
+ * The sanitising is done by DOMPurify with the policy converted
+ * into its config. The HTML is parsed into a separate document
+ * so nothing in it is run or loaded.
+ *
+ * @param {string} html
+ * @param {Object} [policy] Defaults to the default policy
+ * @param {function(HTMLElement)} [filter] Called with the sanitised
+ *                                         nodes before serialising
+ * @return {string}
+ * @since 3.0.0
+ */
+export function sanitize(html, policy, filter) {
+	var root;
+
+	currentPolicy = policy || defaultPolicy;
+
+	try {
+		root = purify.sanitize(html, toConfig(currentPolicy));
+	} finally {
+		currentPolicy = null;
+	}
+
+	if (filter) {
+		filter(root);
+	}
+
+	return root.innerHTML;
+}
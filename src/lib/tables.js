@@ -0,0 +1,480 @@
+import * as dom from './dom.js';
+import { ie as IE_VER } from './browser.js';
+
+// In IE < 11 a BR at the end of a block level element
+// causes a line break. In all other browsers it's collapsed.
+var IE_BR_FIX = IE_VER && IE_VER < 11;
+
+/**
+ * Gets the table cell the node is in, if any
+ *
+ * @param {Node} node
+ * @return {?HTMLTableCellElement}
+ */
+export function getCell(node) {
+	return node ? dom.closest(node, 'td,th') : null;
+}
+
+/**
+ * Builds a grid of the table where each position is the cell
+ * that covers it. Cells that span multiple rows or columns will
+ * be at every position they cover.
+ *
+ * @param {HTMLTableElement} table
+ * @return {Array<Array<HTMLTableCellElement>>}
+ * @private
+ */
+function buildGrid(table) {
+	var grid = [];
+
+	for (var r = 0; r < table.rows.length; r++) {
+		var col = 0;
+		var cells = table.rows[r].cells;
+
+		grid[r] = grid[r] || [];
+
+		for (var i = 0; i < cells.length; i++) {
+			var cell = cells[i];
+
+			while (grid[r][col]) {
+				col++;
+			}
+
+			for (var y = r; y < r + cell.rowSpan; y++) {
+				grid[y] = grid[y] || [];
+
+				for (var x = col; x < col + cell.colSpan; x++) {
+					grid[y][x] = cell;
+				}
+			}
+		}
+	}
+
+	// Rows spans past the end of the table can create extra rows
+	grid.length = table.rows.length;
+
+	return grid;
+}
+
+/**
+ * Gets the row and column of the top left corner of the cell
+ *
+ * @param {Array<Array<HTMLTableCellElement>>} grid
+ * @param {HTMLTableCellElement} cell
+ * @return {{row: number, col: number}}
+ * @private
+ */
+function position(grid, cell) {
+	for (var r = 0; r < grid.length; r++) {
+		var col = grid[r].indexOf(cell);
+
+		if (col > -1) {
+			return {
+				row: r,
+				col: col
+			};
+		}
+	}
+}
+
+/**
+ * Sets the row or column span of a cell, removing the attribute
+ * if it is the default of 1
+ *
+ * @param {HTMLTableCellElement} cell
+ * @param {string} prop Either rowSpan or colSpan
+ * @param {number} value
+ * @private
+ */
+function setSpan(cell, prop, value) {
+	if (value > 1) {
+		cell[prop] = value;
+	} else {
+		cell.removeAttribute(prop.toLowerCase());
+	}
+}
+
+/**
+ * Creates a new empty cell
+ *
+ * @param {HTMLTableCellElement} like Cell to use the tag name of
+ * @return {HTMLTableCellElement}
+ * @private
+ */
+function createCell(like) {
+	var cell = dom.createElement(
+		like.tagName.toLowerCase(), {}, like.ownerDocument
+	);
+
+	if (!IE_BR_FIX) {
+		dom.appendChild(cell, dom.createElement('br', {}, like.ownerDocument));
+	}
+
+	return cell;
+}
+
+/**
+ * Inserts the cell into the row after any cells that start at or
+ * before the specified column
+ *
+ * @param {Array<Array<HTMLTableCellElement>>} grid
+ * @param {HTMLTableRowElement} tr
+ * @param {number} col
+ * @param {HTMLTableCellElement} cell
+ * @private
+ */
+function insertCellAt(grid, tr, col, cell) {
+	var ref = null;
+
+	for (var i = 0; i < tr.cells.length; i++) {
+		var pos = position(grid, tr.cells[i]);
+
+		if (pos && pos.col > col) {
+			ref = tr.cells[i];
+			break;
+		}
+	}
+
+	tr.insertBefore(cell, ref);
+}
+
+/**
+ * Removes any rows that no longer have any cells, reducing the
+ * row span of any cells that spanned them.
+ *
+ * @param {HTMLTableElement} table
+ * @private
+ */
+function removeEmptyRows(table) {
+	for (var r = table.rows.length - 1; r >= 0; r--) {
+		if (!table.rows[r].cells.length) {
+			var grid = buildGrid(table);
+			var done = [];
+
+			for (var c = 0; c < grid[r].length; c++) {
+				var cell = grid[r][c];
+
+				if (cell && done.indexOf(cell) < 0) {
+					setSpan(cell, 'rowSpan', cell.rowSpan - 1);
+					done.push(cell);
+				}
+			}
+
+			dom.remove(table.rows[r]);
+		}
+	}
+
+	if (!table.rows.length) {
+		dom.remove(table);
+	}
+}
+
+/**
+ * Inserts a new row above or below the row the cell is in
+ *
+ * @param {HTMLTableCellElement} cell
+ * @param {boolean} [below=false]
+ * @return {HTMLTableRowElement} The new row
+ */
+export function insertRow(cell, below) {
+	var table = dom.closest(cell, 'table');
+	var grid = buildGrid(table);
+	var pos = position(grid, cell);
+	var row = below ? pos.row + cell.rowSpan - 1 : pos.row;
+	var other = below ? row + 1 : row - 1;
+	var tr = dom.createElement('tr', {}, cell.ownerDocument);
+	var done = [];
+
+	for (var c = 0; c < grid[row].length; c++) {
+		var current = grid[row][c];
+
+		if (!current || done.indexOf(current) > -1) {
+			continue;
+		}
+
+		done.push(current);
+
+		// Cells which span across the new row need to cover it too
+		if (grid[other] && grid[other][c] === current) {
+			setSpan(current, 'rowSpan', current.rowSpan + 1);
+		} else {
+			var newCell = createCell(current);
+
+			setSpan(newCell, 'colSpan', current.colSpan);
+			dom.appendChild(tr, newCell);
+		}
+	}
+
+	table.rows[row].parentNode.insertBefore(tr,
+		below ? table.rows[row].nextSibling : table.rows[row]);
+
+	return tr;
+}
+
+/**
+ * Deletes the row the cell is in.
+ *
+ * If it is the last row the whole table will be removed.
+ *
+ * @param {HTMLTableCellElement} cell
+ */
+export function deleteRow(cell) {
+	var table = dom.closest(cell, 'table');
+	var grid = buildGrid(table);
+	var row = position(grid, cell).row;
+	var tr = table.rows[row];
+	var done = [];
+
+	for (var c = 0; c < grid[row].length; c++) {
+		var current = grid[row][c];
+
+		if (!current || done.indexOf(current) > -1) {
+			continue;
+		}
+
+		done.push(current);
+
+		if (current.rowSpan > 1) {
+			// Cells starting in this row need moving to the next
+			if (current.parentNode === tr) {
+				insertCellAt(grid, table.rows[row + 1], c, current);
+			}
+
+			setSpan(current, 'rowSpan', current.rowSpan - 1);
+		}
+	}
+
+	dom.remove(tr);
+
+	if (!table.rows.length) {
+		dom.remove(table);
+	}
+}
+
+/**
+ * Inserts a new column to the left or right of the column the
+ * cell is in
+ *
+ * @param {HTMLTableCellElement} cell
+ * @param {boolean} [right=false]
+ */
+export function insertColumn(cell, right) {
+	var table = dom.closest(cell, 'table');
+	var grid = buildGrid(table);
+	var pos = position(grid, cell);
+	var col = right ? pos.col + cell.colSpan - 1 : pos.col;
+	var other = right ? col + 1 : col - 1;
+	var done = [];
+
+	for (var r = 0; r < grid.length; r++) {
+		var current = grid[r][col];
+
+		if (!current || done.indexOf(current) > -1) {
+			continue;
+		}
+
+		done.push(current);
+
+		// Cells which span across the new column need to cover it too
+		if (grid[r][other] === current) {
+			setSpan(current, 'colSpan', current.colSpan + 1);
+		} else {
+			var newCell = createCell(current);
+
+			setSpan(newCell, 'rowSpan', current.rowSpan);
+			current.parentNode.insertBefore(newCell,
+				right ? current.nextSibling : current);
+		}
+	}
+}
+
+/**
+ * Deletes the column the cell is in.
+ *
+ * If it is the last column the whole table will be removed.
+ *
+ * @param {HTMLTableCellElement} cell
+ */
+export function deleteColumn(cell) {
+	var table = dom.closest(cell, 'table');
+	var grid = buildGrid(table);
+	var col = position(grid, cell).col;
+	var done = [];
+
+	for (var r = 0; r < grid.length; r++) {
+		var current = grid[r][col];
+
+		if (!current || done.indexOf(current) > -1) {
+			continue;
+		}
+
+		done.push(current);
+
+		if (current.colSpan > 1) {
+			setSpan(current, 'colSpan', current.colSpan - 1);
+		} else {
+			dom.remove(current);
+		}
+	}
+
+	removeEmptyRows(table);
+}
+
+/**
+ * Merges all the cells in the rectangle between the two cells
+ * into a single cell.
+ *
+ * If both cells are the same it will be merged with the cell
+ * to the right of it.
+ *
+ * @param {HTMLTableCellElement} startCell
+ * @param {HTMLTableCellElement} [endCell]
+ * @return {boolean} If the cells were merged
+ */
+export function mergeCells(startCell, endCell) {
+	var table = dom.closest(startCell, 'table');
+	var grid = buildGrid(table);
+	var start = position(grid, startCell);
+	var end;
+	var top, left, bottom, right, r, c, changed;
+	var cells = [];
+
+	if (!endCell || endCell === startCell) {
+		endCell = grid[start.row][start.col + startCell.colSpan];
+	}
+
+	if (!endCell || dom.closest(endCell, 'table') !== table) {
+		return false;
+	}
+
+	end = position(grid, endCell);
+	top = Math.min(start.row, end.row);
+	left = Math.min(start.col, end.col);
+	bottom = Math.max(start.row + startCell.rowSpan, end.row + endCell.rowSpan);
+	right = Math.max(start.col + startCell.colSpan, end.col + endCell.colSpan);
+
+	// Expand the rectangle until no cells cross its edges
+	do {
+		changed = false;
+
+		for (r = top; r < bottom; r++) {
+			for (c = left; c < right; c++) {
+				var cell = grid[r][c];
+				var pos = cell && position(grid, cell);
+
+				if (!cell) {
+					continue;
+				}
+
+				if (pos.row < top || pos.col < left ||
+					pos.row + cell.rowSpan > bottom ||
+					pos.col + cell.colSpan > right) {
+					top = Math.min(top, pos.row);
+					left = Math.min(left, pos.col);
+					bottom = Math.max(bottom, pos.row + cell.rowSpan);
+					right = Math.max(right, pos.col + cell.colSpan);
+					changed = true;
+				}
+			}
+		}
+	} while (changed);
+
+	for (r = top; r < bottom; r++) {
+		for (c = left; c < right; c++) {
+			if (grid[r][c] && cells.indexOf(grid[r][c]) < 0) {
+				cells.push(grid[r][c]);
+			}
+		}
+	}
+
+	for (var i = 1; i < cells.length; i++) {
+		if (!isEmpty(cells[i])) {
+			if (!isEmpty(cells[0]) && !IE_BR_FIX) {
+				dom.appendChild(cells[0],
+					dom.createElement('br', {}, cells[0].ownerDocument));
+			}
+
+			while (cells[i].firstChild) {
+				dom.appendChild(cells[0], cells[i].firstChild);
+			}
+		}
+
+		dom.remove(cells[i]);
+	}
+
+	setSpan(cells[0], 'rowSpan', bottom - top);
+	setSpan(cells[0], 'colSpan', right - left);
+
+	removeEmptyRows(table);
+
+	return true;
+}
+
+/**
+ * Splits a merged cell back into individual cells
+ *
+ * @param {HTMLTableCellElement} cell
+ */
+export function splitCell(cell) {
+	var table = dom.closest(cell, 'table');
+	var grid = buildGrid(table);
+	var pos = position(grid, cell);
+
+	var right = pos.col + cell.colSpan - 1;
+
+	for (var r = pos.row; r < pos.row + cell.rowSpan; r++) {
+		for (var c = pos.col; c <= right; c++) {
+			if (r !== pos.row || c !== pos.col) {
+				insertCellAt(grid, table.rows[r], right, createCell(cell));
+			}
+		}
+	}
+
+	setSpan(cell, 'rowSpan', 1);
+	setSpan(cell, 'colSpan', 1);
+}
+
+/**
+ * Toggles the first row of the table between header and data cells
+ *
+ * @param {HTMLTableCellElement} cell
+ */
+export function toggleHeader(cell) {
+	var row = dom.closest(cell, 'table').rows[0];
+	var toTag = isHeader(cell) ? 'td' : 'th';
+	var cells = [].slice.call(row.cells);
+
+	for (var i = 0; i < cells.length; i++) {
+		dom.convertElement(cells[i], toTag);
+	}
+}
+
+/**
+ * Checks if the first row of the cells table is a header row
+ *
+ * @param {HTMLTableCellElement} cell
+ * @return {boolean}
+ */
+export function isHeader(cell) {
+	var cells = dom.closest(cell, 'table').rows[0].cells;
+
+	for (var i = 0; i < cells.length; i++) {
+		if (!dom.is(cells[i], 'th')) {
+			return false;
+		}
+	}
+
+	return cells.length > 0;
+}
+
+/**
+ * Checks if a cell has no content
+ *
+ * @param {HTMLTableCellElement} cell
+ * @return {boolean}
+ * @private
+ */
+function isEmpty(cell) {
+	return !cell.textContent.replace(/\s/g, '') &&
+		!dom.find(cell, 'img,iframe,hr').length;
+}
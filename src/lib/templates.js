@@ -27,7 +27,8 @@ var _templates = {
 		'</html>',
 
 	toolbarButton: '<a class="sceditor-button sceditor-button-{name}" ' +
-		'data-sceditor-command="{name}" unselectable="on">' +
+		'data-sceditor-command="{name}" unselectable="on" ' +
+		'role="button" tabindex="-1">' +
 		'<div unselectable="on">{dispName}</div></a>',
 
 	emoticon: '<img src="{url}" data-sceditor-emoticon="{key}" ' +
@@ -39,6 +40,9 @@ var _templates = {
 	sizeOpt: '<a class="sceditor-fontsize-option" data-size="{size}" ' +
 		'href="#"><font size="{size}">{size}</font></a>',
 
+	codeOpt: '<a class="sceditor-code-option" data-language="{language}" ' +
+		'href="#">{label}</a>',
+
 	pastetext:
 		'<div><label for="txt">{label}</label> ' +
 			'<textarea cols="20" rows="7" id="txt"></textarea></div>' +
@@ -78,6 +82,94 @@ var _templates = {
 			'<input type="text" id="des" /></div>' +
 		'<div><input type="button" class="button" value="{ins}" /></div>',
 
+	linkPopover:
+		'<div class="sceditor-popover-view">' +
+			'<a class="sceditor-popover-url" target="_blank" ' +
+				'rel="noopener noreferrer" dir="ltr" title="{open}"></a> ' +
+			'<input type="button" class="button" data-action="edit" ' +
+				'value="{edit}" /> ' +
+			'<input type="button" class="button" data-action="unlink" ' +
+				'value="{unlink}" />' +
+		'</div>' +
+		'<div class="sceditor-popover-edit">' +
+			'<div><label for="linkurl">{url}</label> ' +
+				'<input type="text" id="linkurl" dir="ltr" /></div>' +
+			'<div><label><input type="checkbox" id="linknewtab" /> ' +
+				'{newTab}</label></div>' +
+			'<div><label for="linkrel">{rel}</label> ' +
+				'<input type="text" id="linkrel" dir="ltr" ' +
+					'placeholder="nofollow" /></div>' +
+			'<div><input type="button" class="button" data-action="save" ' +
+				'value="{save}" /></div>' +
+		'</div>',
+
+	imagePopover:
+		'<div><label for="imagesrc">{url}</label> ' +
+			'<input type="text" id="imagesrc" dir="ltr" /></div>' +
+		'<div><label for="imagewidth">{width}</label> ' +
+			'<input type="text" id="imagewidth" size="2" dir="ltr" /> ' +
+			'<label for="imageheight">{height}</label> ' +
+			'<input type="text" id="imageheight" size="2" dir="ltr" /></div>' +
+		'<div><label for="imagealt">{alt}</label> ' +
+			'<input type="text" id="imagealt" /></div>' +
+		'<div><input type="button" class="button" value="{save}" /></div>',
+
+	quote:
+		'<div><label for="{id}author">{author}</label> ' +
+			'<input type="text" id="{id}author" /></div>' +
+		'<div><label for="{id}post">{post}</label> ' +
+			'<input type="text" id="{id}post" size="6" dir="ltr" /></div>' +
+		'<div><label for="{id}time">{time}</label> ' +
+			'<input type="datetime-local" id="{id}time" dir="ltr" /></div>' +
+		'<div><input type="button" class="button" value="{button}" />' +
+			'</div>',
+
+	blockField:
+		'<div><label for="{id}">{label}</label> ' +
+			'<input type="text" id="{id}" /></div>',
+
+	blockInsert:
+		'<div><input type="button" class="button" value="{insert}" /></div>',
+
+	emoticonPicker:
+		'<input type="text" class="sceditor-emoticons-search" ' +
+			'placeholder="{search}" aria-label="{search}" />' +
+		'<div class="sceditor-emoticons-tabs" role="tablist"></div>' +
+		'<div class="sceditor-emoticons-list"></div>' +
+		'<div class="sceditor-emoticons-tones" role="radiogroup" ' +
+			'aria-label="{skinTone}"></div>',
+
+	find:
+		'<div><label for="find">{find}</label> ' +
+			'<input type="text" id="find" /></div>' +
+		'<div><label for="replace">{replace}</label> ' +
+			'<input type="text" id="replace" /></div>' +
+		'<div class="sceditor-find-options">' +
+			'<label><input type="checkbox" id="matchcase" /> ' +
+				'{matchCase}</label>' +
+			'<label><input type="checkbox" id="wholeword" /> ' +
+				'{wholeWord}</label>' +
+			'<label><input type="checkbox" id="regex" /> {regex}</label>' +
+		'</div>' +
+		'<div class="sceditor-find-count"></div>' +
+		'<div>' +
+			'<input type="button" class="button" data-find="prev" ' +
+				'value="{prev}" /> ' +
+			'<input type="button" class="button" data-find="next" ' +
+				'value="{next}" /> ' +
+			'<input type="button" class="button" data-find="replace" ' +
+				'value="{replaceOne}" /> ' +
+			'<input type="button" class="button" data-find="all" ' +
+				'value="{replaceAll}" />' +
+		'</div>',
+
+	mediaMenu:
+		'<div><label for="media">{label}</label> ' +
+			'<input type="text" id="media" dir="ltr" placeholder="https://" />' +
+			'</div>' +
+		'<div><input type="button" class="button" value="{insert}" />' +
+			'</div>',
+
 	youtubeMenu:
 		'<div><label for="link">{label}</label> ' +
 			'<input type="text" id="link" dir="ltr" placeholder="https://" /></div>' +
@@ -0,0 +1,201 @@
+/**
+ * SCEditor Auto Link Plugin
+ * http://www.sceditor.com/
+ *
+ * Copyright (C) 2017, Sam Clarke (samclarke.com)
+ *
+ * SCEditor is licensed under the MIT license:
+ *	http://www.opensource.org/licenses/mit-license.php
+ *
+ * @author Sam Clarke
+ */
+(function (document, sceditor) {
+	'use strict';
+
+	var dom = sceditor.dom;
+	var escapeEntities = sceditor.escapeEntities;
+	var escapeUriScheme = sceditor.escapeUriScheme;
+
+	/**
+	 * Max number of characters before the caret to check for a URL
+	 * @type {number}
+	 * @private
+	 */
+	var MAX_URL_LENGTH = 500;
+
+	/*
+		^					Start of the word
+		(?:
+			[a-z][a-z\d+.\-]*:\/\/	A scheme, sceditor.escapeUriScheme
+							checks it is allowed
+			|www\.				or a www. prefix
+		)
+		[^\s<>"]+$			Rest of the URL
+	*/
+	var urlRegex = /^(?:[a-z][a-z\d+.\-]*:\/\/|www\.)[^\s<>"]+$/i;
+	var emailRegex = /^[\w.+\-]+@[a-z\d\-]+(?:\.[a-z\d\-]+)+$/i;
+
+	// Punctuation around a word is more likely to be part of the
+	// sentence than the URL
+	var leadingRegex = /^[(\['"]+/;
+	var trailingRegex = /[.,:;!?'")\]]+$/;
+
+	// Words in pasted text, see linkHtml() for what is linked
+	var wordRegex = /(^|\s)(\S+)(?=\s|$)/g;
+
+	/**
+	 * Gets the HTML to replace a word with if it is a URL or email
+	 * address, otherwise null
+	 *
+	 * @param {string} word
+	 * @return {?string}
+	 * @private
+	 */
+	function linkHtml(word) {
+		var href;
+		var leading = (word.match(leadingRegex) || [''])[0];
+		var trailing = (word.match(trailingRegex) || [''])[0];
+		var text = word.slice(leading.length, word.length - trailing.length);
+
+		if (emailRegex.test(text)) {
+			href = 'mailto:' + text;
+		} else if (urlRegex.test(text)) {
+			href = /^www\./i.test(text) ? 'http://' + text : text;
+		} else {
+			return null;
+		}
+
+		// Only link URLs which have an allowed scheme
+		if (escapeUriScheme(href) !== href) {
+			return null;
+		}
+
+		return escapeEntities(leading) +
+			'<a href="' + escapeEntities(href, false) + '">' +
+			escapeEntities(text) + '</a>' + escapeEntities(trailing);
+	}
+
+	function convertLinkText(node) {
+		var match, html;
+		var text   = node.nodeValue;
+		var parent = node.parentNode;
+
+		wordRegex.lastIndex = 0;
+
+		while ((match = wordRegex.exec(text))) {
+			html = linkHtml(match[2]);
+
+			if (html) {
+				parent.insertBefore(document.createTextNode(
+					text.substr(0, match.index) + match[1]
+				), node);
+
+				parent.insertBefore(dom.parseHTML(html), node);
+
+				text = text.substr(match.index + match[0].length);
+				wordRegex.lastIndex = 0;
+			}
+		}
+
+		node.nodeValue = text;
+	}
+
+	function convertLinks(root) {
+		var node = root.firstChild;
+
+		while (node) {
+			// 3 is TextNodes
+			if (node.nodeType === 3) {
+				convertLinkText(node);
+			} else if (!dom.is(node, 'code,a')) {
+				convertLinks(node);
+			}
+
+			node = node.nextSibling;
+		}
+	};
+
+	/**
+	 * Auto link plugin.
+	 *
+	 * Converts URLs and email addresses into links when a space or new
+	 * line is typed after them and when they are pasted. Anything inside
+	 * code or an existing link is left alone.
+	 *
+	 * The link is added after the key has been handled so, with the undo
+	 * plugin, undoing straight after removes just the link.
+	 */
+	sceditor.plugins.autolink = function () {
+		this.signalKeypressEvent = function (e) {
+			var caret, text, word, html;
+			var rangeHelper = this.getRangeHelper();
+			var which = e.which || e.keyCode;
+
+			// 13 = return & 32 = space
+			if ((which !== 13 && which !== 32) || this.sourceMode()) {
+				return;
+			}
+
+			caret = rangeHelper.cloneSelected();
+
+			if (!caret || !caret.collapsed ||
+				dom.closest(rangeHelper.parentNode(), 'code,a')) {
+				return;
+			}
+
+			text = rangeHelper.getOuterText(true, MAX_URL_LENGTH);
+			word = (text.match(/(?:^|\s)(\S+)$/) || [])[1];
+
+			// Too long to tell if it's the start of the word
+			if (!word || word.length >= MAX_URL_LENGTH ||
+				!(html = linkHtml(word))) {
+				return;
+			}
+
+			// The caret range is live so will stay at the end of the word
+			// when the key is handled, even if it was a new line
+			setTimeout(function () {
+				var current = rangeHelper.cloneSelected();
+
+				if (!current) {
+					return;
+				}
+
+				rangeHelper.selectRange(caret);
+
+				// Make sure the word hasn't changed since the key press
+				if (rangeHelper.getOuterText(true, word.length) === word) {
+					rangeHelper.replaceKeyword(
+						[[word, html]], false, true, word.length, false
+					);
+				}
+
+				rangeHelper.selectRange(current);
+			});
+		};
+
+		this.signalPasteRaw = function (data) {
+			// Skip code tags and links
+			if (dom.closest(this.currentNode(), 'code,a')) {
+				return;
+			}
+
+			if (data.html || data.text) {
+				// Parsed in a separate document so nothing in the
+				// HTML is loaded or run before it's sanitised
+				var html = document.implementation
+					.createHTMLDocument('').body;
+
+				if (data.html) {
+					html.innerHTML = data.html;
+				} else {
+					html.textContent = data.text;
+				}
+
+				convertLinks(html);
+
+				data.html = html.innerHTML;
+			}
+		};
+	};
+})(document, sceditor);
@@ -0,0 +1,90 @@
+/**
+ * SCEditor Auto Media Plugin
+ * http://www.sceditor.com/
+ *
+ * Copyright (C) 2016, Sam Clarke (samclarke.com)
+ *
+ * SCEditor is licensed under the MIT license:
+ *	http://www.opensource.org/licenses/mit-license.php
+ *
+ * @author Sam Clarke
+ */
+(function (document, sceditor) {
+	'use strict';
+
+	var dom = sceditor.dom;
+
+	/*
+		(^|\s)			Start of text or space
+		(https?:\/\/\S+)	The URL, sceditor.media checks if it
+						can be embedded
+		(?=\s|$)		End of text or space
+	*/
+	var urlRegex = /(^|\s)(https?:\/\/\S+)(?=\s|$)/gi;
+
+	function convertMediaText(node) {
+		var match, html;
+		var text   = node.nodeValue;
+		var parent = node.parentNode;
+
+		urlRegex.lastIndex = 0;
+
+		while ((match = urlRegex.exec(text))) {
+			html = sceditor.media.embed(match[2]);
+
+			if (html) {
+				parent.insertBefore(document.createTextNode(
+					text.substr(0, match.index) + match[1]
+				), node);
+
+				parent.insertBefore(dom.parseHTML(html), node);
+
+				text = text.substr(match.index + match[0].length);
+				urlRegex.lastIndex = 0;
+			}
+		}
+
+		node.nodeValue = text;
+	}
+
+	function convertMediaLinks(root) {
+		var node = root.firstChild;
+
+		while (node) {
+			// 3 is TextNodes
+			if (node.nodeType === 3) {
+				convertMediaText(node);
+			} else if (!dom.is(node, 'code,a')) {
+				convertMediaLinks(node);
+			}
+
+			node = node.nextSibling;
+		}
+	};
+
+	sceditor.plugins.automedia = function () {
+		this.signalPasteRaw = function (data) {
+			// Skip code tags
+			if (dom.closest(this.currentNode(), 'code')) {
+				return;
+			}
+
+			if (data.html || data.text) {
+				// Parsed in a separate document so nothing in the
+				// HTML is loaded or run before it's sanitised
+				var html = document.implementation
+					.createHTMLDocument('').body;
+
+				if (data.html) {
+					html.innerHTML = data.html;
+				} else {
+					html.textContent = data.text;
+				}
+
+				convertMediaLinks(html);
+
+				data.html = html.innerHTML;
+			}
+		};
+	};
+})(document, sceditor);
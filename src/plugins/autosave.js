@@ -12,46 +12,725 @@
 (function (sceditor) {
 	'use strict';
 
+	var dom = sceditor.dom;
+	var utils = sceditor.utils;
+
 	var defaultKey = 'sce-autodraft-' + location.pathname + location.search;
 
+	/**
+	 * Max number of tokens compared by diff() before it gives up
+	 * and treats the whole value as changed
+	 * @type {number}
+	 * @private
+	 */
+	var MAX_DIFF_SIZE = 250000;
+
+	/**
+	 * Storage adapter which stores drafts in localStorage
+	 * @type {Object}
+	 */
+	var localStorageAdapter = {
+		get: function (key) {
+			try {
+				return JSON.parse(localStorage.getItem(key));
+			} catch (e) {
+				return null;
+			}
+		},
+		set: function (key, drafts) {
+			try {
+				localStorage.setItem(key, JSON.stringify(drafts));
+			} catch (e) {}
+		},
+		remove: function (key) {
+			localStorage.removeItem(key);
+		},
+		keys: function () {
+			var keys = [];
+
+			for (var i = 0; i < localStorage.length; i++) {
+				keys.push(localStorage.key(i));
+			}
+
+			return keys;
+		}
+	};
+
 	function clear(key) {
-		localStorage.removeItem(key || defaultKey);
+		localStorageAdapter.remove(key || defaultKey);
 	}
 
+	/**
+	 * Calls a storage adapter method.
+	 *
+	 * Like the mentions source, adapter methods can either return the
+	 * result, return a Promise which resolves to it or pass it to the
+	 * callback which is the last argument.
+	 *
+	 * @param {Object} storage
+	 * @param {string} method
+	 * @param {Array} args
+	 * @param {function(*)} [callback]
+	 * @private
+	 */
+	function request(storage, method, args, callback) {
+		var called = false;
+		var done = function (result) {
+			if (!called) {
+				called = true;
+
+				if (callback) {
+					callback(result);
+				}
+			}
+		};
+
+		var result = storage[method].apply(storage, args.concat(done));
+
+		if (result && typeof result.then === 'function') {
+			result.then(done, function () {
+				done(null);
+			});
+		} else if (result !== undefined) {
+			done(result);
+		}
+	}
+
+	/**
+	 * Converts a stored value into an array of drafts.
+	 *
+	 * Older versions stored a single draft object.
+	 *
+	 * @param {*} value
+	 * @return {Array<Object>}
+	 * @private
+	 */
+	function toDrafts(value) {
+		if (value && !Array.isArray(value)) {
+			value = [utils.extend({ id: String(value.time) }, value)];
+		}
+
+		return (value || []).filter(function (draft) {
+			return draft && typeof draft.value === 'string';
+		});
+	}
+
+	/**
+	 * Splits a value into words and whitespace for diffing
+	 *
+	 * @param {string} str
+	 * @return {Array<string>}
+	 * @private
+	 */
+	function tokenize(str) {
+		return str.match(/\s+|[^\s]+/g) || [];
+	}
+
+	/**
+	 * Adds a change to a diff, merging it with the last change
+	 * if it is the same type
+	 *
+	 * @param {Array<Object>} changes
+	 * @param {string} type
+	 * @param {string} value
+	 * @private
+	 */
+	function pushChange(changes, type, value) {
+		var last = changes[changes.length - 1];
+
+		if (!value) {
+			return;
+		}
+
+		if (last && last.type === type) {
+			last.value += value;
+		} else {
+			changes.push({
+				type: type,
+				value: value
+			});
+		}
+	}
+
+	/**
+	 * Gets the word level differences between two values.
+	 *
+	 * Returns an array of changes each with a type of "equal", "delete"
+	 * for text only in the old value or "insert" for text only in the
+	 * new value.
+	 *
+	 * @param {string} oldValue
+	 * @param {string} newValue
+	 * @return {Array<{type: string, value: string}>}
+	 */
+	function diff(oldValue, newValue) {
+		var i, j, lengths;
+		var changes = [];
+		var before = tokenize(oldValue || '');
+		var after  = tokenize(newValue || '');
+		var start  = 0;
+		var suffix = [];
+
+		while (start < before.length && start < after.length &&
+			before[start] === after[start]) {
+			start++;
+		}
+
+		while (before.length > start && after.length > start &&
+			before[before.length - 1] === after[after.length - 1]) {
+			suffix.unshift(before.pop());
+			after.pop();
+		}
+
+		pushChange(changes, 'equal', before.slice(0, start).join(''));
+
+		before = before.slice(start);
+		after  = after.slice(start);
+
+		if (before.length * after.length > MAX_DIFF_SIZE) {
+			pushChange(changes, 'delete', before.join(''));
+			pushChange(changes, 'insert', after.join(''));
+			pushChange(changes, 'equal', suffix.join(''));
+
+			return changes;
+		}
+
+		// Longest common subsequence of the remaining tokens, lengths[i][j]
+		// is the LCS length of before.slice(i) and after.slice(j)
+		lengths = [];
+		for (i = before.length; i >= 0; i--) {
+			lengths[i] = [];
+
+			for (j = after.length; j >= 0; j--) {
+				if (i === before.length || j === after.length) {
+					lengths[i][j] = 0;
+				} else if (before[i] === after[j]) {
+					lengths[i][j] = lengths[i + 1][j + 1] + 1;
+				} else {
+					lengths[i][j] =
+						Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+				}
+			}
+		}
+
+		i = j = 0;
+		while (i < before.length || j < after.length) {
+			if (i < before.length && before[i] === after[j]) {
+				pushChange(changes, 'equal', before[i++]);
+				j++;
+			} else if (i < before.length && (j === after.length ||
+				lengths[i + 1][j] >= lengths[i][j + 1])) {
+				pushChange(changes, 'delete', before[i++]);
+			} else {
+				pushChange(changes, 'insert', after[j++]);
+			}
+		}
+
+		pushChange(changes, 'equal', suffix.join(''));
+
+		return changes;
+	}
+
+	/**
+	 * AutoSave plugin.
+	 *
+	 * Saves drafts of the editors content as it changes and offers to
+	 * restore them when the editor is next loaded. Each page load saves
+	 * to its own draft so older drafts aren't lost, and drafts can also
+	 * be saved with a name via editor.drafts.save(name).
+	 *
+	 * Options are set via the autosave property of the editor options:
+	 *
+	 *     autosave: {
+	 *         // Key to store the drafts under, defaults to one per page
+	 *         storageKey: 'sce-autodraft-' + location.pathname +
+	 *             location.search,
+	 *         // How long in ms to keep drafts for
+	 *         expires: 86400000,
+	 *         // Max number of drafts to keep per key
+	 *         maxDrafts: 10,
+	 *         // How to restore drafts. "prompt" to show a banner asking
+	 *         // to restore, "auto" to restore the latest draft silently
+	 *         // or "never"
+	 *         restore: 'prompt',
+	 *         // Storage adapter, defaults to localStorage
+	 *         storage: sceditor.plugins.autosave.localStorage
+	 *     }
+	 *
+	 * A storage adapter is an object with get(key), set(key, drafts) and
+	 * remove(key) methods and an optional keys() method used to remove
+	 * expired drafts of other pages. Each method can return its result,
+	 * a Promise which resolves to it or pass it to the callback which is
+	 * the last argument, so IndexedDB or a server can be used:
+	 *
+	 *     storage: {
+	 *         get: function (key) {
+	 *             return fetch('/drafts/' + encodeURIComponent(key))
+	 *                 .then(function (res) {
+	 *                     return res.json();
+	 *                 });
+	 *         },
+	 *         set: function (key, drafts) {
+	 *             fetch('/drafts/' + encodeURIComponent(key), {
+	 *                 method: 'PUT',
+	 *                 body: JSON.stringify(drafts)
+	 *             });
+	 *         },
+	 *         remove: function (key) {
+	 *             fetch('/drafts/' + encodeURIComponent(key), {
+	 *                 method: 'DELETE'
+	 *             });
+	 *         }
+	 *     }
+	 *
+	 * The save and load options from older versions, which save and load
+	 * a single draft, are still supported.
+	 */
 	sceditor.plugins.autosave = function () {
 		var base = this;
-		var editor;
+		var editor, opts, storage, banner;
 		var storageKey = defaultKey;
 		// 86400000 = 24 hrs (24 * 60 * 60 * 1000)
 		var expires = 86400000;
-		var saveHandler = function (value) {
-			localStorage.setItem(storageKey, JSON.stringify(value));
-		};
-		var loadHandler = function () {
-			return JSON.parse(localStorage.getItem(storageKey));
-		};
+		var drafts = [];
+		var loaded = false;
+		// ID of the draft this page load saves to
+		var sessionId = createId();
+
+		/**
+		 * Creates a unique draft ID
+		 *
+		 * @return {string}
+		 * @private
+		 */
+		function createId() {
+			return Date.now().toString(36) +
+				Math.random().toString(36).substr(2, 6);
+		}
+
+		/**
+		 * Checks if a draft hasn't expired
+		 *
+		 * @param {Object} draft
+		 * @return {boolean}
+		 * @private
+		 */
+		function isFresh(draft) {
+			return draft.time >= Date.now() - expires;
+		}
 
+		/**
+		 * Removes expired drafts of other pages
+		 * @private
+		 */
 		function gc() {
-			for (var i = 0; i < localStorage.length; i++) {
-				var key = localStorage.key(i);
+			if (!storage.keys) {
+				return;
+			}
+
+			request(storage, 'keys', [], function (keys) {
+				utils.each(keys || [], function (_, key) {
+					// Own drafts are filtered when they are loaded
+					if (key === storageKey || !/^sce\-autodraft\-/.test(key)) {
+						return;
+					}
+
+					request(storage, 'get', [key], function (value) {
+						var stored = toDrafts(value);
+						var fresh  = stored.filter(isFresh);
+
+						if (!fresh.length) {
+							request(storage, 'remove', [key]);
+						} else if (fresh.length < stored.length) {
+							request(storage, 'set', [key, fresh]);
+						}
+					});
+				});
+			});
+		}
+
+		/**
+		 * Saves the drafts to storage, keeping at most maxDrafts
+		 * @private
+		 */
+		function persist() {
+			drafts.sort(function (a, b) {
+				return b.time - a.time;
+			});
+			drafts = drafts.slice(0, opts.maxDrafts);
+
+			if (loaded) {
+				request(storage, 'set', [storageKey, drafts]);
+			}
+		}
+
+		/**
+		 * Gets the state of the editor as a draft
+		 *
+		 * @param {string} [value] The raw value if already known
+		 * @return {Object}
+		 * @private
+		 */
+		function currentState(value) {
+			return {
+				caret: editor.sourceEditorCaret(),
+				sourceMode: editor.sourceMode(),
+				value: value === undefined ? editor.val(null, false) : value,
+				time: Date.now()
+			};
+		}
+
+		/**
+		 * Finds a draft by its ID
+		 *
+		 * @param {string} id
+		 * @return {?Object}
+		 * @private
+		 */
+		function findDraft(id) {
+			return drafts.filter(function (draft) {
+				return draft.id === id;
+			})[0] || null;
+		}
+
+		/**
+		 * Gets the value of a draft in the editors source format
+		 *
+		 * @param {Object} draft
+		 * @return {string}
+		 * @private
+		 */
+		function sourceValue(draft) {
+			var convert = editor.toBBCode || editor.toMarkdown;
+
+			if (draft.sourceMode || !convert) {
+				return draft.value;
+			}
+
+			return convert.call(editor, draft.value);
+		}
+
+		/**
+		 * Gets how long ago a time was
+		 *
+		 * @param {number} time
+		 * @return {string}
+		 * @private
+		 */
+		function timeAgo(time) {
+			var minutes = Math.round((Date.now() - time) / 60000);
+			var hours = Math.round(minutes / 60);
+
+			if (minutes < 1) {
+				return editor._('just now');
+			}
+
+			if (minutes < 60) {
+				return editor._(minutes === 1 ?
+					'{0} minute ago' : '{0} minutes ago', minutes);
+			}
+
+			return editor._(hours === 1 ?
+				'{0} hour ago' : '{0} hours ago', hours);
+		}
+
+		/**
+		 * Restores a draft
+		 *
+		 * @param {Object} draft
+		 * @private
+		 */
+		function restore(draft) {
+			hideBanner();
 
-				if (/^sce\-autodraft\-/.test(key)) {
-					var item = JSON.parse(localStorage.getItem(storageKey));
-					if (item && item.time < Date.now() - expires) {
-						clear(key);
+			editor.sourceMode(draft.sourceMode);
+			editor.val(draft.value, false);
+			editor.focus();
+
+			if (draft.sourceMode) {
+				editor.sourceEditorCaret(draft.caret);
+			} else {
+				editor.getRangeHelper().restoreRange();
+			}
+
+			// Carry on saving to the restored draft rather than a copy of it
+			sessionId = draft.id;
+		}
+
+		/**
+		 * Removes the banner
+		 * @private
+		 */
+		function hideBanner() {
+			if (banner) {
+				dom.remove(banner);
+				banner = null;
+			}
+		}
+
+		/**
+		 * Creates a button for the banner
+		 *
+		 * @param {string} action
+		 * @param {string} label
+		 * @return {HTMLElement}
+		 * @private
+		 */
+		function createButton(action, label) {
+			return dom.createElement('input', {
+				type: 'button',
+				className: 'button',
+				'data-action': action,
+				value: editor._(label)
+			});
+		}
+
+		/**
+		 * Shows the differences between the current value and a draft
+		 *
+		 * @param {HTMLElement} container
+		 * @param {Object} draft
+		 * @private
+		 */
+		function renderDiff(container, draft) {
+			var tags = {
+				equal: 'span',
+				insert: 'ins',
+				delete: 'del'
+			};
+
+			container.innerHTML = '';
+
+			utils.each(editor.drafts.diff(draft.id), function (_, change) {
+				var node = dom.createElement(tags[change.type]);
+
+				node.textContent = change.value;
+				dom.appendChild(container, node);
+			});
+		}
+
+		/**
+		 * Shows a banner offering to restore the drafts
+		 *
+		 * @param {Array<Object>} offered Drafts newest first
+		 * @private
+		 */
+		function showBanner(offered) {
+			var select, message, diffView;
+			var selected = offered[0];
+
+			hideBanner();
+
+			banner = dom.createElement('div', {
+				className: 'sceditor-autosave',
+				role: 'status'
+			});
+			message = dom.createElement('span', {
+				className: 'sceditor-autosave-message'
+			});
+			diffView = dom.createElement('div', {
+				className: 'sceditor-autosave-diff'
+			});
+
+			message.textContent = editor._('Restore draft from {0}?',
+				timeAgo(selected.time));
+			dom.appendChild(banner, message);
+
+			if (offered.length > 1) {
+				select = dom.createElement('select', {
+					'aria-label': editor._('Draft')
+				});
+
+				utils.each(offered, function (_, draft) {
+					var option = dom.createElement('option', {
+						value: draft.id
+					});
+
+					option.textContent = timeAgo(draft.time);
+
+					if (draft.name) {
+						option.textContent = draft.name + ' - ' +
+							option.textContent;
 					}
+
+					dom.appendChild(select, option);
+				});
+
+				dom.on(select, 'change', function () {
+					selected = findDraft(select.value);
+
+					if (diffView.parentNode) {
+						renderDiff(diffView, selected);
+					}
+				});
+
+				dom.appendChild(banner, select);
+			}
+
+			dom.appendChild(banner, createButton('restore', 'Restore'));
+			dom.appendChild(banner, createButton('compare', 'Compare'));
+			dom.appendChild(banner, createButton('discard', 'Discard'));
+
+			dom.on(banner, 'click', '[data-action]', function (e) {
+				var action = dom.attr(this, 'data-action');
+
+				if (action === 'restore') {
+					restore(selected);
+				} else if (action === 'discard') {
+					editor.drafts.remove(selected.id);
+					hideBanner();
+				} else if (diffView.parentNode) {
+					dom.remove(diffView);
+				} else {
+					renderDiff(diffView, selected);
+					dom.appendChild(banner, diffView);
 				}
+
+				e.preventDefault();
+			});
+
+			editor.getContentAreaContainer().parentNode.insertBefore(
+				banner, editor.getContentAreaContainer()
+			);
+		}
+
+		/**
+		 * Handles the drafts being loaded from storage
+		 *
+		 * @param {*} value
+		 * @private
+		 */
+		function handleLoad(value) {
+			var offered;
+			var current = editor.val();
+			var raw = editor.val(null, false);
+			var session = findDraft(sessionId);
+
+			loaded = true;
+			drafts = toDrafts(value).filter(isFresh);
+
+			// Keep anything saved while loading
+			if (session) {
+				drafts.push(session);
+				persist();
+			}
+
+			offered = drafts.filter(function (draft) {
+				return draft.id !== sessionId && draft.value !== raw &&
+					sourceValue(draft) !== current;
+			});
+
+			if (!offered.length || session || opts.restore === 'never') {
+				return;
+			}
+
+			if (opts.restore === 'auto') {
+				restore(offered[0]);
+			} else {
+				showBanner(offered);
 			}
 		}
 
 		base.init = function () {
 			editor = this;
-			var opts = editor.opts && editor.opts.autosave || {};
+			opts = utils.extend({
+				maxDrafts: 10,
+				restore: 'prompt'
+			}, editor.opts && editor.opts.autosave);
 
-			saveHandler = opts.save || saveHandler;
-			loadHandler = opts.load || loadHandler;
 			storageKey = opts.storageKey || storageKey;
 			expires = opts.expires || expires;
+			storage = opts.storage || localStorageAdapter;
+
+			if (opts.save && opts.load) {
+				storage = {
+					get: function () {
+						return opts.load();
+					},
+					set: function (key, drafts) {
+						opts.save(drafts[0] || null);
+					},
+					remove: function () {
+						opts.save(null);
+					}
+				};
+			}
+
+			/**
+			 * Manages the saved drafts of the editor
+			 *
+			 * @type {Object}
+			 */
+			editor.drafts = {
+				/**
+				 * Gets the saved drafts, newest first
+				 *
+				 * @return {Array<Object>}
+				 */
+				list: function () {
+					return drafts.slice();
+				},
+				/**
+				 * Saves the current value as a new named draft
+				 *
+				 * @param {string} [name]
+				 * @return {Object} The saved draft
+				 */
+				save: function (name) {
+					var draft = utils.extend(currentState(), {
+						id: createId(),
+						name: name || ''
+					});
+
+					drafts.push(draft);
+					persist();
+
+					return draft;
+				},
+				/**
+				 * Restores a draft by its ID
+				 *
+				 * @param {string} id
+				 */
+				restore: function (id) {
+					var draft = findDraft(id);
+
+					if (draft) {
+						restore(draft);
+					}
+				},
+				/**
+				 * Removes a draft by its ID
+				 *
+				 * @param {string} id
+				 */
+				remove: function (id) {
+					drafts = drafts.filter(function (draft) {
+						return draft.id !== id;
+					});
+					persist();
+				},
+				/**
+				 * Gets the differences between the current value and
+				 * a draft, see sceditor.plugins.autosave.diff()
+				 *
+				 * @param {string} id
+				 * @return {Array<{type: string, value: string}>}
+				 */
+				diff: function (id) {
+					var draft = findDraft(id);
+
+					return draft ? diff(editor.val(), sourceValue(draft)) : [];
+				},
+				/**
+				 * Removes all the drafts
+				 */
+				clear: function () {
+					drafts = [];
+					hideBanner();
+					request(storage, 'remove', [storageKey]);
+				}
+			};
 
 			gc();
 		};
@@ -62,7 +741,7 @@
 			while (parent) {
 				if (/form/i.test(parent.nodeName)) {
 					parent.addEventListener(
-						'submit', clear.bind(null, storageKey), true
+						'submit', editor.drafts.clear, true
 					);
 					break;
 				}
@@ -70,36 +749,28 @@
 				parent = parent.parentNode;
 			}
 
-			var state = loadHandler();
-			if (state) {
-				editor.sourceMode(state.sourceMode);
-				editor.val(state.value, false);
-				editor.focus();
+			request(storage, 'get', [storageKey], handleLoad);
+		};
 
-				if (state.sourceMode) {
-					editor.sourceEditorCaret(state.caret);
-				} else {
-					editor.getRangeHelper().restoreRange();
-				}
+		base.signalValuechangedEvent = function (e) {
+			var draft = findDraft(sessionId);
+
+			if (!draft) {
+				draft = { id: sessionId, name: '' };
+				drafts.push(draft);
 			}
 
-			saveHandler({
-				caret: this.sourceEditorCaret(),
-				sourceMode: this.sourceMode(),
-				value: editor.val(null, false),
-				time: Date.now()
-			});
+			utils.extend(draft, currentState(e.detail.rawValue));
+			persist();
 		};
 
-		base.signalValuechangedEvent = function (e) {
-			saveHandler({
-				caret: this.sourceEditorCaret(),
-				sourceMode: this.sourceMode(),
-				value: e.detail.rawValue,
-				time: Date.now()
-			});
+		base.destroy = function () {
+			hideBanner();
+			delete editor.drafts;
 		};
 	};
 
 	sceditor.plugins.autosave.clear = clear;
+	sceditor.plugins.autosave.diff = diff;
+	sceditor.plugins.autosave.localStorage = localStorageAdapter;
 }(sceditor));
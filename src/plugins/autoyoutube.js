@@ -77,7 +77,10 @@
 			}
 
 			if (data.html || data.text) {
-				var html = document.createElement('div');
+				// Parsed in a separate document so nothing in the
+				// HTML is loaded or run before it's sanitised
+				var html = document.implementation
+					.createHTMLDocument('').body;
 
 				if (data.html) {
 					html.innerHTML = data.html;
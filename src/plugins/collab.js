@@ -0,0 +1,430 @@
+/**
+ * SCEditor Collaborative Editing Plugin
+ * http://www.sceditor.com/
+ *
+ * Copyright (C) 2017, Sam Clarke (samclarke.com)
+ *
+ * SCEditor is licensed under the MIT license:
+ *	http://www.opensource.org/licenses/mit-license.php
+ *
+ * @author Sam Clarke
+ */
+(function (sceditor) {
+	'use strict';
+
+	var dom = sceditor.dom;
+	var utils = sceditor.utils;
+
+	/**
+	 * Matches the selection markers inserted by RangeHelper.saveRange()
+	 * @type {RegExp}
+	 * @private
+	 */
+	var MARKER_REGEX = /<span [^>]*id="sceditor-(?:start|end)-marker"[^>]*>[^<]*<\/span>/g;
+
+	/**
+	 * Removes any selection markers from the HTML
+	 *
+	 * @param {string} html
+	 * @return {string}
+	 * @private
+	 */
+	function stripMarkers(html) {
+		return html.replace(MARKER_REGEX, '');
+	}
+
+	/**
+	 * Creates a splice operation which will turn before into after
+	 *
+	 * @param {string} before
+	 * @param {string} after
+	 * @return {?Object} Null if there are no changes
+	 * @private
+	 */
+	function diff(before, after) {
+		var start = 0;
+		var endBefore = before.length;
+		var endAfter = after.length;
+
+		if (before === after) {
+			return null;
+		}
+
+		while (start < endBefore && start < endAfter &&
+			before.charAt(start) === after.charAt(start)) {
+			start++;
+		}
+
+		while (endBefore > start && endAfter > start &&
+			before.charAt(endBefore - 1) === after.charAt(endAfter - 1)) {
+			endBefore--;
+			endAfter--;
+		}
+
+		return {
+			type: 'splice',
+			start: start,
+			removed: before.substring(start, endBefore),
+			inserted: after.substring(start, endAfter)
+		};
+	}
+
+	/**
+	 * Transforms an operation so it can be applied after another
+	 * operation which was created at the same time.
+	 *
+	 * Operations which change the same part of the content can't
+	 * both be applied, null is returned for those.
+	 *
+	 * Exposed as sceditor.plugins.collab.transform() for backends
+	 * which transform the operations they pass between editors.
+	 *
+	 * @param {Object} op
+	 * @param {Object} against
+	 * @return {?Object}
+	 */
+	function transform(op, against) {
+		var end = op.start + op.removed.length;
+		var againstEnd = against.start + against.removed.length;
+
+		if (end <= against.start && op.start < againstEnd) {
+			return op;
+		}
+
+		if (op.start >= againstEnd) {
+			return utils.extend({}, op, {
+				start: op.start +
+					against.inserted.length - against.removed.length
+			});
+		}
+
+		return null;
+	}
+
+	/**
+	 * Applies a splice operation to HTML which may contain selection
+	 * markers.
+	 *
+	 * The operation offsets ignore the markers. Any markers inside the
+	 * removed content are moved to after the inserted content so the
+	 * selection isn't lost.
+	 *
+	 * @param {string} html
+	 * @param {Object} op
+	 * @return {?{start: number, end: number, html: string}} The start and
+	 *         end of the replaced HTML and what it should be replaced
+	 *         with or null if the HTML doesn't match the operation
+	 * @private
+	 */
+	function spliceMarked(html, op) {
+		var match, pos, start;
+		var end = op.start + op.removed.length;
+		var markersBefore = 0;
+		var markersInside = '';
+		var markersLength = 0;
+
+		MARKER_REGEX.lastIndex = 0;
+
+		while ((match = MARKER_REGEX.exec(html))) {
+			pos = match.index - markersLength;
+			markersLength += match[0].length;
+
+			if (pos <= op.start) {
+				markersBefore = markersLength;
+			} else if (pos < end) {
+				markersInside += match[0];
+			}
+		}
+
+		start = op.start + markersBefore;
+		end   = start + op.removed.length + markersInside.length;
+
+		if (stripMarkers(html.substring(start, end)) !== op.removed) {
+			return null;
+		}
+
+		return {
+			start: start,
+			end: end,
+			html: op.inserted + markersInside
+		};
+	}
+
+	/**
+	 * Gets the offset in the parents HTML that each child starts at
+	 *
+	 * @param {Node} node
+	 * @return {Array<number>} The start of each child followed by the
+	 *                         end of the last child
+	 * @private
+	 */
+	function childOffsets(node) {
+		var offsets = [0];
+		var tmp = dom.createElement('div', {}, node.ownerDocument);
+
+		utils.each(node.childNodes, function (i, child) {
+			dom.appendChild(tmp, child.cloneNode(true));
+			offsets.push(offsets[i] + tmp.innerHTML.length);
+			tmp.innerHTML = '';
+		});
+
+		return offsets;
+	}
+
+	/**
+	 * Collaborative editing plugin.
+	 *
+	 * Emits the changes made to the WYSIWYG content as a stream of
+	 * splice operations and applies operations from other editors
+	 * without losing the current selection.
+	 *
+	 * Operations are objects in the form:
+	 *
+	 *     {
+	 *         type: 'splice',
+	 *         start: 10,         // Offset in the content HTML
+	 *         removed: '<b>a',   // HTML which was removed
+	 *         inserted: '<i>b'   // HTML which was inserted
+	 *     }
+	 *
+	 * Options are set via the collab property of the editor options:
+	 *
+	 *     collab: {
+	 *         // Called with an array of operations made by this editor
+	 *         send: function (ops) {}
+	 *     }
+	 *
+	 * Remote operations are applied with editor.applyOperations(ops).
+	 * Any local changes which haven't been sent yet are sent first and
+	 * the remote operations are transformed against them. Transforming
+	 * operations made at the same time in different editors is left to
+	 * the backend which can use sceditor.plugins.collab.transform().
+	 *
+	 * Remote operations which conflict with a local change, or don't
+	 * match the content, aren't applied. An operationconflict event is
+	 * fired with them and the content should be resynced, e.g. by
+	 * setting it with editor.val().
+	 *
+	 * While in source mode remote operations are queued and local
+	 * changes are sent when switching back to WYSIWYG mode.
+	 */
+	sceditor.plugins.collab = function () {
+		var base = this;
+		var editor, body, send;
+		var lastHtml = null;
+		var queued = [];
+
+		/**
+		 * Gets the current content HTML without any markers
+		 *
+		 * @return {string}
+		 * @private
+		 */
+		function currentHtml() {
+			return stripMarkers(body.innerHTML);
+		}
+
+		/**
+		 * Sanitises HTML from another editor.
+		 *
+		 * Any selection markers are kept as the sanitiser would
+		 * otherwise remove their IDs.
+		 *
+		 * @param {string} html
+		 * @return {string}
+		 * @private
+		 */
+		function sanitize(html) {
+			var markers = [];
+
+			html = html.replace(MARKER_REGEX, function (marker) {
+				markers.push(marker);
+				return '\uFFFC';
+			});
+
+			return editor.sanitize(html).replace(/\uFFFC/g, function () {
+				return markers.shift() || '';
+			});
+		}
+
+		/**
+		 * Replaces the part of the body HTML between start and end.
+		 *
+		 * Only the child nodes of the body which overlap the change are
+		 * replaced so nodes outside of the change are left untouched.
+		 *
+		 * @param {number} start
+		 * @param {number} end
+		 * @param {string} html
+		 * @private
+		 */
+		function replaceHtml(start, end, html) {
+			var i, oldHtml;
+			var doc = body.ownerDocument;
+			var children = [].slice.call(body.childNodes);
+			var offsets = childOffsets(body);
+			var first = 0;
+			var last;
+
+			// Inserting between children doesn't need to replace any
+			if (start === end && offsets.indexOf(start) > -1) {
+				body.insertBefore(dom.parseHTML(sanitize(html), doc),
+					children[offsets.indexOf(start)] || null);
+				return;
+			}
+
+			while (offsets[first + 1] <= start) {
+				first++;
+			}
+
+			last = first;
+			while (last + 1 < children.length && offsets[last + 1] < end) {
+				last++;
+			}
+
+			oldHtml = body.innerHTML
+				.substring(offsets[first], offsets[last + 1]);
+
+			body.insertBefore(dom.parseHTML(sanitize(
+				oldHtml.substr(0, start - offsets[first]) + html +
+					oldHtml.substr(end - offsets[first])
+			), doc), children[first]);
+
+			for (i = first; i <= last; i++) {
+				dom.remove(children[i]);
+			}
+		}
+
+		/**
+		 * Applies a single operation to the WYSIWYG content
+		 *
+		 * @param {Object} op
+		 * @return {boolean} If the operation could be applied
+		 * @private
+		 */
+		function apply(op) {
+			var splice;
+			var rangeHelper = editor.getRangeHelper();
+			var hasRange = !!rangeHelper.selectedRange();
+
+			// Markers keep the selection in place while the content
+			// around it changes
+			if (hasRange) {
+				rangeHelper.saveRange();
+			}
+
+			splice = spliceMarked(body.innerHTML, op);
+
+			if (splice) {
+				replaceHtml(splice.start, splice.end, splice.html);
+			}
+
+			if (hasRange) {
+				rangeHelper.restoreRange();
+			}
+
+			lastHtml = currentHtml();
+
+			return !!splice;
+		}
+
+		/**
+		 * Sends any local changes since the last time this was called
+		 * and applies any queued remote operations.
+		 *
+		 * @return {boolean} False if any of the remote operations
+		 *                   couldn't be applied
+		 * @private
+		 */
+		function flush() {
+			var op;
+			var ops = queued;
+			var rejected = [];
+
+			if (lastHtml === null || editor.sourceMode()) {
+				return true;
+			}
+
+			op = diff(lastHtml, currentHtml());
+			lastHtml = currentHtml();
+			queued = [];
+
+			if (op) {
+				send.call(editor, [op]);
+			}
+
+			// Remote operations were made at the same time as any local
+			// changes so need to be transformed against them. Once one
+			// is rejected the rest are too as they're based on it.
+			utils.each(ops, function (_, remote) {
+				var transformed = remote;
+
+				if (op) {
+					transformed = transform(remote, op);
+					op = transformed && transform(op, remote);
+				}
+
+				if (rejected.length || !transformed || !apply(transformed)) {
+					rejected.push(remote);
+				}
+			});
+
+			if (rejected.length) {
+				dom.trigger(editor.getContentAreaContainer().parentNode,
+					'operationconflict', {
+						operations: rejected
+					});
+			}
+
+			return !rejected.length;
+		}
+
+		base.init = function () {
+			var opts = this.opts.collab || {};
+
+			editor = this;
+			send   = opts.send || function () {};
+
+			/**
+			 * Applies operations from another editor
+			 *
+			 * @param {Array<Object>} ops
+			 * @return {boolean} False if any of the operations couldn't
+			 *                   be applied because they conflict with a
+			 *                   local change or the content doesn't
+			 *                   match
+			 * @function
+			 * @name applyOperations
+			 * @memberOf SCEditor.prototype
+			 */
+			editor.applyOperations = function (ops) {
+				queued = queued.concat(ops);
+
+				return flush();
+			};
+
+			/**
+			 * Sends any local changes which haven't been sent yet
+			 *
+			 * @function
+			 * @name flushOperations
+			 * @memberOf SCEditor.prototype
+			 */
+			editor.flushOperations = function () {
+				flush();
+			};
+		};
+
+		base.signalReady = function () {
+			body     = editor.getBody();
+			lastHtml = currentHtml();
+		};
+
+		base.signalValuechangedEvent = flush;
+		base.signalKeyupEvent = flush;
+		base.signalSelectionchangedEvent = flush;
+		base.signalBlurEvent = flush;
+	};
+
+	sceditor.plugins.collab.transform = transform;
+})(sceditor);
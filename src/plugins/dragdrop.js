@@ -46,6 +46,7 @@
 	 * @private
 	 */
 	var isSupported = typeof window.FileReader !== 'undefined';
+	var utils = sceditor.utils;
 	var base64DataUri = /data:[^;]+;base64,/i;
 
 	function base64DataUriToBlob(url) {
@@ -66,6 +67,26 @@
 		}
 	}
 
+	/**
+	 * Drag and drop plugin.
+	 *
+	 * Options (set via opts.dragdrop):
+	 * * allowedTypes - Array of allowed MIME types
+	 * * isAllowed - function(file) returning if the file is allowed
+	 * * handlePaste - If to handle pasted images. Defaults to true.
+	 * * handleFile - function(file, createPlaceholder) to handle files
+	 *   manually. Overrides the upload option.
+	 * * upload - Object with the built-in uploader options:
+	 *   * url - URL to upload files to
+	 *   * method - Defaults to POST
+	 *   * fieldName - Name of the file field. Defaults to file
+	 *   * fields - Object of extra fields to send
+	 *   * headers - Object of extra request headers
+	 *   * withCredentials - If to send cookies cross-origin
+	 *   * mapResponse - function(response, file, xhr) that maps the
+	 *     parsed JSON response to either the image URL or an object of
+	 *     image attributes. Defaults to response.url
+	 */
 	sceditor.plugins.dragdrop = function () {
 		if (!isSupported) {
 			return;
@@ -78,6 +99,7 @@
 		var container;
 		var cover;
 		var placeholderId = 0;
+		var holders = {};
 
 
 		function hideCover() {
@@ -102,41 +124,227 @@
 			return opts.isAllowed ? opts.isAllowed(file) : true;
 		};
 
-		function createHolder(toReplace) {
-			var placeholder = document.createElement('img');
-			placeholder.src = loadingGif;
-			placeholder.className = 'sceditor-ignore';
-			placeholder.id = 'sce-dragdrop-' + placeholderId++;
+		/**
+		 * Gets the placeholder with the specified ID from the editor
+		 *
+		 * @param {string} id
+		 * @return {?HTMLElement}
+		 */
+		function getHolderNode(id) {
+			return editor.getBody()
+				.querySelector('[data-sce-upload="' + id + '"]');
+		}
+
+		function createHolder(toReplace, file) {
+			var id = 'sce-dragdrop-' + placeholderId++;
+			// Stored as a data attribute as the sanitiser removes IDs
+			var placeholder = sceditor.dom.createElement('span', {
+				'data-sce-upload': id,
+				className: 'sceditor-ignore sceditor-upload',
+				contenteditable: 'false'
+			}, editor.getBody().ownerDocument);
+
+			placeholder.innerHTML =
+				'<img src="' + loadingGif + '" />' +
+				'<span class="sceditor-upload-name"></span>' +
+				'<span class="sceditor-upload-progress"><span></span></span>' +
+				'<span class="sceditor-upload-error"></span>' +
+				'<span class="sceditor-upload-action" data-action="retry">' +
+					editor._('Retry') +
+				'</span>' +
+				'<span class="sceditor-upload-action" data-action="cancel">' +
+					editor._('Cancel') +
+				'</span>';
+
+			placeholder.querySelector('.sceditor-upload-name').textContent =
+				file && file.name || '';
 
 			function replace(html) {
-				var node = editor
-					.getBody()
-					.ownerDocument
-					.getElementById(placeholder.id);
+				var node = getHolderNode(id);
+
+				delete holders[id];
 
 				if (node) {
 					if (typeof html === 'string') {
-						node.insertAdjacentHTML('afterend', html);
+						node.insertAdjacentHTML('afterend',
+							editor.sanitize(html));
 					}
 
 					node.parentNode.removeChild(node);
+				} else if (typeof html === 'string' && editor.sourceMode()) {
+					editor.insert(html);
+				}
+			}
+
+			function update(state, percent, message) {
+				var node = getHolderNode(id);
+
+				if (node) {
+					node.setAttribute('data-state', state);
+					node.querySelector('.sceditor-upload-progress span')
+						.style.width = (percent || 0) + '%';
+					node.querySelector('.sceditor-upload-error')
+						.textContent = message || '';
 				}
 			}
 
 			return function () {
+				var holder = {
+					insert: function (html) {
+						replace(html);
+					},
+					cancel: replace,
+					/**
+					 * Updates the upload progress
+					 *
+					 * @param {number} percent
+					 */
+					progress: function (percent) {
+						update('uploading', percent);
+					},
+					/**
+					 * Marks the upload as failed allowing it to be retried
+					 *
+					 * @param {string} [message]
+					 */
+					error: function (message) {
+						update('error', 0,
+							message || editor._('Upload failed'));
+					},
+					oncancel: null,
+					onretry: null
+				};
+
+				holders[id] = holder;
+
 				if (toReplace) {
 					toReplace.parentNode.replaceChild(placeholder, toReplace);
+				} else if (!editor.sourceMode()) {
+					editor.focus();
+					editor.getRangeHelper().insertNode(placeholder);
+				}
+
+				return holder;
+			};
+		}
+
+		function handleHolderAction() {
+			var node = this.parentNode;
+			var holder = holders[node.getAttribute('data-sce-upload')];
+
+			if (!holder) {
+				return;
+			}
+
+			if (this.getAttribute('data-action') === 'retry') {
+				if (holder.onretry) {
+					holder.onretry();
+				}
+			} else {
+				if (holder.oncancel) {
+					holder.oncancel();
+				}
+
+				holder.cancel();
+			}
+		}
+
+		/**
+		 * Converts the value returned by the mapResponse option into the
+		 * HTML to insert
+		 *
+		 * @param {string|Object} image Either the URL or the attributes
+		 * @return {?string}
+		 */
+		function imageHtml(image) {
+			var attrs = typeof image === 'string' ?
+				{ src: image } : utils.extend({}, image);
+
+			if (!attrs || !attrs.src) {
+				return null;
+			}
+
+			attrs.src = sceditor.escapeUriScheme(attrs.src);
+
+			return sceditor.dom.createElement(
+				'img', attrs, editor.getBody().ownerDocument
+			).outerHTML;
+		}
+
+		/**
+		 * Uploads the file to opts.upload.url
+		 *
+		 * @param {File|Blob} file
+		 * @param {function(): Object} createPlaceholder
+		 */
+		function uploadFile(file, createPlaceholder) {
+			var xhr;
+			var upload = opts.upload;
+			var placeholder = createPlaceholder();
+			var mapResponse = upload.mapResponse || function (response) {
+				return response && response.url;
+			};
+
+			function done() {
+				var response, html;
+
+				if (xhr.status < 200 || xhr.status > 299) {
+					return placeholder.error();
+				}
+
+				try {
+					response = JSON.parse(xhr.responseText);
+				} catch (e) {
+					return placeholder.error();
+				}
+
+				html = imageHtml(mapResponse(response, file, xhr));
+
+				if (html) {
+					placeholder.insert(html);
 				} else {
-					editor.wysiwygEditorInsertHtml(placeholder.outerHTML);
+					placeholder.error();
 				}
+			}
 
-				return {
-					insert: function (html) {
-						replace(html);
-					},
-					cancel: replace
+			function start() {
+				var data = new FormData();
+
+				utils.each(upload.fields || {}, function (name, value) {
+					data.append(name, value);
+				});
+
+				data.append(upload.fieldName || 'file', file, file.name ||
+					'image.' + file.type.split('/')[1]);
+
+				xhr = new XMLHttpRequest();
+				xhr.open(upload.method || 'POST', upload.url, true);
+				xhr.withCredentials = !!upload.withCredentials;
+
+				utils.each(upload.headers || {}, function (name, value) {
+					xhr.setRequestHeader(name, value);
+				});
+
+				xhr.upload.onprogress = function (e) {
+					if (e.lengthComputable) {
+						placeholder.progress(e.loaded / e.total * 100);
+					}
 				};
+				xhr.onload = done;
+				xhr.onerror = function () {
+					placeholder.error();
+				};
+
+				placeholder.progress(0);
+				xhr.send(data);
+			}
+
+			placeholder.oncancel = function () {
+				xhr.abort();
 			};
+			placeholder.onretry = start;
+
+			start();
 		}
 
 		function handleDragOver(e) {
@@ -167,7 +375,7 @@
 				}
 
 				if (isAllowed(files[i])) {
-					handleFile(files[i], createHolder());
+					handleFile(files[i], createHolder(null, files[i]));
 				}
 			}
 
@@ -177,7 +385,12 @@
 		base.signalReady = function () {
 			editor = this;
 			opts = editor.opts.dragdrop || {};
-			handleFile = opts.handleFile;
+			handleFile = opts.handleFile ||
+				(opts.upload && opts.upload.url ? uploadFile : null);
+
+			if (!handleFile) {
+				return;
+			}
 
 			container = editor.getContentAreaContainer().parentNode;
 
@@ -194,10 +407,28 @@
 
 			editor.getBody().addEventListener('dragover', handleDragOver);
 			editor.getBody().addEventListener('drop', hideCover);
+
+			sceditor.dom.on(editor.getBody(), 'click',
+				'.sceditor-upload-action', handleHolderAction);
+		};
+
+		/**
+		 * Keeps upload placeholders uneditable. The sanitiser removes
+		 * contenteditable attributes so it's added back here.
+		 *
+		 * @param {HTMLElement} root
+		 */
+		base.signalSanitize = function (root) {
+			var nodes = sceditor.dom.find(root,
+				'span.sceditor-upload[data-sce-upload]');
+
+			utils.each(nodes, function (_, node) {
+				sceditor.dom.attr(node, 'contenteditable', 'false');
+			});
 		};
 
 		base.signalPasteHtml = function (paste) {
-			if (!('handlePaste' in opts) || opts.handlePaste) {
+			if (handleFile && (!('handlePaste' in opts) || opts.handlePaste)) {
 				var div = document.createElement('div');
 				div.innerHTML = paste.val;
 
@@ -208,7 +439,7 @@
 					if (base64DataUri.test(image.src)) {
 						var file = base64DataUriToBlob(image.src);
 						if (file && isAllowed(file)) {
-							handleFile(file, createHolder(image));
+							handleFile(file, createHolder(image, file));
 						} else {
 							image.parentNode.removeChild(image);
 						}
@@ -0,0 +1,252 @@
+/**
+ * SCEditor Emoticons Autocomplete Plugin
+ * http://www.sceditor.com/
+ *
+ * Copyright (C) 2017, Sam Clarke (samclarke.com)
+ *
+ * SCEditor is licensed under the MIT license:
+ *	http://www.opensource.org/licenses/mit-license.php
+ *
+ * @author Sam Clarke
+ */
+(function (sceditor) {
+	'use strict';
+
+	var dom = sceditor.dom;
+	var utils = sceditor.utils;
+	var emoticons = sceditor.emoticons;
+
+	/**
+	 * Max length of a :shortcode: to show matching emoticons for
+	 * @type {number}
+	 * @private
+	 */
+	var MAX_SHORTCODE_LENGTH = 30;
+
+	/**
+	 * Emoticons autocomplete plugin.
+	 *
+	 * Shows the emoticons and emoji matching the :shortcode: being
+	 * typed in the WYSIWYG editor. The up and down keys change the
+	 * selected emoticon and enter or tab inserts it.
+	 *
+	 * Options are set via the emoticonsAutocomplete property of the
+	 * editor options:
+	 *
+	 *     emoticonsAutocomplete: {
+	 *         // Max number of emoticons to show
+	 *         maxResults: 8
+	 *     }
+	 */
+	sceditor.plugins.emoticonsautocomplete = function () {
+		var base = this;
+		var editor, opts, list;
+		var query = null;
+		var matches = [];
+		var selected = 0;
+
+		/**
+		 * Closes the list of matching emoticons
+		 * @private
+		 */
+		function close() {
+			query = null;
+			matches = [];
+
+			if (list) {
+				dom.hide(list);
+			}
+		}
+
+		/**
+		 * Gets the emoticons which have a :shortcode: as {code, html}
+		 *
+		 * @return {Array<Object>}
+		 * @private
+		 */
+		function getEntries() {
+			var entries = [];
+
+			utils.each(editor.getEmoticons(), function (_, emoticon) {
+				if (/^:.+:$/.test(emoticon[0])) {
+					entries.push({
+						code: emoticon[0],
+						html: emoticon[1]
+					});
+				}
+			});
+
+			return entries;
+		}
+
+		/**
+		 * Renders the list of matching emoticons below the caret
+		 * @private
+		 */
+		function render() {
+			var container = editor.getContentAreaContainer();
+			var range = editor.getRangeHelper().cloneSelected();
+			var rect  = range && range.getBoundingClientRect();
+
+			list.innerHTML = '';
+
+			utils.each(matches, function (index, entry) {
+				var isSelected = index === selected;
+				var option = dom.createElement('div', {
+					className: 'sceditor-emoticons-option' +
+						(isSelected ? ' active' : ''),
+					role: 'option',
+					'aria-selected': isSelected.toString(),
+					'data-index': index
+				});
+
+				// The emoticon HTML is from the options so is trusted
+				option.innerHTML = entry.html + ' ';
+				dom.appendChild(option, document.createTextNode(entry.code));
+				dom.appendChild(list, option);
+			});
+
+			dom.css(list, {
+				top: container.offsetTop + (rect ? rect.bottom : 0),
+				left: container.offsetLeft + (rect ? rect.left : 0)
+			});
+			dom.show(list);
+		}
+
+		/**
+		 * Replaces the :shortcode: being typed with the matching
+		 * emoticon at index
+		 *
+		 * @param {number} index
+		 * @private
+		 */
+		function insert(index) {
+			var entry = matches[index];
+
+			if (!query || !entry) {
+				return;
+			}
+
+			editor.getRangeHelper().selectOuterText(query.length, 0);
+			editor.wysiwygEditorInsertHtml(entry.html);
+
+			if (editor.opts.emoticonsRecent) {
+				emoticons.addRecent(entry.code, editor.opts.emoticonsRecent);
+			}
+
+			close();
+		}
+
+		/**
+		 * Shows the emoticons matching the :shortcode: before the caret
+		 * @private
+		 */
+		function update() {
+			var match;
+			var rangeHelper = editor.getRangeHelper();
+			var range = rangeHelper.selectedRange();
+
+			match = editor.emoticons() && range && range.collapsed &&
+				!dom.closest(editor.currentBlockNode(), 'code') &&
+				/(?:^|\s)(:[^\s:]{2,})$/.exec(
+					rangeHelper.getOuterText(true, MAX_SHORTCODE_LENGTH)
+				);
+
+			matches = match ? emoticons.filter(getEntries(), match[1])
+				.slice(0, opts.maxResults) : [];
+
+			if (!matches.length) {
+				close();
+				return;
+			}
+
+			query    = match[1];
+			selected = 0;
+			render();
+		}
+
+		base.init = function () {
+			editor = this;
+			opts = utils.extend({
+				maxResults: 8
+			}, editor.opts.emoticonsAutocomplete);
+		};
+
+		base.signalReady = function () {
+			list = dom.createElement('div', {
+				className: 'sceditor-emoticons-autocomplete',
+				role: 'listbox'
+			});
+
+			dom.hide(list);
+			dom.appendChild(editor.getContentAreaContainer().parentNode, list);
+
+			// Use mousedown so the editor doesn't lose focus
+			dom.on(list, 'mousedown', '.sceditor-emoticons-option',
+				function (e) {
+					insert(+dom.attr(this, 'data-index'));
+					e.preventDefault();
+				});
+
+			dom.on(editor.getBody(), 'mousedown', close);
+		};
+
+		base.signalKeydownEvent = function (e) {
+			if (!query) {
+				return;
+			}
+
+			switch (e.which) {
+				// Up
+				case 38:
+					selected = (selected || matches.length) - 1;
+					render();
+					break;
+				// Down
+				case 40:
+					selected = (selected + 1) % matches.length;
+					render();
+					break;
+				// Enter and tab
+				case 9:
+				case 13:
+					insert(selected);
+					break;
+				// Escape
+				case 27:
+					close();
+					break;
+				default:
+					return;
+			}
+
+			e.preventDefault();
+		};
+
+		base.signalKeyupEvent = function (e) {
+			if (!list || editor.sourceMode()) {
+				close();
+				return;
+			}
+
+			// Ignore navigation keys handled in keydown
+			if (query && /^(9|13|27|38|40)$/.test(e.which)) {
+				return;
+			}
+
+			update();
+		};
+
+		base.signalBlurEvent = function () {
+			close();
+		};
+
+		base.destroy = function () {
+			if (list) {
+				close();
+				dom.off(editor.getBody(), 'mousedown', close);
+				dom.remove(list);
+			}
+		};
+	};
+})(sceditor);
@@ -0,0 +1,458 @@
+/**
+ * SCEditor Mentions Plugin
+ * http://www.sceditor.com/
+ *
+ * Copyright (C) 2017, Sam Clarke (samclarke.com)
+ *
+ * SCEditor is licensed under the MIT license:
+ *	http://www.opensource.org/licenses/mit-license.php
+ *
+ * @author Sam Clarke
+ */
+(function (sceditor) {
+	'use strict';
+
+	var dom = sceditor.dom;
+	var utils = sceditor.utils;
+	var escapeEntities = sceditor.escapeEntities;
+
+	/**
+	 * Max number of characters before the caret to check for a mention
+	 * @type {number}
+	 * @private
+	 */
+	var MAX_QUERY_LENGTH = 50;
+
+	/**
+	 * Escapes a string for use in a RegExp
+	 *
+	 * @param {string} str
+	 * @return {string}
+	 * @private
+	 */
+	function regexEscape(str) {
+		return str.replace(/[.*+?^${}()|[\]\\\/-]/g, '\\$&');
+	}
+
+	/**
+	 * Removes characters from the ID which would break the BBCode
+	 *
+	 * @param {string} id
+	 * @return {string}
+	 * @private
+	 */
+	function cleanId(id) {
+		return String(id).replace(/[\[\]"]/g, '');
+	}
+
+	/**
+	 * Creates the HTML for a mention
+	 *
+	 * @param {string} id
+	 * @param {string} name Name which should already be HTML escaped
+	 * @return {string}
+	 * @private
+	 */
+	function mentionHtml(id, name) {
+		return '<span class="sceditor-mention" contenteditable="false" ' +
+			'data-mention-id="' + escapeEntities(cleanId(id), true) + '">@' +
+			name + '</span>';
+	}
+
+	if (sceditor.formats.bbcode) {
+		sceditor.formats.bbcode.set('mention', {
+			tags: {
+				span: {
+					'data-mention-id': null
+				}
+			},
+			isInline: true,
+			allowsEmpty: false,
+			format: function (element, content) {
+				return '[mention=' + element.getAttribute('data-mention-id') +
+					']' + content.replace(/^@/, '') + '[/mention]';
+			},
+			html: function (token, attrs, content) {
+				return mentionHtml(attrs.defaultattr || content, content);
+			}
+		});
+	}
+
+	/**
+	 * Mentions plugin.
+	 *
+	 * Shows a list of matching users when typing the trigger character
+	 * (@ by default) and inserts the chosen user as a mention.
+	 *
+	 * Options are set via the mentions property of the editor options:
+	 *
+	 *     mentions: {
+	 *         // Required. Returns an array of {id, name} objects, a
+	 *         // Promise which resolves to one or passes it to callback.
+	 *         source: function (query, callback) {
+	 *             return fetch('/users?q=' + encodeURIComponent(query))
+	 *                 .then(function (res) {
+	 *                     return res.json();
+	 *                 });
+	 *         },
+	 *         // Character which starts a mention
+	 *         trigger: '@',
+	 *         // Max number of users to show
+	 *         maxResults: 8,
+	 *         // Min number of characters before calling source
+	 *         minLength: 0
+	 *     }
+	 *
+	 * Mentions are converted to [mention=id]name[/mention] in BBCode and
+	 * to a span with data-mention-id attribute in XHTML.
+	 */
+	sceditor.plugins.mentions = function () {
+		var base = this;
+		var editor, opts, list, textarea;
+		var results = [];
+		var selected = 0;
+		var current = null;
+		var requestId = 0;
+
+		/**
+		 * Closes the list of suggestions
+		 * @private
+		 */
+		function close() {
+			current = null;
+			results = [];
+			// Ignore any pending results
+			requestId++;
+
+			if (list) {
+				dom.hide(list);
+			}
+		}
+
+		/**
+		 * Gets the mention query before the caret, if any
+		 *
+		 * @return {?{query: string, start: number}}
+		 * @private
+		 */
+		function getQuery() {
+			var text, caret, range;
+			var start = 0;
+			var trigger = regexEscape(opts.trigger);
+			var regex = new RegExp(
+				'(^|\\s)' + trigger + '([^\\s' + trigger + ']*)$'
+			);
+
+			if (editor.sourceMode()) {
+				caret = editor.sourceEditorCaret();
+
+				if (caret.start !== caret.end) {
+					return null;
+				}
+
+				start = Math.max(caret.start - MAX_QUERY_LENGTH, 0);
+				text  = textarea.value.substring(start, caret.start);
+			} else {
+				range = editor.getRangeHelper().selectedRange();
+
+				// Don't suggest users inside code
+				if (!range || !range.collapsed ||
+					dom.closest(range.startContainer, 'code')) {
+					return null;
+				}
+
+				text = editor.getRangeHelper()
+					.getOuterText(true, MAX_QUERY_LENGTH);
+			}
+
+			var match = regex.exec(text);
+
+			if (!match) {
+				return null;
+			}
+
+			return {
+				query: match[2],
+				start: start + match.index + match[1].length
+			};
+		}
+
+		/**
+		 * Positions the list below the caret
+		 * @private
+		 */
+		function position() {
+			var top, left, rect;
+			var container = editor.getContentAreaContainer();
+
+			if (editor.sourceMode()) {
+				rect = dom.textareaCaret(textarea, current.start);
+				top  = textarea.offsetTop + rect.top + rect.height;
+				left = textarea.offsetLeft + rect.left;
+			} else {
+				var range = editor.getRangeHelper().cloneSelected();
+				var rects = range.getClientRects();
+
+				rect = rects.length ? rects[rects.length - 1] :
+					range.getBoundingClientRect();
+
+				// Collapsed ranges can have no size in some browsers
+				if (!rect.bottom && !rect.left) {
+					rect = range.startContainer.nodeType === 1 ?
+						range.startContainer.getBoundingClientRect() :
+						range.startContainer.parentNode
+							.getBoundingClientRect();
+				}
+
+				top  = container.offsetTop + rect.bottom;
+				left = container.offsetLeft + rect.left;
+			}
+
+			dom.css(list, {
+				top: top,
+				left: left
+			});
+		}
+
+		/**
+		 * Renders the list of suggestions
+		 * @private
+		 */
+		function render() {
+			if (!results.length) {
+				dom.hide(list);
+				return;
+			}
+
+			list.innerHTML = '';
+
+			utils.each(results, function (index, user) {
+				var option = dom.createElement('div', {
+					'class': 'sceditor-mentions-option' +
+						(index === selected ? ' active' : ''),
+					'data-index': index
+				});
+
+				option.textContent = user.name;
+				dom.appendChild(list, option);
+			});
+
+			dom.show(list);
+			position();
+		}
+
+		/**
+		 * Calls the source for the current query and shows the results
+		 * @private
+		 */
+		function search() {
+			var id = ++requestId;
+			var query = current.query;
+
+			if (query.length < opts.minLength) {
+				results = [];
+				render();
+				return;
+			}
+
+			var done = function (users) {
+				// Ignore results for old queries
+				if (id !== requestId || !current) {
+					return;
+				}
+
+				results  = (users || []).slice(0, opts.maxResults);
+				selected = 0;
+				render();
+			};
+
+			var users = opts.source.call(editor, query, done);
+
+			if (users && typeof users.then === 'function') {
+				users.then(done, close);
+			} else if (users) {
+				done(users);
+			}
+		}
+
+		/**
+		 * Creates the source for a mention in the editors format
+		 *
+		 * @param {Object} user
+		 * @return {string}
+		 * @private
+		 */
+		function mentionSource(user) {
+			var name = String(user.name);
+
+			if (editor.toBBCode) {
+				return '[mention=' + cleanId(user.id) + ']' + name +
+					'[/mention]';
+			}
+
+			if (editor.opts.format === 'xhtml') {
+				return mentionHtml(user.id, escapeEntities(name));
+			}
+
+			return opts.trigger + name;
+		}
+
+		/**
+		 * Inserts the user as a mention replacing the current query
+		 *
+		 * @param {Object} user
+		 * @private
+		 */
+		function insert(user) {
+			var length = current.query.length + opts.trigger.length;
+
+			if (editor.sourceMode()) {
+				var caret = editor.sourceEditorCaret();
+
+				editor.sourceEditorCaret({
+					start: caret.start - length,
+					end: caret.start
+				});
+
+				editor.insertText(mentionSource(user) + ' ');
+			} else {
+				editor.getRangeHelper().selectOuterText(length, 0);
+				editor.wysiwygEditorInsertHtml(
+					mentionHtml(user.id, escapeEntities(String(user.name))) +
+					'&nbsp;'
+				);
+			}
+
+			close();
+			editor.focus();
+		}
+
+		/**
+		 * Checks the text before the caret and opens, updates or closes
+		 * the list of suggestions as needed.
+		 * @private
+		 */
+		function update() {
+			var found = getQuery();
+
+			if (!found) {
+				close();
+				return;
+			}
+
+			if (!current || current.query !== found.query ||
+				current.start !== found.start) {
+				current = found;
+				search();
+			}
+		}
+
+		base.init = function () {
+			editor = this;
+			opts = utils.extend({
+				trigger: '@',
+				maxResults: 8,
+				minLength: 0
+			}, editor.opts.mentions);
+		};
+
+		base.signalReady = function () {
+			if (typeof opts.source !== 'function') {
+				return;
+			}
+
+			var container = editor.getContentAreaContainer().parentNode;
+
+			textarea = container.querySelector('textarea');
+			list = dom.createElement('div', {
+				'class': 'sceditor-mentions'
+			});
+
+			dom.hide(list);
+			dom.appendChild(container, list);
+
+			// Use mousedown so the editor doesn't lose focus
+			dom.on(list, 'mousedown', '.sceditor-mentions-option',
+				function (e) {
+					var index = dom.attr(this, 'data-index');
+
+					e.preventDefault();
+
+					if (results[index]) {
+						insert(results[index]);
+					}
+				});
+		};
+
+		base.signalKeydownEvent = function (e) {
+			if (!current || !results.length) {
+				return;
+			}
+
+			switch (e.which) {
+				// Up
+				case 38:
+					selected = (selected || results.length) - 1;
+					break;
+				// Down
+				case 40:
+					selected = (selected + 1) % results.length;
+					break;
+				// Enter and tab
+				case 9:
+				case 13:
+					insert(results[selected]);
+					break;
+				// Escape
+				case 27:
+					close();
+					break;
+				default:
+					return;
+			}
+
+			e.preventDefault();
+
+			if (current) {
+				render();
+			}
+		};
+
+		base.signalKeyupEvent = function (e) {
+			// Ignore navigation keys handled in keydown
+			if (!list || (current && /^(9|13|27|38|40)$/.test(e.which))) {
+				return;
+			}
+
+			update();
+		};
+
+		/**
+		 * Keeps mentions as a single uneditable token. The sanitiser
+		 * removes contenteditable attributes so it's added back here.
+		 *
+		 * @param {HTMLElement} root
+		 */
+		base.signalSanitize = function (root) {
+			var mentions = dom.find(root,
+				'span.sceditor-mention[data-mention-id]');
+
+			utils.each(mentions, function (_, mention) {
+				dom.attr(mention, 'contenteditable', 'false');
+			});
+		};
+
+		base.signalBlurEvent = function () {
+			if (list) {
+				close();
+			}
+		};
+
+		base.destroy = function () {
+			if (list) {
+				close();
+				dom.remove(list);
+			}
+		};
+	};
+})(sceditor);
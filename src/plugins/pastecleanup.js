@@ -0,0 +1,537 @@
+/**
+ * SCEditor Paste Cleanup Plugin
+ * http://www.sceditor.com/
+ *
+ * Copyright (C) 2017, Sam Clarke (samclarke.com)
+ *
+ * SCEditor is licensed under the MIT license:
+ *	http://www.opensource.org/licenses/mit-license.php
+ *
+ * @author Sam Clarke
+ */
+(function (sceditor) {
+	'use strict';
+
+	var dom = sceditor.dom;
+	var utils = sceditor.utils;
+
+	/**
+	 * Attributes kept for each tag, all others are removed
+	 * @type {Object}
+	 * @private
+	 */
+	var allowedAttrs = {
+		a: ['href'],
+		img: ['src', 'alt', 'width', 'height'],
+		td: ['colspan', 'rowspan'],
+		th: ['colspan', 'rowspan'],
+		ol: ['start']
+	};
+
+	/**
+	 * Elements which are removed along with their contents
+	 * @type {string}
+	 * @private
+	 */
+	var junkSelector = 'style,script,meta,link,title,xml,colgroup,col';
+
+	/**
+	 * Matches the list style Word adds to list paragraphs
+	 * @type {RegExp}
+	 * @private
+	 */
+	var WORD_LIST_REGEX = /mso-list:\s*(l\d+)\s+level(\d+)/i;
+
+	/**
+	 * Matches the text of an ordered list marker, e.g. 1. a) iv.
+	 * @type {RegExp}
+	 * @private
+	 */
+	var ORDERED_MARKER_REGEX = /^\s*\(?([0-9]+|[a-z]|[ivxlc]+)[.)]/i;
+
+	/**
+	 * Converts a NodeList into an array so it's safe to modify the
+	 * nodes while looping over them
+	 *
+	 * @param {NodeList} nodes
+	 * @return {Array<Node>}
+	 * @private
+	 */
+	function toArray(nodes) {
+		return Array.prototype.slice.call(nodes);
+	}
+
+	/**
+	 * Replaces the node with its children
+	 *
+	 * @param {HTMLElement} node
+	 * @private
+	 */
+	function unwrap(node) {
+		while (node.firstChild) {
+			node.parentNode.insertBefore(node.firstChild, node);
+		}
+
+		dom.remove(node);
+	}
+
+	/**
+	 * Moves all the children of the node into a new element
+	 * which is then appended to the node
+	 *
+	 * @param {HTMLElement} node
+	 * @param {string} tag
+	 * @private
+	 */
+	function wrapChildren(node, tag) {
+		var wrapper = dom.createElement(tag, {}, node.ownerDocument);
+
+		while (node.firstChild) {
+			dom.appendChild(wrapper, node.firstChild);
+		}
+
+		dom.appendChild(node, wrapper);
+	}
+
+	/**
+	 * Replaces each block child of the node with its contents,
+	 * separating them with line breaks
+	 *
+	 * @param {HTMLElement} node
+	 * @param {string} selector Selector for the blocks to unwrap
+	 * @private
+	 */
+	function unwrapBlocks(node, selector) {
+		var blocks = toArray(node.children).filter(function (child) {
+			return dom.is(child, selector);
+		});
+
+		utils.each(blocks, function (i, block) {
+			if (i) {
+				block.parentNode.insertBefore(
+					dom.createElement('br', {}, node.ownerDocument), block
+				);
+			}
+
+			unwrap(block);
+		});
+	}
+
+	/**
+	 * Removes comments, namespaced Office tags like <o:p> and
+	 * elements like <style> which have no content
+	 *
+	 * @param {HTMLElement} root
+	 * @private
+	 */
+	function removeJunk(root) {
+		var comments = [];
+		// 128 = NodeFilter.SHOW_COMMENT
+		var walker = root.ownerDocument
+			.createTreeWalker(root, 128, null, false);
+
+		while (walker.nextNode()) {
+			comments.push(walker.currentNode);
+		}
+
+		utils.each(comments, function (_, comment) {
+			dom.remove(comment);
+		});
+
+		utils.each(dom.find(root, junkSelector), function (_, node) {
+			dom.remove(node);
+		});
+
+		utils.each(dom.find(root, '*'), function (_, node) {
+			if (node.nodeName.indexOf(':') > -1) {
+				// <o:p> is used for empty paragraphs so keep its content
+				if (/^o:p$/i.test(node.nodeName)) {
+					unwrap(node);
+				} else {
+					dom.remove(node);
+				}
+			}
+		});
+	}
+
+	/**
+	 * Converts inline styles for bold, italic, underline,
+	 * strikethrough, subscript and superscript into tags.
+	 *
+	 * Also removes any bold tags which have been styled as normal
+	 * text, like the wrapper Google Docs adds.
+	 *
+	 * @param {HTMLElement} root
+	 * @private
+	 */
+	function convertStyles(root) {
+		utils.each(dom.find(root, '[style]'), function (_, node) {
+			var style = node.style;
+			var weight = style.fontWeight;
+			var decoration = style.textDecoration +
+				' ' + (style.textDecorationLine || '');
+			var isBold = weight === 'bold' || weight === 'bolder' ||
+				parseInt(weight, 10) >= 600;
+
+			if (dom.is(node, 'b,strong') &&
+				(weight === 'normal' || parseInt(weight, 10) < 600)) {
+				// Replace with a span so the other styles are kept
+				node = dom.convertElement(node, 'span');
+			}
+
+			// Headings and links are already bold and underlined
+			if (isBold && !dom.closest(node, 'b,strong,h1,h2,h3,h4,h5,h6,th')) {
+				wrapChildren(node, 'b');
+			}
+
+			if (style.fontStyle === 'italic' && !dom.closest(node, 'i,em')) {
+				wrapChildren(node, 'i');
+			}
+
+			if (/underline/.test(decoration) && !dom.closest(node, 'a,u')) {
+				wrapChildren(node, 'u');
+			}
+
+			if (/line-through/.test(decoration) &&
+				!dom.closest(node, 's,strike')) {
+				wrapChildren(node, 's');
+			}
+
+			if (/^(super|sub)$/.test(style.verticalAlign) &&
+				!dom.closest(node, 'sub,sup')) {
+				wrapChildren(node, style.verticalAlign.substr(0, 3));
+			}
+		});
+	}
+
+	/**
+	 * Converts the paragraphs Word uses for list items into lists
+	 *
+	 * @param {HTMLElement} root
+	 * @private
+	 */
+	function convertWordLists(root) {
+		var lists = [];
+		var doc = root.ownerDocument;
+
+		utils.each(dom.find(root, 'p'), function (_, para) {
+			var marker, type, item, parent;
+			var match = WORD_LIST_REGEX.exec(dom.attr(para, 'style') || '');
+
+			if (!match) {
+				return;
+			}
+
+			var level = parseInt(match[2], 10);
+
+			// Only paragraphs directly after the list are part of it
+			if (!lists.length || para.previousElementSibling !== lists[0]) {
+				lists = [];
+			}
+
+			// The marker is the bullet or number Word inserts
+			utils.each(dom.find(para, 'span'), function (_, span) {
+				if (!marker &&
+					/mso-list:\s*ignore/i.test(dom.attr(span, 'style'))) {
+					marker = span;
+				}
+			});
+
+			type = marker && ORDERED_MARKER_REGEX.test(marker.textContent) ?
+				'ol' : 'ul';
+
+			if (marker) {
+				dom.remove(marker);
+			}
+
+			lists.length = Math.min(lists.length, level);
+
+			while (lists.length < level) {
+				var list = dom.createElement(type, {}, doc);
+
+				if (lists.length) {
+					parent = lists[lists.length - 1].lastElementChild;
+
+					if (!parent) {
+						parent = dom.createElement('li', {}, doc);
+						dom.appendChild(lists[lists.length - 1], parent);
+					}
+
+					dom.appendChild(parent, list);
+				} else {
+					para.parentNode.insertBefore(list, para);
+				}
+
+				lists.push(list);
+			}
+
+			item = dom.createElement('li', {}, doc);
+
+			while (para.firstChild) {
+				dom.appendChild(item, para.firstChild);
+			}
+
+			dom.appendChild(lists[level - 1], item);
+			dom.remove(para);
+		});
+	}
+
+	/**
+	 * Normalises the structure of lists.
+	 *
+	 * Moves lists which are directly inside another list into the
+	 * previous list item and removes the paragraphs inside items.
+	 *
+	 * @param {HTMLElement} root
+	 * @private
+	 */
+	function cleanLists(root) {
+		utils.each(dom.find(root, 'ul,ol'), function (_, list) {
+			var prev = list.previousElementSibling;
+
+			if (!dom.is(list.parentNode, 'ul,ol')) {
+				return;
+			}
+
+			if (!prev || !dom.is(prev, 'li')) {
+				prev = dom.createElement('li', {}, root.ownerDocument);
+				list.parentNode.insertBefore(prev, list);
+			}
+
+			dom.appendChild(prev, list);
+		});
+
+		utils.each(dom.find(root, 'li'), function (_, item) {
+			unwrapBlocks(item, 'p,div');
+		});
+	}
+
+	/**
+	 * Removes tracking redirects from links and unwraps anchors
+	 * which aren't links, like Words bookmarks.
+	 *
+	 * @param {HTMLElement} root
+	 * @private
+	 */
+	function cleanLinks(root) {
+		utils.each(dom.find(root, 'a'), function (_, link) {
+			var href = dom.attr(link, 'href');
+			var redirect = /^https?:\/\/www\.google\.com\/url\?(?:.*&)?q=([^&]+)/
+				.exec(href || '');
+
+			if (!href || /^#/.test(href)) {
+				unwrap(link);
+				return;
+			}
+
+			if (redirect) {
+				try {
+					dom.attr(link, 'href', decodeURIComponent(redirect[1]));
+				} catch (ex) {}
+			}
+		});
+	}
+
+	/**
+	 * Removes the paragraphs inside table cells
+	 *
+	 * @param {HTMLElement} root
+	 * @private
+	 */
+	function cleanTables(root) {
+		utils.each(dom.find(root, 'td,th'), function (_, cell) {
+			unwrapBlocks(cell, 'p,div');
+		});
+	}
+
+	/**
+	 * Removes all the attributes which aren't allowed
+	 *
+	 * @param {HTMLElement} root
+	 * @private
+	 */
+	function removeAttributes(root) {
+		utils.each(dom.find(root, '*'), function (_, node) {
+			var allowed = allowedAttrs[node.nodeName.toLowerCase()] || [];
+
+			utils.each(toArray(node.attributes), function (_, attr) {
+				var isRtl = attr.name === 'dir' && attr.value === 'rtl';
+
+				if (allowed.indexOf(attr.name) < 0 && !isRtl) {
+					dom.removeAttr(node, attr.name);
+				}
+			});
+		});
+	}
+
+	/**
+	 * Unwraps elements which no longer do anything, like spans
+	 * without any attributes, and removes empty formatting.
+	 *
+	 * @param {HTMLElement} root
+	 * @private
+	 */
+	function removeEmpty(root) {
+		var formatting = 'b,strong,i,em,u,s,strike,sub,sup,font,span';
+
+		// Divs are only unwrapped if they just wrap blocks
+		var hasInline = function (node) {
+			return toArray(node.childNodes).some(function (child) {
+				return dom.isInline(child) && /\S/.test(child.textContent);
+			});
+		};
+
+		utils.each(dom.find(root, 'span,font,div'), function (_, node) {
+			var isWrapper = dom.is(node, 'div') && !hasInline(node);
+
+			if (!node.attributes.length &&
+				(!dom.is(node, 'div') || isWrapper)) {
+				unwrap(node);
+			}
+		});
+
+		utils.each(toArray(dom.find(root, formatting)).reverse(),
+			function (_, node) {
+				if (!node.textContent && !dom.find(node, 'img,br').length) {
+					dom.remove(node);
+				}
+			});
+	}
+
+	/**
+	 * Replaces new lines in text with spaces as Word wraps its
+	 * HTML source at 80 characters.
+	 *
+	 * Any new lines between blocks are removed.
+	 *
+	 * @param {HTMLElement} root
+	 * @private
+	 */
+	function collapseNewLines(root) {
+		dom.traverse(root, function (node) {
+			var prev = node.previousSibling;
+			var next = node.nextSibling;
+			var betweenBlocks = !prev || !dom.isInline(prev) ||
+				!next || !dom.isInline(next);
+
+			if (node.nodeType !== 3 || dom.closest(node.parentNode, 'pre')) {
+				return;
+			}
+
+			if (betweenBlocks && /^\s*[\r\n]\s*$/.test(node.nodeValue)) {
+				dom.remove(node);
+			} else {
+				node.nodeValue = node.nodeValue.replace(/\s*[\r\n]+\s*/g, ' ');
+			}
+		});
+	}
+
+	/**
+	 * Sources which need cleaning.
+	 *
+	 * Each source has a detect function which is passed the pasted
+	 * HTML and returns if it is from that source and a clean function
+	 * which is passed the root element of the parsed HTML to fix any
+	 * source specific problems. The general cleanup which removes any
+	 * styling and attributes is done afterwards for all sources.
+	 *
+	 * More sources can be added by adding to this object.
+	 *
+	 * @type {Object}
+	 */
+	var sources = {
+		word: {
+			detect: function (html) {
+				return /class="?Mso|xmlns:[ow]="urn:schemas-microsoft-com|<meta[^>]+content="?Microsoft Word/i
+					.test(html);
+			},
+			clean: function (root) {
+				collapseNewLines(root);
+				convertWordLists(root);
+
+				utils.each(dom.find(root, 'p.MsoTitle'), function (_, p) {
+					dom.convertElement(p, 'h1');
+				});
+
+				utils.each(dom.find(root, 'p.MsoSubtitle'), function (_, p) {
+					dom.convertElement(p, 'h2');
+				});
+			}
+		},
+		googledocs: {
+			detect: function (html) {
+				return /id="docs-internal-guid-/.test(html);
+			},
+			clean: function (root) {
+				utils.each(dom.find(root, 'br.Apple-interchange-newline'),
+					function (_, br) {
+						dom.remove(br);
+					});
+			}
+		}
+	};
+
+	/**
+	 * Cleans pasted HTML from any of the sources.
+	 *
+	 * HTML which isn't from a known source is returned as is.
+	 *
+	 * @param {string} html
+	 * @return {string}
+	 */
+	function clean(html) {
+		var doc, root, source;
+
+		utils.each(sources, function (_, src) {
+			if (!source && src.detect(html)) {
+				source = src;
+			}
+		});
+
+		if (!source) {
+			return html;
+		}
+
+		// Parse in a separate document so nothing is loaded or run
+		doc  = document.implementation.createHTMLDocument('');
+		root = doc.createElement('div');
+		root.innerHTML = html;
+
+		removeJunk(root);
+		source.clean(root);
+		convertStyles(root);
+		cleanLists(root);
+		cleanLinks(root);
+		cleanTables(root);
+		removeAttributes(root);
+		removeEmpty(root);
+
+		return root.innerHTML.trim();
+	}
+
+	/**
+	 * Paste cleanup plugin.
+	 *
+	 * Cleans HTML pasted from Microsoft Word and Google Docs so it
+	 * doesn't bring in all their styling and markup.
+	 *
+	 * Lists, headings, bold, italic, underline, links and tables are
+	 * converted into plain HTML. Everything else like the mso- styles,
+	 * <o:p> tags and conditional comments are removed.
+	 *
+	 * The cleanup is done on the raw pasted HTML before it is passed
+	 * to the format so it is the same for every format.
+	 */
+	sceditor.plugins.pastecleanup = function () {
+		var base = this;
+
+		base.signalPasteRaw = function (data) {
+			if (data.html) {
+				data.html = clean(data.html);
+			}
+		};
+	};
+
+	sceditor.plugins.pastecleanup.sources = sources;
+	sceditor.plugins.pastecleanup.clean = clean;
+})(sceditor);
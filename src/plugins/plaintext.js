@@ -47,7 +47,10 @@
 		this.signalPasteRaw = function (data) {
 			if (plainTextEnabled) {
 				if (data.html && !data.text) {
-					var div = document.createElement('div');
+					// Parsed in a separate document so nothing in the
+					// HTML is loaded or run
+					var div = document.implementation
+						.createHTMLDocument('').body;
 					div.innerHTML = data.html;
 					data.text = div.innerText;
 				}
@@ -0,0 +1,560 @@
+/**
+ * SCEditor Slash Commands Plugin
+ * http://www.sceditor.com/
+ *
+ * Copyright (C) 2017, Sam Clarke (samclarke.com)
+ *
+ * SCEditor is licensed under the MIT license:
+ *	http://www.opensource.org/licenses/mit-license.php
+ *
+ * @author Sam Clarke
+ */
+(function (sceditor) {
+	'use strict';
+
+	var dom = sceditor.dom;
+	var utils = sceditor.utils;
+
+	/**
+	 * Matches a slash command query at the start of a line
+	 * @type {RegExp}
+	 * @private
+	 */
+	var QUERY_REGEX = /^\/([^\s\/]*)$/;
+
+	/**
+	 * Max length of the text before the caret to check for a query
+	 * @type {number}
+	 * @private
+	 */
+	var MAX_QUERY_LENGTH = 30;
+
+	/**
+	 * Extra words to match the default commands by
+	 * @type {Object<string, Array<string>>}
+	 * @private
+	 */
+	var defaultKeywords = {
+		bulletlist: ['ul', 'list', 'unordered'],
+		code: ['pre', 'snippet', 'monospace'],
+		date: ['today', 'day'],
+		email: ['mailto', 'mail'],
+		emoticon: ['smiley', 'emoji'],
+		horizontalrule: ['hr', 'line', 'divider', 'separator'],
+		image: ['img', 'picture', 'photo'],
+		link: ['url', 'anchor', 'href'],
+		media: ['video', 'audio', 'embed'],
+		orderedlist: ['ol', 'list', 'numbered'],
+		quote: ['blockquote', 'cite'],
+		table: ['grid'],
+		time: ['now', 'clock'],
+		youtube: ['video', 'embed']
+	};
+
+	/**
+	 * Entries registered by other plugins
+	 * @type {Object<string, Object>}
+	 * @private
+	 */
+	var registered = {};
+
+	/**
+	 * Gets the text of a document fragment with line breaks as
+	 * new lines
+	 *
+	 * @param {DocumentFragment} fragment
+	 * @param {Document} doc
+	 * @return {string}
+	 * @private
+	 */
+	function fragmentText(fragment, doc) {
+		var div = dom.createElement('div', {}, doc);
+
+		dom.appendChild(div, fragment);
+
+		utils.each(dom.find(div, 'br'), function (_, br) {
+			br.parentNode.replaceChild(doc.createTextNode('\n'), br);
+		});
+
+		return div.textContent;
+	}
+
+	/**
+	 * Gets the text before and after the caret on the current line
+	 *
+	 * @param {SCEditor} editor
+	 * @return {?{before: string, after: string}}
+	 * @private
+	 */
+	function currentLine(editor) {
+		var caret, value, range, block, doc, before, after;
+
+		if (editor.sourceMode()) {
+			caret = editor.sourceEditorCaret();
+			value = editor.getSourceEditorValue(false);
+
+			if (caret.start !== caret.end) {
+				return null;
+			}
+
+			return {
+				before: value.substr(0, caret.start).split('\n').pop(),
+				after: value.substr(caret.start).split('\n')[0]
+			};
+		}
+
+		var rangeHelper = editor.getRangeHelper();
+
+		range = rangeHelper.cloneSelected();
+
+		// Quick check to avoid cloning the line on every key press
+		if (!range || !range.collapsed ||
+			!/\/\S*$/.test(rangeHelper.getOuterText(true, MAX_QUERY_LENGTH)) ||
+			dom.closest(range.startContainer, 'code')) {
+			return null;
+		}
+
+		block  = rangeHelper.getFirstBlockParent(range.startContainer);
+		doc    = block.ownerDocument;
+		before = range.cloneRange();
+		after  = range.cloneRange();
+
+		before.setStart(block, 0);
+		after.setEnd(block, block.childNodes.length);
+
+		return {
+			before: fragmentText(before.cloneContents(), doc)
+				.split('\n').pop(),
+			after: fragmentText(after.cloneContents(), doc).split('\n')[0]
+		};
+	}
+
+	/**
+	 * Filters the entries to those matching the query.
+	 *
+	 * Entries whose name, label or a keyword starts with the query
+	 * come first followed by entries with a label containing it.
+	 *
+	 * @param {Array<Object>} entries
+	 * @param {string} query
+	 * @return {Array<Object>}
+	 */
+	function filter(entries, query) {
+		var matches = [];
+
+		query = query.toLowerCase();
+
+		utils.each(entries, function (index, entry) {
+			var words = [entry.name, entry.label]
+				.concat(entry.keywords || [])
+				.map(function (word) {
+					return String(word).toLowerCase();
+				});
+
+			var startsWith = words.some(function (word) {
+				return word.indexOf(query) === 0;
+			});
+
+			if (startsWith || words[1].indexOf(query) > -1) {
+				matches.push({
+					rank: startsWith ? 0 : 1,
+					index: index,
+					entry: entry
+				});
+			}
+		});
+
+		return matches.sort(function (a, b) {
+			return a.rank - b.rank || a.index - b.index;
+		}).map(function (match) {
+			return match.entry;
+		});
+	}
+
+	/**
+	 * Slash commands plugin.
+	 *
+	 * Typing / at the start of an empty line opens a palette of all the
+	 * editors commands which can be filtered by typing and chosen with
+	 * the arrow keys and enter or the mouse.
+	 *
+	 * Options are set via the slashcommands property of the editor
+	 * options:
+	 *
+	 *     slashcommands: {
+	 *         // Commands and entries not to show in the palette
+	 *         exclude: ['cut', 'copy', 'paste'],
+	 *         // Max number of entries to show
+	 *         maxResults: 10,
+	 *         // Extra entries for this editor only, see register()
+	 *         entries: {}
+	 *     }
+	 *
+	 * Other plugins can add entries to the palette with
+	 * sceditor.plugins.slashcommands.register().
+	 */
+	sceditor.plugins.slashcommands = function () {
+		var base = this;
+		var editor, opts, list, textarea;
+		var results = [];
+		var selected = 0;
+		var query = null;
+
+		/**
+		 * Gets the editors toolbar button for a command, if any
+		 *
+		 * @param {string} name
+		 * @return {?HTMLElement}
+		 * @private
+		 */
+		function toolbarButton(name) {
+			return editor.getContentAreaContainer().parentNode
+				.querySelector('.sceditor-button-' + name);
+		}
+
+		/**
+		 * Gets all the entries available in the current mode
+		 *
+		 * @return {Array<Object>}
+		 * @private
+		 */
+		function allEntries() {
+			var entries = {};
+			var isSource = editor.sourceMode();
+
+			utils.each(editor.commands, function (name, command) {
+				entries[name] = {
+					label: command.tooltip || name,
+					keywords: defaultKeywords[name],
+					command: name
+				};
+			});
+
+			utils.each([registered, opts.entries], function (_, extra) {
+				utils.each(extra, function (name, entry) {
+					entries[name] = utils.extend({}, entries[name], entry);
+				});
+			});
+
+			return Object.keys(entries).map(function (name) {
+				var entry = entries[name];
+				var command = editor.commands[entry.command] || entry;
+
+				return utils.extend({}, entry, {
+					name: name,
+					label: editor._(entry.label || name),
+					exec: command.exec,
+					execParam: 'execParam' in command ?
+						command.execParam : null,
+					txtExec: command.txtExec
+				});
+			}).filter(function (entry) {
+				return opts.exclude.indexOf(entry.name) < 0 &&
+					(isSource ? entry.txtExec : entry.exec);
+			});
+		}
+
+		/**
+		 * Closes the palette
+		 * @private
+		 */
+		function close() {
+			query = null;
+			results = [];
+
+			if (list) {
+				dom.hide(list);
+			}
+		}
+
+		/**
+		 * Positions the palette below the caret
+		 * @private
+		 */
+		function position() {
+			var top, left, rect;
+			var container = editor.getContentAreaContainer();
+
+			if (editor.sourceMode()) {
+				rect = dom.textareaCaret(
+					textarea, editor.sourceEditorCaret().start
+				);
+				top  = textarea.offsetTop + rect.top + rect.height;
+				left = textarea.offsetLeft + rect.left;
+			} else {
+				var range = editor.getRangeHelper().cloneSelected();
+
+				rect = range.getBoundingClientRect();
+
+				// Collapsed ranges can have no size in some browsers
+				if (!rect.bottom && !rect.left) {
+					rect = range.startContainer.nodeType === 1 ?
+						range.startContainer.getBoundingClientRect() :
+						range.startContainer.parentNode
+							.getBoundingClientRect();
+				}
+
+				top  = container.offsetTop + rect.bottom;
+				left = container.offsetLeft + rect.left;
+			}
+
+			dom.css(list, {
+				top: top,
+				left: left
+			});
+		}
+
+		/**
+		 * Creates the icon for an entry
+		 *
+		 * @param {Object} entry
+		 * @return {?Node}
+		 * @private
+		 */
+		function createIcon(entry) {
+			var button;
+
+			if (entry.icon) {
+				return typeof entry.icon === 'string' ?
+					dom.parseHTML(entry.icon).firstChild :
+					entry.icon.cloneNode(true);
+			}
+
+			button = toolbarButton(entry.command || entry.name);
+
+			return button && button.firstChild.nodeName !== 'DIV' ?
+				button.firstChild.cloneNode(true) : null;
+		}
+
+		/**
+		 * Renders the palette
+		 * @private
+		 */
+		function render() {
+			if (!results.length) {
+				dom.hide(list);
+				return;
+			}
+
+			list.innerHTML = '';
+
+			utils.each(results, function (index, entry) {
+				var icon = createIcon(entry);
+				var label = dom.createElement('span');
+				var option = dom.createElement('div', {
+					'class': 'sceditor-slashcommands-option' +
+						(index === selected ? ' active' : ''),
+					'data-index': index
+				});
+
+				if (icon) {
+					dom.addClass(option, 'has-icon');
+					dom.appendChild(option, icon);
+				}
+
+				label.textContent = entry.label;
+				dom.appendChild(option, label);
+				dom.appendChild(list, option);
+			});
+
+			dom.show(list);
+			position();
+		}
+
+		/**
+		 * Removes the query and runs the entry
+		 *
+		 * @param {Object} entry
+		 * @private
+		 */
+		function run(entry) {
+			var caret, caller;
+			var length = query.length + 1;
+
+			if (editor.sourceMode()) {
+				caret = editor.sourceEditorCaret();
+
+				editor.sourceEditorCaret({
+					start: caret.start - length,
+					end: caret.start
+				});
+				editor.sourceEditorInsertText('');
+			} else {
+				editor.getRangeHelper().selectOuterText(length, 0);
+				editor.execCommand('delete');
+			}
+
+			// Empty the palette but leave it in place so any drop down
+			// the command opens is shown at the caret
+			list.innerHTML = '';
+			caller = toolbarButton(entry.command || entry.name) || list;
+
+			if (editor.sourceMode()) {
+				if (Array.isArray(entry.txtExec)) {
+					editor.sourceEditorInsertText.apply(editor, entry.txtExec);
+				} else {
+					entry.txtExec.call(editor, caller, '');
+				}
+			} else if (typeof entry.exec === 'function') {
+				entry.exec.call(editor, caller);
+			} else {
+				editor.execCommand(entry.exec, entry.execParam);
+			}
+
+			close();
+		}
+
+		/**
+		 * Checks the line the caret is on and opens, updates or closes
+		 * the palette as needed.
+		 * @private
+		 */
+		function update() {
+			var line = currentLine(editor);
+			var match = line && !/\S/.test(line.after) &&
+				QUERY_REGEX.exec(line.before);
+
+			if (!match) {
+				close();
+				return;
+			}
+
+			if (query !== match[1]) {
+				query    = match[1];
+				selected = 0;
+				results  = filter(allEntries(), query)
+					.slice(0, opts.maxResults);
+
+				render();
+			}
+		}
+
+		base.init = function () {
+			editor = this;
+			opts = utils.extend({
+				exclude: ['cut', 'copy', 'paste'],
+				maxResults: 10,
+				entries: {}
+			}, editor.opts.slashcommands);
+		};
+
+		base.signalReady = function () {
+			var container = editor.getContentAreaContainer().parentNode;
+
+			textarea = container.querySelector('textarea');
+			list = dom.createElement('div', {
+				'class': 'sceditor-slashcommands'
+			});
+
+			dom.hide(list);
+			dom.appendChild(container, list);
+
+			// Use mousedown so the editor doesn't lose focus
+			dom.on(list, 'mousedown', '.sceditor-slashcommands-option',
+				function (e) {
+					var index = dom.attr(this, 'data-index');
+
+					e.preventDefault();
+
+					if (results[index]) {
+						run(results[index]);
+					}
+				});
+		};
+
+		base.signalKeydownEvent = function (e) {
+			if (query === null || !results.length) {
+				return;
+			}
+
+			switch (e.which) {
+				// Up
+				case 38:
+					selected = (selected || results.length) - 1;
+					break;
+				// Down
+				case 40:
+					selected = (selected + 1) % results.length;
+					break;
+				// Enter and tab
+				case 9:
+				case 13:
+					run(results[selected]);
+					break;
+				// Escape
+				case 27:
+					close();
+					break;
+				default:
+					return;
+			}
+
+			e.preventDefault();
+
+			if (query !== null) {
+				render();
+			}
+		};
+
+		base.signalKeyupEvent = function (e) {
+			// Ignore navigation keys handled in keydown
+			if (!list ||
+				(query !== null && /^(9|13|27|38|40)$/.test(e.which))) {
+				return;
+			}
+
+			update();
+		};
+
+		base.signalBlurEvent = function () {
+			close();
+		};
+
+		base.destroy = function () {
+			if (list) {
+				close();
+				dom.remove(list);
+			}
+		};
+	};
+
+	/**
+	 * Adds an entry to the palette of every editor.
+	 *
+	 * Entries can either run an existing command:
+	 *
+	 *     sceditor.plugins.slashcommands.register('spoiler', {
+	 *         label: 'Insert a spoiler',
+	 *         keywords: ['hide', 'reveal'],
+	 *         icon: '<svg>...</svg>',
+	 *         command: 'spoiler'
+	 *     });
+	 *
+	 * or have their own exec and txtExec which work the same as
+	 * command exec and txtExec. Registering an existing command name
+	 * adds to that commands entry, e.g. to add more keywords.
+	 *
+	 * @param {string} name
+	 * @param {Object} entry
+	 * @param {string} [entry.label] Defaults to the name
+	 * @param {Array<string>} [entry.keywords]
+	 * @param {string|Node} [entry.icon] Defaults to the toolbar icon
+	 * @param {string} [entry.command]
+	 * @param {string|Function} [entry.exec]
+	 * @param {Array<string>|Function} [entry.txtExec]
+	 */
+	sceditor.plugins.slashcommands.register = function (name, entry) {
+		registered[name] = entry;
+	};
+
+	/**
+	 * Removes an entry added with register()
+	 *
+	 * @param {string} name
+	 */
+	sceditor.plugins.slashcommands.unregister = function (name) {
+		delete registered[name];
+	};
+
+	sceditor.plugins.slashcommands.filter = filter;
+})(sceditor);
@@ -0,0 +1,418 @@
+/**
+ * SCEditor Source Highlight Plugin
+ * http://www.sceditor.com/
+ *
+ * Copyright (C) 2017, Sam Clarke (samclarke.com)
+ *
+ * SCEditor is licensed under the MIT license:
+ *	http://www.opensource.org/licenses/mit-license.php
+ *
+ * @author Sam Clarke
+ */
+(function (sceditor) {
+	'use strict';
+
+	var dom = sceditor.dom;
+	var utils = sceditor.utils;
+
+	/**
+	 * HTML elements which never have a closing tag
+	 * @type {RegExp}
+	 * @private
+	 */
+	var VOID_ELEMENTS = /^(area|base|br|col|embed|hr|img|input|link|meta|param|source|track|wbr)$/;
+
+	/**
+	 * Splits a HTML string into tokens
+	 *
+	 *     <!--[\s\S]*?(?:-->|$)        Comments
+	 *     <\/([a-z][^\s>\/]*)\s*>      Closing tags
+	 *     <([a-z][^\s>\/]*)            Opening tags, followed by
+	 *        (?:[^>"']|"[^"]*"|'[^']*')*>  attributes which may be quoted
+	 *     \r\n|\r|\n                   New lines
+	 *     [^<\r\n]+|<                  Content
+	 *
+	 * @type {RegExp}
+	 * @private
+	 */
+	var HTML_TOKEN_REGEX = /<!--[\s\S]*?(?:-->|$)|<\/([a-z][^\s>\/]*)\s*>|<([a-z][^\s>\/]*)(?:[^>"']|"[^"]*"|'[^']*')*>|\r\n|\r|\n|[^<\r\n]+|</gi;
+
+	/**
+	 * Splits a tag into its start, name, attributes and end
+	 * @type {RegExp}
+	 * @private
+	 */
+	var TAG_PARTS_REGEX = /^(<\/?|\[\/?)([^\s=\]\/>]*)([\s\S]*?)(\/?[\]>])$/;
+
+	/**
+	 * Styles copied from the textarea so the text lines up
+	 * @type {Array<string>}
+	 * @private
+	 */
+	var copyStyles = [
+		'paddingTop', 'paddingRight', 'paddingBottom', 'paddingLeft',
+		'fontStyle', 'fontVariant', 'fontWeight', 'fontSize', 'lineHeight',
+		'fontFamily', 'textAlign', 'textTransform', 'textIndent',
+		'letterSpacing', 'wordSpacing', 'tabSize', 'direction'
+	];
+
+	/**
+	 * Escapes the HTML special characters in a string.
+	 *
+	 * Unlike escapeEntities() this keeps new lines and spaces as they
+	 * are so the text wraps the same as it does in the textarea.
+	 *
+	 * @param {string} str
+	 * @return {string}
+	 * @private
+	 */
+	function escapeHtml(str) {
+		return str.replace(/&/g, '&amp;')
+			.replace(/</g, '&lt;')
+			.replace(/>/g, '&gt;');
+	}
+
+	/**
+	 * Splits a HTML string into open, close, comment, newline and
+	 * content tokens in the same form as BBCodeParser.tokenize()
+	 *
+	 * @param {string} str
+	 * @return {Array<Object>}
+	 * @private
+	 */
+	function tokenizeHtml(str) {
+		var match, name, val;
+		var tokens = [];
+
+		HTML_TOKEN_REGEX.lastIndex = 0;
+
+		while ((match = HTML_TOKEN_REGEX.exec(str))) {
+			val = match[0];
+
+			if (val.substr(0, 4) === '<!--') {
+				tokens.push({ type: 'comment', val: val });
+			} else if (match[1]) {
+				tokens.push({
+					type: 'close',
+					name: match[1].toLowerCase(),
+					val: val
+				});
+			} else if (match[2]) {
+				name = match[2].toLowerCase();
+
+				tokens.push({
+					type: 'open',
+					name: name,
+					val: val,
+					selfClosing: VOID_ELEMENTS.test(name) || /\/>$/.test(val)
+				});
+			} else {
+				tokens.push({
+					type: /^[\r\n]/.test(val) ? 'newline' : 'content',
+					val: val
+				});
+			}
+		}
+
+		return tokens;
+	}
+
+	/**
+	 * Splits a BBCode string into tokens using the BBCode parser
+	 *
+	 * @param {Object} parserOptions
+	 * @param {string} str
+	 * @return {Array<Object>}
+	 * @private
+	 */
+	function tokenizeBBCode(parserOptions, str) {
+		var parser = new sceditor.BBCodeParser(parserOptions);
+		var tokens = parser.tokenize(str);
+
+		utils.each(tokens, function (_, token) {
+			var bbcode = sceditor.formats.bbcode.get(token.name);
+
+			if (bbcode) {
+				token.selfClosing = !!bbcode.isSelfClosing;
+				token.implicit = !!bbcode.closedBy;
+			}
+		});
+
+		return tokens;
+	}
+
+	/**
+	 * Pairs opening tags with their closing tags.
+	 *
+	 * Sets the pair property of each tag to its matching tag and the
+	 * problem property on any tags which aren't opened or closed.
+	 *
+	 * @param {Array<Object>} tokens
+	 * @return {Array<Object>}
+	 * @private
+	 */
+	function matchTags(tokens) {
+		var stack = [];
+		var unclosed = function (_, token) {
+			if (!token.implicit) {
+				token.problem = { type: 'unclosed', severity: 'error' };
+			}
+		};
+
+		utils.each(tokens, function (_, token) {
+			var i = stack.length;
+
+			if (token.type === 'open' && !token.selfClosing) {
+				stack.push(token);
+			} else if (token.type === 'close') {
+				while (i-- && stack[i].name !== token.name) {
+					// Empty
+				}
+
+				if (i < 0) {
+					token.problem = { type: 'unopened', severity: 'error' };
+					return;
+				}
+
+				token.pair = stack[i];
+				stack[i].pair = token;
+				utils.each(stack.splice(i).slice(1), unclosed);
+			}
+		});
+
+		utils.each(stack, unclosed);
+
+		return tokens;
+	}
+
+	/**
+	 * Sets the problem property of each token to the problem which
+	 * starts at it, replacing any existing problems.
+	 *
+	 * @param {Array<Object>} tokens
+	 * @param {Array<Object>} problems Problems from validate()
+	 * @private
+	 */
+	function addProblems(tokens, problems) {
+		var pos = 0;
+		var starts = {};
+
+		utils.each(problems, function (_, problem) {
+			starts[problem.start] = starts[problem.start] || problem;
+		});
+
+		utils.each(tokens, function (_, token) {
+			token.problem = starts[pos];
+			pos += token.val.length;
+		});
+	}
+
+	/**
+	 * Converts a token into highlighted HTML
+	 *
+	 * @param {Object} token
+	 * @param {string} className Any extra classes for the token
+	 * @return {string}
+	 * @private
+	 */
+	function tokenHtml(token, className) {
+		var parts;
+		var val = token.val;
+
+		if (token.type === 'comment') {
+			return '<span class="sceditor-hl-comment">' +
+				escapeHtml(val) + '</span>';
+		}
+
+		if ((token.type !== 'open' && token.type !== 'close') ||
+			!(parts = TAG_PARTS_REGEX.exec(val))) {
+			return className ? '<span class="' + className.substr(1) + '">' +
+				escapeHtml(val) + '</span>' : escapeHtml(val);
+		}
+
+		return '<span class="sceditor-hl-tag' + className + '">' +
+			escapeHtml(parts[1]) +
+			'<span class="sceditor-hl-name">' + escapeHtml(parts[2]) +
+			'</span>' +
+			(parts[3] ? '<span class="sceditor-hl-attrs">' +
+				escapeHtml(parts[3]) + '</span>' : '') +
+			escapeHtml(parts[4]) + '</span>';
+	}
+
+	/**
+	 * Source highlight plugin.
+	 *
+	 * Highlights the tags in source mode, underlines any problems
+	 * like tags which are not opened or closed and highlights the
+	 * matching tag of the tag the caret is in.
+	 *
+	 * For BBCode the problems are found using the formats validate()
+	 * method. The description of the problem at the caret is shown
+	 * as the title of the textarea.
+	 *
+	 * Supports the BBCode and XHTML formats. The source editor is
+	 * still a textarea with the highlighted text shown behind it so
+	 * all the source mode methods and events work as normal.
+	 */
+	sceditor.plugins.sourcehighlight = function () {
+		var base = this;
+		var editor, textarea, pre, tokenize, validate, resizeObserver;
+		var tokens = [];
+		var lastValue = null;
+
+		/**
+		 * Positions the highlighted text behind the textarea
+		 * @private
+		 */
+		function layout() {
+			var style = getComputedStyle(textarea);
+
+			utils.each(copyStyles, function (_, prop) {
+				pre.style[prop] = style[prop];
+			});
+
+			dom.css(pre, {
+				top: textarea.offsetTop + textarea.clientTop,
+				left: textarea.offsetLeft + textarea.clientLeft,
+				width: textarea.clientWidth,
+				height: textarea.clientHeight
+			});
+
+			pre.scrollTop  = textarea.scrollTop;
+			pre.scrollLeft = textarea.scrollLeft;
+		}
+
+		/**
+		 * Renders the highlighted tokens
+		 * @private
+		 */
+		function render() {
+			var active, problem;
+			var html = '';
+			var pos = 0;
+			var caret = textarea.selectionStart;
+
+			utils.each(tokens, function (_, token) {
+				var end = pos + token.val.length;
+
+				if (!active && caret > pos && caret <= end &&
+					(token.type === 'open' || token.type === 'close')) {
+					active = token;
+				}
+
+				if (!problem && caret >= pos && caret <= end) {
+					problem = token.problem;
+				}
+
+				pos = end;
+			});
+
+			utils.each(tokens, function (_, token) {
+				var className = token.problem ?
+					' sceditor-hl-' + token.problem.severity : '';
+
+				if (active && (token === active || token === active.pair)) {
+					className += ' sceditor-hl-match';
+				}
+
+				html += tokenHtml(token, className);
+			});
+
+			// Extra space so a trailing new line has a height
+			pre.innerHTML = html + ' ';
+			textarea.title = problem && problem.message || '';
+			layout();
+		}
+
+		/**
+		 * Re-tokenizes the source if it has changed and renders it
+		 * @private
+		 */
+		function update() {
+			if (textarea.value !== lastValue) {
+				lastValue = textarea.value;
+				tokens    = matchTags(tokenize(lastValue));
+
+				if (validate) {
+					addProblems(tokens, validate(lastValue));
+				}
+			}
+
+			render();
+		}
+
+		base.init = function () {
+			var format = this.opts.format;
+
+			editor = this;
+
+			if (format === 'bbcode' && sceditor.BBCodeParser) {
+				tokenize = tokenizeBBCode.bind(null, editor.opts.parserOptions);
+				validate = function (str) {
+					return sceditor.formats.bbcode
+						.validate(str, editor.opts.parserOptions);
+				};
+			} else if (format === 'xhtml') {
+				tokenize = tokenizeHtml;
+			}
+		};
+
+		base.signalReady = function () {
+			var container;
+
+			if (!tokenize) {
+				return;
+			}
+
+			container = editor.getContentAreaContainer().parentNode;
+			textarea  = container.querySelector('textarea');
+			pre       = dom.createElement('pre', {
+				'class': 'sceditor-source-highlight',
+				'aria-hidden': 'true'
+			});
+
+			container.insertBefore(pre, textarea);
+			dom.addClass(container, 'sourceHighlight');
+
+			dom.on(textarea, 'input', update);
+			dom.on(textarea, 'keyup mouseup select focus', render);
+			dom.on(textarea, 'scroll', layout);
+
+			// Re-layout when the textarea is shown or resized
+			if ('ResizeObserver' in window) {
+				resizeObserver = new window.ResizeObserver(layout);
+				resizeObserver.observe(textarea);
+			} else {
+				dom.on(window, 'resize', layout);
+			}
+
+			update();
+		};
+
+		base.signalValuechangedEvent = function () {
+			if (textarea) {
+				update();
+			}
+		};
+
+		base.destroy = function () {
+			if (!textarea) {
+				return;
+			}
+
+			dom.off(textarea, 'input', update);
+			dom.off(textarea, 'keyup mouseup select focus', render);
+			dom.off(textarea, 'scroll', layout);
+
+			if (resizeObserver) {
+				resizeObserver.disconnect();
+			} else {
+				dom.off(window, 'resize', layout);
+			}
+
+			textarea.title = '';
+			dom.removeClass(textarea.parentNode, 'sourceHighlight');
+			dom.remove(pre);
+		};
+	};
+})(sceditor);
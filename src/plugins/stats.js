@@ -0,0 +1,396 @@
+/**
+ * SCEditor Stats Plugin
+ * http://www.sceditor.com/
+ *
+ * Copyright (C) 2017, Sam Clarke (samclarke.com)
+ *
+ * SCEditor is licensed under the MIT license:
+ *	http://www.opensource.org/licenses/mit-license.php
+ *
+ * @author Sam Clarke
+ */
+(function (sceditor) {
+	'use strict';
+
+	var dom = sceditor.dom;
+	var utils = sceditor.utils;
+
+	/**
+	 * Elements which start a new line in the rendered text
+	 * @type {string}
+	 * @private
+	 */
+	var BLOCK_SELECTOR = 'address,blockquote,dd,div,dl,dt,figure,h1,h2,h3,' +
+		'h4,h5,h6,hr,li,ol,p,pre,table,tr,ul';
+
+	/**
+	 * Gets the rendered text of a node.
+	 *
+	 * Line breaks and the ends of blocks are counted as new lines and
+	 * emoticons as their code. The node isn't modified.
+	 *
+	 * @param {Node} node
+	 * @return {string}
+	 * @private
+	 */
+	function nodeText(node) {
+		var doc   = node.ownerDocument;
+		var clone = node.cloneNode(true);
+		var replace = function (oldNode, text) {
+			oldNode.parentNode.replaceChild(doc.createTextNode(text), oldNode);
+		};
+
+		utils.each(dom.find(clone, '.sceditor-ignore'), function (_, ignored) {
+			dom.remove(ignored);
+		});
+
+		utils.each(dom.find(clone, 'img[data-sceditor-emoticon]'),
+			function (_, img) {
+				replace(img, dom.attr(img, 'data-sceditor-emoticon'));
+			});
+
+		// The last BR of a block is collapsed so isn't a new line
+		utils.each(dom.find(clone, 'br'), function (_, br) {
+			var isCollapsed = !br.nextSibling &&
+				dom.is(br.parentNode, BLOCK_SELECTOR);
+
+			replace(br, isCollapsed ? '' : '\n');
+		});
+
+		utils.each(dom.find(clone, BLOCK_SELECTOR), function (_, block) {
+			// Nested blocks already end with a new line
+			if (!dom.is(block.lastElementChild, BLOCK_SELECTOR)) {
+				dom.appendChild(block, doc.createTextNode('\n'));
+			}
+		});
+
+		return clone.textContent.trim();
+	}
+
+	/**
+	 * Gets the rendered text of a HTML string.
+	 *
+	 * The HTML is parsed in a separate document so nothing
+	 * in it is loaded or run.
+	 *
+	 * @param {string} html
+	 * @return {string}
+	 * @private
+	 */
+	function htmlText(html) {
+		var body = document.implementation.createHTMLDocument('').body;
+
+		body.innerHTML = html;
+
+		return nodeText(body);
+	}
+
+	/**
+	 * Counts the words in the text
+	 *
+	 * @param {string} text
+	 * @return {number}
+	 * @private
+	 */
+	function countWords(text) {
+		return (text.match(/\S+/g) || []).length;
+	}
+
+	/**
+	 * Stats plugin.
+	 *
+	 * Shows a live word and character counter below the editor, adds
+	 * an editor.stats() method and can limit the length of the content.
+	 *
+	 * Options are set via the stats property of the editor options:
+	 *
+	 *     stats: {
+	 *         // What the length is counted from, either "text" for the
+	 *         // rendered text or "source" for the source (e.g. BBCode)
+	 *         count: 'text',
+	 *         // Max length of the content, 0 for no limit
+	 *         maxLength: 0,
+	 *         // If to show the counter
+	 *         counter: true,
+	 *         // Optional function(stats) returning the counter text
+	 *         format: null
+	 *     }
+	 *
+	 * When the max length is set, typing, pasting and other input like
+	 * drag and drop or autocorrect past it is blocked and a limitreached
+	 * event is fired with the type of input that was blocked ("input" or
+	 * "paste") and the current stats.
+	 */
+	sceditor.plugins.stats = function () {
+		var base = this;
+		var editor, opts, container, counter, textarea;
+
+		/**
+		 * Gets the rendered text of the editor
+		 *
+		 * @return {string}
+		 * @private
+		 */
+		function editorText() {
+			var source, convert;
+
+			if (!editor.sourceMode()) {
+				return nodeText(editor.getBody());
+			}
+
+			source  = editor.getSourceEditorValue(false);
+			convert = editor.fromBBCode || editor.fromMarkdown;
+
+			return htmlText(convert ? convert.call(editor, source) : source);
+		}
+
+		/**
+		 * Gets the length of the content as counted by the count option
+		 *
+		 * @param {string} [text] The text of the editor if already known
+		 * @return {number}
+		 * @private
+		 */
+		function contentLength(text) {
+			if (opts.count === 'source') {
+				return editor.val().length;
+			}
+
+			return (text === undefined ? editorText() : text).length;
+		}
+
+		/**
+		 * Gets the length of the selection which will be replaced
+		 * by any input
+		 *
+		 * @return {number}
+		 * @private
+		 */
+		function selectionLength() {
+			var caret, range;
+
+			if (editor.sourceMode()) {
+				caret = editor.sourceEditorCaret();
+
+				return caret.end - caret.start;
+			}
+
+			range = editor.getRangeHelper().selectedRange();
+
+			return range && !range.collapsed ? range.toString().length : 0;
+		}
+
+		/**
+		 * Gets how many more characters can be input
+		 *
+		 * @return {number}
+		 * @private
+		 */
+		function remaining() {
+			return opts.maxLength - contentLength() + selectionLength();
+		}
+
+		/**
+		 * Fires the limitreached event
+		 *
+		 * @param {string} type The type of input that was blocked
+		 * @private
+		 */
+		function limitReached(type) {
+			dom.trigger(container, 'limitreached', {
+				type: type,
+				stats: editor.stats()
+			});
+
+			editor.announce(editor._('Maximum length reached'));
+		}
+
+		/**
+		 * Updates the counter with the current stats
+		 * @private
+		 */
+		function update() {
+			var stats;
+
+			if (!counter) {
+				return;
+			}
+
+			stats = editor.stats();
+
+			counter.textContent = opts.format ?
+				opts.format.call(editor, stats) :
+				opts.maxLength ?
+					editor._('{0} words, {1} of {2} characters',
+						stats.words, stats.length, stats.maxLength) :
+					editor._('{0} words, {1} characters',
+						stats.words, stats.length);
+
+			if (opts.maxLength && stats.remaining <= 0) {
+				dom.addClass(counter, 'limit-reached');
+			} else {
+				dom.removeClass(counter, 'limit-reached');
+			}
+		}
+
+		/**
+		 * Limits pastes into the source editor. Pastes into the
+		 * WYSIWYG editor are handled by signalPasteRaw.
+		 *
+		 * @param {ClipboardEvent} e
+		 * @private
+		 */
+		function handleSourcePaste(e) {
+			var left;
+			var text = e.clipboardData && e.clipboardData.getData('text');
+
+			if (!opts.maxLength || !text) {
+				return;
+			}
+
+			left = remaining();
+
+			if (text.length > left) {
+				e.preventDefault();
+
+				if (left > 0) {
+					editor.sourceEditorInsertText(text.substr(0, left));
+				}
+
+				limitReached('paste');
+				update();
+			}
+		}
+
+		/**
+		 * Blocks input that doesn't come from a key press, e.g. drag
+		 * and drop, autocorrect and IME input. Key presses are handled
+		 * by signalKeypressEvent and pastes by the paste handlers.
+		 *
+		 * @param {InputEvent} e
+		 * @private
+		 */
+		function handleBeforeInput(e) {
+			var text;
+			var type = e.inputType || '';
+
+			if (!opts.maxLength || e.defaultPrevented ||
+				!/^insert/.test(type) || type === 'insertFromPaste') {
+				return;
+			}
+
+			text = e.data ||
+				(e.dataTransfer && e.dataTransfer.getData('text')) ||
+				(/Paragraph|LineBreak/.test(type) ? '\n' : '');
+
+			if (text.length > remaining()) {
+				e.preventDefault();
+				limitReached('input');
+			}
+		}
+
+		base.init = function () {
+			editor = this;
+			opts = utils.extend({
+				count: 'text',
+				maxLength: 0,
+				counter: true,
+				format: null
+			}, editor.opts.stats);
+
+			/**
+			 * Gets the word count, character count and length
+			 * of the editors content.
+			 *
+			 * length is the length as counted by the count option
+			 * which is also what maxLength applies to.
+			 *
+			 * @return {{words: number, characters: number,
+			 *           length: number, maxLength: number,
+			 *           remaining: ?number}}
+			 */
+			editor.stats = function () {
+				var text = editorText();
+				var length = contentLength(text);
+
+				return {
+					words: countWords(text),
+					characters: text.length,
+					length: length,
+					maxLength: opts.maxLength,
+					remaining: opts.maxLength ?
+						Math.max(opts.maxLength - length, 0) : null
+				};
+			};
+		};
+
+		base.signalReady = function () {
+			container = editor.getContentAreaContainer().parentNode;
+			textarea  = container.querySelector('textarea');
+
+			if (opts.counter) {
+				counter = dom.createElement('div', {
+					className: 'sceditor-stats'
+				});
+
+				dom.appendChild(container, counter);
+			}
+
+			dom.on(textarea, 'paste', handleSourcePaste);
+			dom.on(textarea, 'beforeinput', handleBeforeInput);
+			dom.on(editor.getBody(), 'beforeinput', handleBeforeInput);
+			update();
+		};
+
+		base.signalKeyupEvent = update;
+		base.signalValuechangedEvent = update;
+
+		base.signalKeypressEvent = function (e) {
+			var isCharacter = (e.which === 13 || e.which > 31) &&
+				!e.ctrlKey && !e.metaKey;
+
+			if (!opts.maxLength || !isCharacter || e.defaultPrevented) {
+				return;
+			}
+
+			if (remaining() <= 0) {
+				e.preventDefault();
+				limitReached('input');
+			}
+		};
+
+		base.signalPasteRaw = function (data) {
+			var left, text;
+
+			if (!opts.maxLength) {
+				return;
+			}
+
+			left = remaining();
+			text = data.text || (data.html ? htmlText(data.html) : '');
+
+			if (text.length > left) {
+				// Formatting is lost as only part of the paste fits
+				data.html = null;
+				data.text = left > 0 ? text.substr(0, left) : '';
+
+				limitReached('paste');
+			}
+		};
+
+		base.destroy = function () {
+			if (textarea) {
+				dom.off(textarea, 'paste', handleSourcePaste);
+				dom.off(textarea, 'beforeinput', handleBeforeInput);
+				dom.off(editor.getBody(), 'beforeinput', handleBeforeInput);
+			}
+
+			if (counter) {
+				dom.remove(counter);
+				counter = null;
+			}
+
+			delete editor.stats;
+		};
+	};
+})(sceditor);
@@ -1,85 +1,654 @@
 (function (sceditor) {
 	'use strict';
 
+	/**
+	 * Options used to observe every change made to the WYSIWYG body
+	 * @type {Object}
+	 * @private
+	 */
+	var observerOptions = {
+		childList: true,
+		subtree: true,
+		characterData: true,
+		characterDataOldValue: true,
+		attributes: true,
+		attributeOldValue: true
+	};
+
+	/**
+	 * Matches the range markers inserted by RangeHelper.saveRange()
+	 * @type {RegExp}
+	 * @private
+	 */
+	var markerRegex =
+		/<span[^>]+sceditor-(?:start|end)-marker[^>]*>[^<]*<\/span>/gi;
+
+	/**
+	 * Basic check for browser support
+	 * @type {boolean}
+	 * @private
+	 */
+	var isSupported = typeof window.MutationObserver !== 'undefined';
+
+	/**
+	 * Converts a list of MutationRecords into operations which can
+	 * be reverted.
+	 *
+	 * Attribute changes to the body itself are ignored as those are
+	 * only ever the editors own state (placeholder, dir, etc.)
+	 *
+	 * @param {Array<MutationRecord>} records
+	 * @param {HTMLBodyElement} body
+	 * @return {Array<Object>}
+	 * @private
+	 */
+	function toOperations(records, body) {
+		var ops = [];
+
+		for (var i = 0; i < records.length; i++) {
+			var record = records[i];
+
+			if (record.type === 'attributes' && record.target === body) {
+				continue;
+			}
+
+			ops.push({
+				type: record.type,
+				target: record.target,
+				added: Array.prototype.slice.call(record.addedNodes || []),
+				removed: Array.prototype.slice.call(record.removedNodes || []),
+				prev: record.previousSibling,
+				next: record.nextSibling,
+				name: record.attributeName,
+				oldValue: record.oldValue
+			});
+		}
+
+		return ops;
+	}
+
+	/**
+	 * Reverts a single operation
+	 *
+	 * @param {Object} op
+	 * @private
+	 */
+	function revertOperation(op) {
+		var i, ref,
+			target = op.target;
+
+		if (op.type === 'characterData') {
+			target.nodeValue = op.oldValue;
+		} else if (op.type === 'attributes') {
+			if (op.oldValue === null) {
+				target.removeAttribute(op.name);
+			} else {
+				target.setAttribute(op.name, op.oldValue);
+			}
+		} else {
+			for (i = 0; i < op.added.length; i++) {
+				if (op.added[i].parentNode === target) {
+					target.removeChild(op.added[i]);
+				}
+			}
+
+			if (op.next && op.next.parentNode === target) {
+				ref = op.next;
+			} else if (op.prev && op.prev.parentNode === target) {
+				ref = op.prev.nextSibling;
+			} else {
+				ref = target.firstChild;
+			}
+
+			for (i = 0; i < op.removed.length; i++) {
+				target.insertBefore(op.removed[i], ref);
+			}
+		}
+	}
+
+	/**
+	 * Calculates the single splice needed to turn strA into strB
+	 *
+	 * @param {string} strA
+	 * @param {string} strB
+	 * @return {Object}
+	 * @private
+	 */
+	function textDiff(strA, strB) {
+		var start = 0,
+			endA  = strA.length,
+			endB  = strB.length;
+
+		while (start < endA && start < endB &&
+			strA.charAt(start) === strB.charAt(start)) {
+			start++;
+		}
+
+		while (endA > start && endB > start &&
+			strA.charAt(endA - 1) === strB.charAt(endB - 1)) {
+			endA--;
+			endB--;
+		}
+
+		return {
+			start: start,
+			removed: strA.substring(start, endA),
+			inserted: strB.substring(start, endB)
+		};
+	}
+
+	/**
+	 * Gets the kind of typing a key down event will cause or null
+	 * if the key isn't a typing key
+	 *
+	 * @param {KeyboardEvent} e
+	 * @return {?string}
+	 * @private
+	 */
+	function typingKind(e) {
+		var which = e.which || e.keyCode;
+
+		if (e.ctrlKey || e.metaKey || e.altKey) {
+			return null;
+		}
+
+		// 8 = backspace & 46 = del
+		if (which === 8 || which === 46) {
+			return 'delete';
+		}
+
+		// 13 = return
+		if (which === 13) {
+			return 'newline';
+		}
+
+		// 229 = IME composition
+		if (which === 229 || e.key === 'Process' ||
+			(e.key ? e.key.length === 1 : which === 32 || which > 47)) {
+			return 'insert';
+		}
+
+		return null;
+	}
+
+	/**
+	 * Undo/redo plugin.
+	 *
+	 * Instead of storing the full editor value for every state, the
+	 * changes made are recorded as operations. In WYSIWYG mode these are
+	 * the DOM mutations made to the body and in source mode a single text
+	 * splice. Consecutive typing is grouped into a single step and each
+	 * step stores the selection before and after it was made.
+	 *
+	 * Options (set via opts.undo):
+	 * * limit - Maximum number of undo steps to store. Defaults to 50.
+	 * * delay - Pause in ms after which typing starts a new step.
+	 *           Defaults to 1000.
+	 */
 	sceditor.plugins.undo = function () {
 		var base = this;
 		var editor;
-		var charChangedCount = 0;
-		var previousValue;
+		var body;
+		var observer;
 
-		var undoLimit  = 50;
-		var redoStates = [];
-		var undoStates = [];
-		var ignoreNextValueChanged = false;
+		var undoLimit = 50;
+		var typingDelay = 1000;
+		var redoSteps = [];
+		var undoSteps = [];
 
 		/**
-		 * Sets the editor to the specified state.
+		 * If the changes being made are by the undo manager
+		 * @type {boolean}
+		 * @private
+		 */
+		var isApplying = false;
+
+		/**
+		 * If the editor was in source mode when last checked
+		 * @type {boolean}
+		 * @private
+		 */
+		var isSourceMode;
+
+		/**
+		 * Operations not yet part of a step
+		 * @type {Array<Object>}
+		 * @private
+		 */
+		var pending = [];
+
+		/**
+		 * The WYSIWYG HTML when the last step was made and the current
+		 * HTML. Used to tell real changes from changes like the range
+		 * markers which don't alter the content.
+		 * @private
+		 */
+		var sealedHtml;
+		var currentHtml;
+
+		/**
+		 * The source value when the last step was made and the last
+		 * known value of the source editor.
+		 * @private
+		 */
+		var sealedSource;
+		var currentSource;
+
+		/**
+		 * Kind of typing the current step is made of, if any
+		 * @type {?string}
+		 * @private
+		 */
+		var typing = null;
+		var isTyping = false;
+		var typingTimer;
+
+		var lastSelection;
+		var stepSelection;
+		var lastSourceCaret;
+
+		/**
+		 * Gets the WYSIWYG HTML without any range markers
 		 *
-		 * @param  {Object} state
+		 * @return {string}
 		 * @private
 		 */
-		var applyState = function (state) {
-			ignoreNextValueChanged = true;
+		var getHtml = function () {
+			return body.innerHTML.replace(markerRegex, '');
+		};
 
-			previousValue = state.value;
+		/**
+		 * Gets the raw value of the source editor
+		 *
+		 * @return {string}
+		 * @private
+		 */
+		var getSource = function () {
+			return editor.getSourceEditorValue(false);
+		};
+
+		/**
+		 * Gets the current WYSIWYG selection
+		 *
+		 * @return {?Object}
+		 * @private
+		 */
+		var getSelection = function () {
+			var range = editor.getRangeHelper().selectedRange();
+
+			if (!range || !body.contains(range.startContainer)) {
+				return null;
+			}
+
+			return {
+				startContainer: range.startContainer,
+				startOffset: range.startOffset,
+				endContainer: range.endContainer,
+				endOffset: range.endOffset
+			};
+		};
+
+		/**
+		 * Stores the current selection, if no changes have been made
+		 * since the last step it will be used as the start selection of
+		 * the next step.
+		 *
+		 * @private
+		 */
+		var updateSelection = function () {
+			if (isSourceMode) {
+				lastSourceCaret = editor.sourceEditorCaret();
+				return;
+			}
+
+			lastSelection = getSelection() || lastSelection;
+
+			if (currentHtml === sealedHtml) {
+				stepSelection = lastSelection;
+			}
+		};
+
+		/**
+		 * Restores a selection stored by getSelection() or a source
+		 * editor caret position
+		 *
+		 * @param {Object} selection
+		 * @private
+		 */
+		var restoreSelection = function (selection) {
+			var range;
 
-			editor.sourceMode(state.sourceMode);
-			editor.val(state.value, false);
 			editor.focus();
 
-			if (state.sourceMode) {
-				editor.sourceEditorCaret(state.caret);
-			} else {
-				editor.getRangeHelper().restoreRange();
+			if (!selection) {
+				return;
 			}
 
-			ignoreNextValueChanged = false;
+			if (isSourceMode) {
+				editor.sourceEditorCaret(selection);
+				return;
+			}
+
+			// The nodes may no longer exist if the step was made before
+			// the history was trimmed so just ignore any errors
+			try {
+				range = body.ownerDocument.createRange();
+				range.setStart(selection.startContainer, selection.startOffset);
+				range.setEnd(selection.endContainer, selection.endOffset);
+
+				editor.getRangeHelper().selectRange(range);
+				lastSelection = stepSelection = selection;
+			} catch (ex) {}
+		};
+
+		/**
+		 * Reverts the operations and returns the operations that will
+		 * undo the revert.
+		 *
+		 * @param {Array<Object>} ops
+		 * @return {Array<Object>}
+		 * @private
+		 */
+		var revert = function (ops) {
+			for (var i = ops.length - 1; i >= 0; i--) {
+				revertOperation(ops[i]);
+			}
+
+			return toOperations(observer.takeRecords(), body);
+		};
+
+		/**
+		 * Reverts a text splice and returns the inverse splice
+		 *
+		 * @param {Object} splice
+		 * @return {Object}
+		 * @private
+		 */
+		var revertSplice = function (splice) {
+			var value = getSource();
+
+			currentSource = sealedSource = value.substr(0, splice.start) +
+				splice.removed +
+				value.substr(splice.start + splice.inserted.length);
+
+			editor.setSourceEditorValue(currentSource);
+
+			return {
+				start: splice.start,
+				removed: splice.inserted,
+				inserted: splice.removed
+			};
 		};
 
+		/**
+		 * Adds a step to the undo history
+		 *
+		 * @param {Object} step
+		 * @private
+		 */
+		var addStep = function (step) {
+			undoSteps.push(step);
+			redoSteps.length = 0;
+
+			if (undoLimit > 0 && undoSteps.length > undoLimit) {
+				undoSteps.shift();
+			}
+		};
 
 		/**
-		 * Calculates the number of characters that have changed
-		 * between two strings.
+		 * Turns any changes that haven't been added to the history
+		 * yet into a step.
 		 *
-		 * @param {String} strA
-		 * @param {String} strB
-		 * @return {String}
 		 * @private
 		 */
-		var simpleDiff = function (strA, strB) {
-			var start, end, aLenDiff, bLenDiff,
-				aLength = strA.length,
-				bLength = strB.length,
-				length  = Math.max(aLength, bLength);
+		var seal = function () {
+			var after;
+
+			clearTimeout(typingTimer);
+			typing = null;
 
-			// Calculate the start
-			for (start = 0; start < length; start++) {
-				if (strA.charAt(start) !== strB.charAt(start)) {
-					break;
+			if (isSourceMode) {
+				if (currentSource !== sealedSource) {
+					addStep({
+						splice: textDiff(sealedSource, currentSource)
+					});
+
+					sealedSource = currentSource;
 				}
+
+				return;
 			}
 
-			// Calculate the end
-			aLenDiff = aLength < bLength ? bLength - aLength : 0;
-			bLenDiff = bLength < aLength ? aLength - bLength : 0;
+			// Changes that didn't alter the content, like the range
+			// markers, are left pending to be included in the next step
+			if (currentHtml === sealedHtml) {
+				return;
+			}
+
+			after = getSelection();
+
+			addStep({
+				ops: pending,
+				before: stepSelection,
+				after: after
+			});
+
+			pending = [];
+			sealedHtml = currentHtml;
+			lastSelection = stepSelection = after || lastSelection;
+		};
 
-			for (end = length - 1; end >= 0; end--) {
-				if (strA.charAt(end - aLenDiff) !==
-						strB.charAt(end - bLenDiff)) {
-					break;
+		/**
+		 * Switches the editor mode without recording the DOM changes
+		 * made by switching.
+		 *
+		 * @param {boolean} sourceMode
+		 * @private
+		 */
+		var switchMode = function (sourceMode) {
+			editor.sourceMode(sourceMode);
+
+			// Switching modes rebuilds the WYSIWYG DOM. Reverting that
+			// keeps the original nodes which the history refers to.
+			revert(toOperations(observer.takeRecords(), body));
+			observer.takeRecords();
+
+			isSourceMode = sourceMode;
+			currentHtml = sealedHtml = getHtml();
+			currentSource = sealedSource = getSource();
+		};
+
+		/**
+		 * Checks if the editor mode has been changed and if so adds a
+		 * step for the change
+		 *
+		 * @param {Array<Object>} ops Any operations not yet pending
+		 * @return {boolean} If the mode has changed
+		 * @private
+		 */
+		var checkMode = function (ops) {
+			var step,
+				sourceMode = editor.sourceMode();
+
+			if (sourceMode === isSourceMode) {
+				return false;
+			}
+
+			// Switching to WYSIWYG mode doesn't change the source value
+			// so any changes not yet handled can still be added
+			if (!sourceMode && getSource() !== currentSource) {
+				seal();
+				currentSource = getSource();
+			}
+
+			seal();
+
+			step = {
+				modeChange: true,
+				sourceMode: sourceMode,
+				ops: pending.concat(
+					ops, toOperations(observer.takeRecords(), body)
+				)
+			};
+
+			if (sourceMode) {
+				step.before = lastSelection;
+				currentSource = sealedSource = getSource();
+			} else {
+				step.before = lastSourceCaret;
+				step.text = currentSource;
+				currentHtml = sealedHtml = getHtml();
+				lastSelection = stepSelection = null;
+			}
+
+			addStep(step);
+			pending = [];
+			isSourceMode = sourceMode;
+
+			return true;
+		};
+
+		/**
+		 * Handles changes made to the editor
+		 *
+		 * @param {Array<MutationRecord>} records
+		 * @private
+		 */
+		var handleChanges = function (records) {
+			var html, source,
+				ops = toOperations(records, body);
+
+			if (isApplying || checkMode(ops)) {
+				return;
+			}
+
+			// Any DOM changes while in source mode will be the editor
+			// saving the range, the content will be replaced anyway
+			if (isSourceMode) {
+				pending = pending.concat(ops);
+				source = getSource();
+
+				if (source !== currentSource && !isTyping) {
+					seal();
+					currentSource = source;
+					seal();
+				}
+
+				return;
+			}
+
+			if (!ops.length) {
+				return;
+			}
+
+			html = getHtml();
+
+			// Changes not made by typing are always their own step
+			if (!isTyping && html !== currentHtml) {
+				seal();
+				pending = pending.concat(ops);
+				currentHtml = html;
+				seal();
+			} else {
+				pending = pending.concat(ops);
+				currentHtml = html;
+			}
+		};
+
+		/**
+		 * Processes any changes that haven't been handled yet
+		 *
+		 * @private
+		 */
+		var sync = function () {
+			handleChanges(observer.takeRecords());
+		};
+
+		/**
+		 * Applies a step from one history stack, adding it
+		 * to the other.
+		 *
+		 * @param {Array<Object>} from
+		 * @param {Array<Object>} to
+		 * @param {boolean} isUndo
+		 * @private
+		 */
+		var applyStep = function (from, to, isUndo) {
+			var step, splice, selection, toSource;
+
+			sync();
+			seal();
+
+			step = from.pop();
+			if (!step) {
+				return;
+			}
+
+			isApplying = true;
+
+			// Revert changes that didn't alter the content so the DOM
+			// matches the state the step was recorded against
+			if (pending.length) {
+				revert(pending);
+				observer.takeRecords();
+				pending = [];
+			}
+
+			if (step.modeChange) {
+				toSource = isUndo !== step.sourceMode;
+
+				// The operations are always for the WYSIWYG DOM so
+				// must be reverted while it is the active mode
+				if (!toSource) {
+					switchMode(false);
+				}
+
+				step.ops = revert(step.ops);
+
+				if (toSource) {
+					switchMode(true);
+
+					if (isUndo) {
+						editor.setSourceEditorValue(step.text);
+						currentSource = sealedSource = step.text;
+					}
 				}
+
+				selection = isUndo ? step.before : null;
+			} else if (step.splice) {
+				splice = step.splice = revertSplice(step.splice);
+				selection = {
+					start: splice.start,
+					end: splice.start + splice.inserted.length
+				};
+			} else {
+				step.ops = revert(step.ops);
+				selection = isUndo ? step.before : step.after;
 			}
 
-			return (end - start) + 1;
+			currentHtml = sealedHtml = getHtml();
+			to.push(step);
+			restoreSelection(selection);
+
+			isApplying = false;
 		};
 
 		base.init = function () {
+			var opts;
+
 			// The this variable will be set to the instance of the editor
 			// calling it, hence why the plugins "this" is saved to the base
 			// variable.
 			editor = this;
+			opts = editor.opts.undo || {};
 
-			undoLimit = editor.undoLimit || undoLimit;
+			undoLimit = opts.limit || editor.undoLimit || undoLimit;
+			typingDelay = opts.delay || typingDelay;
+
+			// Leave undo to the browser if changes can't be observed
+			if (!isSupported) {
+				return;
+			}
 
 			// addShortcut is the easiest way to add handlers to specific
 			// shortcuts
@@ -88,100 +657,110 @@
 			editor.addShortcut('ctrl+y', base.redo);
 		};
 
+		/**
+		 * Undoes the last step
+		 *
+		 * @return {boolean}
+		 */
 		base.undo = function () {
-			var state = undoStates.pop();
-			var rawEditorValue = editor.val(null, false);
-
-			if (state && !redoStates.length && rawEditorValue === state.value) {
-				state = undoStates.pop();
-			}
-
-			if (state) {
-				if (!redoStates.length) {
-					redoStates.push({
-						'caret': editor.sourceEditorCaret(),
-						'sourceMode': editor.sourceMode(),
-						'value': rawEditorValue
-					});
-				}
-
-				redoStates.push(state);
-				applyState(state);
+			if (observer) {
+				applyStep(undoSteps, redoSteps, true);
 			}
 
 			return false;
 		};
 
+		/**
+		 * Redoes the last undone step
+		 *
+		 * @return {boolean}
+		 */
 		base.redo = function () {
-			var state = redoStates.pop();
-
-			if (!undoStates.length) {
-				undoStates.push(state);
-				state = redoStates.pop();
-			}
-
-			if (state) {
-				undoStates.push(state);
-				applyState(state);
+			if (observer) {
+				applyStep(redoSteps, undoSteps, false);
 			}
 
 			return false;
 		};
 
 		base.signalReady = function () {
-			var rawValue = editor.val(null, false);
+			if (!isSupported) {
+				return;
+			}
 
-			// Store the initial value as the last value
-			previousValue = rawValue;
+			body = editor.getBody();
+			isSourceMode = editor.sourceMode();
+			currentHtml = sealedHtml = getHtml();
+			currentSource = sealedSource = getSource();
 
-			undoStates.push({
-				'caret': this.sourceEditorCaret(),
-				'sourceMode': this.sourceMode(),
-				'value': rawValue
-			});
+			observer = new MutationObserver(handleChanges);
+			observer.observe(body, observerOptions);
 		};
 
-		/**
-		 * Handle the valueChanged signal.
-		 *
-		 * e.rawValue will either be the raw HTML from the WYSIWYG editor with
-		 * the rangeHelper range markers inserted, or it will be the raw value
-		 * of the source editor (BBCode or HTML depending on plugins).
-		 * @return {void}
-		 */
-		base.signalValuechangedEvent = function (e) {
-			var rawValue = e.detail.rawValue;
+		base.signalKeydownEvent = function (e) {
+			var kind;
 
-			if (undoLimit > 0 && undoStates.length > undoLimit) {
-				undoStates.shift();
-			}
-
-			// If the editor hasn't fully loaded yet,
-			// then the previous value won't be set.
-			if (ignoreNextValueChanged || !previousValue ||
-					previousValue === rawValue) {
+			if (!observer || isApplying) {
 				return;
 			}
 
-			// Value has changed so remove all redo states
-			redoStates.length = 0;
-			charChangedCount += simpleDiff(previousValue, rawValue);
+			sync();
 
-			if (charChangedCount < 20) {
-				return;
-			// ??
-			} else if (charChangedCount < 50 && !/\s$/g.test(e.rawValue)) {
+			kind = typingKind(e);
+
+			// Any other key, like the arrow keys, ends the current step
+			if (!kind) {
+				seal();
+				updateSelection();
 				return;
 			}
 
-			undoStates.push({
-				'caret': editor.sourceEditorCaret(),
-				'sourceMode': editor.sourceMode(),
-				'value': rawValue
+			if (kind !== typing) {
+				seal();
+			}
+
+			updateSelection();
+
+			typing = kind;
+			isTyping = true;
+
+			// Changes are made after the key down event so any changes
+			// before the next tick were caused by this key
+			setTimeout(function () {
+				isTyping = false;
+
+				if (!observer) {
+					return;
+				}
+
+				if (isSourceMode) {
+					currentSource = getSource();
+				}
+
+				clearTimeout(typingTimer);
+				typingTimer = setTimeout(seal, typingDelay);
 			});
+		};
+
+		base.signalSelectionchangedEvent = function () {
+			if (observer && !isApplying && !isSourceMode) {
+				updateSelection();
+			}
+		};
 
-			charChangedCount = 0;
-			previousValue = rawValue;
+		base.signalValuechangedEvent = function () {
+			if (observer && !isApplying) {
+				sync();
+			}
+		};
+
+		base.destroy = function () {
+			clearTimeout(typingTimer);
+
+			if (observer) {
+				observer.disconnect();
+				observer = null;
+			}
 		};
 	};
 }(sceditor));
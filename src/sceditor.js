@@ -17,6 +17,13 @@ import * as escape from './lib/escape.js';
 import * as browser from './lib/browser.js';
 import * as dom from './lib/dom.js';
 import * as utils from './lib/utils.js';
+import * as sanitizer from './lib/sanitize.js';
+import * as blocks from './lib/blocks.js';
+import * as code from './lib/code.js';
+import * as media from './lib/media.js';
+import * as autoformat from './lib/autoformat.js';
+import * as emoticons from './lib/emoticons.js';
+import emoji from './lib/emoji.js';
 import defaultCommands from './lib/defaultCommands.js';
 import defaultOptions from './lib/defaultOptions.js';
 
@@ -34,7 +41,54 @@ window.sceditor = {
 	escapeEntities: escape.entities,
 	escapeUriScheme: escape.uriScheme,
 
+	sanitizer: {
+		defaultPolicy: sanitizer.defaultPolicy,
+		extendPolicy: sanitizer.extendPolicy,
+		sanitize: sanitizer.sanitize
+	},
+
+	blocks: {
+		register: blocks.register,
+		get: blocks.get,
+		watch: blocks.watch,
+		render: blocks.render,
+		rootTag: blocks.rootTag,
+		readAttrs: blocks.readAttrs,
+		contentElement: blocks.contentElement
+	},
+
+	code: {
+		register: code.register,
+		get: code.get,
+		tokenize: code.tokenize,
+		getLanguage: code.getLanguage,
+		setLanguage: code.setLanguage
+	},
+
+	media: {
+		register: media.register,
+		get: media.get,
+		match: media.match,
+		embed: media.embed,
+		toBBCode: media.toBBCode,
+		getUrl: media.getUrl
+	},
+
+	autoformat: {
+		register: autoformat.register,
+		get: autoformat.get
+	},
+
+	emoticons: {
+		filter: emoticons.filter,
+		addRecent: emoticons.addRecent
+	},
+
+	emoji: emoji,
+
 	dom: {
+		ELEMENT_NODE: dom.ELEMENT_NODE,
+		TEXT_NODE: dom.TEXT_NODE,
 		css: dom.css,
 		attr: dom.attr,
 		removeAttr: dom.removeAttr,
@@ -58,7 +112,20 @@ window.sceditor = {
 		extractContents: dom.extractContents,
 		getOffset: dom.getOffset,
 		getStyle: dom.getStyle,
-		hasStyle: dom.hasStyle
+		hasStyle: dom.hasStyle,
+		createElement: dom.createElement,
+		appendChild: dom.appendChild,
+		remove: dom.remove,
+		find: dom.find,
+		on: dom.on,
+		off: dom.off,
+		trigger: dom.trigger,
+		show: dom.show,
+		hide: dom.hide,
+		addClass: dom.addClass,
+		removeClass: dom.removeClass,
+		hasClass: dom.hasClass,
+		textareaCaret: dom.textareaCaret
 	},
 	locale: SCEditor.locale,
 	icons: SCEditor.icons,
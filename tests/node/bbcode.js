@@ -0,0 +1,101 @@
+/*eslint-env node*/
+import * as bbcode from 'src/headless/bbcode.js';
+import fixtures from 'tests/unit/formats/fixtures/bbcode.js';
+
+
+QUnit.module('headless/bbcode');
+
+
+QUnit.test('No DOM', function (assert) {
+	assert.equal(typeof window, 'undefined');
+	assert.equal(typeof document, 'undefined');
+	assert.equal(typeof global.sceditor, 'undefined', 'Global removed');
+});
+
+
+fixtures.forEach(function (fixture) {
+	QUnit.test('toHTML() - ' + fixture.name, function (assert) {
+		assert.equal(bbcode.toHTML(fixture.bbcode), fixture.html);
+	});
+});
+
+
+QUnit.test('toHTML() - Options', function (assert) {
+	assert.equal(
+		bbcode.toHTML('\n[b]test[/b]\n', {
+			bbcodeTrim: true
+		}),
+		'<div><strong>test</strong></div>\n'
+	);
+
+	assert.equal(
+		bbcode.toHTML('[b]test', {
+			parserOptions: {
+				fixInvalidNesting: true,
+				fixInvalidChildren: true,
+				removeEmptyTags: true
+			}
+		}),
+		bbcode.toHTML('[b]test')
+	);
+});
+
+
+QUnit.test('No toBBCode()', function (assert) {
+	assert.equal(Object.keys(bbcode).indexOf('toBBCode'), -1,
+		'Converting HTML into BBCode needs a DOM');
+	assert.ok(Object.keys(bbcode).indexOf('toHTML') > -1);
+});
+
+
+QUnit.test('BBCodeParser', function (assert) {
+	var parser = new bbcode.BBCodeParser({
+		quoteType: bbcode.BBCodeParser.QuoteType.always
+	});
+
+	assert.equal(
+		parser.toBBCode('[size=3]Text[/size]'),
+		'[size="3"]Text[/size]'
+	);
+
+	assert.equal(
+		new bbcode.BBCodeParser().toHTML('[b]test[/b]'),
+		bbcode.toHTML('[b]test[/b]')
+	);
+});
+
+
+QUnit.test('bbcodeHandlers', function (assert) {
+	assert.strictEqual(bbcode.bbcodeHandlers.b, bbcode.get('b'));
+
+	bbcode.set('headless', {
+		html: '<span class="headless">{0}</span>'
+	});
+
+	assert.ok(bbcode.bbcodeHandlers.headless, 'set() adds handler');
+	assert.equal(
+		bbcode.toHTML('[headless]test[/headless]'),
+		'<div><span class="headless">test</span></div>\n'
+	);
+
+	bbcode.remove('headless');
+
+	assert.notOk(bbcode.bbcodeHandlers.headless, 'remove() removes handler');
+});
+
+
+QUnit.test('formatBBCodeString()', function (assert) {
+	assert.equal(
+		bbcode.formatBBCodeString('<a href="{url}">{!html}</a>', {
+			url: '"><script>',
+			html: '<b>test</b>'
+		}),
+		'<a href="&#34;&gt;&lt;script&gt;"><b>test</b></a>'
+	);
+});
+
+
+QUnit.test('validate()', function (assert) {
+	assert.deepEqual(bbcode.validate('[b]test[/b]'), []);
+	assert.equal(bbcode.validate('[b]test').length, 1);
+});
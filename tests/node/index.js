@@ -0,0 +1,79 @@
+/*eslint-env node*/
+/**
+ * Runs the tests that don't need a browser under Node.
+ *
+ * Each test file is bundled with rollup so it can use the same
+ * src/ and tests/ imports as the browser tests.
+ *
+ * Usage: node tests/node/index.js
+ */
+var fs = require('fs');
+var path = require('path');
+var vm = require('vm');
+var rollup = require('rollup');
+
+var root = path.resolve(__dirname, '../..');
+
+var QUnit = global.QUnit = require('../libs/qunit-2.1.1.js');
+
+var resolveRoot = {
+	resolveId: function (id) {
+		if (/^(src|tests)\//.test(id)) {
+			return path.join(root, id);
+		}
+	}
+};
+
+function load(file) {
+	return rollup.rollup({
+		input: path.join(__dirname, file),
+		plugins: [resolveRoot]
+	}).then(function (bundle) {
+		return bundle.generate({
+			format: 'cjs'
+		});
+	}).then(function (result) {
+		var module = {
+			exports: {}
+		};
+
+		vm.runInThisContext(
+			'(function (require, module, exports) {' + result.code + '\n})',
+			{ filename: file }
+		)(require, module, module.exports);
+	});
+}
+
+QUnit.log(function (details) {
+	if (!details.result) {
+		console.log('FAIL ' + details.module + ' > ' + details.name +
+			(details.message ? ': ' + details.message : ''));
+		console.log('  actual:   ' + JSON.stringify(details.actual));
+		console.log('  expected: ' + JSON.stringify(details.expected));
+	}
+});
+
+QUnit.done(function (details) {
+	console.log(details.total + ' assertions, ' + details.passed +
+		' passed, ' + details.failed + ' failed');
+
+	process.exitCode = details.failed ? 1 : 0;
+});
+
+function loadAll(files) {
+	if (!files.length) {
+		QUnit.load();
+		return;
+	}
+
+	load(files.shift()).then(function () {
+		loadAll(files);
+	}, function (error) {
+		console.error(error);
+		process.exitCode = 1;
+	});
+}
+
+loadAll(fs.readdirSync(__dirname).filter(function (file) {
+	return file !== 'index.js' && /\.js$/.test(file);
+}));
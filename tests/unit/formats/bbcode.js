@@ -2,6 +2,7 @@ import defaultOptions from 'src/lib/defaultOptions.js';
 import * as utils from 'tests/unit/utils.js';
 import * as browser from 'src/lib/browser.js';
 import 'src/formats/bbcode.js';
+import fixtures from 'tests/unit/formats/fixtures/bbcode.js';
 
 // In IE < 11 a BR at the end of a block level element
 // causes a line break. In all other browsers it's collapsed.
@@ -50,6 +51,14 @@ QUnit.test('From BBCode method as fragment', function (assert) {
 });
 
 
+QUnit.test('supportsTag()', function (assert) {
+	assert.ok(this.format.supportsTag('strong'));
+	assert.ok(this.format.supportsTag('blockquote'));
+	assert.notOk(this.format.supportsTag('h1'));
+	assert.notOk(this.format.supportsTag('constructor'));
+});
+
+
 QUnit.test('BBcode to HTML trim', function (assert) {
 	this.mockEditor = {
 		opts: $.extend({}, defaultOptions, { bbcodeTrim: true })
@@ -611,6 +620,20 @@ QUnit.test('Table', function (assert) {
 			'[tr][td]data1[/td]\n[/tr]\n' +
 		'[/table]\n'
 	);
+
+	assert.equal(
+		this.htmlToBBCode(
+			'<table>' +
+				'<tr><th colspan="2">test</th></tr>' +
+				'<tr><td rowspan="2" colspan="1">data1</td></tr>' +
+			'</table>'
+		),
+		'[table]' +
+			'[tr][th colspan=2]test[/th]\n[/tr]\n' +
+			'[tr][td rowspan=2]data1[/td]\n[/tr]\n' +
+		'[/table]\n',
+		'Merged cells'
+	);
 });
 
 
@@ -698,6 +721,14 @@ QUnit.test('URL', function (assert) {
 		'[url=http://test.com/][/url]',
 		'Empty anchor tag'
 	);
+
+	assert.equal(
+		this.htmlToBBCode('<a href="http://test.com/" target="_blank" ' +
+			'rel="nofollow noopener">Test</a>'),
+		'[url=http://test.com/ target=_blank rel="nofollow noopener"]' +
+			'Test[/url]',
+		'Target and rel'
+	);
 });
 
 
@@ -763,6 +794,27 @@ QUnit.test('Quote', function (assert) {
 		'[quote=admin]this should be ignored Testing 1.2.3....[/quote]\n',
 		'Quote with 2 cites (author)'
 	);
+
+	assert.equal(
+		this.htmlToBBCode(
+			'<blockquote data-post-id="12" data-time="1600000000">' +
+				'<cite>John Smith</cite>Testing 1.2.3....' +
+			'</blockquote>'
+		),
+		'[quote="John Smith" post_id=12 time=1600000000]' +
+			'Testing 1.2.3....[/quote]\n',
+		'Quote with post ID and time'
+	);
+
+	assert.equal(
+		this.htmlToBBCode(
+			'<blockquote data-author="admin" data-post-id="x">' +
+				'<cite></cite>Testing 1.2.3....' +
+			'</blockquote>'
+		),
+		'[quote]Testing 1.2.3....[/quote]\n',
+		'Quote with emptied cite and invalid post ID'
+	);
 });
 
 
@@ -780,6 +832,14 @@ QUnit.test('Code', function (assert) {
 		'[code]ignore this Testing 1.2.3....[/code]\n',
 		'Code with styling'
 	);
+
+	assert.equal(
+		this.htmlToBBCode(
+			'<code class="language-js">var a = 1;</code>'
+		),
+		'[code=js]var a = 1;[/code]\n',
+		'Code with language'
+	);
 });
 
 
@@ -854,3 +914,111 @@ QUnit.test('YouTube', function (assert) {
 		'[youtube]xyz[/youtube]'
 	);
 });
+
+
+QUnit.test('Media', function (assert) {
+	assert.equal(
+		this.htmlToBBCode(
+			'<iframe data-sceditor-media="https://vimeo.com/1"></iframe>'
+		),
+		'[media]https://vimeo.com/1[/media]'
+	);
+
+	assert.equal(
+		this.htmlToBBCode(
+			'<video data-sceditor-media="https://example.com/a.mp4?b&amp;c">' +
+			'</video>'
+		),
+		'[media]https://example.com/a.mp4?b&c[/media]',
+		'Video'
+	);
+
+	assert.equal(
+		this.htmlToBBCode('<audio data-sceditor-media="' +
+			'https://example.com/a.mp3"></audio>'),
+		'[media]https://example.com/a.mp3[/media]',
+		'Audio'
+	);
+
+	assert.equal(
+		this.htmlToBBCode('<iframe data-sceditor-media="' +
+			'https://youtu.be/dQw4w9WgXcQ"></iframe>'),
+		'[youtube]dQw4w9WgXcQ[/youtube]',
+		'Provider BBCode'
+	);
+
+	assert.equal(
+		this.htmlToBBCode(
+			'<iframe data-sceditor-media="https://example.com/"></iframe>'
+		),
+		'',
+		'Unknown URL'
+	);
+});
+
+
+QUnit.test('Spoiler', function (assert) {
+	assert.equal(
+		this.htmlToBBCode(
+			'<div data-sceditor-block="spoiler" class="sceditor-spoiler">' +
+				'<div class="sceditor-spoiler-title">A title</div>' +
+				'<div class="sceditor-spoiler-content" ' +
+				'data-sceditor-block-content><b>Testing</b></div>' +
+			'</div>'
+		),
+		'[spoiler="A title"][b]Testing[/b][/spoiler]\n',
+		'Title edited in place'
+	);
+
+	assert.equal(
+		this.htmlToBBCode(
+			'<div data-sceditor-block="spoiler" data-title="Old" ' +
+				'class="sceditor-spoiler">' +
+				'<div class="sceditor-spoiler-content" ' +
+				'data-sceditor-block-content>Testing</div>' +
+			'</div>'
+		),
+		'[spoiler=Old]Testing[/spoiler]\n',
+		'Title from data attribute'
+	);
+
+	assert.equal(
+		this.htmlToBBCode('<div class="sceditor-spoiler">Testing</div>'),
+		'Testing',
+		'Not a block'
+	);
+});
+
+
+QUnit.test('Details', function (assert) {
+	assert.equal(
+		this.htmlToBBCode(
+			'<details data-sceditor-block="details" open>' +
+				'<summary>Say "hi"</summary>' +
+				'<div data-sceditor-block-content>Testing</div>' +
+			'</details>'
+		),
+		'[details="Say \\"hi\\""]Testing[/details]\n',
+		'Quotes are escaped'
+	);
+});
+
+
+QUnit.module('plugins/bbcode - Headless fixtures', {
+	beforeEach: function () {
+		this.format = new sceditor.formats.bbcode();
+		this.format.init.call({
+			opts: $.extend({}, defaultOptions)
+		});
+	}
+});
+
+
+// The same fixtures are checked against the headless entry point by
+// the Node tests so any difference in output will fail one of them.
+// IE < 11 omits trailing BRs so it can't give identical output.
+fixtures.forEach(function (fixture) {
+	(IE_BR_FIX ? QUnit.skip : QUnit.test)(fixture.name, function (assert) {
+		assert.equal(this.format.toHtml(fixture.bbcode), fixture.html);
+	});
+});
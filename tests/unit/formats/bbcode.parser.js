@@ -7,6 +7,9 @@ import 'src/formats/bbcode.js';
 var IE_BR_FIX = browser.ie && browser.ie < 11;
 var IE_BR_STR = IE_BR_FIX ? '' : '<br />';
 
+// Default quoteType of the [quote] tag, restored after tests change it
+var QUOTE_TYPE = sceditor.formats.bbcode.get('quote').quoteType;
+
 
 QUnit.module('plugins/bbcode#Parser', {
 	beforeEach: function () {
@@ -375,7 +378,7 @@ QUnit.test('Attributes QuoteType.auto', function (assert) {
 
 	// Reset [quote]'s default quoteType
 	sceditor.formats.bbcode.set('quote', {
-		quoteType: sceditor.BBCodeParser.QuoteType.never
+		quoteType: QUOTE_TYPE
 	});
 });
 
@@ -455,7 +458,7 @@ QUnit.test('Attributes QuoteType.never', function (assert) {
 
 	// Reset [quote]'s default quoteType
 	sceditor.formats.bbcode.set('quote', {
-		quoteType: sceditor.BBCodeParser.QuoteType.never
+		quoteType: QUOTE_TYPE
 	});
 });
 
@@ -536,7 +539,7 @@ QUnit.test('Attributes QuoteType.always', function (assert) {
 
 	// Reset [quote]'s default quoteType
 	sceditor.formats.bbcode.set('quote', {
-		quoteType: sceditor.BBCodeParser.QuoteType.never
+		quoteType: QUOTE_TYPE
 	});
 });
 
@@ -621,7 +624,7 @@ QUnit.test('Attributes QuoteType custom', function (assert) {
 
 	// Reset [quote]'s default quoteType
 	sceditor.formats.bbcode.set('quote', {
-		quoteType: sceditor.BBCodeParser.QuoteType.never
+		quoteType: QUOTE_TYPE
 	});
 });
 
@@ -755,6 +758,23 @@ QUnit.test('Table', function (assert) {
 			'<tr><td>data1' + IE_BR_STR + '</td></tr></table></div>\n',
 		'Normal'
 	);
+
+	assert.htmlEqual(
+		this.parser.toHTML('[table][tr][th colspan=2]test[/th][/tr]' +
+			'[tr][td rowspan=2 colspan=1]data1[/td][/tr][/table]'),
+		'<div><table><tr><th colspan="2">test' + IE_BR_STR + '</th></tr>' +
+			'<tr><td rowspan="2">data1' + IE_BR_STR + '</td></tr>' +
+			'</table></div>\n',
+		'Merged cells'
+	);
+
+	assert.htmlEqual(
+		this.parser.toHTML('[table][tr][td colspan="2 onclick=x"]' +
+			'data1[/td][/tr][/table]'),
+		'<div><table><tr><td colspan="2">data1' + IE_BR_STR +
+			'</td></tr></table></div>\n',
+		'Invalid span'
+	);
 });
 
 
@@ -830,6 +850,24 @@ QUnit.test('URL', function (assert) {
 			'http://test.com/?test&amp;&amp;test</a></div>\n',
 		'Ampersands in URL'
 	);
+
+	assert.htmlEqual(
+		this.parser.toHTML(
+			'[url=http://test.com/ target=_blank rel="nofollow noopener"]' +
+				'test[/url]'
+		),
+		'<div><a href="http://test.com/" target="_blank" ' +
+			'rel="nofollow noopener">test</a></div>\n',
+		'Target and rel'
+	);
+
+	assert.htmlEqual(
+		this.parser.toHTML(
+			'[url=http://test.com/ target=x" onclick="alert(1)]test[/url]'
+		),
+		'<div><a href="http://test.com/">test</a></div>\n',
+		'Invalid target'
+	);
 });
 
 
@@ -861,6 +899,23 @@ QUnit.test('Quote', function (assert) {
 			'</blockquote>',
 		'With author'
 	);
+
+	assert.htmlEqual(
+		this.parser.toHTML(
+			'[quote="John Smith" post_id=12 time=1600000000]' +
+				'Testing 1.2.3....[/quote]'
+		),
+		'<blockquote data-post-id="12" data-time="1600000000">' +
+			'<cite>John Smith</cite>Testing 1.2.3....' + IE_BR_STR +
+			'</blockquote>',
+		'With post ID and time'
+	);
+
+	assert.htmlEqual(
+		this.parser.toHTML('[quote post_id="1&quot;" time=now]test[/quote]'),
+		'<blockquote>test' + IE_BR_STR + '</blockquote>',
+		'Invalid post ID and time'
+	);
 });
 
 
@@ -876,6 +931,18 @@ QUnit.test('Code', function (assert) {
 		'<code>Testing [b]test[/b]' + IE_BR_STR + '</code>',
 		'Normal'
 	);
+
+	assert.htmlEqual(
+		this.parser.toHTML('[code=PHP]echo 1;[/code]'),
+		'<code class="language-php">echo 1;' + IE_BR_STR + '</code>',
+		'With language'
+	);
+
+	assert.htmlEqual(
+		this.parser.toHTML('[code=a"<b>]test[/code]'),
+		'<code>test' + IE_BR_STR + '</code>',
+		'Invalid language'
+	);
 });
 
 
@@ -927,6 +994,173 @@ QUnit.test('YouTube', function (assert) {
 });
 
 
+QUnit.test('Media', function (assert) {
+	assert.htmlEqual(
+		this.parser.toHTML(
+			'[media]https://www.dailymotion.com/video/x7tgad0[/media]'
+		),
+		'<div><iframe data-sceditor-media=' +
+			'"https://www.dailymotion.com/video/x7tgad0" width="560" ' +
+			'height="315" frameborder="0" ' +
+			'src="https://www.dailymotion.com/embed/video/x7tgad0" ' +
+			'allowfullscreen></iframe></div>\n',
+		'Normal'
+	);
+
+	assert.htmlEqual(
+		this.parser.toHTML('[media] https://example.com/a.mp4 [/media]'),
+		'<div><video data-sceditor-media="https://example.com/a.mp4" ' +
+			'width="560" src="https://example.com/a.mp4" controls>' +
+			'</video></div>\n',
+		'White space'
+	);
+
+	assert.htmlEqual(
+		this.parser.toHTML(
+			'[media]https://example.com/<b>.mp4[/media]' +
+			'[media]https://example.com/"a.mp4[/media]'
+		),
+		'<div>https://example.com/&lt;b&gt;.mp4' +
+			'https://example.com/&#34;a.mp4</div>\n',
+		'Invalid URLs'
+	);
+});
+
+
+QUnit.test('Spoiler', function (assert) {
+	assert.htmlEqual(
+		this.parser.toHTML('[spoiler]Testing 1.2.3....[/spoiler]'),
+		'<div data-sceditor-block="spoiler" class="sceditor-spoiler">' +
+			'<div class="sceditor-spoiler-title"></div>' +
+			'<div class="sceditor-spoiler-content" ' +
+			'data-sceditor-block-content>Testing 1.2.3....' + IE_BR_STR +
+			'</div></div>',
+		'Normal'
+	);
+
+	assert.htmlEqual(
+		this.parser.toHTML('[spoiler="A <b>title</b>"]Testing[/spoiler]'),
+		'<div data-sceditor-block="spoiler" ' +
+			'data-title="A &lt;b&gt;title&lt;/b&gt;" class="sceditor-spoiler">' +
+			'<div class="sceditor-spoiler-title">A &lt;b&gt;title&lt;/b&gt;' +
+			'</div><div class="sceditor-spoiler-content" ' +
+			'data-sceditor-block-content>Testing' + IE_BR_STR + '</div></div>',
+		'With title'
+	);
+});
+
+
+QUnit.test('Details', function (assert) {
+	assert.htmlEqual(
+		this.parser.toHTML('[details=Summary]Testing 1.2.3....[/details]'),
+		'<details data-sceditor-block="details" data-summary="Summary" open>' +
+			'<summary>Summary</summary><div data-sceditor-block-content>' +
+			'Testing 1.2.3....' + IE_BR_STR + '</div></details>',
+		'Normal'
+	);
+});
+
+
+QUnit.module('plugins/bbcode#Parser - Validate', {
+	beforeEach: function () {
+		this.parser = new sceditor.BBCodeParser({});
+		this.problems = function (str) {
+			return this.parser.validate(str).map(function (problem) {
+				return problem.type + ':' + problem.name +
+					(problem.attr ? '.' + problem.attr : '') +
+					'@' + problem.start + '-' + problem.end;
+			});
+		};
+	}
+});
+
+
+QUnit.test('Valid', function (assert) {
+	assert.deepEqual(this.parser.validate(
+		'[b]test [i]test[/i][/b]\n[list][*]one[*]two[/list][hr]'
+	), []);
+
+	assert.deepEqual(this.parser.validate(
+		'[size=3][color=#f00]test[/color][/size]'
+	), [], 'Valid attributes');
+});
+
+
+QUnit.test('Unclosed and unopened', function (assert) {
+	assert.deepEqual(this.problems('test [b]test'), ['unclosed:b@5-8']);
+	assert.deepEqual(this.problems('test[/b]'), ['unopened:b@4-8']);
+	assert.deepEqual(
+		this.problems('[b][i]test[/b][/i]'),
+		['unclosed:i@3-6', 'unopened:i@14-18'],
+		'Invalid nesting'
+	);
+});
+
+
+QUnit.test('Disallowed children', function (assert) {
+	var problems = this.parser.validate('[code][b]test[/b][/code]');
+
+	assert.equal(problems.length, 1);
+	assert.equal(problems[0].type, 'disallowedChild');
+	assert.equal(problems[0].severity, 'warning');
+	assert.equal(problems[0].start, 6);
+	assert.equal(problems[0].end, 9);
+});
+
+
+QUnit.test('Unknown tags', function (assert) {
+	assert.deepEqual(
+		this.problems('[foo]test[/foo] [ not a tag]'),
+		['unknownTag:foo@0-5', 'unknownTag:foo@9-15']
+	);
+
+	assert.deepEqual(
+		this.problems('[code][foo][/code]'),
+		[],
+		'Ignored inside code'
+	);
+});
+
+
+QUnit.test('Quote attributes', function (assert) {
+	assert.deepEqual(
+		this.problems('[quote="a b" post_id=1 time=2]test[/quote]'), []
+	);
+	assert.deepEqual(
+		this.problems('[quote=a post_id=x]test[/quote]'),
+		['invalidAttribute:quote.post_id@0-19']
+	);
+});
+
+
+QUnit.test('Code language', function (assert) {
+	assert.deepEqual(this.problems('[code=js]test[/code]'), []);
+	assert.deepEqual(
+		this.problems('[code="a b"]test[/code]'),
+		['invalidAttribute:code.defaultattr@0-12']
+	);
+});
+
+
+QUnit.test('Invalid attributes', function (assert) {
+	assert.deepEqual(this.problems('[size=9]test[/size]'), [
+		'invalidAttribute:size.defaultattr@0-8'
+	]);
+
+	assert.deepEqual(this.problems('[b=1]test[/b]'), [
+		'invalidAttribute:b.defaultattr@0-5'
+	]);
+
+	assert.deepEqual(this.problems('[url=javascript:alert(1)]t[/url]'), [
+		'invalidAttribute:url.defaultattr@0-25'
+	]);
+
+	assert.deepEqual(this.problems('[td colspan=x rowspan=2]t[/td]'), [
+		'invalidAttribute:td.colspan@0-24'
+	]);
+});
+
+
 QUnit.module('plugins/bbcode#Parser - XSS', {
 	beforeEach: function () {
 		this.parser = new sceditor.BBCodeParser({});
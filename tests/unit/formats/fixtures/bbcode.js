@@ -0,0 +1,149 @@
+// BBCode and the HTML the editor converts it into. Shared by the
+// browser and Node tests to check both give identical output.
+export default [
+	{
+		name: 'Inline formatting',
+		bbcode: '[b]bold[/b] [i]italic[/i] [u]underline[/u] [s]strike[/s] ' +
+			'[sub]sub[/sub] [sup]sup[/sup]',
+		html: '<div><strong>bold</strong> <em>italic</em> ' +
+			'<u>underline</u> <s>strike</s> <sub>sub</sub> ' +
+			'<sup>sup</sup></div>\n'
+	},
+	{
+		name: 'New lines',
+		bbcode: 'Line one\nLine two\n\nLine four',
+		html: '<div>Line one<br /></div>\n<div>Line two<br /></div>\n' +
+			'<div><br /></div>\n<div>Line four</div>\n'
+	},
+	{
+		name: 'Quote',
+		bbcode: '[quote=Sam]Quoted [b]text[/b][/quote]',
+		html: '<blockquote><cite>Sam</cite>Quoted ' +
+			'<strong>text</strong><br /></blockquote>'
+	},
+	{
+		name: 'Nested quotes',
+		bbcode: '[quote]One[quote]Two[/quote][/quote]',
+		html: '<blockquote>One<blockquote>Two<br /></blockquote></blockquote>'
+	},
+	{
+		name: 'Spoiler',
+		bbcode: '[spoiler="A <title>"]Hidden [b]text[/b][/spoiler]',
+		html: '<div data-sceditor-block="spoiler" ' +
+			'data-title="A &lt;title&gt;" class="sceditor-spoiler">' +
+			'<div class="sceditor-spoiler-title">A &lt;title&gt;</div>' +
+			'<div class="sceditor-spoiler-content" data-sceditor-block-content>' +
+			'Hidden <strong>text</strong><br /></div></div>'
+	},
+	{
+		name: 'Code',
+		bbcode: '[code]<b>[b]not bold[/b]</b>\n  indented[/code]',
+		html: '<code>&lt;b&gt;[b]not bold[/b]&lt;/b&gt;<br />' +
+			'&nbsp; indented<br /></code>'
+	},
+	{
+		name: 'Lists',
+		bbcode: '[list][*]One[*]Two[/list][ol][li]One[/li][li]Two[/li][/ol]',
+		html: '<ul><li>One<br /></li><li>Two<br /></li></ul>' +
+			'<ol><li>One<br /></li><li>Two<br /></li></ol>'
+	},
+	{
+		name: 'Table',
+		bbcode: '[table][tr][th]Head[/th][/tr][tr][td]Cell[/td][/tr][/table]',
+		html: '<div><table><tr><th>Head<br /></th></tr>' +
+			'<tr><td>Cell<br /></td></tr></table></div>\n'
+	},
+	{
+		name: 'URL',
+		bbcode: '[url]https://www.sceditor.com/[/url] ' +
+			'[url=https://www.sceditor.com/]SCEditor[/url]',
+		html: '<div><a href="https://www.sceditor.com/">' +
+			'https://www.sceditor.com/</a> ' +
+			'<a href="https://www.sceditor.com/">SCEditor</a></div>\n'
+	},
+	{
+		name: 'Email',
+		bbcode: '[email]sam@example.com[/email] ' +
+			'[email=sam@example.com]Sam[/email]',
+		html: '<div><a href="mailto:sam@example.com">sam@example.com</a> ' +
+			'<a href="mailto:sam@example.com">Sam</a></div>\n'
+	},
+	{
+		name: 'Image',
+		bbcode: '[img=100x50]https://www.sceditor.com/a.png[/img]',
+		html: '<div><img width="100" height="50" ' +
+			'src="https://www.sceditor.com/a.png" /></div>\n'
+	},
+	{
+		name: 'Font',
+		bbcode: '[color=#ff0000]red[/color] [size=4]big[/size] ' +
+			'[font=Arial]font[/font]',
+		html: '<div><font color="#ff0000">red</font> ' +
+			'<font size="4">big</font> <font face="Arial">font</font></div>\n'
+	},
+	{
+		name: 'Alignment',
+		bbcode: '[center]centre[/center][left]left[/left]' +
+			'[right]right[/right][justify]justify[/justify]',
+		html: '<div align="center">centre<br /></div>' +
+			'<div align="left">left<br /></div>' +
+			'<div align="right">right<br /></div>' +
+			'<div align="justify">justify<br /></div>'
+	},
+	{
+		name: 'YouTube',
+		bbcode: '[youtube]xyz123[/youtube]',
+		html: '<div><iframe width="560" height="315" frameborder="0" ' +
+			'src="https://www.youtube.com/embed/xyz123?wmode=opaque" ' +
+			'data-youtube-id="xyz123" allowfullscreen></iframe></div>\n'
+	},
+	{
+		name: 'Media',
+		bbcode: '[media]https://vimeo.com/76979871[/media]',
+		html: '<div><iframe data-sceditor-media="https://vimeo.com/76979871" ' +
+			'width="560" height="315" frameborder="0" ' +
+			'src="https://player.vimeo.com/video/76979871" allowfullscreen>' +
+			'</iframe></div>\n'
+	},
+	{
+		name: 'Media - Audio',
+		bbcode: '[media]https://example.com/a.mp3?b=1&c=2[/media]',
+		html: '<div><audio data-sceditor-media=' +
+			'"https://example.com/a.mp3?b=1&amp;c=2" ' +
+			'src="https://example.com/a.mp3?b=1&amp;c=2" controls></audio>' +
+			'</div>\n'
+	},
+	{
+		name: 'Media - Unknown URL',
+		bbcode: '[media]https://example.com/[/media]',
+		html: '<div>https://example.com/</div>\n'
+	},
+	{
+		name: 'Horizontal rule',
+		bbcode: '[hr]',
+		html: '<hr />'
+	},
+	{
+		name: 'HTML is escaped',
+		bbcode: '<script>alert("&")</script>',
+		html: '<div>&lt;script&gt;alert(&#34;&amp;&#34;)&lt;/script&gt;' +
+			'</div>\n'
+	},
+	{
+		name: 'Attributes are escaped',
+		bbcode: '[url=https://example.com/" onmouseover="alert(1)]x[/url]',
+		html: '<div><a href="https://example.com/&#34;">x</a></div>\n'
+	},
+	{
+		name: 'Unsafe URL schemes',
+		bbcode: '[url=javascript:alert(1)]x[/url][img]javascript:alert(1)[/img]',
+		html: '<div><a href="./javascript:alert(1)">x</a>' +
+			'<img src="./javascript:alert(1)" /></div>\n'
+	},
+	{
+		name: 'Invalid BBCode',
+		bbcode: '[b]unclosed [i]tags [/u]stray [unknown]tag[/unknown]',
+		html: '<div>[b]unclosed [i]tags [/u]stray [unknown]tag[/unknown]' +
+			'</div>\n'
+	}
+];
@@ -0,0 +1,582 @@
+import defaultOptions from 'src/lib/defaultOptions.js';
+import 'src/formats/markdown.js';
+
+
+QUnit.module('plugins/markdown', {
+	beforeEach: function () {
+		this.mockEditor = {
+			opts: $.extend({}, defaultOptions)
+		};
+
+		this.format = new sceditor.formats.markdown();
+		this.format.init.call(this.mockEditor);
+	}
+});
+
+
+QUnit.test('To Markdown method', function (assert) {
+	assert.equal(
+		this.mockEditor.toMarkdown('<strong>test</strong>'),
+		'**test**'
+	);
+});
+
+
+QUnit.test('From Markdown method', function (assert) {
+	assert.htmlEqual(
+		this.mockEditor.fromMarkdown('**test**'),
+		'<p><strong>test</strong></p>'
+	);
+});
+
+
+QUnit.test('Fragment to HTML', function (assert) {
+	assert.htmlEqual(
+		this.format.fragmentToHtml('some *text*'),
+		'some <em>text</em>',
+		'Single paragraph should be inline'
+	);
+
+	assert.htmlEqual(
+		this.format.fragmentToHtml('one\n\ntwo'),
+		'<p>one</p><p>two</p>',
+		'Multiple paragraphs'
+	);
+});
+
+
+QUnit.module('plugins/markdown - Markdown to HTML', {
+	beforeEach: function () {
+		this.mockEditor = {
+			opts: $.extend({}, defaultOptions)
+		};
+
+		this.format = new sceditor.formats.markdown();
+		this.format.init.call(this.mockEditor);
+	}
+});
+
+
+QUnit.test('Paragraphs', function (assert) {
+	assert.htmlEqual(
+		this.format.toHtml('one\ntwo\n\nthree'),
+		'<p>one\ntwo</p><p>three</p>'
+	);
+
+	assert.htmlEqual(
+		this.format.toHtml('hard  \nbreak\\\nbreak'),
+		'<p>hard<br />\nbreak<br />\nbreak</p>',
+		'Hard line breaks'
+	);
+});
+
+
+QUnit.test('Headings', function (assert) {
+	assert.htmlEqual(
+		this.format.toHtml('# One\n### Three ###\n####### Seven'),
+		'<h1>One</h1><h3>Three</h3><p>####### Seven</p>',
+		'ATX headings'
+	);
+
+	assert.htmlEqual(
+		this.format.toHtml('One\n===\nTwo\n---'),
+		'<h1>One</h1><h2>Two</h2>',
+		'Setext headings'
+	);
+});
+
+
+QUnit.test('Emphasis', function (assert) {
+	assert.htmlEqual(
+		this.format.toHtml('*em* _em_ **strong** __strong__ ~~del~~'),
+		'<p><em>em</em> <em>em</em> <strong>strong</strong> ' +
+			'<strong>strong</strong> <del>del</del></p>'
+	);
+
+	assert.htmlEqual(
+		this.format.toHtml('**strong *and em***'),
+		'<p><strong>strong <em>and em</em></strong></p>',
+		'Nested'
+	);
+
+	assert.htmlEqual(
+		this.format.toHtml('***both***'),
+		'<p><em><strong>both</strong></em></p>',
+		'Strong and em'
+	);
+
+	assert.htmlEqual(
+		this.format.toHtml('snake_case_name and * not em *'),
+		'<p>snake_case_name and * not em *</p>',
+		'Intraword underscores and surrounding white space'
+	);
+
+	assert.htmlEqual(
+		this.format.toHtml('\\*escaped\\*'),
+		'<p>*escaped*</p>',
+		'Escaped'
+	);
+});
+
+
+QUnit.test('Code', function (assert) {
+	assert.htmlEqual(
+		this.format.toHtml('`a *b*` and ``c ` d``'),
+		'<p><code>a *b*</code> and <code>c ` d</code></p>',
+		'Code spans'
+	);
+
+	assert.htmlEqual(
+		this.format.toHtml('```js\nif (a < b) {\n\n  *c*;\n}\n```'),
+		'<pre><code class="language-js">if (a &lt; b) {\n\n  *c*;\n}' +
+			'</code></pre>',
+		'Fenced code block'
+	);
+
+	assert.htmlEqual(
+		this.format.toHtml('~~~~\n```\n~~~~'),
+		'<pre><code>```</code></pre>',
+		'Fence containing a shorter fence'
+	);
+
+	assert.htmlEqual(
+		this.format.toHtml('```\nunclosed'),
+		'<pre><code>unclosed</code></pre>',
+		'Unclosed fence'
+	);
+
+	assert.htmlEqual(
+		this.format.toHtml('    code\n\n    more\n\ntext'),
+		'<pre><code>code\n\nmore</code></pre><p>text</p>',
+		'Indented code block'
+	);
+});
+
+
+QUnit.test('Lists', function (assert) {
+	assert.htmlEqual(
+		this.format.toHtml('- one\n- two\n- three'),
+		'<ul><li>one</li><li>two</li><li>three</li></ul>',
+		'Tight bullet list'
+	);
+
+	assert.htmlEqual(
+		this.format.toHtml('* one\n\n* two'),
+		'<ul><li><p>one</p></li><li><p>two</p></li></ul>',
+		'Loose bullet list'
+	);
+
+	assert.htmlEqual(
+		this.format.toHtml('1. one\n2. two'),
+		'<ol><li>one</li><li>two</li></ol>',
+		'Ordered list'
+	);
+
+	assert.htmlEqual(
+		this.format.toHtml('3) three\n4) four'),
+		'<ol start="3"><li>three</li><li>four</li></ol>',
+		'Ordered list with start'
+	);
+
+	assert.htmlEqual(
+		this.format.toHtml('- one\n  - nested\n    1. deeper\n- two'),
+		'<ul><li>one\n<ul><li>nested\n<ol><li>deeper</li></ol></li></ul>' +
+			'</li><li>two</li></ul>',
+		'Nested lists'
+	);
+
+	assert.htmlEqual(
+		this.format.toHtml('- one\nlazy\n- two'),
+		'<ul><li>one\nlazy</li><li>two</li></ul>',
+		'Lazy continuation'
+	);
+
+	assert.htmlEqual(
+		this.format.toHtml('- one\n+ two'),
+		'<ul><li>one</li></ul><ul><li>two</li></ul>',
+		'Changing bullet starts a new list'
+	);
+
+	assert.htmlEqual(
+		this.format.toHtml('The year\n2017. was good'),
+		'<p>The year\n2017. was good</p>',
+		'Only lists starting at 1 interrupt paragraphs'
+	);
+
+	assert.htmlEqual(
+		this.format.toHtml('- ```\n  code\n  ```'),
+		'<ul><li><pre><code>code</code></pre></li></ul>',
+		'Code block inside list'
+	);
+});
+
+
+QUnit.test('Block quotes', function (assert) {
+	assert.htmlEqual(
+		this.format.toHtml('> one\ncontinued\n>\n> - item'),
+		'<blockquote><p>one\ncontinued</p><ul><li>item</li></ul></blockquote>'
+	);
+
+	assert.htmlEqual(
+		this.format.toHtml('> > nested'),
+		'<blockquote><blockquote><p>nested</p></blockquote></blockquote>',
+		'Nested'
+	);
+});
+
+
+QUnit.test('Tables', function (assert) {
+	assert.htmlEqual(
+		this.format.toHtml(
+			'| a | b | c |\n' +
+			'|:--|:-:|--:|\n' +
+			'| 1 | `|` | 3 \\| 4 |\n' +
+			'| 5 |'
+		),
+		'<table><thead><tr>' +
+			'<th style="text-align:left;">a</th>' +
+			'<th style="text-align:center;">b</th>' +
+			'<th style="text-align:right;">c</th>' +
+		'</tr></thead><tbody><tr>' +
+			'<td style="text-align:left;">1</td>' +
+			'<td style="text-align:center;"><code>|</code></td>' +
+			'<td style="text-align:right;">3 | 4</td>' +
+		'</tr><tr>' +
+			'<td style="text-align:left;">5</td>' +
+			'<td style="text-align:center;"></td>' +
+			'<td style="text-align:right;"></td>' +
+		'</tr></tbody></table>'
+	);
+
+	assert.htmlEqual(
+		this.format.toHtml('a | b\n--- | ---'),
+		'<table><thead><tr><th>a</th><th>b</th></tr></thead></table>',
+		'Header only without outer pipes'
+	);
+
+	assert.htmlEqual(
+		this.format.toHtml('a | b\n--- | --- | ---'),
+		'<p>a | b\n--- | --- | ---</p>',
+		'Mismatched delimiter row'
+	);
+});
+
+
+QUnit.test('Links and images', function (assert) {
+	assert.htmlEqual(
+		this.format.toHtml('[a *b*](http://example.com "Title")'),
+		'<p><a href="http://example.com" title="Title">a <em>b</em></a></p>',
+		'Link'
+	);
+
+	assert.htmlEqual(
+		this.format.toHtml('![alt *text*](<a b.png>)'),
+		'<p><img src="a b.png" alt="alt *text*" /></p>',
+		'Image'
+	);
+
+	assert.htmlEqual(
+		this.format.toHtml('<http://example.com> <test@example.com>'),
+		'<p><a href="http://example.com">http://example.com</a> ' +
+			'<a href="mailto:test@example.com">test@example.com</a></p>',
+		'Autolinks'
+	);
+
+	assert.htmlEqual(
+		this.format.toHtml('[not a link] [x]'),
+		'<p>[not a link] [x]</p>',
+		'Brackets without a destination'
+	);
+});
+
+
+QUnit.test('Horizontal rules', function (assert) {
+	assert.htmlEqual(
+		this.format.toHtml('a\n\n---\n\n* * *\n___'),
+		'<p>a</p><hr /><hr /><hr />'
+	);
+});
+
+
+QUnit.test('XSS', function (assert) {
+	assert.htmlEqual(
+		this.format.toHtml('<script>alert(1)</script>'),
+		'<p>&lt;script&gt;alert(1)&lt;/script&gt;</p>',
+		'Raw HTML should be escaped'
+	);
+
+	assert.ok(
+		!/href="javascript/i.test(
+			this.format.toHtml('[a](javascript:alert(1))')
+		),
+		'Link with JavaScript URL'
+	);
+
+	assert.ok(
+		!/src="javascript/i.test(
+			this.format.toHtml('![a](javascript:alert(1))')
+		),
+		'Image with JavaScript URL'
+	);
+
+	assert.htmlEqual(
+		this.format.toHtml('[a](http://example.com/"onclick="alert(1))'),
+		'<p><a href="http://example.com/&quot;onclick=&quot;alert(1)">a</a></p>',
+		'Link with quotes'
+	);
+});
+
+
+QUnit.module('plugins/markdown - HTML to Markdown', {
+	beforeEach: function () {
+		this.mockEditor = {
+			opts: $.extend({}, defaultOptions)
+		};
+
+		this.format = new sceditor.formats.markdown();
+		this.format.init.call(this.mockEditor);
+
+		this.htmlToMarkdown = function (html) {
+			return this.format.toSource(html, document);
+		};
+	}
+});
+
+
+QUnit.test('Paragraphs and line breaks', function (assert) {
+	assert.equal(
+		this.htmlToMarkdown('<p>one</p><p><br /></p><div>two<br />three</div>'),
+		'one\n\ntwo\\\nthree'
+	);
+
+	assert.equal(
+		this.htmlToMarkdown('<p>trailing<br /></p>'),
+		'trailing',
+		'Trailing line break'
+	);
+});
+
+
+QUnit.test('Inline formatting', function (assert) {
+	assert.equal(
+		this.htmlToMarkdown(
+			'<p><b>b</b> <em>i</em> <strike>s</strike> <code>c</code></p>'
+		),
+		'**b** *i* ~~s~~ `c`'
+	);
+
+	assert.equal(
+		this.htmlToMarkdown('<p><strong>bold </strong>text</p>'),
+		'**bold** text',
+		'White space should be moved outside of delimiters'
+	);
+
+	assert.equal(
+		this.htmlToMarkdown(
+			'<p><span style="font-weight: bold">b</span> ' +
+			'<span style="font-style: italic">i</span></p>'
+		),
+		'**b** *i*',
+		'Styles'
+	);
+
+	assert.equal(
+		this.htmlToMarkdown('<p><code>a ` b</code> <code>`c</code></p>'),
+		'``a ` b`` `` `c ``',
+		'Code containing backticks'
+	);
+});
+
+
+QUnit.test('Escaping', function (assert) {
+	assert.equal(
+		this.htmlToMarkdown('<p>*a* _b_ snake_case [c] \\ `d` &lt;e&gt;</p>'),
+		'\\*a\\* \\_b\\_ snake_case \\[c\\] \\\\ \\`d\\` \\<e>'
+	);
+
+	assert.equal(
+		this.htmlToMarkdown(
+			'<p># a</p><p>- b</p><p>1. c</p><p>&gt; d</p><p>---</p>'
+		),
+		'\\# a\n\n\\- b\n\n1\\. c\n\n\\> d\n\n\\---',
+		'Block starts'
+	);
+
+	assert.equal(
+		this.htmlToMarkdown('<p>#hashtag -5 2017 was</p>'),
+		'#hashtag -5 2017 was',
+		'Should not escape when not needed'
+	);
+});
+
+
+QUnit.test('Headings', function (assert) {
+	assert.equal(
+		this.htmlToMarkdown('<h1>One</h1><h4>Four <em>em</em></h4>'),
+		'# One\n\n#### Four *em*'
+	);
+});
+
+
+QUnit.test('Lists', function (assert) {
+	assert.equal(
+		this.htmlToMarkdown('<ul><li>one</li><li>two</li></ul>'),
+		'- one\n- two',
+		'Bullet list'
+	);
+
+	assert.equal(
+		this.htmlToMarkdown('<ol start="9"><li>nine</li><li>ten</li></ol>'),
+		'9. nine\n10. ten',
+		'Ordered list'
+	);
+
+	assert.equal(
+		this.htmlToMarkdown(
+			'<ul><li>one<ol><li>a</li><li>b</li></ol></li><li>two</li></ul>'
+		),
+		'- one\n  1. a\n  2. b\n- two',
+		'Nested list'
+	);
+
+	assert.equal(
+		this.htmlToMarkdown(
+			'<ul><li>one</li><ul><li>a</li></ul><li>two</li></ul>'
+		),
+		'- one\n  - a\n- two',
+		'List nested directly inside a list'
+	);
+
+	assert.equal(
+		this.htmlToMarkdown(
+			'<ul><li><p>one</p><p>more</p></li><li>two</li></ul>'
+		),
+		'- one\n\n  more\n\n- two',
+		'Loose list'
+	);
+});
+
+
+QUnit.test('Block quotes', function (assert) {
+	assert.equal(
+		this.htmlToMarkdown(
+			'<blockquote>one<blockquote>two</blockquote></blockquote>'
+		),
+		'> one\n>\n> > two'
+	);
+});
+
+
+QUnit.test('Code blocks', function (assert) {
+	assert.equal(
+		this.htmlToMarkdown(
+			'<pre><code class="language-js">var a;\n\nb();</code></pre>'
+		),
+		'```js\nvar a;\n\nb();\n```',
+		'Pre block'
+	);
+
+	assert.equal(
+		this.htmlToMarkdown('<code>line<br />```<br />line<br /></code>'),
+		'````\nline\n```\nline\n````',
+		'SCEditor code block'
+	);
+
+	assert.equal(
+		this.htmlToMarkdown('<code>single</code>'),
+		'```\nsingle\n```',
+		'Code on its own line'
+	);
+});
+
+
+QUnit.test('Tables', function (assert) {
+	assert.equal(
+		this.htmlToMarkdown(
+			'<table><tr><th>a</th><th style="text-align:right">b</th></tr>' +
+			'<tr><td>1|2</td><td><br /></td></tr>' +
+			'<tr><td>3</td></tr></table>'
+		),
+		'| a | b |\n| --- | ---: |\n| 1\\|2 |  |\n| 3 |  |'
+	);
+});
+
+
+QUnit.test('Links and images', function (assert) {
+	assert.equal(
+		this.htmlToMarkdown(
+			'<a href="http://example.com" title="A &quot;t&quot;">' +
+			'<b>link</b></a>'
+		),
+		'[**link**](http://example.com "A \\"t\\"")',
+		'Link'
+	);
+
+	assert.equal(
+		this.htmlToMarkdown(
+			'<a href="http://example.com">http://example.com</a> ' +
+			'<a href="mailto:a@example.com">a@example.com</a>'
+		),
+		'<http://example.com> <a@example.com>',
+		'Autolinks'
+	);
+
+	assert.equal(
+		this.htmlToMarkdown('<img src="a (1).png" alt="alt" />'),
+		'![alt](a%20%281%29.png)',
+		'Image'
+	);
+
+	assert.equal(
+		this.htmlToMarkdown(
+			'<img src="smile.png" data-sceditor-emoticon=":)" alt=":)" />'
+		),
+		':)',
+		'Emoticon'
+	);
+});
+
+
+QUnit.test('Media', function (assert) {
+	assert.equal(
+		this.htmlToMarkdown(
+			'<iframe data-sceditor-media="https://vimeo.com/1"></iframe> ' +
+			'<audio data-sceditor-media="https://example.com/a.mp3"></audio>'
+		),
+		'<https://vimeo.com/1> <https://example.com/a.mp3>'
+	);
+
+	assert.equal(
+		this.htmlToMarkdown('<iframe data-youtube-id="xyz"></iframe>'),
+		'<https://www.youtube.com/watch?v=xyz>',
+		'YouTube'
+	);
+});
+
+
+QUnit.test('Horizontal rule', function (assert) {
+	assert.equal(
+		this.htmlToMarkdown('<p>a</p><hr /><p>b</p>'),
+		'a\n\n---\n\nb'
+	);
+});
+
+
+QUnit.test('Round trip', function (assert) {
+	var markdown =
+		'# Heading\n\n' +
+		'Some **bold**, *em* and `code`.\n\n' +
+		'- one\n' +
+		'  1. a\n' +
+		'  2. b\n' +
+		'- two\n\n' +
+		'> quote\n\n' +
+		'```js\nvar a = 1;\n```\n\n' +
+		'| a | b |\n| --- | :---: |\n| 1 | 2 |\n\n' +
+		'[link](http://example.com) <http://example.com>';
+
+	assert.equal(
+		this.htmlToMarkdown(this.format.toHtml(markdown)),
+		markdown
+	);
+});
@@ -544,6 +544,30 @@ QUnit.test('Iframes', function (assert) {
 });
 
 
+QUnit.test('Media', function (assert) {
+	assert.htmlEqual(
+		this.filterHtml(
+			'<video src="http://example.com/a.mp4" controls></video>' +
+			'<audio src="http://example.com/a.mp3"></audio>'
+		),
+		'<p>\n\t<video src="http://example.com/a.mp4" controls="">\n' +
+			'\t</video><audio src="http://example.com/a.mp3"></audio>\n</p>'
+	);
+});
+
+
+QUnit.test('Link target and rel', function (assert) {
+	assert.htmlEqual(
+		this.filterHtml(
+			'<a href="http://example.com" target="_blank" ' +
+				'rel="nofollow">test</a>'
+		),
+		'<p>\n\t<a href="http://example.com" target="_blank" ' +
+			'rel="nofollow">test</a>\n</p>'
+	);
+});
+
+
 QUnit.test('Ignored elements', function (assert) {
 	assert.equal(
 		this.filterHtml(
@@ -996,3 +1020,49 @@ QUnit.test('Should remove the nlf class from none empty nlf tags', function (ass
 	);
 });
 
+
+
+QUnit.test('Block widgets', function (assert) {
+	assert.htmlEqual(
+		this.filterStripWhiteSpace(
+			'<div data-sceditor-block="spoiler" data-title="Old" ' +
+				'class="sceditor-spoiler">' +
+				'<div class="sceditor-spoiler-title">New</div>' +
+				'<div class="sceditor-spoiler-content" ' +
+				'data-sceditor-block-content><b>test</b></div>' +
+			'</div>'
+		),
+		'<div data-sceditor-block="spoiler" data-title="New" ' +
+			'class="sceditor-spoiler">' +
+			'<div class="sceditor-spoiler-title">New</div>' +
+			'<div class="sceditor-spoiler-content" ' +
+			'data-sceditor-block-content=""><strong>test</strong></div>' +
+		'</div>',
+		'Stores attributes edited in place'
+	);
+});
+
+
+QUnit.test('Code language', function (assert) {
+	assert.htmlEqual(
+		this.filterStripWhiteSpace(
+			'<code class="language-js">var a;<br />a = 1;</code>'
+		),
+		'<pre><code class="language-js">var a;<br />a = 1;</code></pre>',
+		'Wrapped in pre'
+	);
+
+	assert.htmlEqual(
+		this.filterStripWhiteSpace(
+			'<pre><code class="language-js">var a;</code></pre>'
+		),
+		'<pre><code class="language-js">var a;</code></pre>',
+		'Already in pre'
+	);
+
+	assert.htmlEqual(
+		this.filterStripWhiteSpace('<code class="test">test</code>'),
+		'<p><code class="test">test</code></p>',
+		'Without language'
+	);
+});
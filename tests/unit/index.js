@@ -4,11 +4,31 @@ import 'tests/unit/htmlAssert.js';
 import 'tests/unit/lib/PluginManager.js';
 import 'tests/unit/lib/RangeHelper.js';
 import 'tests/unit/lib/SCEditor.js';
+import 'tests/unit/lib/autoformat.js';
+import 'tests/unit/lib/blocks.js';
+import 'tests/unit/lib/code.js';
 import 'tests/unit/lib/dom.js';
 import 'tests/unit/lib/emoticons.js';
 import 'tests/unit/lib/escape.js';
+import 'tests/unit/lib/find.js';
+import 'tests/unit/lib/media.js';
+import 'tests/unit/lib/sanitize.js';
+import 'tests/unit/lib/tables.js';
 import 'tests/unit/lib/utils.js';
 import 'tests/unit/formats/bbcode.js';
 import 'tests/unit/formats/bbcode.parser.js';
+import 'tests/unit/formats/markdown.js';
 import 'tests/unit/formats/xhtml.js';
+import 'tests/unit/plugins/autolink.js';
+import 'tests/unit/plugins/automedia.js';
+import 'tests/unit/plugins/autosave.js';
+import 'tests/unit/plugins/collab.js';
+import 'tests/unit/plugins/dragdrop.js';
+import 'tests/unit/plugins/emoticonsautocomplete.js';
+import 'tests/unit/plugins/mentions.js';
+import 'tests/unit/plugins/pastecleanup.js';
+import 'tests/unit/plugins/slashcommands.js';
+import 'tests/unit/plugins/sourcehighlight.js';
+import 'tests/unit/plugins/stats.js';
+import 'tests/unit/plugins/undo.js';
 import 'tests/unit/jquery.sceditor.js';
@@ -905,6 +905,71 @@ QUnit.test(
 	}
 );
 
+QUnit.test('replacePattern()', function (assert) {
+	var range = rangy.createRangyRange();
+	var sel   = rangy.getSelection();
+
+	editableDiv.innerHTML = '<p>The quick **brown* fox</p>';
+
+	var para = editableDiv.firstChild;
+	range.setStart(para.firstChild, 18);
+
+	sel.setSingleRange(range);
+
+	var match = rangeHelper.replacePattern(
+		/\*\*(\w+)\*\*$/,
+		function (match) {
+			return '<b>' + match[1] + '</b>';
+		},
+		20,
+		'*'
+	);
+
+	assert.equal(match[1], 'brown');
+	assert.htmlEqual(
+		editableDiv.innerHTML,
+		'<p>The quick <b>brown</b> fox</p>'
+	);
+});
+
+QUnit.test('replacePattern() - Remove match', function (assert) {
+	var range = rangy.createRangyRange();
+	var sel   = rangy.getSelection();
+
+	editableDiv.innerHTML = '<p>## heading</p>';
+
+	var para = editableDiv.firstChild;
+	range.setStart(para.firstChild, 2);
+
+	sel.setSingleRange(range);
+
+	assert.ok(rangeHelper.replacePattern(/^#+ $/, '', 10, ' '));
+	assert.htmlEqual(editableDiv.innerHTML, '<p> heading</p>');
+});
+
+QUnit.test('replacePattern() - Must match at the caret', function (assert) {
+	var range = rangy.createRangyRange();
+	var sel   = rangy.getSelection();
+
+	editableDiv.innerHTML = '<p>**bold** text</p>';
+
+	var para = editableDiv.firstChild;
+	range.setStart(para.firstChild, 13);
+
+	sel.setSingleRange(range);
+
+	assert.strictEqual(
+		rangeHelper.replacePattern(/\*\*(\w+)\*\*/, 'x', 20, ' '),
+		null
+	);
+	assert.strictEqual(
+		rangeHelper.replacePattern(/t$/, 'x', 20, ' '),
+		null,
+		'Keypress char must be matched'
+	);
+	assert.htmlEqual(editableDiv.innerHTML, '<p>**bold** text</p>');
+});
+
 
 QUnit.test('compare() - To current selection', function (assert) {
 	var rangeA = rangy.createNativeRange();
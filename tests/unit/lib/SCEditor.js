@@ -4,6 +4,7 @@ import defaultOptions from 'src/lib/defaultOptions.js';
 import * as browser from 'src/lib/browser.js';
 import * as utils from 'tests/unit/utils.js';
 import rangy from 'rangy';
+import 'src/formats/bbcode.js';
 
 
 // The selection based tests fail in phantom although they do work in
@@ -12,6 +13,9 @@ import rangy from 'rangy';
 // Might be an issue with phantomJS and iframes that have  selections.
 var IS_PHANTOMJS = navigator.userAgent.indexOf('PhantomJS') > -1;
 
+var AUTOFORMAT_RULES =
+	'bold,italic,heading,bulletlist,orderedlist,quote,code';
+
 var $textarea;
 var sceditor;
 var $fixture = $('#qunit-module-fixture');
@@ -402,6 +406,42 @@ QUnit.test('getWysiwygEditorValue() - Filter', function (assert) {
 });
 
 
+QUnit.test('setWysiwygEditorValue() - Sanitises', function (assert) {
+	sceditor.setWysiwygEditorValue(
+		'<p>test<img src="x" onerror="alert(1)"></p><script>alert(1)</script>'
+	);
+
+	assert.htmlEqual(
+		sceditor.getBody().innerHTML,
+		'<p>test<img src="x"></p>'
+	);
+});
+
+
+QUnit.test('sanitize() - Option', function (assert) {
+	reloadEditor({
+		sanitizer: {
+			tags: {
+				video: ['src', 'controls']
+			}
+		}
+	});
+
+	assert.htmlEqual(
+		sceditor.sanitize(
+			'<video src="x.mp4" controls="" onplay="alert(1)"></video>'
+		),
+		'<video src="x.mp4" controls=""></video>'
+	);
+
+	sceditor.bind('sanitize', function (e) {
+		assert.ok(e.detail.querySelector('video'));
+	});
+
+	sceditor.sanitize('<video></video>');
+});
+
+
 QUnit.test('getSourceEditorValue()', function (assert) {
 	sceditor.getRangeHelper().clear();
 	sceditor.sourceMode(true);
@@ -482,3 +522,701 @@ QUnit.test('emoticons() - Longest first', function (assert) {
 	assert.equal($body.find('img[data-sceditor-emoticon=">:("]').length, 1);
 	assert.equal($body.find('img[data-sceditor-emoticon=":("]').length, 1);
 });
+
+
+QUnit.test('Emoticon picker', function (assert) {
+	localStorage.removeItem('sceditor-emoticons');
+
+	reloadEditor({
+		emoticons: {
+			dropdown: {
+				':)': 'emoticons/smile.png'
+			}
+		},
+		emoji: {
+			People: {
+				':wave:': {
+					emoji: '\uD83D\uDC4B',
+					skinTones: true
+				}
+			}
+		}
+	});
+
+	var open = function () {
+		sceditor.commands.emoticon.exec.call(sceditor,
+			$fixture.find('.sceditor-button-emoticon').get(0));
+
+		return $fixture.find('.sceditor-emoticons');
+	};
+	var $picker = open();
+
+	assert.equal($picker.find('[role=tab]').length, 2, 'Category tabs');
+	assert.equal($picker.find('.sceditor-emoticon-option img').attr('alt'),
+		':)');
+
+	$picker.find('[role=tab]').get(1).click();
+	$picker.find('[role=radio]').get(2).click();
+	assert.equal($picker.find('.sceditor-emoticon-option').text(),
+		'\uD83D\uDC4B\uD83C\uDFFC', 'Skin tone');
+
+	var search = $picker.find('.sceditor-emoticons-search').get(0);
+	var input  = document.createEvent('Event');
+
+	input.initEvent('input', true, true);
+	search.value = 'wav';
+	search.dispatchEvent(input);
+	assert.equal($picker.find('.sceditor-emoticon-option').length, 1,
+		'Search');
+
+	$picker.find('.sceditor-emoticon-option').get(0).click();
+	assert.ok(sceditor.getBody().textContent
+		.indexOf('\uD83D\uDC4B\uD83C\uDFFC') > -1, 'Inserted');
+
+	$picker = open();
+	assert.equal($picker.find('[role=tab]').length, 3, 'Recently used');
+	assert.equal($picker.find('[role=radio][aria-checked=true]').index(), 2,
+		'Remembers skin tone');
+
+	sceditor.closeDropDown();
+	localStorage.removeItem('sceditor-emoticons');
+});
+
+
+QUnit.test('Find and replace - Triggers valuechanged', function (assert) {
+	var $dropdown;
+	var changes = 0;
+	var body = sceditor.getBody();
+	var click = function (action) {
+		$dropdown.find('[data-find=' + action + ']').get(0).click();
+	};
+	var valueChanged = function () {
+		changes++;
+	};
+
+	body.innerHTML = '<p>one two one one</p>';
+	sceditor.bind('valuechanged', valueChanged);
+
+	sceditor.commands.find.exec.call(sceditor,
+		$fixture.find('.sceditor-button-find').get(0));
+
+	$dropdown = $fixture.find('.sceditor-find');
+
+	var input = document.createEvent('Event');
+
+	input.initEvent('input', true, true);
+	$dropdown.find('#find').val('one').get(0).dispatchEvent(input);
+	$dropdown.find('#replace').val('1');
+
+	click('replace');
+	assert.equal(body.textContent, '1 two one one');
+	assert.equal(changes, 1, 'Replace');
+
+	click('all');
+	assert.equal(body.textContent, '1 two 1 1');
+	assert.equal(changes, 2, 'Replace all');
+
+	sceditor.unbind('valuechanged', valueChanged);
+	sceditor.closeDropDown();
+});
+
+
+// Excludes the table toolbar which also has the sceditor-toolbar class
+var TOOLBAR_SELECTOR = '.sceditor-toolbar:not(.sceditor-table-toolbar)';
+
+var keyDown = function (node, which, props) {
+	var e = node.ownerDocument.createEvent('Event');
+
+	e.initEvent('keydown', true, true);
+	e.which = which;
+
+	Object.keys(props || {}).forEach(function (key) {
+		e[key] = props[key];
+	});
+
+	node.dispatchEvent(e);
+
+	return e;
+};
+
+QUnit.test('Toolbar - ARIA', function (assert) {
+	var $toolbar = $fixture.find(TOOLBAR_SELECTOR);
+	var $buttons = $toolbar.find('.sceditor-button');
+
+	assert.equal($toolbar.attr('role'), 'toolbar');
+	assert.ok($toolbar.attr('aria-label'));
+	assert.equal($toolbar.find('.sceditor-group').attr('role'), 'group');
+	assert.equal($buttons.attr('role'), 'button');
+
+	assert.equal($buttons.filter('[tabindex="0"]').length, 1,
+		'Only one button in tab order');
+	assert.equal($buttons.first().attr('tabindex'), '0');
+
+	assert.equal(
+		$toolbar.find('.sceditor-button-bold').attr('aria-pressed'),
+		'false'
+	);
+
+	sceditor.sourceMode(true);
+	assert.equal(
+		$toolbar.find('.sceditor-button-bold').attr('aria-disabled'),
+		'true'
+	);
+
+	sceditor.sourceMode(false);
+	assert.equal(
+		$toolbar.find('.sceditor-button-bold').attr('aria-disabled'),
+		'false'
+	);
+});
+
+QUnit.test('Toolbar - Arrow keys', function (assert) {
+	var $buttons = $fixture.find(TOOLBAR_SELECTOR + ' .sceditor-button');
+	var first    = $buttons.get(0);
+	var last     = $buttons.get(-1);
+
+	first.focus();
+
+	keyDown(first, 39);
+	assert.strictEqual(document.activeElement, $buttons.get(1), 'Right');
+	assert.equal($buttons.eq(1).attr('tabindex'), '0');
+	assert.equal($buttons.eq(0).attr('tabindex'), '-1');
+
+	keyDown($buttons.get(1), 37);
+	assert.strictEqual(document.activeElement, first, 'Left');
+
+	keyDown(first, 37);
+	assert.strictEqual(document.activeElement, last, 'Wraps');
+
+	keyDown(last, 36);
+	assert.strictEqual(document.activeElement, first, 'Home');
+
+	keyDown(first, 35);
+	assert.strictEqual(document.activeElement, last, 'End');
+});
+
+QUnit.test('Toolbar - Shortcut from editor', function (assert) {
+	var first = $fixture.find(TOOLBAR_SELECTOR + ' .sceditor-button')
+		.get(0);
+
+	sceditor.focus();
+	keyDown(sceditor.getBody(), 121, {
+		altKey: true
+	});
+
+	assert.strictEqual(document.activeElement, first);
+});
+
+QUnit.test('updateActiveButtons() - aria-pressed', function (assert) {
+	if (IS_PHANTOMJS) {
+		return assert.expect(0);
+	}
+
+	var body = sceditor.getBody();
+	var $bold = $fixture.find('.sceditor-button-bold');
+
+	sceditor.focus();
+	body.innerHTML = '<p><b>bold</b></p>';
+
+	var range = rangy.createRange(body.ownerDocument);
+	var sel   = rangy.getIframeSelection(sceditor.getContentAreaContainer());
+
+	range.setStart(body.firstChild.firstChild.firstChild, 2);
+	range.setEnd(body.firstChild.firstChild.firstChild, 2);
+	sel.setSingleRange(range);
+
+	sceditor.execCommand('italic');
+
+	assert.equal($bold.attr('aria-pressed'), 'true');
+	assert.ok($bold.hasClass('active'));
+});
+
+QUnit.test('toolbarMode - Bubble', function (assert) {
+	if (IS_PHANTOMJS) {
+		return assert.expect(0);
+	}
+
+	reloadEditor({
+		toolbarMode: 'bubble',
+		bubbleToolbar: 'bold,italic|link'
+	});
+
+	var body      = sceditor.getBody();
+	var container = $fixture.find('.sceditor-container').get(0);
+	var $toolbar  = $fixture.find(TOOLBAR_SELECTOR);
+	var selectionChanged = function (start, end) {
+		var range = rangy.createRange(body.ownerDocument);
+		var sel   = rangy.getIframeSelection(
+			sceditor.getContentAreaContainer()
+		);
+		var e = document.createEvent('Event');
+
+		range.setStart(body.firstChild.firstChild, start);
+		range.setEnd(body.firstChild.firstChild, end);
+		sel.setSingleRange(range);
+
+		e.initEvent('selectionchanged', true, true);
+		container.dispatchEvent(e);
+	};
+
+	assert.equal($toolbar.length, 1);
+	assert.ok($toolbar.hasClass('sceditor-bubble-toolbar'));
+	assert.equal($toolbar.find('.sceditor-button').length, 3);
+	assert.equal($toolbar.css('display'), 'none', 'Hidden by default');
+
+	sceditor.focus();
+	body.innerHTML = '<p>Some text</p>';
+
+	selectionChanged(0, 4);
+	assert.notEqual($toolbar.css('display'), 'none', 'Shown for selection');
+
+	selectionChanged(2, 2);
+	assert.equal($toolbar.css('display'), 'none', 'Hidden when collapsed');
+
+	selectionChanged(0, 4);
+	sceditor.sourceMode(true);
+	assert.notEqual($toolbar.css('display'), 'none',
+		'Pinned in source mode');
+
+	sceditor.sourceMode(false);
+	sceditor.readOnly(true);
+	body.innerHTML = '<p>Some text</p>';
+	selectionChanged(0, 4);
+	assert.equal($toolbar.css('display'), 'none', 'Hidden when read only');
+	sceditor.readOnly(false);
+});
+
+QUnit.test('toolbarMode - Bubble default buttons', function (assert) {
+	reloadEditor({
+		toolbarMode: 'bubble'
+	});
+
+	assert.ok($fixture.find('.sceditor-bubble-toolbar ' +
+		'.sceditor-button-source').length, 'Can switch to source mode');
+});
+
+QUnit.test('toolbarMode - Bottom', function (assert) {
+	reloadEditor({
+		toolbarMode: 'bottom'
+	});
+
+	var $toolbar = $fixture.find(TOOLBAR_SELECTOR);
+
+	assert.equal($toolbar.length, 1);
+	assert.ok($toolbar.hasClass('sceditor-toolbar-bottom'));
+	assert.ok($toolbar.find('.sceditor-button-source').length,
+		'Uses the toolbar option');
+});
+
+var click = function (node) {
+	['mousedown', 'mouseup'].forEach(function (type) {
+		var e = node.ownerDocument.createEvent('Event');
+
+		e.initEvent(type, true, true);
+		node.dispatchEvent(e);
+	});
+};
+
+QUnit.test('Quote - Author, post ID and date', function (assert) {
+	if (IS_PHANTOMJS) {
+		return assert.expect(0);
+	}
+
+	var body   = sceditor.getBody();
+	var button = $fixture.find('.sceditor-button-quote').get(0);
+	var open   = function () {
+		sceditor.commands.quote.exec.call(sceditor, button);
+
+		return $fixture.find('.sceditor-quote');
+	};
+
+	sceditor.focus();
+	body.innerHTML = '<p>test</p>';
+
+	var $dropdown = open();
+
+	$dropdown.find('#quoteauthor').val('John Smith');
+	$dropdown.find('#quotepost').val('12');
+	$dropdown.find('.button').get(0).click();
+
+	var quote = body.querySelector('blockquote');
+
+	assert.equal(quote.querySelector('cite').textContent, 'John Smith');
+	assert.equal(quote.getAttribute('data-post-id'), '12');
+	assert.notOk(quote.hasAttribute('data-time'));
+
+	var range = rangy.createRange(body.ownerDocument);
+	var sel   = rangy.getIframeSelection(sceditor.getContentAreaContainer());
+
+	range.selectNodeContents(quote);
+	range.collapse(false);
+	sel.setSingleRange(range);
+
+	$dropdown = open();
+	assert.equal($dropdown.find('#quoteauthor').val(), '',
+		'Inserts a new quote');
+
+	$dropdown.find('.button').get(0).click();
+	assert.equal(quote.querySelectorAll('blockquote').length, 1, 'Nested');
+
+	var changes = 0;
+	var valueChanged = function () {
+		changes++;
+	};
+
+	sceditor.bind('valuechanged', valueChanged);
+	click(quote);
+
+	var $popover = $fixture.find('.sceditor-popover');
+
+	assert.equal($popover.find('#quoteeditauthor').val(), 'John Smith',
+		'Edits the quote from the popover');
+
+	$popover.find('#quoteeditauthor').val('');
+	$popover.find('#quoteeditpost').val('not a number');
+	$popover.find('.button').get(0).click();
+
+	assert.equal(body.querySelectorAll('blockquote').length, 2);
+	assert.equal(quote.querySelectorAll('cite').length, 0);
+	assert.notOk(quote.hasAttribute('data-post-id'));
+	assert.equal(changes, 1, 'Triggers valuechanged');
+
+	sceditor.unbind('valuechanged', valueChanged);
+	sceditor.closePopover();
+});
+
+QUnit.test('maxQuoteDepth', function (assert) {
+	reloadEditor({
+		maxQuoteDepth: 2
+	});
+
+	sceditor.val(
+		'<blockquote>1<blockquote>2<blockquote>3</blockquote></blockquote>' +
+		'</blockquote>'
+	);
+
+	assert.equal(sceditor.getBody().querySelectorAll('blockquote').length, 2);
+});
+
+QUnit.test('Media', function (assert) {
+	if (IS_PHANTOMJS) {
+		return assert.expect(0);
+	}
+
+	var body   = sceditor.getBody();
+	var button = $fixture.find('.sceditor-button-media').get(0);
+
+	assert.equal($fixture.find('.sceditor-button-youtube').length, 1,
+		'Still has the YouTube button');
+
+	sceditor.focus();
+	body.innerHTML = '<p>test</p>';
+	sceditor.commands.media.exec.call(sceditor, button);
+
+	var $dropdown = $fixture.find('.sceditor-insertmedia');
+	var $input    = $dropdown.find('#media');
+
+	$input.val('https://example.com/');
+	$dropdown.find('.button').get(0).click();
+
+	assert.equal($fixture.find('.sceditor-insertmedia').length, 1,
+		'Stays open for unknown URLs');
+	assert.equal($input.attr('aria-invalid'), 'true');
+
+	$input.val('https://example.com/a.mp4');
+	$dropdown.find('.button').get(0).click();
+
+	var video = body.querySelector('video');
+
+	assert.equal($fixture.find('.sceditor-insertmedia').length, 0);
+	assert.equal(video.getAttribute('data-sceditor-media'),
+		'https://example.com/a.mp4');
+	assert.equal(video.childNodes.length, 0, 'Cursor not inside');
+});
+
+QUnit.test('Code - Language', function (assert) {
+	if (IS_PHANTOMJS) {
+		return assert.expect(0);
+	}
+
+	var body   = sceditor.getBody();
+	var button = $fixture.find('.sceditor-button-code').get(0);
+	var open   = function () {
+		sceditor.commands.code.exec.call(sceditor, button);
+
+		return $fixture.find('.sceditor-code-picker a');
+	};
+
+	sceditor.focus();
+	body.innerHTML = '<p>test</p>';
+
+	var $options = open();
+
+	assert.equal($options.length, 7);
+	assert.equal($options.eq(0).text(), 'Plain text');
+	assert.equal($options.eq(1).text(), 'JavaScript');
+
+	$options.get(1).click();
+	assert.equal(body.querySelectorAll('code').length, 1);
+	assert.equal(body.querySelector('code').className, 'language-javascript');
+
+	var range = rangy.createRange(body.ownerDocument);
+	var sel   = rangy.getIframeSelection(sceditor.getContentAreaContainer());
+
+	range.selectNodeContents(body.querySelector('code'));
+	sel.setSingleRange(range);
+
+	open().get(4).click();
+	assert.equal(body.querySelectorAll('code').length, 1,
+		'Changes the language of existing code');
+	assert.equal(body.querySelector('code').className, 'language-php');
+});
+
+QUnit.test('Code - Tab and enter', function (assert) {
+	if (IS_PHANTOMJS) {
+		return assert.expect(0);
+	}
+
+	var body = sceditor.getBody();
+	var placeCaret = function (node, offset) {
+		var range = rangy.createRange(body.ownerDocument);
+		var sel   = rangy.getIframeSelection(
+			sceditor.getContentAreaContainer()
+		);
+
+		range.setStart(node, offset);
+		range.setEnd(node, offset);
+		sel.setSingleRange(range);
+	};
+
+	sceditor.focus();
+	body.innerHTML = '<code>\tif (a) {</code>';
+	placeCaret(body.firstChild.firstChild, 9);
+
+	assert.ok(keyDown(body, 13).defaultPrevented);
+	assert.equal(body.firstChild.innerHTML, '\tif (a) {<br>\t',
+		'Enter keeps the indent');
+
+	assert.ok(keyDown(body, 9).defaultPrevented);
+	assert.equal(body.firstChild.innerHTML, '\tif (a) {<br>\t\t', 'Tab');
+
+	keyDown(body, 9, { shiftKey: true });
+	assert.equal(body.firstChild.innerHTML, '\tif (a) {<br>\t',
+		'Shift+tab');
+
+	body.innerHTML = '<p>text</p>';
+	placeCaret(body.firstChild.firstChild, 2);
+	assert.notOk(keyDown(body, 9).defaultPrevented, 'Only inside code');
+});
+
+// Sets the WYSIWYG content with the caret at the end of it and then
+// types the char. Returns if an autoformat rule handled it.
+var typeAutoformat = function (html, chr) {
+	var text;
+	var body  = sceditor.getBody();
+	var e     = body.ownerDocument.createEvent('Event');
+	var range = rangy.createRange(body.ownerDocument);
+	var sel   = rangy.getIframeSelection(
+		sceditor.getContentAreaContainer()
+	);
+
+	body.innerHTML = html;
+	text = body.firstChild.lastChild;
+	range.setStart(text, text.length);
+	range.setEnd(text, text.length);
+	sel.setSingleRange(range);
+
+	e.initEvent('keypress', true, true);
+	e.which = chr.charCodeAt(0);
+	body.dispatchEvent(e);
+
+	return e.defaultPrevented;
+};
+
+QUnit.test('Autoformat', function (assert) {
+	if (IS_PHANTOMJS) {
+		return assert.expect(0);
+	}
+
+	var body;
+
+	reloadEditor({
+		autoformat: AUTOFORMAT_RULES
+	});
+
+	body = sceditor.getBody();
+	sceditor.focus();
+
+	assert.ok(typeAutoformat('<p>a **bold*</p>', '*'));
+	assert.equal(body.firstChild.innerHTML.replace(/\u200B/g, ''),
+		'a <strong>bold</strong>');
+
+	assert.ok(typeAutoformat('<p>``</p>', '`'));
+	assert.equal(body.querySelectorAll('code').length, 1, 'Block rule');
+
+	assert.notOk(typeAutoformat('<p>a ``</p>', '`'),
+		'Block rules only match from the start of the line');
+	assert.notOk(typeAutoformat('<p>a **bold</p>', '*'), 'No match');
+
+	reloadEditor();
+	sceditor.focus();
+
+	assert.notOk(typeAutoformat('<p>a **bold*</p>', '*'),
+		'Disabled by default');
+});
+
+QUnit.test('Autoformat - BBCode', function (assert) {
+	if (IS_PHANTOMJS) {
+		return assert.expect(0);
+	}
+
+	var body;
+
+	reloadEditor({
+		format: 'bbcode',
+		autoformat: AUTOFORMAT_RULES
+	});
+
+	body = sceditor.getBody();
+	sceditor.focus();
+
+	assert.ok(typeAutoformat('<p>a **bold*</p>', '*'));
+	assert.equal(sceditor.val(), 'a [b]bold[/b]');
+
+	sceditor.val(sceditor.val());
+	assert.equal(body.querySelectorAll('strong').length, 1,
+		'Survives a round trip');
+
+	assert.ok(typeAutoformat('<p>&gt;</p>', ' '));
+	assert.equal(body.querySelectorAll('blockquote').length, 1);
+
+	assert.notOk(typeAutoformat('<p>#</p>', ' '),
+		'Headings are skipped as BBCode has none');
+	assert.equal(body.querySelectorAll('h1').length, 0);
+});
+
+QUnit.test('createDropDown() - Focus trap and restore', function (assert) {
+	var done    = assert.async();
+	var button  = $fixture.find('.sceditor-button-bold').get(0);
+	var content = $(
+		'<div><a class="one">One</a><a class="two">Two</a></div>'
+	).get(0);
+
+	button.focus();
+	sceditor.createDropDown(button, 'test', content);
+
+	var $dropdown = $fixture.find('.sceditor-test');
+	var one = $dropdown.find('.one').get(0);
+	var two = $dropdown.find('.two').get(0);
+
+	assert.equal($dropdown.attr('role'), 'dialog');
+	assert.ok($dropdown.attr('aria-label'));
+	assert.equal($(button).attr('aria-expanded'), 'true');
+
+	setTimeout(function () {
+		assert.strictEqual(document.activeElement, one, 'Focuses first');
+
+		keyDown(one, 9, {
+			shiftKey: true
+		});
+		assert.strictEqual(document.activeElement, two, 'Shift+tab wraps');
+
+		keyDown(two, 9);
+		assert.strictEqual(document.activeElement, one, 'Tab wraps');
+
+		keyDown(one, 27);
+		assert.equal($fixture.find('.sceditor-test').length, 0, 'Closed');
+		assert.equal($(button).attr('aria-expanded'), 'false');
+		assert.strictEqual(document.activeElement, button, 'Focus restored');
+
+		done();
+	});
+});
+
+QUnit.test('toggleSourceMode() - Announces', function (assert) {
+	var $region = $fixture.find('.sceditor-live-region');
+
+	assert.equal($region.attr('aria-live'), 'polite');
+
+	sceditor.toggleSourceMode();
+	assert.equal($region.text(), 'Switched to source mode');
+
+	sceditor.toggleSourceMode();
+	assert.equal($region.text(), 'Switched to WYSIWYG mode');
+});
+
+QUnit.test('Popover - Link', function (assert) {
+	var body = sceditor.getBody();
+
+	body.innerHTML = '<p><a href="http://example.com/" rel="nofollow">' +
+		'link</a></p>';
+
+	var anchor = body.firstChild.firstChild;
+
+	click(anchor);
+
+	var $popover = $fixture.find('.sceditor-popover');
+
+	assert.equal($popover.length, 1);
+	assert.equal($popover.attr('role'), 'dialog');
+	assert.equal(
+		$popover.find('.sceditor-popover-url').attr('href'),
+		'http://example.com/'
+	);
+	assert.equal($popover.find('#linkrel').val(), 'nofollow');
+	assert.notOk($popover.find('#linknewtab').prop('checked'));
+
+	$popover.find('[data-action=edit]').get(0).click();
+	$popover.find('#linkurl').val('https://www.sceditor.com/');
+	$popover.find('#linknewtab').prop('checked', true);
+	$popover.find('[data-action=save]').get(0).click();
+
+	assert.equal(anchor.getAttribute('href'), 'https://www.sceditor.com/');
+	assert.equal(anchor.getAttribute('target'), '_blank');
+	assert.equal(anchor.getAttribute('rel'), 'nofollow');
+	assert.equal(
+		$fixture.find('.sceditor-popover .sceditor-popover-url').text(),
+		'https://www.sceditor.com/',
+		'Reopened with changes'
+	);
+
+	$fixture.find('.sceditor-popover [data-action=unlink]').get(0).click();
+
+	assert.htmlEqual(body.innerHTML, '<p>link</p>');
+	assert.equal($fixture.find('.sceditor-popover').length, 0);
+});
+
+QUnit.test('Popover - Image', function (assert) {
+	var body = sceditor.getBody();
+
+	body.innerHTML = '<p><img src="image.png" width="10" alt="old" />' +
+		'<img src="smile.png" data-sceditor-emoticon=":)" /></p>';
+
+	click(body.firstChild.lastChild);
+	assert.equal($fixture.find('.sceditor-popover').length, 0,
+		'Not for emoticons');
+
+	var img = body.firstChild.firstChild;
+
+	click(img);
+
+	var $popover = $fixture.find('.sceditor-popover');
+
+	assert.equal($popover.find('#imagesrc').val(), 'image.png');
+	assert.equal($popover.find('#imagewidth').val(), '10');
+	assert.equal($popover.find('#imageheight').val(), '');
+	assert.equal($popover.find('#imagealt').val(), 'old');
+
+	$popover.find('#imagewidth').val('');
+	$popover.find('#imageheight').val('20');
+	$popover.find('#imagealt').val('new');
+	$popover.find('.button').get(0).click();
+
+	assert.notOk(img.hasAttribute('width'));
+	assert.equal(img.getAttribute('height'), '20');
+	assert.equal(img.getAttribute('alt'), 'new');
+
+	sceditor.sourceMode(true);
+	assert.equal($fixture.find('.sceditor-popover').length, 0,
+		'Closed in source mode');
+});
@@ -0,0 +1,82 @@
+import * as autoformat from 'src/lib/autoformat.js';
+
+
+QUnit.module('lib/autoformat');
+
+
+// Gets the name of the first rule which matches the text, the last
+// char is the one being typed
+var ruleName = function (text) {
+	var names = ['bold', 'italic', 'heading', 'bulletlist', 'orderedlist',
+		'quote', 'code'];
+
+	return names.filter(function (name) {
+		return autoformat.get(name).pattern.test(text);
+	})[0] || null;
+};
+
+
+QUnit.test('Built-in rules', function (assert) {
+	var texts = {
+		'a **bold text**': 'bold',
+		'**bold**': 'bold',
+		'a _italic text_': 'italic',
+		'(_italic_': 'italic',
+		'# ': 'heading',
+		'###### ': 'heading',
+		'- ': 'bulletlist',
+		'* ': 'bulletlist',
+		'1. ': 'orderedlist',
+		'1) ': 'orderedlist',
+		'> ': 'quote',
+		'```': 'code'
+	};
+
+	Object.keys(texts).forEach(function (text) {
+		assert.equal(ruleName(text), texts[text], text);
+	});
+
+	[
+		'a ** bold**',
+		'a **bold **',
+		'a ***bold**',
+		'a **bold*',
+		'snake_case_',
+		'a _ italic_',
+		'####### ',
+		'a # ',
+		'#heading ',
+		'2. ',
+		'>> ',
+		'a ```',
+		'````'
+	].forEach(function (text) {
+		assert.strictEqual(ruleName(text), null, text);
+	});
+});
+
+
+QUnit.test('Built-in rules HTML', function (assert) {
+	var html = function (name, text) {
+		var rule = autoformat.get(name);
+
+		return rule.html(rule.pattern.exec(text));
+	};
+
+	assert.equal(html('bold', 'a **<b>**'), ' <strong>&lt;b&gt;</strong>');
+	assert.equal(html('italic', '(_text_'), '(<em>text</em>');
+});
+
+
+QUnit.test('register()', function (assert) {
+	var rule = {
+		pattern: /(^|\s)~~([^~]+)~~$/,
+		html: '<s>x</s>'
+	};
+
+	autoformat.register('teststrike', rule);
+
+	assert.equal(autoformat.get('teststrike').name, 'teststrike');
+	assert.strictEqual(autoformat.get('teststrike').pattern, rule.pattern);
+	assert.strictEqual(autoformat.get('nonexistent'), null);
+});
@@ -0,0 +1,140 @@
+import * as blocks from 'src/lib/blocks.js';
+import * as utils from 'tests/unit/utils.js';
+
+
+QUnit.module('lib/blocks');
+
+
+QUnit.test('register()', function (assert) {
+	var watched = [];
+
+	blocks.watch(function (name) {
+		watched.push(name);
+	});
+
+	assert.ok(watched.indexOf('spoiler') > -1, 'Existing blocks');
+	assert.ok(watched.indexOf('details') > -1, 'Existing blocks');
+
+	var block = blocks.register('testhide', {
+		attrs: {
+			posts: {
+				label: 'Minimum posts:',
+				pattern: /^\d+$/
+			}
+		},
+		html: '<div class="hide">{0}</div>'
+	});
+
+	assert.equal(watched[watched.length - 1], 'testhide', 'New blocks');
+	assert.strictEqual(blocks.get('testhide'), block);
+	assert.equal(block.tag, 'testhide', 'Default tag');
+	assert.strictEqual(blocks.get('nonexistent'), null);
+});
+
+
+QUnit.test('render()', function (assert) {
+	var spoiler = blocks.get('spoiler');
+
+	assert.htmlEqual(
+		blocks.render(spoiler, { title: 'A <b>title</b>' }, '<b>text</b>'),
+		'<div data-sceditor-block="spoiler" ' +
+			'data-title="A &lt;b&gt;title&lt;/b&gt;" class="sceditor-spoiler">' +
+			'<div class="sceditor-spoiler-title">A &lt;b&gt;title&lt;/b&gt;' +
+			'</div><div class="sceditor-spoiler-content" ' +
+			'data-sceditor-block-content><b>text</b></div></div>',
+		'Escapes attributes but not content'
+	);
+
+	assert.htmlEqual(
+		blocks.render(spoiler, { title: 'Multi\nline', other: 'x' }, ''),
+		'<div data-sceditor-block="spoiler" class="sceditor-spoiler">' +
+			'<div class="sceditor-spoiler-title"></div>' +
+			'<div class="sceditor-spoiler-content" ' +
+			'data-sceditor-block-content></div></div>',
+		'Drops invalid and unknown attributes'
+	);
+});
+
+
+QUnit.test('rootTag()', function (assert) {
+	assert.equal(blocks.rootTag(blocks.get('spoiler')), 'div');
+	assert.equal(blocks.rootTag(blocks.get('details')), 'details');
+});
+
+
+QUnit.test('readAttrs()', function (assert) {
+	var details = blocks.get('details');
+	var node = utils.htmlToNode(
+		blocks.render(details, { summary: 'Old' }, 'content')
+	);
+
+	assert.deepEqual(blocks.readAttrs(details, node), { summary: 'Old' });
+
+	node.firstChild.textContent = ' Edited ';
+	assert.deepEqual(blocks.readAttrs(details, node), { summary: 'Edited' },
+		'Uses the text of the attributes element');
+
+	node.removeChild(node.firstChild);
+	assert.deepEqual(blocks.readAttrs(details, node), { summary: 'Old' },
+		'Falls back to the data attribute');
+});
+
+
+QUnit.test('contentElement()', function (assert) {
+	var node = utils.htmlToNode(
+		blocks.render(blocks.get('spoiler'), {}, 'content')
+	);
+
+	assert.equal(blocks.contentElement(node).textContent, 'content');
+
+	node = utils.htmlToNode('<div data-sceditor-block="x">content</div>');
+	assert.strictEqual(blocks.contentElement(node), node);
+});
+
+
+QUnit.test('command()', function (assert) {
+	var spoiler = blocks.get('spoiler');
+	var command = blocks.command(spoiler);
+	var node = utils.htmlToNode(blocks.render(spoiler, {}, '<b>content</b>'));
+
+	assert.equal(command.tooltip, 'Insert a spoiler');
+	assert.equal(command.state(node.lastChild.firstChild), 1, 'Inside');
+	assert.equal(command.state(utils.htmlToNode('<p>text</p>')), 0,
+		'Outside');
+});
+
+
+QUnit.test('command() - Editing triggers valuechanged', function (assert) {
+	var spoiler = blocks.get('spoiler');
+	var command = blocks.command(spoiler);
+	var node = utils.htmlToNode(blocks.render(spoiler, {
+		title: 'Old'
+	}, 'content'));
+	var container = node.parentNode;
+	var changes = 0;
+	var editor = {
+		commands: {
+			spoiler: {
+				_dropDown: function (editor, caller, values, cb) {
+					assert.equal(values.title, 'Old');
+					cb({ title: 'New' });
+				}
+			}
+		},
+		getRangeHelper: function () {
+			return {
+				parentNode: function () {
+					return node.lastChild.firstChild;
+				}
+			};
+		},
+		triggerValueChanged: function () {
+			changes++;
+		}
+	};
+
+	command.exec.call(editor);
+
+	assert.equal(blocks.readAttrs(spoiler, container.firstChild).title, 'New');
+	assert.equal(changes, 1);
+});
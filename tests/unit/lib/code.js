@@ -0,0 +1,143 @@
+import * as code from 'src/lib/code.js';
+import * as utils from 'tests/unit/utils.js';
+
+
+QUnit.module('lib/code');
+
+
+var tokens = function (text, name) {
+	return code.tokenize(text, name).map(function (token) {
+		return token.type + ':' + text.substring(token.start, token.end);
+	});
+};
+
+var selectText = function (node, start, end) {
+	var range = document.createRange();
+
+	range.setStart(node, start);
+	range.setEnd(node, end);
+
+	return range;
+};
+
+
+QUnit.test('register()', function (assert) {
+	code.register('TestLang', {
+		keywords: 'local end',
+		comments: [['--']],
+		strings: '"'
+	});
+
+	assert.equal(code.get('testlang').label, 'testlang', 'Default label');
+	assert.equal(code.get('TESTLANG').name, 'testlang');
+	assert.strictEqual(code.get('nonexistent'), null);
+	assert.deepEqual(tokens('local a = "end" -- end', 'testlang'), [
+		'keyword:local',
+		'string:"end"',
+		'comment:-- end'
+	]);
+});
+
+
+QUnit.test('tokenize()', function (assert) {
+	assert.deepEqual(tokens('var a = \'b\' + 1.5; // c', 'javascript'), [
+		'keyword:var',
+		'string:\'b\'',
+		'number:1.5',
+		'comment:// c'
+	]);
+
+	assert.deepEqual(tokens('a /* b\nc */ `d\ne`', 'javascript'), [
+		'comment:/* b\nc */',
+		'string:`d\ne`'
+	], 'Multi-line');
+
+	assert.deepEqual(tokens('"a\\"b" \'c\nd\'', 'javascript'), [
+		'string:"a\\"b"',
+		'string:\'c',
+		'string:\''
+	], 'Escapes and unclosed strings');
+
+	assert.deepEqual(tokens('select * FROM t', 'sql'), [
+		'keyword:select',
+		'keyword:FROM'
+	], 'Case insensitive');
+
+	assert.deepEqual(tokens('Var var', 'javascript'), ['keyword:var'],
+		'Case sensitive');
+
+	assert.deepEqual(tokens('var a = 1', 'unknown'), []);
+});
+
+
+QUnit.test('getLanguage() and setLanguage()', function (assert) {
+	var node = utils.htmlToNode('<code class="a language-PHP b"></code>');
+
+	assert.equal(code.getLanguage(node), 'php');
+
+	code.setLanguage(node, 'javascript');
+	assert.equal(node.className, 'a b language-javascript');
+
+	code.setLanguage(node, 'a"b');
+	assert.equal(node.className, 'a b', 'Invalid name');
+
+	code.setLanguage(node, '');
+	code.setLanguage(node, '');
+	assert.equal(node.className, 'a b');
+
+	node = utils.htmlToNode('<code class="language-js"></code>');
+	code.setLanguage(node, '');
+	assert.notOk(node.hasAttribute('class'), 'Removes empty class');
+	assert.equal(code.getLanguage(node), '');
+});
+
+
+QUnit.test('tokenRanges()', function (assert) {
+	var node = utils.htmlToNode(
+		'<code class="language-javascript">var a<br />' +
+			'<span class="sceditor-ignore">var</span>\'b\'\nc <b>n</b>ew</code>'
+	);
+
+	var ranges = code.tokenRanges(node).map(function (token) {
+		return token.type + ':' + token.range.toString();
+	});
+
+	assert.deepEqual(ranges, [
+		'keyword:var',
+		'string:\'b\'',
+		'keyword:new'
+	]);
+	assert.equal(node.innerHTML,
+		'var a<br><span class="sceditor-ignore">var</span>\'b\'\nc ' +
+		'<b>n</b>ew', 'Not modified');
+});
+
+
+QUnit.test('indent() and outdent()', function (assert) {
+	var node = utils.htmlToNode('<code>a<br />\tb<br />c</code>');
+
+	code.indent(node, selectText(node.childNodes[2], 1, 1), '  ');
+	assert.equal(node.innerHTML, 'a<br>  \tb<br>c', 'Single line');
+
+	code.indent(node, selectText(node, 0, node.childNodes.length), '  ');
+	assert.equal(node.innerHTML, '  a<br>    \tb<br>  c', 'All lines');
+
+	code.outdent(node, selectText(node, 0, node.childNodes.length), '  ');
+	assert.equal(node.innerHTML, 'a<br>  \tb<br>c');
+
+	code.outdent(node, selectText(node, 0, node.childNodes.length), '\t');
+	assert.equal(node.innerHTML, 'a<br>\tb<br>c', 'Spaces');
+
+	code.outdent(node, selectText(node, 0, node.childNodes.length), '\t');
+	assert.equal(node.innerHTML, 'a<br>b<br>c', 'Tab');
+});
+
+
+QUnit.test('lineIndent()', function (assert) {
+	var node = utils.htmlToNode('<code>a\n \tb<br />c</code>');
+	var text = node.firstChild;
+
+	assert.equal(code.lineIndent(node, selectText(text, 4, 4)), ' \t');
+	assert.equal(code.lineIndent(node, selectText(text, 1, 1)), '');
+	assert.equal(code.lineIndent(node, selectText(node, 2, 2)), '');
+});
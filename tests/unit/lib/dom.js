@@ -1188,3 +1188,23 @@ QUnit.test('hasStyle() - No style attribute', function (assert) {
 
 	assert.ok(!dom.hasStyle(node, 'color'));
 });
+
+
+QUnit.test('textareaCaret()', function (assert) {
+	var textarea = document.createElement('textarea');
+
+	textarea.style.width = '200px';
+	textarea.style.font = '16px monospace';
+	textarea.value = 'one\ntwo';
+	document.body.appendChild(textarea);
+
+	var start = dom.textareaCaret(textarea, 0);
+	var end = dom.textareaCaret(textarea, 7);
+
+	assert.ok(end.top > start.top, 'Second line is lower');
+	assert.ok(end.left > start.left, 'End of line is further right');
+	assert.ok(start.height > 0);
+	assert.equal(document.body.lastChild, textarea, 'Mirror removed');
+
+	dom.remove(textarea);
+});
@@ -268,3 +268,107 @@ QUnit.test('checkWhitespace() - null current block', function (assert) {
 	emoticons.checkWhitespace(undefined, {});
 	emoticons.checkWhitespace(null, {});
 });
+
+QUnit.test('skinTone()', function (assert) {
+	assert.equal(emoticons.skinTone('👋', 0), '👋',
+		'Default tone');
+	assert.equal(emoticons.skinTone('👋', 3),
+		'👋🏽');
+	assert.equal(emoticons.skinTone('✌️', 1), '✌🏻',
+		'Replaces presentation selector');
+});
+
+QUnit.test('categories()', function (assert) {
+	var categories = emoticons.categories({
+		emoticonsRoot: 'root/',
+		emoticons: {
+			dropdown: {
+				':)': 'smile.png'
+			},
+			more: {
+				':alien:': {
+					url: 'alien.png',
+					tooltip: 'Alien'
+				}
+			},
+			hidden: {
+				':love:': 'wub.png'
+			}
+		},
+		emoji: {
+			People: {
+				':thumbs_up:': {
+					emoji: '👍',
+					skinTones: true
+				},
+				':eyes:': '👀'
+			}
+		}
+	});
+
+	assert.deepEqual(categories, [{
+		name: 'Emoticons',
+		entries: [
+			{ code: ':)', url: 'root/smile.png', tooltip: ':)' },
+			{ code: ':alien:', url: 'root/alien.png', tooltip: 'Alien' }
+		]
+	}, {
+		name: 'People',
+		entries: [{
+			code: ':thumbs_up:',
+			emoji: '👍',
+			skinTones: true,
+			tooltip: 'thumbs up'
+		}, {
+			code: ':eyes:',
+			emoji: '👀',
+			skinTones: false,
+			tooltip: 'eyes'
+		}]
+	}]);
+
+	assert.deepEqual(emoticons.categories({ emoji: null }), [], 'None');
+});
+
+QUnit.test('filter()', function (assert) {
+	var entries = [
+		{ code: ':grin:', tooltip: 'big smile' },
+		{ code: ':smile:', tooltip: 'smile' },
+		{ code: ':heart_eyes:', tooltip: 'heart eyes' },
+		{ code: ':heart:', tooltip: 'heart' },
+		{ code: ':)', tooltip: 'Happy' }
+	];
+	var codes = function (query) {
+		return emoticons.filter(entries, query).map(function (entry) {
+			return entry.code;
+		});
+	};
+
+	assert.deepEqual(codes(':heart'), [':heart_eyes:', ':heart:']);
+	assert.deepEqual(codes('EYES'), [':heart_eyes:'], 'Case insensitive');
+	assert.deepEqual(codes('smile'), [':smile:', ':grin:'],
+		'Starts with before contains');
+	assert.deepEqual(codes('happy'), [':)'], 'Tooltip');
+	assert.deepEqual(codes('xyz'), []);
+});
+
+QUnit.test('Recently used and skin tone', function (assert) {
+	localStorage.removeItem('sceditor-emoticons');
+
+	assert.deepEqual(emoticons.getRecent(), []);
+	assert.equal(emoticons.getSkinTone(), 0);
+
+	emoticons.addRecent(':)', 2);
+	emoticons.addRecent(':(', 2);
+	emoticons.addRecent(':)', 2);
+	assert.deepEqual(emoticons.getRecent(), [':)', ':('], 'Moved to front');
+
+	emoticons.addRecent(':P', 2);
+	assert.deepEqual(emoticons.getRecent(), [':P', ':)'], 'Limited to max');
+
+	emoticons.setSkinTone(2);
+	assert.equal(emoticons.getSkinTone(), 2);
+	assert.deepEqual(emoticons.getRecent(), [':P', ':)'], 'Kept recent');
+
+	localStorage.removeItem('sceditor-emoticons');
+});
@@ -95,20 +95,17 @@ QUnit.test('uriScheme() - Valid schmes', function (assert) {
 });
 
 QUnit.test('uriScheme() - Invalid schmes', function (assert) {
-	var path = location.pathname.split('/');
-	path.pop();
-
-	var baseUrl = location.protocol + '//' +
-		location.host +
-		path.join('/') + '/';
-
 	/*jshint scripturl:true*/
 	var urls = [
 		// eslint-disable-next-line no-script-url
 		'javascript:alert("XSS");',
 		'jav	ascript:alert(\'XSS\');',
 		'vbscript:msgbox("XSS")',
-		'data:application/javascript;alert("xss")'
+		'data:application/javascript;alert("xss")',
+		// eslint-disable-next-line no-script-url
+		'javascript://%0Aalert("XSS")',
+		// eslint-disable-next-line no-script-url
+		'javascript:alert("XSS");data:image/png;'
 	];
 
 	assert.expect(urls.length);
@@ -116,6 +113,6 @@ QUnit.test('uriScheme() - Invalid schmes', function (assert) {
 	for (var i = 0; i < urls.length; i++) {
 		var url = urls[i];
 
-		assert.equal(escape.uriScheme(url), baseUrl + url);
+		assert.equal(escape.uriScheme(url), './' + url);
 	}
 });
@@ -0,0 +1,105 @@
+import * as find from 'src/lib/find.js';
+import * as utils from 'tests/unit/utils.js';
+
+
+QUnit.module('lib/find');
+
+
+QUnit.test('createRegex()', function (assert) {
+	assert.strictEqual(find.createRegex(''), null, 'Empty query');
+	assert.strictEqual(
+		find.createRegex('(', { regex: true }), null, 'Invalid regex'
+	);
+
+	assert.equal(find.createRegex('a.b').source, 'a\\.b', 'Escaped');
+	assert.equal(find.createRegex('a.b', { regex: true }).source, 'a.b');
+	assert.equal(
+		find.createRegex('ab', { wholeWord: true }).source,
+		'\\b(?:ab)\\b'
+	);
+
+	assert.ok(find.createRegex('ab').ignoreCase, 'Ignores case');
+	assert.notOk(
+		find.createRegex('ab', { matchCase: true }).ignoreCase,
+		'Match case'
+	);
+});
+
+
+QUnit.test('findInText()', function (assert) {
+	var regex = find.createRegex('cat');
+
+	assert.deepEqual(
+		find.findInText('Cat concat cats', regex).map(function (match) {
+			return [match.start, match.end];
+		}),
+		[[0, 3], [7, 10], [11, 14]]
+	);
+
+	assert.equal(
+		find.findInText('Cat concat cats', find.createRegex('cat', {
+			matchCase: true,
+			wholeWord: true
+		})).length,
+		0,
+		'Match case and whole word'
+	);
+
+	assert.equal(
+		find.findInText('abc', find.createRegex('x*', { regex: true })).length,
+		0,
+		'Ignores empty matches'
+	);
+});
+
+
+QUnit.test('find() - Across text nodes', function (assert) {
+	var div = utils.htmlToDiv('<p>he<b>ll</b>o world</p>');
+	var matches = find.find(div, find.createRegex('hello'));
+
+	assert.equal(matches.length, 1);
+	assert.equal(matches[0].nodes.length, 3);
+	assert.equal(find.toRange(matches[0]).toString(), 'hello');
+});
+
+
+QUnit.test('find() - Not across blocks', function (assert) {
+	var div = utils.htmlToDiv(
+		'<p>foo</p><p>bar</p>foo<br />bar<span class="sceditor-ignore">' +
+		'foobar</span>'
+	);
+
+	assert.equal(find.find(div, find.createRegex('foobar')).length, 0);
+	assert.equal(find.find(div, find.createRegex('foo')).length, 2);
+});
+
+
+QUnit.test('replace()', function (assert) {
+	var div = utils.htmlToDiv('<p>he<b>ll</b>o world, hello</p>');
+	var matches = find.find(div, find.createRegex('hello'));
+
+	find.replace(matches[1], 'hi');
+	find.replace(matches[0], 'bye');
+
+	assert.htmlEqual(div.innerHTML, '<p>bye world, hi</p>');
+});
+
+
+QUnit.test('replace() - Keeps formatting', function (assert) {
+	var div = utils.htmlToDiv('<p>a <b>bold</b> <i>word</i></p>');
+	var matches = find.find(div, find.createRegex('ld wo'));
+
+	find.replace(matches[0], 'LD WO');
+
+	assert.htmlEqual(div.innerHTML, '<p>a <b>boLD WO</b><i>rd</i></p>');
+});
+
+
+QUnit.test('expand()', function (assert) {
+	var groups = /(\w+) (\w+)/.exec('hello world');
+
+	assert.equal(find.expand('$2 $1', groups), 'world hello');
+	assert.equal(find.expand('[$&]', groups), '[hello world]');
+	assert.equal(find.expand('$$1', groups), '$1');
+	assert.equal(find.expand('$3', groups), '$3', 'Unknown group');
+});
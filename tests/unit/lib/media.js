@@ -0,0 +1,123 @@
+import * as media from 'src/lib/media.js';
+import * as utils from 'tests/unit/utils.js';
+
+
+QUnit.module('lib/media');
+
+
+var providerName = function (url) {
+	var result = media.match(url);
+
+	return result ? result.provider.name : null;
+};
+
+
+QUnit.test('match()', function (assert) {
+	/*eslint no-script-url: off*/
+	var urls = {
+		'https://www.youtube.com/watch?v=dQw4w9WgXcQ': 'youtube',
+		'https://youtu.be/dQw4w9WgXcQ?t=10': 'youtube',
+		'https://vimeo.com/76979871': 'vimeo',
+		'https://www.dailymotion.com/video/x7tgad0': 'dailymotion',
+		'https://www.twitch.tv/videos/123456': 'twitch',
+		'https://www.twitch.tv/channel': 'twitch',
+		'https://soundcloud.com/artist/track-name': 'soundcloud',
+		'https://open.spotify.com/track/4uLU6hMCjMI75M1A2tKUQC': 'spotify',
+		'https://example.com/a/b.MP4?c=d': 'video',
+		'https://example.com/a.ogg': 'audio'
+	};
+
+	Object.keys(urls).forEach(function (url) {
+		assert.equal(providerName(url), urls[url], url);
+		assert.equal(providerName('  ' + url + '\n'), urls[url], 'Trimmed');
+	});
+
+	assert.strictEqual(media.match('https://example.com/'), null);
+	assert.strictEqual(media.match('https://example.com/a.mp4.html'), null);
+	assert.strictEqual(media.match('javascript:alert(1)//a.mp4'), null);
+	assert.strictEqual(media.match('https://example.com/a b.mp4'), null);
+	assert.strictEqual(media.match('https://example.com/"a.mp4'), null);
+	assert.strictEqual(media.match('https://example.com/[a].mp4'), null);
+	assert.strictEqual(media.match(''), null);
+	assert.strictEqual(media.match(null), null);
+});
+
+
+QUnit.test('embed()', function (assert) {
+	assert.htmlEqual(
+		media.embed('https://vimeo.com/76979871'),
+		'<iframe data-sceditor-media="https://vimeo.com/76979871" ' +
+			'width="560" height="315" frameborder="0" ' +
+			'src="https://player.vimeo.com/video/76979871" ' +
+			'allowfullscreen></iframe>'
+	);
+
+	assert.htmlEqual(
+		media.embed('https://example.com/a.webm?b=1&c=2'),
+		'<video data-sceditor-media="https://example.com/a.webm?b=1&amp;c=2" ' +
+			'width="560" src="https://example.com/a.webm?b=1&amp;c=2" ' +
+			'controls></video>',
+		'Escapes URL'
+	);
+
+	assert.htmlEqual(
+		media.embed('https://soundcloud.com/a/b?c=d'),
+		'<iframe data-sceditor-media="https://soundcloud.com/a/b?c=d" ' +
+			'width="560" height="166" frameborder="0" ' +
+			'src="https://w.soundcloud.com/player/?url=' +
+			'https%3A%2F%2Fsoundcloud.com%2Fa%2Fb"></iframe>',
+		'Function template'
+	);
+
+	assert.strictEqual(media.embed('https://example.com/'), null);
+});
+
+
+QUnit.test('toBBCode()', function (assert) {
+	assert.equal(
+		media.toBBCode('https://vimeo.com/76979871'),
+		'[media]https://vimeo.com/76979871[/media]'
+	);
+
+	assert.equal(
+		media.toBBCode('https://www.youtube.com/watch?v=dQw4w9WgXcQ&t=1'),
+		'[youtube]dQw4w9WgXcQ[/youtube]',
+		'Provider template'
+	);
+
+	assert.strictEqual(media.toBBCode('https://example.com/'), null);
+});
+
+
+QUnit.test('register()', function (assert) {
+	var provider = media.register('testtube', {
+		pattern: /^https:\/\/tube\.example\.com\/(\d+)$/,
+		html: '<iframe src="https://tube.example.com/embed/{1}"></iframe>',
+		bbcode: '[testtube]{1}[/testtube]'
+	});
+
+	assert.strictEqual(media.get('testtube'), provider);
+	assert.equal(provider.label, 'testtube', 'Default label');
+	assert.strictEqual(media.get('nonexistent'), null);
+
+	assert.equal(providerName('https://tube.example.com/12'), 'testtube');
+	assert.equal(
+		media.toBBCode('https://tube.example.com/12'),
+		'[testtube]12[/testtube]'
+	);
+	assert.equal(
+		media.getUrl(utils.htmlToNode(
+			media.embed('https://tube.example.com/12')
+		)),
+		'https://tube.example.com/12'
+	);
+});
+
+
+QUnit.test('getUrl()', function (assert) {
+	assert.equal(media.getUrl(utils.htmlToNode(
+		'<audio data-sceditor-media="https://example.com/a.mp3"></audio>'
+	)), 'https://example.com/a.mp3');
+
+	assert.equal(media.getUrl(utils.htmlToNode('<iframe></iframe>')), '');
+});
@@ -0,0 +1,225 @@
+import * as sanitize from 'src/lib/sanitize.js';
+import * as utils from 'tests/unit/utils.js';
+
+
+// Prepended to URLs with unsafe schemes by escape.uriScheme()
+var baseUrl = './';
+
+
+QUnit.module('lib/sanitize');
+
+
+QUnit.test('sanitize() - XSS payloads', function (assert) {
+	/*eslint no-script-url: off*/
+	var payloads = [
+		['<script>alert(1)</script>', ''],
+		['<img src="x" onerror="alert(1)">', '<img src="x">'],
+		['<svg onload="alert(1)"></svg>', ''],
+		['<body onload="alert(1)">text', 'text'],
+		['<a href="#" onclick="alert(1)">x</a>', '<a href="#">x</a>'],
+		[
+			'<a href="javascript:alert(1)">x</a>',
+			'<a href="' + baseUrl + 'javascript:alert(1)">x</a>'
+		],
+		[
+			'<a href="JaVaScRiPt:alert(1)">x</a>',
+			'<a href="' + baseUrl + 'JaVaScRiPt:alert(1)">x</a>'
+		],
+		[
+			'<a href=" javascript:alert(1)">x</a>',
+			'<a href="' + baseUrl + 'javascript:alert(1)">x</a>'
+		],
+		[
+			'<a href="javascript://%0Aalert(1)">x</a>',
+			'<a href="' + baseUrl + 'javascript://%0Aalert(1)">x</a>'
+		],
+		[
+			'<a href="data:text/html;base64,PHNjcmlwdD4=">x</a>',
+			'<a href="' + baseUrl + 'data:text/html;base64,PHNjcmlwdD4=">x</a>'
+		],
+		[
+			'<iframe src="javascript:alert(1)"></iframe>',
+			'<iframe src="' + baseUrl + 'javascript:alert(1)"></iframe>'
+		],
+		[
+			'<iframe srcdoc="<script>alert(1)</script>"></iframe>',
+			'<iframe></iframe>'
+		],
+		[
+			'<blockquote cite="javascript:alert(1)">x</blockquote>',
+			'<blockquote cite="' + baseUrl + 'javascript:alert(1)">' +
+				'x</blockquote>'
+		],
+		['<img src="x" srcset="javascript:alert(1)">', '<img src="x">'],
+		[
+			'<div style="background:url(javascript:alert(1))">x</div>',
+			'<div>x</div>'
+		],
+		['<div style="width: expression(alert(1))">x</div>', '<div>x</div>'],
+		[
+			'<div style="color: red; behavior: url(x.htc)">x</div>',
+			'<div style="color: red">x</div>'
+		],
+		[
+			'<div style="color: red; /* a */ position: fixed">x</div>',
+			'<div style="color: red">x</div>'
+		],
+		['<div style="color: \\72 ed">x</div>', '<div>x</div>'],
+		['<object data="x.swf"></object><embed src="x.swf">', ''],
+		[
+			'<video src="x.mp4" poster="javascript:alert(1)" autoplay ' +
+				'onerror="alert(1)"><source src="javascript:alert(1)">' +
+				'</video>',
+			'<video src="x.mp4" poster="' + baseUrl + 'javascript:alert(1)">' +
+				'<source src="' + baseUrl + 'javascript:alert(1)"></video>'
+		],
+		['<audio src="x.mp3" onplay="alert(1)"></audio>', '<audio src="x.mp3">' +
+			'</audio>'],
+		[
+			'<form action="javascript:alert(1)"><button ' +
+				'formaction="javascript:alert(1)">x</button></form>',
+			''
+		],
+		['<input onfocus="alert(1)" autofocus>', ''],
+		['<!--<img src="x" onerror="alert(1)">-->', ''],
+		['<style>@import "x.css";</style>', ''],
+		['<base href="javascript:/">', ''],
+		[
+			'<meta http-equiv="refresh" ' +
+				'content="0;url=javascript:alert(1)">',
+			''
+		],
+		['<p><noscript><img src="x" onerror="alert(1)"></noscript></p>', '<p></p>'],
+		['<template><img src="x" onerror="alert(1)"></template>', ''],
+		[
+			'<details open ontoggle="alert(1)">x</details>',
+			'<details open="">x</details>'
+		],
+		['<blink onclick="alert(1)">text</blink>', 'text'],
+		['<constructor>text</constructor>', 'text'],
+		[
+			'<svg><a xlink:href="javascript:alert(1)"><text>x</text></a></svg>',
+			''
+		],
+		[
+			'<math><mtext><table><mglyph><style><img src="x" ' +
+				'onerror="alert(1)">',
+			'<table></table>'
+		]
+	];
+
+	payloads.forEach(function (payload) {
+		var result = sanitize.sanitize(payload[0]);
+
+		assert.htmlEqual(result, payload[1], payload[0]);
+		assert.ok(!/\son\w+=/i.test(result), 'No handlers: ' + payload[0]);
+	});
+});
+
+
+QUnit.test('sanitize() - mXSS and namespace confusion', function (assert) {
+	var payloads = [
+		'<svg></p><style><a id="</style><img src=1 onerror=alert(1)>">',
+		'<svg><style><img src=x onerror=alert(1)></style></svg>',
+		'<svg><foreignobject><p><style><img src=x onerror=alert(1)>',
+		'<math><mi//xlink:href="data:x,<script>alert(1)</script>">',
+		'<math><annotation-xml encoding="text/html"><style>' +
+			'<img src=x onerror=alert(1)></style></annotation-xml></math>',
+		'<form><math><mtext></form><form><mglyph><style></math>' +
+			'<img src onerror=alert(1)>',
+		'<form><input name="attributes"><input name="removeChild">' +
+			'</form><img src=x onerror=alert(1)>',
+		'<noscript><p title="</noscript><img src=x onerror=alert(1)>">',
+		'<template><script>alert(1)</script></template>' +
+			'<template><img src=x onerror=alert(1)></template>',
+		'<p title="</p><img src=x onerror=alert(1)>">x</p>'
+	];
+
+	payloads.forEach(function (payload) {
+		var result = sanitize.sanitize(payload);
+		var reparsed = utils.htmlToDiv(result);
+
+		assert.equal(reparsed.innerHTML, result,
+			'Stable when parsed again: ' + payload);
+		assert.notOk(
+			reparsed.querySelector('[onerror],script,style,svg,math,form'),
+			'Nothing unsafe when parsed again: ' + payload
+		);
+	});
+});
+
+
+QUnit.test('sanitize() - Keeps editor content', function (assert) {
+	var html =
+		'<p style="text-align: center"><b>bold</b> <em>em</em> ' +
+			'<font color="#ff0000" face="Arial" size="4">font</font></p>' +
+		'<blockquote><cite>Sam</cite>quote</blockquote>' +
+		'<ul><li>one</li></ul>' +
+		'<table><tbody><tr><td colspan="2">cell</td></tr></tbody></table>' +
+		'<img src="emoticons/smile.png" alt=":)" ' +
+			'data-sceditor-emoticon=":)">' +
+		'<a href="https://www.sceditor.com/" target="_blank">link</a>' +
+		'<iframe width="560" height="315" frameborder="0" ' +
+			'src="https://www.youtube.com/embed/xyz" ' +
+			'data-youtube-id="xyz" allowfullscreen=""></iframe>' +
+		'<video width="560" src="https://example.com/a.mp4" ' +
+			'data-sceditor-media="https://example.com/a.mp4" controls="">' +
+			'</video>' +
+		'<audio src="https://example.com/a.mp3" preload="none" ' +
+			'controls=""></audio>' +
+		'<div dir="rtl" class="sceditor-nlf">rtl</div>';
+
+	assert.htmlEqual(sanitize.sanitize(html), html);
+});
+
+
+QUnit.test('sanitize() - Filter', function (assert) {
+	assert.htmlEqual(
+		sanitize.sanitize('<p>a <img src="x" onerror="alert(1)"></p>',
+			sanitize.defaultPolicy,
+			function (root) {
+				assert.ok(root.querySelector('img'), 'Sanitised nodes');
+				assert.notOk(root.querySelector('img[onerror]'));
+
+				root.querySelector('img').remove();
+			}
+		),
+		'<p>a </p>'
+	);
+});
+
+
+QUnit.test('extendPolicy()', function (assert) {
+	var policy = sanitize.extendPolicy(sanitize.defaultPolicy, {
+		tags: {
+			track: ['src', 'kind'],
+			input: ['type', 'checked'],
+			font: null
+		},
+		styles: ['position']
+	});
+
+	assert.notStrictEqual(policy, sanitize.defaultPolicy);
+	assert.notOk('track' in sanitize.defaultPolicy.tags, 'Default unchanged');
+	assert.equal(sanitize.defaultPolicy.styles.indexOf('position'), -1);
+
+	assert.htmlEqual(
+		sanitize.sanitize(
+			'<track src="x.vtt" kind="captions" onload="alert(1)">' +
+			'<input type="checkbox" checked="">' +
+			'<font color="red">text</font>' +
+			'<p style="position: fixed; top: 0">x</p>',
+			policy
+		),
+		'<track src="x.vtt" kind="captions">' +
+		'<input type="checkbox" checked="">' +
+		'text' +
+		'<p style="position: fixed">x</p>'
+	);
+
+	assert.equal(
+		sanitize.sanitize('<track src="javascript:alert(1)">', policy),
+		'<track src="' + baseUrl + 'javascript:alert(1)">',
+		'URL attributes still apply'
+	);
+});
@@ -0,0 +1,280 @@
+import * as tables from 'src/lib/tables.js';
+import defaultCommands from 'src/lib/defaultCommands.js';
+import * as utils from 'tests/unit/utils.js';
+import * as browser from 'src/lib/browser.js';
+
+// In IE < 11 a BR at the end of a block level element
+// causes a line break. In all other browsers it's collapsed.
+var IE_BR_FIX = browser.ie && browser.ie < 11;
+var IE_BR_STR = IE_BR_FIX ? '' : '<br />';
+
+
+QUnit.module('lib/tables', {
+	beforeEach: function () {
+		this.table = function (html) {
+			return utils.htmlToDiv('<table><tbody>' + html + '</tbody></table>');
+		};
+
+		this.cell = function (container, text) {
+			var cells = container.querySelectorAll('td,th');
+
+			for (var i = 0; i < cells.length; i++) {
+				if (cells[i].textContent === text) {
+					return cells[i];
+				}
+			}
+		};
+	}
+});
+
+
+QUnit.test('getCell()', function (assert) {
+	var div = this.table('<tr><td><b>a</b></td></tr>');
+	var cell = div.querySelector('td');
+
+	assert.strictEqual(tables.getCell(cell.firstChild.firstChild), cell);
+	assert.strictEqual(tables.getCell(cell), cell);
+	assert.notOk(tables.getCell(div));
+	assert.notOk(tables.getCell(null));
+});
+
+
+QUnit.test('insertRow()', function (assert) {
+	var div = this.table('<tr><td>a</td><td>b</td></tr>');
+
+	tables.insertRow(this.cell(div, 'a'), true);
+	assert.htmlEqual(div.innerHTML,
+		'<table><tbody><tr><td>a</td><td>b</td></tr>' +
+		'<tr><td>' + IE_BR_STR + '</td><td>' + IE_BR_STR + '</td></tr>' +
+		'</tbody></table>',
+		'Below'
+	);
+
+	div = this.table('<tr><th>a</th></tr><tr><td>b</td></tr>');
+	tables.insertRow(this.cell(div, 'b'));
+	assert.htmlEqual(div.innerHTML,
+		'<table><tbody><tr><th>a</th></tr>' +
+		'<tr><td>' + IE_BR_STR + '</td></tr>' +
+		'<tr><td>b</td></tr></tbody></table>',
+		'Above'
+	);
+});
+
+
+QUnit.test('insertRow() - Spanned cells', function (assert) {
+	var div = this.table(
+		'<tr><td rowspan="2">a</td><td>b</td></tr>' +
+		'<tr><td>c</td></tr>'
+	);
+
+	tables.insertRow(this.cell(div, 'b'), true);
+	assert.htmlEqual(div.innerHTML,
+		'<table><tbody><tr><td rowspan="3">a</td><td>b</td></tr>' +
+		'<tr><td>' + IE_BR_STR + '</td></tr>' +
+		'<tr><td>c</td></tr></tbody></table>'
+	);
+});
+
+
+QUnit.test('deleteRow()', function (assert) {
+	var div = this.table(
+		'<tr><td rowspan="2">a</td><td>b</td></tr>' +
+		'<tr><td>c</td></tr>'
+	);
+
+	tables.deleteRow(this.cell(div, 'b'));
+	assert.htmlEqual(div.innerHTML,
+		'<table><tbody><tr><td>a</td><td>c</td></tr></tbody></table>',
+		'Moves spanned cell to next row'
+	);
+
+	tables.deleteRow(this.cell(div, 'a'));
+	assert.equal(div.innerHTML, '', 'Removes table when empty');
+});
+
+
+QUnit.test('insertColumn()', function (assert) {
+	var div = this.table(
+		'<tr><td colspan="2">a</td></tr>' +
+		'<tr><td>b</td><td>c</td></tr>'
+	);
+
+	tables.insertColumn(this.cell(div, 'b'), true);
+	assert.htmlEqual(div.innerHTML,
+		'<table><tbody><tr><td colspan="3">a</td></tr>' +
+		'<tr><td>b</td><td>' + IE_BR_STR + '</td><td>c</td></tr>' +
+		'</tbody></table>',
+		'Right'
+	);
+
+	tables.insertColumn(this.cell(div, 'b'));
+	assert.htmlEqual(div.innerHTML,
+		'<table><tbody><tr>' +
+		'<td>' + IE_BR_STR + '</td><td colspan="3">a</td></tr>' +
+		'<tr><td>' + IE_BR_STR + '</td><td>b</td>' +
+		'<td>' + IE_BR_STR + '</td><td>c</td></tr>' +
+		'</tbody></table>',
+		'Left'
+	);
+});
+
+
+QUnit.test('deleteColumn()', function (assert) {
+	var div = this.table(
+		'<tr><td colspan="2">a</td></tr>' +
+		'<tr><td>b</td><td>c</td></tr>'
+	);
+
+	tables.deleteColumn(this.cell(div, 'c'));
+	assert.htmlEqual(div.innerHTML,
+		'<table><tbody><tr><td>a</td></tr>' +
+		'<tr><td>b</td></tr></tbody></table>'
+	);
+
+	tables.deleteColumn(this.cell(div, 'b'));
+	assert.equal(div.innerHTML, '', 'Removes table when empty');
+});
+
+
+QUnit.test('mergeCells()', function (assert) {
+	var div = this.table(
+		'<tr><td>a</td><td>b</td></tr>' +
+		'<tr><td>c</td><td>d</td></tr>'
+	);
+
+	assert.ok(tables.mergeCells(this.cell(div, 'a')));
+	assert.htmlEqual(div.innerHTML,
+		'<table><tbody><tr><td colspan="2">a<br />b</td></tr>' +
+		'<tr><td>c</td><td>d</td></tr></tbody></table>',
+		'With cell to the right'
+	);
+
+	assert.ok(tables.mergeCells(this.cell(div, 'c'), this.cell(div, 'd')));
+	assert.htmlEqual(div.innerHTML,
+		'<table><tbody><tr><td colspan="2">a<br />b</td></tr>' +
+		'<tr><td colspan="2">c<br />d</td></tr></tbody></table>',
+		'Selected cells'
+	);
+
+	assert.notOk(tables.mergeCells(this.cell(div, 'cd')), 'No cell to merge');
+});
+
+
+QUnit.test('mergeCells() - Expands to cover spans', function (assert) {
+	var div = this.table(
+		'<tr><td>a</td><td rowspan="2">b</td></tr>' +
+		'<tr><td>c</td></tr>'
+	);
+
+	tables.mergeCells(this.cell(div, 'a'));
+	assert.htmlEqual(div.innerHTML,
+		'<table><tbody><tr><td colspan="2">a<br />b<br />c</td>' +
+		'</tr></tbody></table>'
+	);
+});
+
+
+QUnit.test('splitCell()', function (assert) {
+	var div = this.table(
+		'<tr><td colspan="2" rowspan="2">a</td><td>b</td></tr>' +
+		'<tr><td>c</td></tr>'
+	);
+
+	tables.splitCell(this.cell(div, 'a'));
+	assert.htmlEqual(div.innerHTML,
+		'<table><tbody><tr><td>a</td>' +
+		'<td>' + IE_BR_STR + '</td><td>b</td></tr>' +
+		'<tr><td>' + IE_BR_STR + '</td><td>' + IE_BR_STR + '</td>' +
+		'<td>c</td></tr></tbody></table>'
+	);
+});
+
+
+QUnit.test('toggleHeader()', function (assert) {
+	var div = this.table(
+		'<tr><td>a</td><td>b</td></tr>' +
+		'<tr><td>c</td></tr>'
+	);
+
+	assert.notOk(tables.isHeader(this.cell(div, 'c')));
+
+	tables.toggleHeader(this.cell(div, 'c'));
+	assert.ok(tables.isHeader(this.cell(div, 'c')));
+	assert.htmlEqual(div.innerHTML,
+		'<table><tbody><tr><th>a</th><th>b</th></tr>' +
+		'<tr><td>c</td></tr></tbody></table>'
+	);
+
+	tables.toggleHeader(this.cell(div, 'a'));
+	assert.htmlEqual(div.innerHTML,
+		'<table><tbody><tr><td>a</td><td>b</td></tr>' +
+		'<tr><td>c</td></tr></tbody></table>'
+	);
+});
+
+
+QUnit.test('Commands trigger valuechanged', function (assert) {
+	var test = this;
+	var changed = 0;
+	var caret, range, start;
+	var div = this.table(
+		'<tr><td>a</td><td>b</td></tr>' +
+		'<tr><td>c</td><td>d</td></tr>'
+	);
+	var editor = {
+		getBody: function () {
+			return div;
+		},
+		getRangeHelper: function () {
+			return {
+				parentNode: function () {
+					return caret;
+				},
+				selectedRange: function () {
+					return range;
+				},
+				selectRange: function () {}
+			};
+		},
+		triggerValueChanged: function () {
+			changed++;
+		}
+	};
+	var exec = function (name, text) {
+		var before = changed;
+
+		caret = test.cell(div, text);
+		defaultCommands[name].exec.call(editor);
+
+		assert.equal(changed, before + 1, name);
+	};
+
+	exec('tableinsertrowabove', 'a');
+	exec('tableinsertrowbelow', 'a');
+	exec('tableinsertcolumnleft', 'a');
+	exec('tableinsertcolumnright', 'a');
+	exec('tableheader', 'a');
+
+	start = this.cell(div, 'a');
+	range = {
+		startContainer: start,
+		endContainer: this.cell(div, 'b')
+	};
+	exec('tablemergecells', 'a');
+
+	caret = start;
+	defaultCommands.tablesplitcell.exec.call(editor);
+	assert.equal(changed, 7, 'tablesplitcell');
+
+	exec('tabledeletecolumn', 'd');
+	exec('tabledeleterow', 'c');
+
+	caret = start;
+	defaultCommands.tabledelete.exec.call(editor);
+	assert.equal(changed, 10, 'tabledelete');
+	assert.equal(div.querySelectorAll('table').length, 0);
+
+	caret = div;
+	defaultCommands.tableinsertrowabove.exec.call(editor);
+	assert.equal(changed, 10, 'Not outside of tables');
+});
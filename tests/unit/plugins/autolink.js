@@ -0,0 +1,158 @@
+import 'src/plugins/autolink.js';
+import RangeHelper from 'src/lib/RangeHelper.js';
+
+
+QUnit.module('plugins/autolink', {
+	beforeEach: function () {
+		var fixture = document.getElementById('qunit-fixture');
+		var body = document.createElement('div');
+		var rangeHelper = new RangeHelper(window, document);
+
+		body.contentEditable = true;
+		body.innerHTML = '<p>text</p>';
+		fixture.appendChild(body);
+
+		this.body = body;
+		this.plugin = new sceditor.plugins.autolink();
+		this.editor = {
+			getRangeHelper: function () {
+				return rangeHelper;
+			},
+			sourceMode: function () {
+				return false;
+			},
+			currentNode: function () {
+				return body.firstChild.firstChild;
+			}
+		};
+
+		// Sets the HTML with the caret at the end of it, types a space and
+		// passes the resulting HTML with a | where the caret is
+		this.type = function (html, callback) {
+			var text = body, range = document.createRange();
+
+			body.innerHTML = html;
+			while (text.lastChild) {
+				text = text.lastChild;
+			}
+
+			range.setStart(text, text.length);
+			rangeHelper.selectRange(range);
+
+			this.plugin.signalKeypressEvent.call(this.editor, { which: 32 });
+
+			// Do what the browser would
+			text.insertData(text.length, ' ');
+			range.setStart(text, text.length);
+			rangeHelper.selectRange(range);
+
+			setTimeout(function () {
+				rangeHelper.insertHTML('|');
+				callback(body.innerHTML);
+			});
+		};
+		this.paste = function (data) {
+			this.plugin.signalPasteRaw.call(this.editor, data);
+
+			return data.html;
+		};
+	}
+});
+
+
+QUnit.test('Typing a URL', function (assert) {
+	var done = assert.async();
+
+	this.type('<p>see https://example.com/a?b=1&amp;c</p>',
+		function (html) {
+			assert.htmlEqual(html,
+				'<p>see <a href="https://example.com/a?b=1&amp;c">' +
+				'https://example.com/a?b=1&amp;c</a> |</p>'
+			);
+			done();
+		}
+	);
+});
+
+
+QUnit.test('Typing an email and www. URL', function (assert) {
+	var done = assert.async();
+	var type = this.type.bind(this);
+
+	type('<p>sam@example.com</p>', function (html) {
+		assert.htmlEqual(html,
+			'<p><a href="mailto:sam@example.com">sam@example.com</a> |</p>'
+		);
+
+		type('<p>(www.example.com).</p>', function (html) {
+			assert.htmlEqual(html,
+				'<p>(<a href="http://www.example.com">www.example.com</a>). |' +
+				'</p>',
+				'Trailing punctuation is not linked'
+			);
+			done();
+		});
+	});
+});
+
+
+QUnit.test('Not linked', function (assert) {
+	var done = assert.async();
+	var type = this.type.bind(this);
+	var html = [
+		'<p>example.com</p>',
+		'<p>https://</p>',
+		'<p>javascript://example.com/%0Aalert(1)</p>',
+		'<p><code>https://example.com</code></p>',
+		'<p><a href="#">https://example.com</a></p>'
+	];
+
+	(function next() {
+		var expected = html.shift();
+
+		if (!expected) {
+			done();
+			return;
+		}
+
+		type(expected, function (actual) {
+			assert.equal(actual.replace(/ \|/, ''), expected);
+			next();
+		});
+	})();
+});
+
+
+QUnit.test('Pasting', function (assert) {
+	assert.htmlEqual(
+		this.paste({
+			text: 'a https://example.com/, b sam@example.com\nc'
+		}),
+		'a <a href="https://example.com/">https://example.com/</a>, b ' +
+			'<a href="mailto:sam@example.com">sam@example.com</a>\nc'
+	);
+
+	assert.htmlEqual(
+		this.paste({
+			html: '<p>www.example.com</p>' +
+				'<a href="https://example.com/">https://example.com/</a>' +
+				'<code>https://example.com/</code>'
+		}),
+		'<p><a href="http://www.example.com">www.example.com</a></p>' +
+			'<a href="https://example.com/">https://example.com/</a>' +
+			'<code>https://example.com/</code>',
+		'Skips links and code'
+	);
+});
+
+
+QUnit.test('Pasting into code', function (assert) {
+	var data = {
+		text: 'https://example.com/'
+	};
+
+	this.body.innerHTML = '<code>code</code>';
+	this.paste(data);
+
+	assert.strictEqual(data.html, undefined);
+});
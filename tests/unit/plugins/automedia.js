@@ -0,0 +1,82 @@
+import 'src/plugins/automedia.js';
+
+
+QUnit.module('plugins/automedia', {
+	beforeEach: function () {
+		var body = document.createElement('div');
+
+		body.innerHTML = '<p>text</p><code>code</code>';
+
+		this.plugin = new sceditor.plugins.automedia();
+		this.editor = {
+			currentNode: function () {
+				return body.firstChild.firstChild;
+			}
+		};
+		this.paste = function (data) {
+			this.plugin.signalPasteRaw.call(this.editor, data);
+
+			return data.html;
+		};
+		this.inCode = function () {
+			this.editor.currentNode = function () {
+				return body.lastChild.firstChild;
+			};
+		};
+	}
+});
+
+
+QUnit.test('Text', function (assert) {
+	assert.htmlEqual(
+		this.paste({
+			text: 'a https://vimeo.com/1 b https://example.com/ ' +
+				'https://example.com/c.mp3\nd'
+		}),
+		'a <iframe data-sceditor-media="https://vimeo.com/1" width="560" ' +
+			'height="315" frameborder="0" ' +
+			'src="https://player.vimeo.com/video/1" allowfullscreen>' +
+			'</iframe> b https://example.com/ ' +
+			'<audio data-sceditor-media="https://example.com/c.mp3" ' +
+			'src="https://example.com/c.mp3" controls></audio>\nd'
+	);
+});
+
+
+QUnit.test('HTML', function (assert) {
+	assert.htmlEqual(
+		this.paste({
+			html: '<p>https://example.com/a.mp4</p>' +
+				'<a href="https://example.com/a.mp4">' +
+				'https://example.com/a.mp4</a>' +
+				'<code>https://example.com/a.mp4</code>'
+		}),
+		'<p><video data-sceditor-media="https://example.com/a.mp4" ' +
+			'width="560" src="https://example.com/a.mp4" controls>' +
+			'</video></p>' +
+			'<a href="https://example.com/a.mp4">' +
+			'https://example.com/a.mp4</a>' +
+			'<code>https://example.com/a.mp4</code>',
+		'Skips links and code'
+	);
+});
+
+
+QUnit.test('Unknown URLs are unchanged', function (assert) {
+	assert.equal(
+		this.paste({ html: 'https://example.com/a.mp4x' }),
+		'https://example.com/a.mp4x'
+	);
+});
+
+
+QUnit.test('Pasting into code', function (assert) {
+	var data = {
+		text: 'https://vimeo.com/1'
+	};
+
+	this.inCode();
+	this.paste(data);
+
+	assert.strictEqual(data.html, undefined);
+});
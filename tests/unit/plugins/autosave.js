@@ -0,0 +1,320 @@
+import SCEditor from 'src/lib/SCEditor.js';
+import defaultCommands from 'src/lib/defaultCommands.js';
+import defaultOptions from 'src/lib/defaultOptions.js';
+import 'src/plugins/autosave.js';
+
+var $fixture = $('#qunit-module-fixture');
+
+var memoryStorage = function (data) {
+	return {
+		data: data || {},
+		get: function (key) {
+			return this.data[key] || null;
+		},
+		set: function (key, drafts) {
+			this.data[key] = JSON.parse(JSON.stringify(drafts));
+		},
+		remove: function (key) {
+			delete this.data[key];
+		},
+		keys: function () {
+			return Object.keys(this.data);
+		}
+	};
+};
+
+var draft = function (id, value, minutesAgo) {
+	return {
+		id: id,
+		name: '',
+		value: value,
+		sourceMode: true,
+		caret: { start: 0, end: 0 },
+		time: Date.now() - (minutesAgo || 0) * 60000
+	};
+};
+
+
+QUnit.module('plugins/autosave', {
+	before: function () {
+		SCEditor.commands       = defaultCommands;
+		SCEditor.defaultOptions = defaultOptions;
+	},
+	beforeEach: function () {
+		var textarea = $('<textarea></textarea>')
+			.width(400)
+			.height(300)
+			.get(0);
+
+		$fixture.append(textarea);
+
+		this.editor = new SCEditor(textarea, {});
+		this.editor.sourceMode(true);
+		this.editor.val('current');
+
+		this.init = function (options) {
+			if (this.plugin) {
+				this.plugin.destroy();
+			}
+
+			this.editor.opts.autosave = options;
+			this.plugin = new sceditor.plugins.autosave();
+			this.plugin.init.call(this.editor);
+			this.plugin.signalReady.call(this.editor);
+		};
+	},
+	afterEach: function () {
+		if (this.plugin) {
+			this.plugin.destroy();
+		}
+
+		this.editor.destroy();
+		this.plugin = null;
+		$fixture.empty();
+	}
+});
+
+
+QUnit.test('diff()', function (assert) {
+	var diff = sceditor.plugins.autosave.diff;
+
+	assert.deepEqual(diff('the quick fox', 'the slow brown fox'), [
+		{ type: 'equal', value: 'the ' },
+		{ type: 'delete', value: 'quick' },
+		{ type: 'insert', value: 'slow brown' },
+		{ type: 'equal', value: ' fox' }
+	]);
+
+	assert.deepEqual(diff('same', 'same'), [
+		{ type: 'equal', value: 'same' }
+	]);
+
+	assert.deepEqual(diff('', 'new'), [
+		{ type: 'insert', value: 'new' }
+	]);
+});
+
+
+QUnit.test('Saves a draft per page load', function (assert) {
+	var storage = memoryStorage({
+		key: [draft('old', 'current', 5)]
+	});
+
+	this.init({
+		storageKey: 'key',
+		storage: storage
+	});
+
+	this.plugin.signalValuechangedEvent.call(this.editor, {
+		detail: { rawValue: 'first' }
+	});
+	this.plugin.signalValuechangedEvent.call(this.editor, {
+		detail: { rawValue: 'second' }
+	});
+
+	assert.equal(storage.data.key.length, 2);
+	assert.equal(storage.data.key[0].value, 'second', 'Newest first');
+	assert.equal(storage.data.key[1].id, 'old', 'Keeps older drafts');
+	assert.equal($fixture.find('.sceditor-autosave').length, 0,
+		'Not offered if the same as the current value');
+});
+
+
+QUnit.test('Restore banner', function (assert) {
+	var storage = memoryStorage({
+		key: [draft('a', 'draft a', 5), draft('b', 'draft b', 90)]
+	});
+
+	this.init({
+		storageKey: 'key',
+		storage: storage
+	});
+
+	var $banner = $fixture.find('.sceditor-autosave');
+
+	assert.equal($banner.length, 1);
+	assert.equal($banner.find('.sceditor-autosave-message').text(),
+		'Restore draft from 5 minutes ago?');
+	assert.equal($banner.find('option').length, 2);
+	assert.equal($banner.find('option').eq(1).text(), '2 hours ago');
+	assert.equal(this.editor.val(), 'current', 'Not restored silently');
+
+	$banner.find('[data-action=compare]').get(0).click();
+	assert.equal($banner.find('.sceditor-autosave-diff ins').text(),
+		'draft a');
+	assert.equal($banner.find('.sceditor-autosave-diff del').text(),
+		'current');
+
+	$banner.find('select').val('b');
+	$banner.find('select').get(0).dispatchEvent(new Event('change'));
+	$banner.find('[data-action=restore]').get(0).click();
+
+	assert.equal(this.editor.val(), 'draft b');
+	assert.equal($fixture.find('.sceditor-autosave').length, 0);
+
+	this.plugin.signalValuechangedEvent.call(this.editor, {
+		detail: { rawValue: 'draft b edited' }
+	});
+	assert.equal(storage.data.key.length, 2, 'Saves to the restored draft');
+	assert.equal(storage.data.key[0].id, 'b');
+});
+
+
+QUnit.test('Restore banner - Discard', function (assert) {
+	var storage = memoryStorage({
+		key: [draft('a', 'draft a', 5), draft('b', 'draft b', 10)]
+	});
+
+	this.init({
+		storageKey: 'key',
+		storage: storage
+	});
+
+	$fixture.find('.sceditor-autosave [data-action=discard]').get(0).click();
+
+	assert.equal($fixture.find('.sceditor-autosave').length, 0);
+	assert.deepEqual(storage.data.key.map(function (draft) {
+		return draft.id;
+	}), ['b']);
+});
+
+
+QUnit.test('restore option', function (assert) {
+	var storage = memoryStorage({
+		key: [draft('a', 'draft a', 5)]
+	});
+
+	this.init({
+		storageKey: 'key',
+		storage: storage,
+		restore: 'never'
+	});
+	assert.equal($fixture.find('.sceditor-autosave').length, 0, 'Never');
+	assert.equal(this.editor.val(), 'current');
+
+	this.init({
+		storageKey: 'key',
+		storage: storage,
+		restore: 'auto'
+	});
+	assert.equal($fixture.find('.sceditor-autosave').length, 0, 'Auto');
+	assert.equal(this.editor.val(), 'draft a');
+});
+
+
+QUnit.test('drafts API', function (assert) {
+	var editor = this.editor;
+	var storage = memoryStorage();
+
+	this.init({
+		storageKey: 'key',
+		storage: storage,
+		maxDrafts: 2
+	});
+
+	var saved = editor.drafts.save('Named');
+
+	assert.equal(storage.data.key[0].name, 'Named');
+	assert.equal(storage.data.key[0].value, 'current');
+
+	editor.val('changed');
+	assert.deepEqual(editor.drafts.diff(saved.id), [
+		{ type: 'delete', value: 'changed' },
+		{ type: 'insert', value: 'current' }
+	]);
+
+	editor.drafts.save();
+	editor.drafts.save();
+	assert.equal(editor.drafts.list().length, 2, 'Limited to maxDrafts');
+
+	editor.drafts.restore(editor.drafts.list()[1].id);
+	assert.equal(editor.val(), 'changed');
+
+	editor.drafts.clear();
+	assert.deepEqual(editor.drafts.list(), []);
+	assert.notOk('key' in storage.data);
+});
+
+
+QUnit.test('Async storage', function (assert) {
+	var done = assert.async();
+	var storage = memoryStorage({
+		key: [draft('a', 'draft a', 5)]
+	});
+	var get = storage.get;
+
+	storage.get = function (key, callback) {
+		setTimeout(function () {
+			callback(get.call(storage, key));
+		});
+	};
+
+	this.init({
+		storageKey: 'key',
+		storage: {
+			get: storage.get,
+			set: function (key, drafts) {
+				// Thenable like a Promise
+				return {
+					then: function (resolve) {
+						resolve(storage.set(key, drafts));
+					}
+				};
+			},
+			remove: storage.remove
+		}
+	});
+
+	assert.equal($fixture.find('.sceditor-autosave').length, 0, 'Loading');
+
+	setTimeout(function () {
+		assert.equal($fixture.find('.sceditor-autosave').length, 1,
+			'Loaded');
+		done();
+	}, 10);
+});
+
+
+QUnit.test('Older formats', function (assert) {
+	var saved = null;
+
+	this.init({
+		load: function () {
+			return {
+				value: 'old draft',
+				sourceMode: true,
+				time: Date.now() - 60000
+			};
+		},
+		save: function (state) {
+			saved = state;
+		},
+		restore: 'auto'
+	});
+
+	assert.equal(this.editor.val(), 'old draft', 'Single draft');
+
+	this.plugin.signalValuechangedEvent.call(this.editor, {
+		detail: { rawValue: 'new' }
+	});
+	assert.equal(saved.value, 'new');
+});
+
+
+QUnit.test('Removes expired drafts', function (assert) {
+	var storage = memoryStorage({
+		'sce-autodraft-/old': [draft('a', 'a', 120)],
+		'sce-autodraft-/mixed': [draft('a', 'a', 5), draft('b', 'b', 120)],
+		'other': [draft('a', 'a', 120)]
+	});
+
+	this.init({
+		storageKey: 'key',
+		storage: storage,
+		expires: 3600000
+	});
+
+	assert.notOk('sce-autodraft-/old' in storage.data);
+	assert.equal(storage.data['sce-autodraft-/mixed'].length, 1);
+	assert.ok('other' in storage.data, 'Ignores other keys');
+});
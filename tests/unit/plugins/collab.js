@@ -0,0 +1,249 @@
+import SCEditor from 'src/lib/SCEditor.js';
+import defaultCommands from 'src/lib/defaultCommands.js';
+import defaultOptions from 'src/lib/defaultOptions.js';
+import rangy from 'rangy';
+import 'src/plugins/collab.js';
+
+var IS_PHANTOMJS = navigator.userAgent.indexOf('PhantomJS') > -1;
+
+var $fixture = $('#qunit-module-fixture');
+
+var createEditor = function (send) {
+	var textarea = $('<textarea></textarea>')
+		.width(400)
+		.height(300)
+		.val('<p>one</p><p>two</p>')
+		.get(0);
+
+	$fixture.append(textarea);
+
+	return new SCEditor(textarea, {
+		plugins: 'collab',
+		collab: {
+			send: send
+		}
+	});
+};
+
+
+QUnit.module('plugins/collab', {
+	before: function () {
+		SCEditor.commands       = defaultCommands;
+		SCEditor.defaultOptions = defaultOptions;
+	},
+	beforeEach: function () {
+		var test = this;
+
+		this.sent = [];
+
+		// In memory transport that passes the operations from
+		// one editor straight to the other
+		this.editorA = createEditor(function (ops) {
+			test.sent = test.sent.concat(ops);
+			test.editorB.applyOperations(ops);
+		});
+		this.editorB = createEditor(function (ops) {
+			test.editorA.applyOperations(ops);
+		});
+	},
+	afterEach: function () {
+		this.editorA.destroy();
+		this.editorB.destroy();
+		$fixture.empty();
+	}
+});
+
+
+QUnit.test('Sends fine grained operations', function (assert) {
+	var body = this.editorA.getBody();
+
+	body.lastChild.firstChild.nodeValue = 'twos';
+	this.editorA.flushOperations();
+
+	assert.deepEqual(this.sent, [{
+		type: 'splice',
+		start: body.innerHTML.indexOf('twos') + 3,
+		removed: '',
+		inserted: 's'
+	}]);
+
+	assert.equal(
+		this.editorB.getBody().innerHTML,
+		body.innerHTML
+	);
+});
+
+
+QUnit.test('Applies operations in both directions', function (assert) {
+	var bodyA = this.editorA.getBody();
+	var bodyB = this.editorB.getBody();
+
+	bodyA.firstChild.innerHTML = '<b>one</b>';
+	this.editorA.flushOperations();
+
+	bodyB.lastChild.firstChild.nodeValue = 'three';
+	this.editorB.flushOperations();
+
+	assert.equal(bodyA.innerHTML, bodyB.innerHTML);
+	assert.nodesEqual(bodyA.firstChild, $('<p><b>one</b></p>')[0]);
+	assert.nodesEqual(bodyA.lastChild, $('<p>three</p>')[0]);
+});
+
+
+QUnit.test('Only replaces the changed nodes', function (assert) {
+	var bodyA = this.editorA.getBody();
+	var bodyB = this.editorB.getBody();
+	var first = bodyB.firstChild;
+
+	bodyA.lastChild.firstChild.nodeValue = 'three';
+	this.editorA.flushOperations();
+
+	assert.strictEqual(bodyB.firstChild, first);
+});
+
+
+QUnit.test('Keeps the remote selection', function (assert) {
+	if (IS_PHANTOMJS) {
+		return assert.expect(0);
+	}
+
+	var bodyA = this.editorA.getBody();
+	var bodyB = this.editorB.getBody();
+	var range = rangy.createRange(bodyB.ownerDocument);
+	var sel   = rangy.getIframeSelection(this.editorB.getContentAreaContainer());
+
+	this.editorB.focus();
+	range.setStart(bodyB.lastChild.firstChild, 1);
+	range.setEnd(bodyB.lastChild.firstChild, 1);
+	sel.setSingleRange(range);
+
+	bodyA.firstChild.firstChild.nodeValue = 'one and a half';
+	this.editorA.flushOperations();
+
+	this.editorB.wysiwygEditorInsertHtml('|');
+
+	assert.nodesEqual(bodyB.firstChild, $('<p>one and a half</p>')[0]);
+	assert.nodesEqual(bodyB.lastChild, $('<p>t|wo</p>')[0]);
+});
+
+
+QUnit.test('Rejects operations which do not match', function (assert) {
+	var body = this.editorB.getBody();
+	var html = body.innerHTML;
+
+	assert.notOk(this.editorB.applyOperations([{
+		type: 'splice',
+		start: 0,
+		removed: '<p>three',
+		inserted: '<p>four'
+	}]));
+
+	assert.equal(body.innerHTML, html);
+});
+
+
+QUnit.test('Transforms remote operations', function (assert) {
+	var bodyA = this.editorA.getBody();
+	var bodyB = this.editorB.getBody();
+
+	// Not sent yet so the operation from A is based on the content
+	// without it
+	bodyB.firstChild.firstChild.nodeValue = 'one more';
+
+	bodyA.lastChild.firstChild.nodeValue = 'two!';
+	this.editorA.flushOperations();
+
+	assert.nodesEqual(bodyB.firstChild, $('<p>one more</p>')[0]);
+	assert.nodesEqual(bodyB.lastChild, $('<p>two!</p>')[0]);
+	assert.equal(bodyA.innerHTML, bodyB.innerHTML);
+});
+
+
+QUnit.test('Conflicting operations', function (assert) {
+	var conflicts = [];
+	var bodyA = this.editorA.getBody();
+	var bodyB = this.editorB.getBody();
+	var handler = function (e) {
+		conflicts = conflicts.concat(e.detail.operations);
+	};
+
+	this.editorB.bind('operationconflict', handler);
+
+	bodyB.lastChild.firstChild.nodeValue = 'twin';
+
+	bodyA.lastChild.firstChild.nodeValue = 'tw';
+	this.editorA.flushOperations();
+
+	assert.deepEqual(conflicts, this.sent,
+		'Fires an event with the rejected operations');
+	assert.nodesEqual(bodyB.lastChild, $('<p>twin</p>')[0],
+		'Local change is kept');
+
+	assert.notOk(this.editorB.applyOperations([{
+		type: 'splice',
+		start: 0,
+		removed: '<p>three',
+		inserted: '<p>four'
+	}]));
+	assert.equal(conflicts.length, 2, 'Includes operations which don\'t match');
+
+	this.editorB.unbind('operationconflict', handler);
+});
+
+
+QUnit.test('Queues operations in source mode', function (assert) {
+	var bodyA = this.editorA.getBody();
+	var bodyB = this.editorB.getBody();
+
+	this.editorB.sourceMode(true);
+
+	bodyA.lastChild.firstChild.nodeValue = 'three';
+	this.editorA.flushOperations();
+
+	this.editorB.sourceMode(false);
+	this.editorB.flushOperations();
+
+	assert.equal(bodyB.innerHTML, bodyA.innerHTML);
+});
+
+
+QUnit.test('transform()', function (assert) {
+	var transform = sceditor.plugins.collab.transform;
+	var against = {
+		type: 'splice',
+		start: 5,
+		removed: 'ab',
+		inserted: 'abcd'
+	};
+
+	assert.deepEqual(transform({
+		type: 'splice',
+		start: 1,
+		removed: 'x',
+		inserted: ''
+	}, against), {
+		type: 'splice',
+		start: 1,
+		removed: 'x',
+		inserted: ''
+	}, 'Before is unchanged');
+
+	assert.deepEqual(transform({
+		type: 'splice',
+		start: 8,
+		removed: 'x',
+		inserted: 'y'
+	}, against), {
+		type: 'splice',
+		start: 10,
+		removed: 'x',
+		inserted: 'y'
+	}, 'After is shifted');
+
+	assert.strictEqual(transform({
+		type: 'splice',
+		start: 6,
+		removed: 'x',
+		inserted: 'y'
+	}, against), null, 'Overlapping returns null');
+});
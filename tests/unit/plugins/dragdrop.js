@@ -0,0 +1,336 @@
+import SCEditor from 'src/lib/SCEditor.js';
+import defaultCommands from 'src/lib/defaultCommands.js';
+import defaultOptions from 'src/lib/defaultOptions.js';
+import * as sanitizer from 'src/lib/sanitize.js';
+import 'src/plugins/dragdrop.js';
+
+
+var requests;
+var OriginalXHR = window.XMLHttpRequest;
+
+var FakeXHR = function () {
+	this.upload = {};
+	this.headers = {};
+
+	requests.push(this);
+};
+
+FakeXHR.prototype = {
+	open: function (method, url) {
+		this.method = method;
+		this.url = url;
+	},
+	setRequestHeader: function (name, value) {
+		this.headers[name] = value;
+	},
+	send: function (data) {
+		this.data = data;
+	},
+	abort: function () {
+		this.aborted = true;
+	},
+	respond: function (status, text) {
+		this.status = status;
+		this.responseText = text;
+		this.onload();
+	}
+};
+
+var file = function (name, type) {
+	return new File(['data'], name, { type: type || 'image/png' });
+};
+
+
+QUnit.module('plugins/dragdrop', {
+	beforeEach: function () {
+		var fixture = document.getElementById('qunit-fixture');
+		var container = document.createElement('div');
+		var area = document.createElement('div');
+		var body = document.createElement('div');
+
+		container.appendChild(area);
+		container.appendChild(body);
+		fixture.appendChild(container);
+
+		requests = [];
+		window.XMLHttpRequest = FakeXHR;
+
+		this.body = body;
+		this.container = container;
+		this.editor = {
+			opts: {},
+			_: function (str) {
+				return str;
+			},
+			getBody: function () {
+				return body;
+			},
+			getContentAreaContainer: function () {
+				return area;
+			},
+			sanitize: function (html) {
+				return sanitizer.sanitize(html);
+			},
+			sourceMode: function () {
+				return false;
+			},
+			focus: function () {},
+			getRangeHelper: function () {
+				return {
+					insertNode: function (node) {
+						body.appendChild(node);
+					}
+				};
+			}
+		};
+
+		this.init = function (options) {
+			this.editor.opts.dragdrop = options;
+			this.plugin = new sceditor.plugins.dragdrop();
+			this.plugin.signalReady.call(this.editor);
+		};
+
+		this.drop = function (files) {
+			var e = document.createEvent('Event');
+
+			e.initEvent('drop', true, true);
+			e.dataTransfer = {
+				files: files
+			};
+
+			container.dispatchEvent(e);
+		};
+
+		this.holders = function () {
+			return body.querySelectorAll('.sceditor-upload');
+		};
+	},
+	afterEach: function () {
+		window.XMLHttpRequest = OriginalXHR;
+	}
+});
+
+
+QUnit.test('File filtering', function (assert) {
+	this.init({
+		allowedTypes: ['image/png', 'image/jpeg'],
+		isAllowed: function (file) {
+			return file.name !== 'blocked.png';
+		},
+		upload: {
+			url: '/upload',
+			fieldName: 'image',
+			fields: { token: 'abc' },
+			headers: { 'X-Test': '1' }
+		}
+	});
+
+	this.drop([
+		file('a.png'),
+		file('b.gif', 'image/gif'),
+		file('blocked.png'),
+		file('c.jpg', 'image/jpeg')
+	]);
+
+	assert.equal(requests.length, 2, 'Only allowed files are uploaded');
+	assert.equal(this.holders().length, 2);
+	assert.equal(requests[0].method, 'POST');
+	assert.equal(requests[0].url, '/upload');
+	assert.equal(requests[0].headers['X-Test'], '1');
+	assert.equal(requests[0].data.get('image').name, 'a.png');
+	assert.equal(requests[0].data.get('token'), 'abc');
+	assert.equal(requests[1].data.get('image').name, 'c.jpg');
+});
+
+
+QUnit.test('Upload progress and errors', function (assert) {
+	var holder;
+
+	this.init({
+		upload: {
+			url: '/upload'
+		}
+	});
+
+	this.drop([file('a.png')]);
+	holder = this.holders()[0];
+
+	assert.equal(holder.getAttribute('data-state'), 'uploading');
+	assert.equal(holder.querySelector('.sceditor-upload-name').textContent,
+		'a.png');
+
+	requests[0].upload.onprogress({
+		lengthComputable: true,
+		loaded: 25,
+		total: 100
+	});
+	assert.equal(
+		holder.querySelector('.sceditor-upload-progress span').style.width,
+		'25%'
+	);
+
+	requests[0].respond(500, '');
+	assert.equal(holder.getAttribute('data-state'), 'error', 'HTTP error');
+	assert.equal(holder.querySelector('.sceditor-upload-error').textContent,
+		'Upload failed');
+
+	holder.querySelector('[data-action=retry]').click();
+	assert.equal(requests.length, 2, 'Retry uploads again');
+	assert.equal(holder.getAttribute('data-state'), 'uploading');
+
+	requests[1].respond(200, 'not json');
+	assert.equal(holder.getAttribute('data-state'), 'error', 'Invalid JSON');
+
+	holder.querySelector('[data-action=retry]').click();
+	requests[2].respond(200, '{"other": "value"}');
+	assert.equal(holder.getAttribute('data-state'), 'error', 'No URL');
+
+	holder.querySelector('[data-action=cancel]').click();
+	assert.ok(requests[2].aborted, 'Cancel aborts the request');
+	assert.equal(this.holders().length, 0, 'Cancel removes the placeholder');
+});
+
+
+QUnit.test('Placeholder replacement', function (assert) {
+	/*eslint no-script-url: off*/
+	var images;
+
+	this.init({
+		upload: {
+			url: '/upload',
+			mapResponse: function (response) {
+				return response.image;
+			}
+		}
+	});
+
+	this.drop([file('a.png'), file('b.png'), file('c.png')]);
+
+	requests[1].respond(200, JSON.stringify({
+		image: { src: 'https://example.com/b.png', alt: 'B' }
+	}));
+	requests[0].respond(200, JSON.stringify({
+		image: 'https://example.com/a.png'
+	}));
+	requests[2].respond(200, JSON.stringify({
+		image: 'javascript:alert(1)'
+	}));
+
+	images = this.body.querySelectorAll('img:not([src^="data:"])');
+
+	assert.equal(this.holders().length, 0);
+	assert.equal(images.length, 3);
+	assert.equal(images[0].getAttribute('src'), 'https://example.com/a.png',
+		'Replaces its own placeholder');
+	assert.equal(images[1].getAttribute('alt'), 'B', 'Attributes');
+	assert.notEqual(images[2].getAttribute('src'), 'javascript:alert(1)',
+		'Unsafe URLs are escaped');
+});
+
+
+QUnit.test('Pasted images', function (assert) {
+	var paste = {
+		val: '<p>a<img src="data:image/png;base64,iVBORw0KGgo=" />' +
+			'<img src="data:image/gif;base64,R0lGODlh" /></p>'
+	};
+
+	this.init({
+		allowedTypes: ['image/png'],
+		upload: {
+			url: '/upload'
+		}
+	});
+
+	this.plugin.signalPasteHtml.call(this.editor, paste);
+
+	assert.equal(requests.length, 1);
+	assert.equal(paste.val.indexOf('iVBORw0KGgo='), -1,
+		'Allowed images are replaced with a placeholder');
+	assert.equal(paste.val.indexOf('R0lGODlh"'), -1,
+		'Disallowed images are removed');
+	assert.ok(/class="[^"]*sceditor-upload/.test(paste.val));
+	assert.equal(requests[0].data.get('file').type, 'image/png');
+});
+
+
+QUnit.module('plugins/dragdrop - Pasting', {
+	before: function () {
+		SCEditor.commands       = defaultCommands;
+		SCEditor.defaultOptions = defaultOptions;
+	},
+	beforeEach: function () {
+		var textarea = document.createElement('textarea');
+
+		document.getElementById('qunit-module-fixture')
+			.appendChild(textarea);
+
+		requests = [];
+		window.XMLHttpRequest = FakeXHR;
+
+		this.editor = new SCEditor(textarea, {
+			plugins: 'dragdrop',
+			dragdrop: {
+				upload: {
+					url: '/upload'
+				}
+			}
+		});
+
+		this.paste = function (html) {
+			var e = document.createEvent('Event');
+
+			e.initEvent('paste', true, true);
+			e.clipboardData = {
+				types: ['text/html'],
+				items: [{ type: 'text/html' }],
+				getData: function () {
+					return html;
+				}
+			};
+
+			this.editor.getBody().dispatchEvent(e);
+		};
+	},
+	afterEach: function () {
+		window.XMLHttpRequest = OriginalXHR;
+
+		this.editor.destroy();
+		document.getElementById('qunit-module-fixture').innerHTML = '';
+	}
+});
+
+
+QUnit.test('Placeholders survive sanitising', function (assert) {
+	var body = this.editor.getBody();
+	var holder;
+
+	this.editor.focus();
+	this.paste('<p>a<img src="data:image/png;base64,iVBORw0KGgo=" /></p>');
+
+	holder = body.querySelector('.sceditor-upload');
+
+	assert.equal(requests.length, 1);
+	assert.ok(holder.getAttribute('data-sce-upload'));
+	assert.equal(holder.getAttribute('contenteditable'), 'false');
+
+	requests[0].respond(200, JSON.stringify({
+		url: 'https://example.com/a.png'
+	}));
+
+	assert.equal(body.querySelectorAll('.sceditor-upload').length, 0);
+	assert.equal(body.querySelector('img').getAttribute('src'),
+		'https://example.com/a.png', 'Image replaces the placeholder');
+});
+
+
+QUnit.test('Cancelling a pasted upload', function (assert) {
+	var body = this.editor.getBody();
+
+	this.editor.focus();
+	this.paste('<p><img src="data:image/png;base64,iVBORw0KGgo=" /></p>');
+
+	body.querySelector('.sceditor-upload [data-action=cancel]').click();
+
+	assert.ok(requests[0].aborted);
+	assert.equal(body.querySelectorAll('.sceditor-upload').length, 0);
+});
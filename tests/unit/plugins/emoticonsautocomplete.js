@@ -0,0 +1,144 @@
+import SCEditor from 'src/lib/SCEditor.js';
+import defaultCommands from 'src/lib/defaultCommands.js';
+import defaultOptions from 'src/lib/defaultOptions.js';
+import rangy from 'rangy';
+import 'src/plugins/emoticonsautocomplete.js';
+
+var $fixture = $('#qunit-module-fixture');
+
+
+QUnit.module('plugins/emoticonsautocomplete', {
+	before: function () {
+		SCEditor.commands       = defaultCommands;
+		SCEditor.defaultOptions = defaultOptions;
+	},
+	beforeEach: function () {
+		var textarea = $('<textarea></textarea>')
+			.width(400)
+			.height(300)
+			.get(0);
+
+		$fixture.append(textarea);
+		localStorage.removeItem('sceditor-emoticons');
+
+		this.editor = new SCEditor(textarea, {
+			plugins: 'emoticonsautocomplete',
+			emoticonsCompat: false,
+			emoticons: {
+				dropdown: {
+					':)': 'emoticons/smile.png',
+					':smile:': 'emoticons/smile.png'
+				}
+			},
+			emoji: {
+				Smileys: {
+					':smirk:': '😏',
+					':sob:': '😭'
+				}
+			}
+		});
+
+		var editor = this.editor;
+		var body = editor.getBody();
+
+		this.list = function () {
+			return $fixture.find('.sceditor-emoticons-autocomplete');
+		};
+
+		this.isOpen = function () {
+			return this.list().css('display') !== 'none';
+		};
+
+		this.active = function () {
+			return this.list().find('.active').text();
+		};
+
+		this.key = function (type, which) {
+			var e = body.ownerDocument.createEvent('Event');
+
+			e.initEvent(type, true, true);
+			e.which = which;
+			body.dispatchEvent(e);
+
+			return e;
+		};
+
+		this.type = function (html) {
+			var text;
+			var range = rangy.createRange(body.ownerDocument);
+			var sel   = rangy.getIframeSelection(
+				editor.getContentAreaContainer()
+			);
+
+			body.innerHTML = html;
+			text = body.firstChild.lastChild;
+			range.setStart(text, text.length);
+			range.setEnd(text, text.length);
+			sel.setSingleRange(range);
+
+			this.key('keyup', 0);
+		};
+
+		editor.focus();
+	},
+	afterEach: function () {
+		this.editor.destroy();
+		$fixture.empty();
+		localStorage.removeItem('sceditor-emoticons');
+	}
+});
+
+
+QUnit.test('Matching emoticons', function (assert) {
+	this.type('<p>test :sm</p>');
+
+	assert.ok(this.isOpen());
+	assert.equal(this.list().find('[role=option]').length, 2);
+	assert.equal(this.active(), ' :smile:');
+
+	this.type('<p>test :so</p>');
+	assert.equal(this.list().find('[role=option]').text(), '😭 :sob:',
+		'Includes emoji');
+
+	this.type('<p>test :x</p>');
+	assert.notOk(this.isOpen(), 'Needs 2 characters');
+
+	this.type('<p>test:sm</p>');
+	assert.notOk(this.isOpen(), 'Needs whitespace before');
+
+	this.type('<p>test :none</p>');
+	assert.notOk(this.isOpen(), 'No matches');
+});
+
+
+QUnit.test('Keyboard selection', function (assert) {
+	this.type('<p>test :sm</p>');
+
+	assert.ok(this.key('keydown', 40).defaultPrevented, 'Down');
+	assert.equal(this.active(), '😏 :smirk:');
+
+	this.key('keydown', 40);
+	assert.equal(this.active(), ' :smile:',
+		'Wraps around');
+
+	this.key('keydown', 38);
+	assert.equal(this.active(), '😏 :smirk:', 'Up');
+
+	assert.ok(this.key('keydown', 13).defaultPrevented, 'Enter');
+	assert.notOk(this.isOpen());
+	assert.equal(this.editor.getBody().textContent, 'test 😏');
+
+	this.type('<p>test :sm</p>');
+	this.key('keydown', 27);
+	assert.notOk(this.isOpen(), 'Escape');
+	assert.notOk(this.key('keydown', 13).defaultPrevented,
+		'Ignores keys when closed');
+});
+
+
+QUnit.test('Disabled emoticons', function (assert) {
+	this.editor.emoticons(false);
+	this.type('<p>test :sm</p>');
+
+	assert.notOk(this.isOpen());
+});
@@ -0,0 +1,119 @@
+// HTML pasted from Google Docs in Chrome and the expected
+// HTML after it has been cleaned.
+var header = '<meta charset="utf-8"><b style="font-weight:normal;" ' +
+	'id="docs-internal-guid-5c2b1f0e-7fff-3a1d-1c63-7c0d6b0e6d2b">';
+
+var footer = '</b><br class="Apple-interchange-newline">';
+
+var pStyle = ' dir="ltr" style="line-height:1.38;margin-top:0pt;' +
+	'margin-bottom:0pt;"';
+
+var span = function (style, text) {
+	return '<span style="font-size:11pt;font-family:Arial;' +
+		'color:#000000;background-color:transparent;' + style +
+		'vertical-align:baseline;white-space:pre;white-space:pre-wrap;">' +
+		text + '</span>';
+};
+
+var normal = 'font-weight:400;font-style:normal;text-decoration:none;';
+
+var item = function (level, text) {
+	return '<li dir="ltr" style="list-style-type:disc;font-size:11pt;' +
+		'font-family:Arial;color:#000000;" aria-level="' + level + '">' +
+		'<p dir="ltr" style="line-height:1.38;margin-top:0pt;' +
+		'margin-bottom:0pt;" role="presentation">' +
+		span(normal, text) + '</p></li>';
+};
+
+export default [
+	{
+		name: 'Paragraphs',
+		html: header +
+			'<p' + pStyle + '>' + span(normal, 'First') + '</p>' +
+			'<br />' +
+			'<p' + pStyle + '>' + span(normal, 'Second') + '</p>' +
+			footer,
+		expected: '<p>First</p><br><p>Second</p>'
+	},
+	{
+		name: 'Bold, italic, underline and strikethrough',
+		html: header +
+			'<p' + pStyle + '>' +
+			span('font-weight:700;font-style:normal;' +
+				'text-decoration:none;', 'Bold') +
+			span(normal, ' ') +
+			span('font-weight:400;font-style:italic;' +
+				'text-decoration:none;', 'italic') +
+			span(normal, ' ') +
+			span('font-weight:400;font-style:normal;' +
+				'text-decoration:underline;', 'underline') +
+			span(normal, ' ') +
+			span('font-weight:400;font-style:normal;' +
+				'text-decoration:line-through;', 'strike') +
+			'</p>' +
+			footer,
+		expected:
+			'<p><b>Bold</b> <i>italic</i> <u>underline</u> <s>strike</s></p>'
+	},
+	{
+		name: 'Headings',
+		html: header +
+			'<h1 dir="ltr" style="line-height:1.38;margin-top:20pt;' +
+			'margin-bottom:6pt;">' +
+			span('font-size:20pt;' + normal, 'Heading one') + '</h1>' +
+			'<h2 dir="ltr" style="line-height:1.38;margin-top:18pt;' +
+			'margin-bottom:6pt;">' +
+			span('font-size:16pt;font-weight:700;', 'Heading two') +
+			'</h2>' +
+			footer,
+		expected: '<h1>Heading one</h1><h2>Heading two</h2>'
+	},
+	{
+		name: 'Nested lists',
+		html: header +
+			'<ul style="margin-top:0;margin-bottom:0;' +
+			'padding-inline-start:48px;">' +
+			item(1, 'One') +
+			'<ul style="margin-top:0;margin-bottom:0;' +
+			'padding-inline-start:48px;">' +
+			item(2, 'One point one') +
+			'</ul>' +
+			item(1, 'Two') +
+			'</ul>' +
+			footer,
+		expected:
+			'<ul><li>One<ul><li>One point one</li></ul></li>' +
+			'<li>Two</li></ul>'
+	},
+	{
+		name: 'Links',
+		html: header +
+			'<p' + pStyle + '>' +
+			'<a href="https://www.google.com/url?q=https://www.sceditor' +
+			'.com/&amp;sa=D&amp;source=editors&amp;ust=1" ' +
+			'style="text-decoration:none;">' +
+			span('color:#1155cc;font-weight:400;font-style:normal;' +
+				'text-decoration:underline;', 'SCEditor') +
+			'</a></p>' +
+			footer,
+		expected: '<p><a href="https://www.sceditor.com/">SCEditor</a></p>'
+	},
+	{
+		name: 'Tables',
+		html: header +
+			'<div dir="ltr" style="margin-left:0pt;" align="left">' +
+			'<table style="border:none;border-collapse:collapse;">' +
+			'<colgroup><col width="301" /><col width="301" /></colgroup>' +
+			'<tbody><tr style="height:0pt">' +
+			'<td style="border-left:solid #000000 1pt;' +
+			'vertical-align:top;padding:5pt 5pt 5pt 5pt;">' +
+			'<p' + pStyle + '>' + span(normal, 'A') + '</p></td>' +
+			'<td style="border-left:solid #000000 1pt;' +
+			'vertical-align:top;padding:5pt 5pt 5pt 5pt;">' +
+			'<p' + pStyle + '>' + span(normal, 'B') + '</p></td>' +
+			'</tr></tbody></table></div>' +
+			footer,
+		expected:
+			'<table><tbody><tr><td>A</td><td>B</td></tr></tbody></table>'
+	}
+];
@@ -0,0 +1,139 @@
+// HTML pasted from Microsoft Word 2016 on Windows and the
+// expected HTML after it has been cleaned.
+var header =
+	'<html xmlns:v="urn:schemas-microsoft-com:vml" ' +
+		'xmlns:o="urn:schemas-microsoft-com:office:office" ' +
+		'xmlns:w="urn:schemas-microsoft-com:office:word" ' +
+		'xmlns="http://www.w3.org/TR/REC-html40">' +
+	'<head><meta http-equiv=Content-Type content="text/html; ' +
+		'charset=utf-8"><meta name=Generator ' +
+		'content="Microsoft Word 15">' +
+	'<!--[if gte mso 9]><xml><o:OfficeDocumentSettings>' +
+		'<o:AllowPNG/></o:OfficeDocumentSettings></xml><![endif]-->' +
+	'<style><!-- p.MsoNormal {margin:0cm; font-size:11.0pt;} --></style>' +
+	'</head><body lang=EN-GB style=\'tab-interval:36.0pt\'>' +
+	'<!--StartFragment-->';
+
+var footer = '<!--EndFragment--></body></html>';
+
+var bullet = function (level, listId) {
+	return '<p class=MsoListParagraphCxSpMiddle style=\'text-indent:' +
+		'-18.0pt;mso-list:' + listId + ' level' + level + ' lfo1\'>' +
+		'<![if !supportLists]><span style=\'font-family:Symbol;' +
+		'mso-fareast-font-family:Symbol\'><span style=\'mso-list:Ignore\'>' +
+		'·<span style=\'font:7.0pt "Times New Roman"\'>&nbsp;&nbsp;&nbsp;' +
+		'</span></span></span><![endif]>';
+};
+
+var number = function (level, marker) {
+	return '<p class=MsoListParagraphCxSpMiddle style=\'text-indent:' +
+		'-18.0pt;mso-list:l1 level' + level + ' lfo2\'>' +
+		'<![if !supportLists]><span style=\'mso-bidi-font-family:' +
+		'Calibri\'><span style=\'mso-list:Ignore\'>' + marker +
+		'<span style=\'font:7.0pt "Times New Roman"\'>&nbsp;&nbsp; ' +
+		'</span></span></span><![endif]>';
+};
+
+export default [
+	{
+		name: 'Paragraphs and empty paragraphs',
+		html: header +
+			'<p class=MsoNormal>First line of text which is long enough\r\n' +
+			'to be wrapped by Word<o:p></o:p></p>\r\n\r\n' +
+			'<p class=MsoNormal><o:p>&nbsp;</o:p></p>\r\n\r\n' +
+			'<p class=MsoNormal>Second<o:p></o:p></p>' +
+			footer,
+		expected:
+			'<p>First line of text which is long enough ' +
+			'to be wrapped by Word</p>' +
+			'<p>&nbsp;</p>' +
+			'<p>Second</p>'
+	},
+	{
+		name: 'Bold, italic and underline',
+		html: header +
+			'<p class=MsoNormal><b>Bold</b> <i>italic</i> ' +
+			'<u>underline</u> <span style=\'font-weight:bold;' +
+			'mso-bidi-font-weight:normal\'>styled bold</span> ' +
+			'<span style=\'font-style:italic\'>styled italic</span> ' +
+			'<s>strike</s><o:p></o:p></p>' +
+			footer,
+		expected:
+			'<p><b>Bold</b> <i>italic</i> <u>underline</u> ' +
+			'<b>styled bold</b> <i>styled italic</i> <s>strike</s></p>'
+	},
+	{
+		name: 'Headings',
+		html: header +
+			'<p class=MsoTitle>Document title<o:p></o:p></p>' +
+			'<h1><a name="_Toc1"></a><span lang=EN-US ' +
+			'style=\'mso-ansi-language:EN-US\'>Heading one</span></h1>' +
+			'<h2><span style=\'mso-fareast-font-family:"Times New ' +
+			'Roman"\'>Heading two<o:p></o:p></span></h2>' +
+			footer,
+		expected:
+			'<h1>Document title</h1>' +
+			'<h1>Heading one</h1>' +
+			'<h2>Heading two</h2>'
+	},
+	{
+		name: 'Bullet list',
+		html: header +
+			bullet(1, 'l0') + 'One<o:p></o:p></p>' +
+			bullet(2, 'l0') + 'One point one<o:p></o:p></p>' +
+			bullet(1, 'l0') + 'Two<o:p></o:p></p>' +
+			'<p class=MsoNormal>After<o:p></o:p></p>' +
+			footer,
+		expected:
+			'<ul><li>One<ul><li>One point one</li></ul></li>' +
+			'<li>Two</li></ul>' +
+			'<p>After</p>'
+	},
+	{
+		name: 'Numbered list',
+		html: header +
+			number(1, '1.') + 'First<o:p></o:p></p>' +
+			number(2, 'a.') + 'Sub item<o:p></o:p></p>' +
+			number(1, '2.') + 'Second<o:p></o:p></p>' +
+			footer,
+		expected:
+			'<ol><li>First<ol><li>Sub item</li></ol></li>' +
+			'<li>Second</li></ol>'
+	},
+	{
+		name: 'Links and bookmarks',
+		html: header +
+			'<p class=MsoNormal><a name="_GoBack"></a>See ' +
+			'<a href="https://www.sceditor.com/"><span ' +
+			'style=\'color:#0563C1;mso-themecolor:hyperlink\'>the ' +
+			'site</span></a> or <a href="#_Toc1">the heading</a>' +
+			'<o:p></o:p></p>' +
+			footer,
+		expected:
+			'<p>See <a href="https://www.sceditor.com/">the site</a> ' +
+			'or the heading</p>'
+	},
+	{
+		name: 'Tables',
+		html: header +
+			'<div align=center>' +
+			'<table class=MsoTableGrid border=1 cellspacing=0 ' +
+			'cellpadding=0 style=\'border-collapse:collapse;' +
+			'mso-yfti-tbllook:1184\'>' +
+			'<tr style=\'mso-yfti-irow:0;mso-yfti-firstrow:yes\'>' +
+			'<td width=301 valign=top style=\'width:225.4pt;border:' +
+			'solid windowtext 1.0pt\'><p class=MsoNormal><b>Name' +
+			'<o:p></o:p></b></p></td>' +
+			'<td width=301 valign=top style=\'width:225.4pt\'>' +
+			'<p class=MsoNormal>Line one<o:p></o:p></p>' +
+			'<p class=MsoNormal>Line two<o:p></o:p></p></td></tr>' +
+			'<tr><td colspan=2 style=\'width:450.8pt\'>' +
+			'<p class=MsoNormal>Spanned<o:p></o:p></p></td></tr>' +
+			'</table></div>' +
+			footer,
+		expected:
+			'<table><tbody><tr><td><b>Name</b></td>' +
+			'<td>Line one<br>Line two</td></tr>' +
+			'<tr><td colspan="2">Spanned</td></tr></tbody></table>'
+	}
+];
@@ -0,0 +1,211 @@
+import SCEditor from 'src/lib/SCEditor.js';
+import defaultCommands from 'src/lib/defaultCommands.js';
+import defaultOptions from 'src/lib/defaultOptions.js';
+import rangy from 'rangy';
+import 'src/plugins/mentions.js';
+
+var $fixture = $('#qunit-module-fixture');
+
+var users = [
+	{ id: 1, name: 'Sam' },
+	{ id: 2, name: 'Sally' },
+	{ id: 3, name: 'Bob' }
+];
+
+
+QUnit.module('plugins/mentions', {
+	before: function () {
+		SCEditor.commands       = defaultCommands;
+		SCEditor.defaultOptions = defaultOptions;
+	},
+	beforeEach: function () {
+		var textarea = $('<textarea></textarea>')
+			.width(400)
+			.height(300)
+			.get(0);
+
+		$fixture.append(textarea);
+
+		this.editor = new SCEditor(textarea, {
+			plugins: 'mentions',
+			mentions: {
+				source: function (query, callback) {
+					callback(users.filter(function (user) {
+						return user.name.toLowerCase()
+							.indexOf(query.toLowerCase()) === 0;
+					}));
+				}
+			}
+		});
+
+		var editor = this.editor;
+		var body = editor.getBody();
+
+		this.list = function () {
+			return $fixture.find('.sceditor-mentions');
+		};
+
+		this.isOpen = function () {
+			return this.list().css('display') !== 'none';
+		};
+
+		this.options = function () {
+			return this.list().find('.sceditor-mentions-option')
+				.map(function () {
+					return $(this).text();
+				}).get();
+		};
+
+		this.active = function () {
+			return this.list().find('.active').text();
+		};
+
+		this.key = function (type, which, node) {
+			node = node || body;
+
+			var e = node.ownerDocument.createEvent('Event');
+
+			e.initEvent(type, true, true);
+			e.which = which;
+			node.dispatchEvent(e);
+
+			return e;
+		};
+
+		// Sets the content, places the caret at the end and
+		// releases a key
+		this.type = function (html) {
+			var node;
+			var range = rangy.createRange(body.ownerDocument);
+			var sel   = rangy.getIframeSelection(
+				editor.getContentAreaContainer()
+			);
+
+			body.innerHTML = html;
+
+			node = body;
+			while (node.lastChild) {
+				node = node.lastChild;
+			}
+
+			range.setStart(node, node.length);
+			range.setEnd(node, node.length);
+			sel.setSingleRange(range);
+
+			this.key('keyup', 0);
+		};
+
+		editor.focus();
+	},
+	afterEach: function () {
+		this.editor.destroy();
+		$fixture.empty();
+	}
+});
+
+
+QUnit.test('Sanitiser keeps mentions uneditable', function (assert) {
+	assert.htmlEqual(
+		this.editor.sanitize(
+			'<p><span class="sceditor-mention" contenteditable="true" ' +
+				'data-mention-id="1">@Sam</span> ' +
+			'<span contenteditable="false">text</span></p>'
+		),
+		'<p><span class="sceditor-mention" contenteditable="false" ' +
+			'data-mention-id="1">@Sam</span> ' +
+		'<span>text</span></p>'
+	);
+});
+
+
+QUnit.test('Trigger', function (assert) {
+	this.type('<p>hi @</p>');
+	assert.ok(this.isOpen());
+	assert.deepEqual(this.options(), ['Sam', 'Sally', 'Bob']);
+
+	this.type('<p>hi@s</p>');
+	assert.notOk(this.isOpen(), 'Needs whitespace before');
+
+	this.type('<p>hi s</p>');
+	assert.notOk(this.isOpen(), 'Needs the trigger');
+
+	this.type('<p><code>hi @s</code></p>');
+	assert.notOk(this.isOpen(), 'Not inside code');
+});
+
+
+QUnit.test('Filtering', function (assert) {
+	this.type('<p>@s</p>');
+	assert.deepEqual(this.options(), ['Sam', 'Sally']);
+
+	this.type('<p>@sal</p>');
+	assert.deepEqual(this.options(), ['Sally']);
+
+	this.type('<p>@b</p>');
+	assert.deepEqual(this.options(), ['Bob']);
+
+	this.type('<p>@x</p>');
+	assert.notOk(this.isOpen(), 'No matches');
+});
+
+
+QUnit.test('Keyboard selection', function (assert) {
+	this.type('<p>@s</p>');
+	assert.equal(this.active(), 'Sam');
+
+	assert.ok(this.key('keydown', 40).defaultPrevented, 'Down');
+	assert.equal(this.active(), 'Sally');
+
+	this.key('keydown', 40);
+	assert.equal(this.active(), 'Sam', 'Wraps around');
+
+	this.key('keydown', 38);
+	assert.equal(this.active(), 'Sally', 'Up');
+
+	this.key('keyup', 38);
+	assert.equal(this.active(), 'Sally', 'Keyup keeps the selection');
+
+	assert.ok(this.key('keydown', 27).defaultPrevented, 'Escape');
+	assert.notOk(this.isOpen());
+	assert.notOk(this.key('keydown', 13).defaultPrevented,
+		'Ignores keys when closed');
+});
+
+
+QUnit.test('Insertion', function (assert) {
+	var mention;
+	var body = this.editor.getBody();
+
+	this.type('<p>hi @sa</p>');
+	this.key('keydown', 40);
+	this.key('keydown', 13);
+
+	mention = body.querySelector('.sceditor-mention');
+	assert.notOk(this.isOpen());
+	assert.equal(mention.getAttribute('data-mention-id'), '2');
+	assert.equal(mention.textContent, '@Sally');
+	assert.equal(body.textContent.replace(/\u00a0/g, ' '), 'hi @Sally ');
+
+	this.type('<p>hi @b</p>');
+	this.list().find('.sceditor-mentions-option').get(0)
+		.dispatchEvent(new MouseEvent('mousedown', { bubbles: true }));
+
+	mention = body.querySelector('.sceditor-mention');
+	assert.equal(mention.getAttribute('data-mention-id'), '3', 'Clicked');
+});
+
+
+QUnit.test('Insertion in source mode', function (assert) {
+	var textarea;
+
+	this.editor.sourceMode(true);
+	textarea = $fixture.find('.sceditor-container textarea').get(0);
+
+	this.editor.setSourceEditorValue('hi @b');
+	this.editor.sourceEditorCaret({ start: 5, end: 5 });
+	this.key('keyup', 0, textarea);
+	assert.deepEqual(this.options(), ['Bob']);
+
+	this.key('keydown', 13, textarea);
+	assert.equal(this.editor.getSourceEditorValue(false), 'hi @Bob ');
+});
@@ -0,0 +1,78 @@
+import 'src/plugins/pastecleanup.js';
+import wordFixtures from 'tests/unit/plugins/fixtures/paste/word.js';
+import googleDocsFixtures from 'tests/unit/plugins/fixtures/paste/googledocs.js';
+
+var fixtures = {
+	'Word': wordFixtures,
+	'Google Docs': googleDocsFixtures
+};
+
+
+QUnit.module('plugins/pastecleanup', {
+	beforeEach: function () {
+		this.plugin = new sceditor.plugins.pastecleanup();
+	}
+});
+
+
+Object.keys(fixtures).forEach(function (source) {
+	fixtures[source].forEach(function (fixture) {
+		QUnit.test(source + ' - ' + fixture.name, function (assert) {
+			var data = {
+				html: fixture.html,
+				text: ''
+			};
+
+			this.plugin.signalPasteRaw(data);
+
+			assert.htmlEqual(data.html, fixture.expected);
+		});
+	});
+});
+
+
+QUnit.test('Other HTML is unchanged', function (assert) {
+	var html = '<p style="color:red"><span class="x">Text</span></p>';
+	var data = {
+		html: html
+	};
+
+	this.plugin.signalPasteRaw(data);
+
+	assert.equal(data.html, html);
+});
+
+
+QUnit.test('Text only paste', function (assert) {
+	var data = {
+		text: 'Text'
+	};
+
+	this.plugin.signalPasteRaw(data);
+
+	assert.strictEqual(data.html, undefined);
+	assert.equal(data.text, 'Text');
+});
+
+
+QUnit.test('Custom sources', function (assert) {
+	var sources = sceditor.plugins.pastecleanup.sources;
+
+	sources.test = {
+		detect: function (html) {
+			return /data-test-source/.test(html);
+		},
+		clean: function (root) {
+			root.firstChild.textContent = 'Cleaned';
+		}
+	};
+
+	assert.htmlEqual(
+		sceditor.plugins.pastecleanup.clean(
+			'<p data-test-source="1" style="color:red">Text</p>'
+		),
+		'<p>Cleaned</p>'
+	);
+
+	delete sources.test;
+});
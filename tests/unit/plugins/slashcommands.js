@@ -0,0 +1,228 @@
+import SCEditor from 'src/lib/SCEditor.js';
+import defaultCommands from 'src/lib/defaultCommands.js';
+import defaultOptions from 'src/lib/defaultOptions.js';
+import rangy from 'rangy';
+import 'src/plugins/slashcommands.js';
+
+var IS_PHANTOMJS = navigator.userAgent.indexOf('PhantomJS') > -1;
+
+var $fixture = $('#qunit-module-fixture');
+
+var noop = function () {};
+
+var key = function (which) {
+	return {
+		which: which,
+		preventDefault: noop
+	};
+};
+
+
+QUnit.module('plugins/slashcommands', {
+	before: function () {
+		SCEditor.commands       = defaultCommands;
+		SCEditor.defaultOptions = defaultOptions;
+
+		sceditor.plugins.slashcommands.register('greeting', {
+			label: 'Insert a greeting',
+			keywords: ['hello'],
+			txtExec: ['Hello', ' world'],
+			exec: function () {
+				this.wysiwygEditorInsertText('Hello world');
+			}
+		});
+	},
+	after: function () {
+		sceditor.plugins.slashcommands.unregister('greeting');
+	},
+	beforeEach: function () {
+		var textarea = $('<textarea></textarea>')
+			.width(400)
+			.height(300)
+			.get(0);
+
+		$fixture.append(textarea);
+
+		this.editor = new SCEditor(textarea, {
+			slashcommands: {
+				exclude: ['source']
+			}
+		});
+		this.plugin = new sceditor.plugins.slashcommands();
+		this.plugin.init.call(this.editor);
+		this.plugin.signalReady.call(this.editor);
+
+		this.palette = $fixture.find('.sceditor-slashcommands');
+		this.labels = function () {
+			return this.palette.find('.sceditor-slashcommands-option')
+				.map(function () {
+					return $(this).text();
+				}).get();
+		};
+	},
+	afterEach: function () {
+		this.plugin.destroy();
+		this.editor.destroy();
+		$fixture.empty();
+	}
+});
+
+
+QUnit.test('filter()', function (assert) {
+	var filter = sceditor.plugins.slashcommands.filter;
+	var entries = [
+		{ name: 'bold', label: 'Bold' },
+		{ name: 'image', label: 'Insert an image', keywords: ['photo'] },
+		{ name: 'link', label: 'Insert a link' },
+		{ name: 'email', label: 'Insert an email' }
+	];
+	var names = function (query) {
+		return filter(entries, query).map(function (entry) {
+			return entry.name;
+		});
+	};
+
+	assert.deepEqual(names(''), ['bold', 'image', 'link', 'email']);
+	assert.deepEqual(names('PHO'), ['image'], 'Keywords');
+	assert.deepEqual(names('link'), ['link'], 'Name');
+	assert.deepEqual(names('insert'), ['image', 'link', 'email'], 'Label');
+	assert.deepEqual(names('e'), ['email', 'image', 'link'],
+		'Starts with before contains');
+	assert.deepEqual(names('xyz'), []);
+});
+
+
+QUnit.test('Opens at the start of an empty line', function (assert) {
+	var editor = this.editor;
+
+	editor.sourceMode(true);
+
+	editor.val('line\n/hel');
+	editor.sourceEditorCaret({ start: 9, end: 9 });
+	this.plugin.signalKeyupEvent(key(76));
+
+	assert.ok(this.palette.is(':visible'));
+	assert.deepEqual(this.labels(), ['Insert a greeting']);
+
+	editor.val('a /hel');
+	editor.sourceEditorCaret({ start: 6, end: 6 });
+	this.plugin.signalKeyupEvent(key(76));
+
+	assert.notOk(this.palette.is(':visible'), 'Not start of line');
+
+	editor.val('/hel\nmore');
+	editor.sourceEditorCaret({ start: 2, end: 2 });
+	this.plugin.signalKeyupEvent(key(72));
+
+	assert.notOk(this.palette.is(':visible'), 'Line not empty');
+});
+
+
+QUnit.test('Runs txtExec in source mode', function (assert) {
+	var editor = this.editor;
+
+	editor.sourceMode(true);
+
+	editor.val('line\n/greet');
+	editor.sourceEditorCaret({ start: 11, end: 11 });
+	this.plugin.signalKeyupEvent(key(84));
+	this.plugin.signalKeydownEvent(key(13));
+
+	assert.equal(editor.val(), 'line\nHello world');
+	assert.notOk(this.palette.is(':visible'));
+});
+
+
+QUnit.test('Runs exec in WYSIWYG mode', function (assert) {
+	if (IS_PHANTOMJS) {
+		return assert.expect(0);
+	}
+
+	var editor = this.editor;
+	var body   = editor.getBody();
+
+	editor.focus();
+	body.innerHTML = '<p>/greet</p>';
+
+	var range = rangy.createRange(body.ownerDocument);
+	var sel   = rangy.getIframeSelection(editor.getContentAreaContainer());
+
+	range.setStart(body.firstChild.firstChild, 6);
+	range.setEnd(body.firstChild.firstChild, 6);
+	sel.setSingleRange(range);
+
+	this.plugin.signalKeyupEvent(key(84));
+
+	assert.deepEqual(this.labels(), ['Insert a greeting']);
+
+	this.plugin.signalKeydownEvent(key(13));
+
+	assert.equal(body.firstChild.textContent, 'Hello world');
+});
+
+
+QUnit.test('Keyboard navigation', function (assert) {
+	var editor = this.editor;
+
+	sceditor.plugins.slashcommands.register('greenery', {
+		label: 'Insert greenery',
+		txtExec: ['Trees']
+	});
+
+	editor.sourceMode(true);
+	editor.val('/gree');
+	editor.sourceEditorCaret({ start: 5, end: 5 });
+	this.plugin.signalKeyupEvent(key(69));
+
+	assert.deepEqual(this.labels(), ['Insert a greeting', 'Insert greenery']);
+	assert.equal(this.palette.find('.active').text(), 'Insert a greeting');
+
+	this.plugin.signalKeydownEvent(key(40));
+	assert.equal(this.palette.find('.active').text(), 'Insert greenery');
+
+	this.plugin.signalKeydownEvent(key(40));
+	assert.equal(this.palette.find('.active').text(), 'Insert a greeting',
+		'Wraps around');
+
+	this.plugin.signalKeydownEvent(key(38));
+	this.plugin.signalKeydownEvent(key(9));
+
+	assert.equal(editor.val(), 'Trees');
+
+	editor.val('/gree');
+	editor.sourceEditorCaret({ start: 5, end: 5 });
+	this.plugin.signalKeyupEvent(key(69));
+	this.plugin.signalKeydownEvent(key(27));
+
+	assert.notOk(this.palette.is(':visible'), 'Escape closes');
+	assert.equal(editor.val(), '/gree');
+
+	sceditor.plugins.slashcommands.unregister('greenery');
+});
+
+
+QUnit.test('Per editor entries and exclude', function (assert) {
+	var editor = this.editor;
+
+	this.plugin.destroy();
+	this.plugin = new sceditor.plugins.slashcommands();
+	editor.opts.slashcommands = {
+		exclude: ['greeting'],
+		entries: {
+			signature: {
+				label: 'Insert signature',
+				txtExec: ['-- Sam']
+			}
+		}
+	};
+	this.plugin.init.call(editor);
+	this.palette = $fixture.find('.sceditor-slashcommands');
+
+	editor.sourceMode(true);
+	editor.val('/');
+	editor.sourceEditorCaret({ start: 1, end: 1 });
+	this.plugin.signalKeyupEvent(key(191));
+
+	assert.ok(this.labels().indexOf('Insert signature') > -1);
+	assert.equal(this.labels().indexOf('Insert a greeting'), -1);
+});
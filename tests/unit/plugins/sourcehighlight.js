@@ -0,0 +1,122 @@
+import SCEditor from 'src/lib/SCEditor.js';
+import defaultCommands from 'src/lib/defaultCommands.js';
+import defaultOptions from 'src/lib/defaultOptions.js';
+import 'src/formats/bbcode.js';
+import 'src/formats/xhtml.js';
+import 'src/plugins/sourcehighlight.js';
+
+var $fixture = $('#qunit-module-fixture');
+
+
+QUnit.module('plugins/sourcehighlight', {
+	before: function () {
+		SCEditor.commands       = defaultCommands;
+		SCEditor.defaultOptions = defaultOptions;
+	},
+	beforeEach: function () {
+		var module = this;
+
+		this.init = function (format) {
+			var textarea = $('<textarea></textarea>')
+				.width(400)
+				.height(300)
+				.get(0);
+
+			$fixture.append(textarea);
+
+			module.editor = new SCEditor(textarea, {
+				format: format,
+				plugins: 'sourcehighlight'
+			});
+			module.editor.sourceMode(true);
+
+			module.textarea = $fixture.find('.sceditor-container textarea')
+				.get(0);
+			module.pre = $fixture.find('.sceditor-source-highlight');
+		};
+
+		this.input = function (value, caret) {
+			var e = document.createEvent('Event');
+
+			module.textarea.value = value;
+			module.textarea.selectionStart = module.textarea.selectionEnd =
+				caret || 0;
+
+			e.initEvent('input', true, true);
+			module.textarea.dispatchEvent(e);
+		};
+
+		this.names = function (selector) {
+			return module.pre.find(selector + ' .sceditor-hl-name')
+				.map(function () {
+					return $(this).text();
+				}).get();
+		};
+	},
+	afterEach: function () {
+		this.editor.destroy();
+		$fixture.empty();
+	}
+});
+
+
+QUnit.test('XHTML tokenisation', function (assert) {
+	this.init('xhtml');
+
+	this.input('<p class="a">a &amp; b</p><br /><!-- c -->');
+	assert.deepEqual(this.names('.sceditor-hl-tag'), ['p', 'p', 'br']);
+	assert.equal(this.pre.find('.sceditor-hl-attrs').first().text(),
+		' class="a"');
+	assert.equal(this.pre.find('.sceditor-hl-comment').text(),
+		'<!-- c -->');
+	assert.equal(this.pre.find('.sceditor-hl-error').length, 0);
+	assert.equal(this.pre.text(), this.textarea.value + ' ',
+		'Text matches the textarea');
+
+	this.input('<p><b>a</p></i>');
+	assert.deepEqual(this.names('.sceditor-hl-error'), ['b', 'i'],
+		'Unclosed and unopened tags');
+});
+
+
+QUnit.test('BBCode tokenisation', function (assert) {
+	this.init('bbcode');
+
+	this.input('[b]a[/b][url=http://example.com]b[/url]');
+	assert.deepEqual(this.names('.sceditor-hl-tag'),
+		['b', 'b', 'url', 'url']);
+	assert.equal(this.pre.find('.sceditor-hl-attrs').text(),
+		'=http://example.com');
+	assert.equal(this.pre.find('.sceditor-hl-error').length, 0);
+
+	this.input('[list][*]a[/list]');
+	assert.equal(this.pre.find('.sceditor-hl-error').length, 0,
+		'Implicitly closed tags');
+
+	this.input('[b]a', 1);
+	assert.deepEqual(this.names('.sceditor-hl-error'), ['b']);
+	assert.ok(this.textarea.title, 'Problem at the caret is the title');
+});
+
+
+QUnit.test('Updates on input', function (assert) {
+	this.init('xhtml');
+
+	this.input('<p>a</p>');
+	assert.equal(this.pre.text(), '<p>a</p> ');
+
+	this.input('<p>a</p><div>b</div>', 1);
+	assert.equal(this.pre.text(), '<p>a</p><div>b</div> ');
+	assert.deepEqual(this.names('.sceditor-hl-match'), ['p', 'p'],
+		'Matching tag of the caret');
+
+	this.editor.val('<i>c</i>');
+	assert.equal(this.pre.text(), '<i>c</i> ', 'Value changed');
+});
+
+
+QUnit.test('Unsupported format', function (assert) {
+	this.init();
+
+	assert.equal(this.pre.length, 0);
+});
@@ -0,0 +1,242 @@
+import SCEditor from 'src/lib/SCEditor.js';
+import defaultCommands from 'src/lib/defaultCommands.js';
+import defaultOptions from 'src/lib/defaultOptions.js';
+import 'src/plugins/stats.js';
+
+var $fixture = $('#qunit-module-fixture');
+
+var keyPress = function (which) {
+	return {
+		which: which,
+		preventDefault: function () {
+			this.defaultPrevented = true;
+		}
+	};
+};
+
+var beforeInput = function (node, inputType, data) {
+	var e = node.ownerDocument.createEvent('Event');
+
+	e.initEvent('beforeinput', true, true);
+	e.inputType = inputType;
+	e.data = data;
+	node.dispatchEvent(e);
+
+	return e;
+};
+
+
+QUnit.module('plugins/stats', {
+	before: function () {
+		SCEditor.commands       = defaultCommands;
+		SCEditor.defaultOptions = defaultOptions;
+	},
+	beforeEach: function () {
+		var textarea = $('<textarea></textarea>')
+			.width(400)
+			.height(300)
+			.get(0);
+
+		$fixture.append(textarea);
+
+		this.editor = new SCEditor(textarea, {});
+		this.init = function (options) {
+			if (this.plugin) {
+				this.plugin.destroy();
+			}
+
+			this.editor.opts.stats = options;
+			this.plugin = new sceditor.plugins.stats();
+			this.plugin.init.call(this.editor);
+			this.plugin.signalReady.call(this.editor);
+		};
+
+		this.init({});
+	},
+	afterEach: function () {
+		this.plugin.destroy();
+		this.editor.destroy();
+		this.plugin = null;
+		$fixture.empty();
+	}
+});
+
+
+QUnit.test('stats()', function (assert) {
+	var editor = this.editor;
+
+	editor.getBody().innerHTML =
+		'<p>Hello <b>big</b> world</p><p>Line<br />two<br /></p>' +
+		'<ul><li>one</li><li>two</li></ul>' +
+		'<p><img src="smile.png" data-sceditor-emoticon=":)" /></p>';
+
+	assert.deepEqual(editor.stats(), {
+		words: 8,
+		characters: 35,
+		length: 35,
+		maxLength: 0,
+		remaining: null
+	});
+
+	editor.sourceMode(true);
+	editor.val('<p>Hello <b>big</b> world</p>');
+
+	assert.equal(editor.stats().words, 3, 'Source mode');
+	assert.equal(editor.stats().characters, 15);
+});
+
+
+QUnit.test('stats() - Count source', function (assert) {
+	var editor = this.editor;
+
+	this.init({
+		count: 'source',
+		maxLength: 100
+	});
+
+	editor.val('<p>Hello <b>world</b></p>');
+
+	assert.equal(editor.stats().characters, 11);
+	assert.equal(editor.stats().length, editor.val().length);
+	assert.equal(editor.stats().remaining, 100 - editor.val().length);
+});
+
+
+QUnit.test('Counter', function (assert) {
+	var editor = this.editor;
+	var $counter = $fixture.find('.sceditor-stats');
+
+	editor.val('<p>Hello world</p>');
+	this.plugin.signalValuechangedEvent();
+
+	assert.equal($counter.text(), '2 words, 11 characters');
+
+	this.init({
+		maxLength: 10,
+		format: function (stats) {
+			return stats.length + '/' + stats.maxLength;
+		}
+	});
+	this.plugin.signalValuechangedEvent();
+	$counter = $fixture.find('.sceditor-stats');
+
+	assert.equal($counter.text(), '11/10', 'Custom format');
+	assert.ok($counter.hasClass('limit-reached'));
+
+	this.init({
+		counter: false
+	});
+	assert.equal($fixture.find('.sceditor-stats').length, 0);
+});
+
+
+QUnit.test('maxLength - Blocks input', function (assert) {
+	var e;
+	var editor = this.editor;
+	var reached = [];
+
+	editor.bind('limitreached', function (e) {
+		reached.push(e.detail.type);
+	});
+
+	this.init({
+		maxLength: 5
+	});
+
+	editor.sourceMode(true);
+	editor.val('abcd');
+	editor.sourceEditorCaret({ start: 4, end: 4 });
+
+	e = keyPress(101);
+	this.plugin.signalKeypressEvent(e);
+	assert.notOk(e.defaultPrevented, 'Under limit');
+
+	editor.val('abcde');
+	editor.sourceEditorCaret({ start: 5, end: 5 });
+
+	e = keyPress(102);
+	this.plugin.signalKeypressEvent(e);
+	assert.ok(e.defaultPrevented, 'At limit');
+	assert.deepEqual(reached, ['input']);
+
+	e = keyPress(8);
+	this.plugin.signalKeypressEvent(e);
+	assert.notOk(e.defaultPrevented, 'Not a character');
+
+	editor.sourceEditorCaret({ start: 0, end: 2 });
+
+	e = keyPress(102);
+	this.plugin.signalKeypressEvent(e);
+	assert.notOk(e.defaultPrevented, 'Replaces selection');
+});
+
+
+QUnit.test('maxLength - Blocks other input', function (assert) {
+	var e;
+	var editor = this.editor;
+	var body = editor.getBody();
+	var reached = [];
+
+	editor.bind('limitreached', function (e) {
+		reached.push(e.detail.type);
+	});
+
+	this.init({
+		maxLength: 5
+	});
+
+	editor.val('<p>abc</p>');
+
+	e = beforeInput(body, 'insertReplacementText', 'de');
+	assert.notOk(e.defaultPrevented, 'Under limit');
+
+	e = beforeInput(body, 'insertReplacementText', 'def');
+	assert.ok(e.defaultPrevented, 'Over limit');
+	assert.deepEqual(reached, ['input']);
+
+	e = beforeInput(body, 'deleteContentBackward', null);
+	assert.notOk(e.defaultPrevented, 'Not an insertion');
+
+	editor.sourceMode(true);
+	editor.val('abcde');
+	editor.sourceEditorCaret({ start: 5, end: 5 });
+
+	e = beforeInput($fixture.find('.sceditor-container textarea').get(0),
+		'insertText', 'f');
+	assert.ok(e.defaultPrevented, 'Source mode');
+	assert.deepEqual(reached, ['input', 'input']);
+});
+
+
+QUnit.test('maxLength - Limits paste', function (assert) {
+	var data;
+	var editor = this.editor;
+	var reached = 0;
+
+	editor.bind('limitreached', function (e) {
+		reached++;
+		assert.equal(e.detail.type, 'paste');
+	});
+
+	this.init({
+		maxLength: 10
+	});
+
+	editor.val('<p>Hello</p>');
+
+	data = { text: 'abc', html: '<b>abc</b>' };
+	this.plugin.signalPasteRaw(data);
+	assert.deepEqual(data, { text: 'abc', html: '<b>abc</b>' }, 'Fits');
+
+	data = { html: '<b>abcdefgh</b>' };
+	this.plugin.signalPasteRaw(data);
+	assert.deepEqual(data, { text: 'abcde', html: null }, 'Truncated');
+
+	editor.val('<p>Hello world</p>');
+
+	data = { text: 'abc' };
+	this.plugin.signalPasteRaw(data);
+	assert.deepEqual(data, { text: '', html: null }, 'Blocked');
+
+	assert.equal(reached, 2);
+});
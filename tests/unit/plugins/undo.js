@@ -0,0 +1,230 @@
+import SCEditor from 'src/lib/SCEditor.js';
+import defaultCommands from 'src/lib/defaultCommands.js';
+import defaultOptions from 'src/lib/defaultOptions.js';
+import 'src/plugins/undo.js';
+
+var $fixture = $('#qunit-module-fixture');
+
+
+QUnit.module('plugins/undo', {
+	before: function () {
+		SCEditor.commands       = defaultCommands;
+		SCEditor.defaultOptions = defaultOptions;
+	},
+	beforeEach: function () {
+		var module = this;
+
+		this.init = function (options) {
+			var textarea = $('<textarea></textarea>')
+				.width(400)
+				.height(300)
+				.val('<p>a</p>')
+				.get(0);
+
+			$fixture.append(textarea);
+
+			module.editor = new SCEditor(textarea, $.extend({
+				plugins: 'undo'
+			}, options));
+		};
+
+		this.key = function (which, key, ctrlKey) {
+			var editor = module.editor;
+			var node = editor.sourceMode() ?
+				$fixture.find('.sceditor-container textarea').get(0) :
+				editor.getBody();
+			var e = node.ownerDocument.createEvent('Event');
+
+			e.initEvent('keydown', true, true);
+			e.which = which;
+			e.key = key;
+			e.ctrlKey = !!ctrlKey;
+			node.dispatchEvent(e);
+		};
+
+		this.undo = function () {
+			module.key(90, 'z', true);
+		};
+
+		this.redo = function () {
+			module.key(89, 'y', true);
+		};
+
+		// Types the text one key at a time at the end of the content
+		this.type = function (text) {
+			var editor = module.editor;
+
+			text.split('').forEach(function (chr) {
+				module.key(chr.charCodeAt(0), chr);
+
+				if (editor.sourceMode()) {
+					editor.setSourceEditorValue(
+						editor.getSourceEditorValue(false) + chr
+					);
+				} else {
+					editor.getBody().firstChild.lastChild.nodeValue += chr;
+				}
+			});
+		};
+
+		this.text = function () {
+			return $.trim(module.editor.getBody().textContent);
+		};
+
+		// Runs each step after the pending changes have been handled
+		this.run = function (steps, done) {
+			(function next() {
+				var step = steps.shift();
+
+				if (!step) {
+					done();
+					return;
+				}
+
+				setTimeout(function () {
+					step();
+					next();
+				});
+			}());
+		};
+	},
+	afterEach: function () {
+		this.editor.destroy();
+		$fixture.empty();
+	}
+});
+
+
+QUnit.test('Typing is a single step', function (assert) {
+	var done = assert.async();
+	var test = this;
+
+	this.init();
+	this.run([
+		function () {
+			test.type('bcd');
+		},
+		function () {
+			// Any other key ends the step
+			test.key(37, 'ArrowLeft');
+			test.type('ef');
+		},
+		function () {
+			test.undo();
+			assert.equal(test.text(), 'abcd');
+
+			test.undo();
+			assert.equal(test.text(), 'a');
+
+			test.undo();
+			assert.equal(test.text(), 'a', 'Nothing left to undo');
+
+			test.redo();
+			assert.equal(test.text(), 'abcd');
+
+			test.redo();
+			assert.equal(test.text(), 'abcdef');
+		}
+	], done);
+});
+
+
+QUnit.test('Redo is cleared by a new change', function (assert) {
+	var done = assert.async();
+	var test = this;
+
+	this.init();
+	this.run([
+		function () {
+			test.type('b');
+		},
+		function () {
+			test.undo();
+			assert.equal(test.text(), 'a');
+
+			test.type('c');
+		},
+		function () {
+			test.redo();
+			assert.equal(test.text(), 'ac');
+
+			test.undo();
+			assert.equal(test.text(), 'a');
+		}
+	], done);
+});
+
+
+QUnit.test('History limit', function (assert) {
+	var done = assert.async();
+	var test = this;
+
+	this.init({
+		undo: {
+			limit: 2
+		}
+	});
+	this.run([
+		function () {
+			test.type('b');
+		},
+		function () {
+			test.key(37, 'ArrowLeft');
+			test.type('c');
+		},
+		function () {
+			test.key(37, 'ArrowLeft');
+			test.type('d');
+		},
+		function () {
+			test.undo();
+			test.undo();
+			assert.equal(test.text(), 'ab');
+
+			test.undo();
+			assert.equal(test.text(), 'ab', 'Oldest step is removed');
+		}
+	], done);
+});
+
+
+QUnit.test('Undo and redo across a mode switch', function (assert) {
+	var done = assert.async();
+	var test = this;
+	var editor;
+
+	this.init();
+	editor = this.editor;
+
+	this.run([
+		function () {
+			test.type('b');
+		},
+		function () {
+			editor.sourceMode(true);
+		},
+		function () {
+			test.type('x');
+		},
+		function () {
+			test.undo();
+			assert.ok(editor.sourceMode());
+			assert.equal(editor.getSourceEditorValue(false).indexOf('x'), -1,
+				'Source change is undone');
+
+			test.undo();
+			assert.notOk(editor.sourceMode(), 'Mode switch is undone');
+			assert.equal(test.text(), 'ab');
+
+			test.undo();
+			assert.equal(test.text(), 'a');
+
+			test.redo();
+			test.redo();
+			assert.ok(editor.sourceMode(), 'Mode switch is redone');
+
+			test.redo();
+			assert.equal(editor.getSourceEditorValue(false).slice(-1), 'x');
+		}
+	], done);
+});